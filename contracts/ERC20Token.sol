@@ -2,10 +2,11 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/extensions/AccessControlDefaultAdminRules.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 
-contract Token is ERC20, AccessControlDefaultAdminRules, Pausable {
+contract Token is ERC20, ERC20Permit, AccessControlDefaultAdminRules, Pausable {
     //State Variables
     uint256 public immutable MAX_SUPPLY;
 
@@ -27,6 +28,7 @@ contract Token is ERC20, AccessControlDefaultAdminRules, Pausable {
         uint48 initialDelay
     )
         ERC20(name, symbol)
+        ERC20Permit(name)
         AccessControlDefaultAdminRules(initialDelay, initialDefaultAdmin)
     {
         MAX_SUPPLY = maxSupply;
@@ -3,7 +3,12 @@ pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/access/Ownable2Step.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./pricing/IPricingStrategy.sol";
+import "./TokenVesting.sol";
 
 // Your ERC20 token interface with mint and max supply
 interface IToken is IERC20 {
@@ -13,30 +18,113 @@ interface IToken is IERC20 {
 }
 
 contract TokenSale is Ownable2Step, ReentrancyGuard {
+    // Price changes are announced this long before they can take effect
+    uint256 public constant PRICE_UPDATE_DELAY = 2 days;
+
+    struct PendingPrices {
+        uint256 buyPrice;
+        uint256 sellPrice;
+        uint256 effectiveAt;
+    }
+
+    // Buy window and purchase limits; zero leaves a bound unset
+    struct SalePhase {
+        uint256 startTime;
+        uint256 endTime;
+        // Tokens the sale may sell in total, separate from the token's MAX_SUPPLY
+        uint256 hardCap;
+        // Smallest single purchase
+        uint256 minPurchase;
+        // Most one wallet may buy over the whole sale
+        uint256 maxPurchase;
+    }
+
     // State variables
     IToken public immutable token;
-    uint256 public immutable buyPrice;
-    uint256 public immutable sellPrice;
+    uint256 public buyPrice;
+    uint256 public sellPrice;
+    PendingPrices public pendingPrices;
+    // When set, trades are priced on this curve instead of buyPrice/sellPrice
+    IPricingStrategy public immutable pricingStrategy;
+    SalePhase public salePhase;
+    // Tokens bought through the sale, in total and per wallet. Selling back
+    // doesn't free up allocation.
+    uint256 public tokensSold;
+    mapping(address => uint256) public purchased;
+    // While set, only addresses in this tree can buy, each up to the allocation
+    // in its leaf. Leaves are keccak256(keccak256(abi.encode(account, allocation))).
+    bytes32 public merkleRoot;
+    // When set, purchases are locked here on its schedule instead of going to the buyer
+    TokenVesting public vesting;
+    // ETH owed to accounts whose payout couldn't be sent, claimable with withdrawPayments.
+    // It stays in the contract and isn't available for sells or withdrawEth.
+    mapping(address => uint256) public payments;
+    uint256 public totalPayments;
 
     // Custom errors
     error MaxSupplyReached();
     error ZeroAmount();
+    error PermitFailed();
+    error TradeExpired(uint256 deadline);
+    error SlippageExceeded(uint256 amountOut, uint256 minAmountOut);
+    error InvalidPrices(uint256 buyPrice, uint256 sellPrice);
+    error NoPendingPriceUpdate();
+    error PriceUpdateNotReady(uint256 effectiveAt);
+    error PricingStrategyActive();
+    error SaleNotStarted(uint256 startTime);
+    error SaleEnded(uint256 endTime);
+    error BelowMinPurchase(uint256 amount, uint256 minPurchase);
+    error HardCapExceeded(uint256 remaining);
+    error WalletLimitExceeded(uint256 remaining);
+    error InvalidSalePhase();
+    error AllowlistOnly();
+    error InvalidProof();
+    error AllocationExceeded(uint256 remaining);
+    error InvalidVesting();
+    error NoPayments();
+    error PaymentFailed();
 
     // Events
     event BuyTokens(address indexed buyer, uint256 tokensBought);
     event SellTokens(address indexed seller, uint256 tokensSold);
     event WithdrawEth(address indexed withdrawer, uint256 amount);
+    // ETH sent with a buy that wasn't spent on tokens
+    event RefundEth(address indexed buyer, uint256 amount);
     event WithdrawTokens(address indexed withdrawer, uint256 amount);
+    event PriceUpdateScheduled(uint256 buyPrice, uint256 sellPrice, uint256 effectiveAt);
+    event PriceUpdateCancelled(uint256 buyPrice, uint256 sellPrice);
+    event PricesUpdated(
+        uint256 oldBuyPrice,
+        uint256 oldSellPrice,
+        uint256 newBuyPrice,
+        uint256 newSellPrice
+    );
+    event SalePhaseUpdated(
+        uint256 startTime,
+        uint256 endTime,
+        uint256 hardCap,
+        uint256 minPurchase,
+        uint256 maxPurchase
+    );
+    event SaleClosed(uint256 closedAt);
+    event MerkleRootUpdated(bytes32 merkleRoot);
+    event VestingUpdated(address vesting);
+    event PaymentDeferred(address indexed payee, uint256 amount);
+    event PaymentWithdrawn(address indexed payee, uint256 amount);
 
     // Constructor
     constructor(
         address _tokenAddress,
         uint256 _buyPrice,
-        uint256 _sellPrice
+        uint256 _sellPrice,
+        address _pricingStrategy
     ) Ownable(msg.sender) {
+        _checkPrices(_buyPrice, _sellPrice);
+
         token = IToken(_tokenAddress);
         buyPrice = _buyPrice;
         sellPrice = _sellPrice;
+        pricingStrategy = IPricingStrategy(_pricingStrategy);
     }
 
     // Receive Ether to buy tokens
@@ -50,52 +138,292 @@ contract TokenSale is Ownable2Step, ReentrancyGuard {
     }
 
     // Token purchase logic
-    function buyTokens() public payable {
-        if (msg.value == 0) revert ZeroAmount();
+    function buyTokens() public payable nonReentrant {
+        _checkPublicSale();
+        _buy(0, type(uint256).max);
+    }
 
-        uint256 tokensToBuy = (msg.value / buyPrice) * 1e18;
-        if (tokensToBuy == 0) revert ZeroAmount();
+    // Buy tokens, reverting if fewer than _minTokensOut would be received or the deadline has passed
+    function buyTokensWithSlippage(
+        uint256 _minTokensOut,
+        uint256 _deadline
+    ) public payable nonReentrant {
+        _checkDeadline(_deadline);
+        _checkPublicSale();
+        _buy(_minTokensOut, type(uint256).max);
+    }
 
-        require(tokensToBuy > 0, "Amount must be more than zero");
+    // Buy during the allowlist phase, proving msg.sender's allocation against merkleRoot.
+    // The allocation caps everything the address buys from the sale, earlier
+    // purchases included. Without a root set this is a plain protected buy.
+    function buyTokensWithProof(
+        uint256 _allocation,
+        bytes32[] calldata _proof,
+        uint256 _minTokensOut,
+        uint256 _deadline
+    ) public payable nonReentrant {
+        _checkDeadline(_deadline);
+        if (merkleRoot == bytes32(0)) {
+            _buy(_minTokensOut, type(uint256).max);
+            return;
+        }
 
-        if (token.balanceOf(address(this)) >= tokensToBuy) {
-            token.transfer(msg.sender, tokensToBuy);
-        } else {
-            // Only check max supply when minting new tokens
-            if (token.totalSupply() + tokensToBuy > token.MAX_SUPPLY()) {
-                revert MaxSupplyReached();
-            }
-            token.mint(msg.sender, tokensToBuy);
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender, _allocation))));
+        if (!MerkleProof.verifyCalldata(_proof, merkleRoot, leaf)) revert InvalidProof();
+        _buy(_minTokensOut, _allocation);
+    }
+
+    // Fills as much of msg.value as the reserve, MAX_SUPPLY, the phase's hard cap
+    // and the buyer's wallet limit allow, fractional tokens included, and refunds
+    // whatever ETH it doesn't spend
+    function _buy(uint256 _minTokensOut, uint256 _allocation) internal {
+        if (msg.value == 0) revert ZeroAmount();
+        _checkSaleOpen();
+
+        uint256 reserve = token.balanceOf(address(this));
+        if (reserve == 0 && token.totalSupply() >= token.MAX_SUPPLY()) {
+            revert MaxSupplyReached();
         }
 
+        // Priced before any tokens move, at the current point on the curve
+        (uint256 tokensToBuy, uint256 cost) = _quoteBuy(msg.value, _purchaseLimit());
+        if (tokensToBuy == 0) revert ZeroAmount();
+        if (tokensToBuy < _minTokensOut) {
+            revert SlippageExceeded(tokensToBuy, _minTokensOut);
+        }
+        _recordPurchase(tokensToBuy, _allocation);
+
+        // Serve from the reserve first and mint the rest
+        address recipient = address(vesting) == address(0) ? msg.sender : address(vesting);
+        uint256 fromReserve = tokensToBuy < reserve ? tokensToBuy : reserve;
+        if (fromReserve > 0) token.transfer(recipient, fromReserve);
+        if (tokensToBuy > fromReserve) token.mint(recipient, tokensToBuy - fromReserve);
+        if (recipient != msg.sender) vesting.lock(msg.sender, tokensToBuy);
+
         emit BuyTokens(msg.sender, tokensToBuy);
+
+        uint256 refund = msg.value - cost;
+        if (refund > 0) {
+            _sendEth(msg.sender, refund);
+            emit RefundEth(msg.sender, refund);
+        }
     }
 
     // Sell tokens for ETH
     function sellTokens(uint256 _amount) public nonReentrant {
-        uint256 ethToReceive = (_amount * sellPrice) / 1e18;
+        _sell(_amount, 0);
+    }
+
+    // Sell tokens, reverting if less than _minEthOut would be received or the deadline has passed
+    function sellTokensWithSlippage(
+        uint256 _amount,
+        uint256 _minEthOut,
+        uint256 _deadline
+    ) public nonReentrant {
+        _checkDeadline(_deadline);
+        _sell(_amount, _minEthOut);
+    }
+
+    // Sell tokens for ETH, approving the sale with an EIP-2612 permit in the same transaction.
+    // _deadline bounds both the permit and the trade.
+    function sellTokensWithPermit(
+        uint256 _amount,
+        uint256 _minEthOut,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) public nonReentrant {
+        _checkDeadline(_deadline);
+
+        // Anyone can submit a seen permit first, so a failed permit is only fatal
+        // if it didn't leave the allowance in place
+        try
+            IERC20Permit(address(token)).permit(
+                msg.sender,
+                address(this),
+                _amount,
+                _deadline,
+                _v,
+                _r,
+                _s
+            )
+        {} catch {
+            if (token.allowance(msg.sender, address(this)) < _amount) {
+                revert PermitFailed();
+            }
+        }
+
+        _sell(_amount, _minEthOut);
+    }
+
+    function _sell(uint256 _amount, uint256 _minEthOut) internal {
+        uint256 ethToReceive = quoteSellProceeds(_amount);
+        if (ethToReceive < _minEthOut) {
+            revert SlippageExceeded(ethToReceive, _minEthOut);
+        }
 
         require(
-            address(this).balance >= ethToReceive,
+            address(this).balance - totalPayments >= ethToReceive,
             "Insufficient ETH balance"
         );
         require(_amount > 0, "Amount must be more than zero");
 
         token.transferFrom(msg.sender, address(this), _amount);
-        payable(msg.sender).transfer(ethToReceive);
+        _sendEth(msg.sender, ethToReceive);
 
         emit SellTokens(msg.sender, _amount);
     }
 
-    // Withdraw ETH (only owner)
-    function withdrawEth() public onlyOwner {
-        uint256 balance = address(this).balance;
+    // Tokens held outside the sale; this is the position on the pricing curve
+    function circulatingSupply() public view returns (uint256) {
+        return token.totalSupply() - token.balanceOf(address(this));
+    }
+
+    // Exact ETH cost of buying _amount tokens right now. buyTokens charges this
+    // for what it fills and refunds the rest of msg.value.
+    function quoteBuyCost(uint256 _amount) public view returns (uint256) {
+        if (address(pricingStrategy) == address(0)) {
+            return Math.mulDiv(_amount, buyPrice, 1e18, Math.Rounding.Ceil);
+        }
+        return pricingStrategy.buyCost(circulatingSupply(), _amount);
+    }
+
+    // Tokens a buy sending _value fills right now and the ETH it keeps; the rest
+    // is refunded. Fills stop at the reserve plus what MAX_SUPPLY still allows
+    // to be minted.
+    function quoteBuy(uint256 _value) public view returns (uint256 tokens, uint256 cost) {
+        return _quoteBuy(_value, type(uint256).max);
+    }
+
+    // quoteBuy with the fill also capped at _limit
+    function _quoteBuy(uint256 _value, uint256 _limit) internal view returns (uint256 tokens, uint256 cost) {
+        uint256 available = Math.min(
+            _limit,
+            token.balanceOf(address(this)) + _remaining(token.MAX_SUPPLY(), token.totalSupply())
+        );
+
+        tokens = address(pricingStrategy) == address(0)
+            ? (_value * 1e18) / buyPrice
+            : _curveTokensFor(_value, available);
+        if (tokens > available) tokens = available;
+        cost = quoteBuyCost(tokens);
+    }
+
+    // Exact ETH paid for selling _amount tokens right now
+    function quoteSellProceeds(uint256 _amount) public view returns (uint256) {
+        if (address(pricingStrategy) == address(0)) {
+            return (_amount * sellPrice) / 1e18;
+        }
+        return pricingStrategy.sellProceeds(circulatingSupply(), _amount);
+    }
+
+    // Most token wei _value pays for on the curve, up to _available. Prices only
+    // rise along it, so the current spot price bounds how many that can be.
+    function _curveTokensFor(uint256 _value, uint256 _available) internal view returns (uint256) {
+        uint256 supply = circulatingSupply();
+        uint256 spot = pricingStrategy.spotPrice(supply);
+
+        uint256 low = 0;
+        uint256 high = _available;
+        if (spot > 0) high = Math.min(high, Math.mulDiv(_value, 1e18, spot));
+        while (low < high) {
+            uint256 mid = (low + high + 1) / 2;
+            if (pricingStrategy.buyCost(supply, mid) <= _value) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    function _checkDeadline(uint256 _deadline) internal view {
+        if (block.timestamp > _deadline) revert TradeExpired(_deadline);
+    }
+
+    // Buys are only taken inside the sale window; sells stay open so holders can always exit
+    function _checkSaleOpen() internal view {
+        SalePhase memory phase = salePhase;
+        if (phase.endTime != 0 && block.timestamp >= phase.endTime) {
+            revert SaleEnded(phase.endTime);
+        }
+        if (block.timestamp < phase.startTime) {
+            revert SaleNotStarted(phase.startTime);
+        }
+    }
+
+    // Plain buys are closed while the allowlist phase runs
+    function _checkPublicSale() internal view {
+        if (merkleRoot != bytes32(0)) revert AllowlistOnly();
+    }
+
+    // Most a buy from msg.sender can fill under the phase's hard cap and wallet
+    // limit. Only a buy with nothing left under one of them reverts.
+    function _purchaseLimit() internal view returns (uint256 limit) {
+        SalePhase memory phase = salePhase;
+        limit = type(uint256).max;
+        if (phase.hardCap != 0) {
+            limit = _remaining(phase.hardCap, tokensSold);
+            if (limit == 0) revert HardCapExceeded(0);
+        }
+        if (phase.maxPurchase != 0) {
+            uint256 walletLimit = _remaining(phase.maxPurchase, purchased[msg.sender]);
+            if (walletLimit == 0) revert WalletLimitExceeded(0);
+            limit = Math.min(limit, walletLimit);
+        }
+    }
+
+    function _recordPurchase(uint256 _amount, uint256 _allocation) internal {
+        SalePhase memory phase = salePhase;
+        if (_amount < phase.minPurchase) {
+            revert BelowMinPurchase(_amount, phase.minPurchase);
+        }
+        if (purchased[msg.sender] + _amount > _allocation) {
+            revert AllocationExceeded(_remaining(_allocation, purchased[msg.sender]));
+        }
+
+        tokensSold += _amount;
+        purchased[msg.sender] += _amount;
+    }
+
+    // Pay _to with a plain call, so contract wallets get all the gas they need. A
+    // payout that still fails is owed to _to instead of reverting the trade.
+    function _sendEth(address _to, uint256 _amount) internal {
+        (bool success, ) = payable(_to).call{value: _amount}("");
+        if (!success) {
+            payments[_to] += _amount;
+            totalPayments += _amount;
+            emit PaymentDeferred(_to, _amount);
+        }
+    }
+
+    // A limit can be lowered below what was already bought
+    function _remaining(uint256 _limit, uint256 _used) internal pure returns (uint256) {
+        return _limit > _used ? _limit - _used : 0;
+    }
+
+    // Withdraw ETH (only owner), leaving what is owed through withdrawPayments
+    function withdrawEth() public onlyOwner nonReentrant {
+        uint256 balance = address(this).balance - totalPayments;
         require(balance > 0, "No ETH to withdraw");
 
-        payable(owner()).transfer(balance);
+        _sendEth(owner(), balance);
         emit WithdrawEth(owner(), balance);
     }
 
+    // Claim ETH owed to the caller from payouts that couldn't be sent
+    function withdrawPayments() public nonReentrant {
+        uint256 amount = payments[msg.sender];
+        if (amount == 0) revert NoPayments();
+
+        payments[msg.sender] = 0;
+        totalPayments -= amount;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert PaymentFailed();
+        emit PaymentWithdrawn(msg.sender, amount);
+    }
+
     // Withdraw tokens (only owner)
     function withdrawTokens(uint256 _amount) public onlyOwner {
         require(_amount > 0, "Amount must be more than zero");
@@ -107,4 +435,100 @@ contract TokenSale is Ownable2Step, ReentrancyGuard {
         token.transfer(owner(), _amount);
         emit WithdrawTokens(owner(), _amount);
     }
+
+    // Announce new prices; they can be executed once PRICE_UPDATE_DELAY has passed.
+    // Scheduling again replaces the pending update and restarts the delay.
+    function schedulePriceUpdate(
+        uint256 _buyPrice,
+        uint256 _sellPrice
+    ) public onlyOwner {
+        if (address(pricingStrategy) != address(0)) {
+            revert PricingStrategyActive();
+        }
+        _checkPrices(_buyPrice, _sellPrice);
+
+        uint256 effectiveAt = block.timestamp + PRICE_UPDATE_DELAY;
+        pendingPrices = PendingPrices(_buyPrice, _sellPrice, effectiveAt);
+        emit PriceUpdateScheduled(_buyPrice, _sellPrice, effectiveAt);
+    }
+
+    // Apply the pending prices once their delay has passed
+    function executePriceUpdate() public onlyOwner {
+        PendingPrices memory pending = pendingPrices;
+        if (pending.effectiveAt == 0) revert NoPendingPriceUpdate();
+        if (block.timestamp < pending.effectiveAt) {
+            revert PriceUpdateNotReady(pending.effectiveAt);
+        }
+
+        emit PricesUpdated(buyPrice, sellPrice, pending.buyPrice, pending.sellPrice);
+        buyPrice = pending.buyPrice;
+        sellPrice = pending.sellPrice;
+        delete pendingPrices;
+    }
+
+    // Drop the pending price update
+    function cancelPriceUpdate() public onlyOwner {
+        PendingPrices memory pending = pendingPrices;
+        if (pending.effectiveAt == 0) revert NoPendingPriceUpdate();
+
+        delete pendingPrices;
+        emit PriceUpdateCancelled(pending.buyPrice, pending.sellPrice);
+    }
+
+    // Set the buy window and purchase limits, replacing the current ones
+    function setSalePhase(
+        uint256 _startTime,
+        uint256 _endTime,
+        uint256 _hardCap,
+        uint256 _minPurchase,
+        uint256 _maxPurchase
+    ) public onlyOwner {
+        if (
+            (_endTime != 0 && _endTime <= _startTime) ||
+            (_maxPurchase != 0 && _minPurchase > _maxPurchase)
+        ) {
+            revert InvalidSalePhase();
+        }
+
+        salePhase = SalePhase(_startTime, _endTime, _hardCap, _minPurchase, _maxPurchase);
+        emit SalePhaseUpdated(_startTime, _endTime, _hardCap, _minPurchase, _maxPurchase);
+    }
+
+    // End the buy window now
+    function closeSale() public onlyOwner {
+        uint256 endTime = salePhase.endTime;
+        if (endTime != 0 && block.timestamp >= endTime) revert SaleEnded(endTime);
+
+        salePhase.endTime = block.timestamp;
+        emit SaleClosed(block.timestamp);
+    }
+
+    // Start an allowlist phase, or replace its list. Zero ends it and opens the public sale.
+    function setMerkleRoot(bytes32 _merkleRoot) public onlyOwner {
+        merkleRoot = _merkleRoot;
+        emit MerkleRootUpdated(_merkleRoot);
+    }
+
+    // Lock future purchases in _vesting, or send them straight to buyers again with
+    // zero. Tokens already locked stay on their contract's schedule.
+    function setVesting(address _vesting) public onlyOwner {
+        if (
+            _vesting != address(0) &&
+            (TokenVesting(_vesting).sale() != address(this) ||
+                address(TokenVesting(_vesting).token()) != address(token))
+        ) {
+            revert InvalidVesting();
+        }
+
+        vesting = TokenVesting(_vesting);
+        emit VestingUpdated(_vesting);
+    }
+
+    // buyTokens divides by buyPrice, and selling above the buy price would let
+    // anyone drain the ETH reserve by buying and selling back
+    function _checkPrices(uint256 _buyPrice, uint256 _sellPrice) internal pure {
+        if (_buyPrice == 0 || _sellPrice > _buyPrice) {
+            revert InvalidPrices(_buyPrice, _sellPrice);
+        }
+    }
 }
@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+// Holds tokens bought through a TokenSale with vesting enabled and releases them
+// to each buyer on one schedule: nothing before the cliff, then linearly from
+// startTime until startTime + duration. Purchases made later vest on the same
+// schedule, so anything bought after the cliff is partly claimable right away.
+contract TokenVesting {
+    IERC20 public immutable token;
+    // The only contract that can lock tokens here
+    address public immutable sale;
+    uint256 public immutable startTime;
+    // Seconds after startTime before anything can be claimed
+    uint256 public immutable cliff;
+    // Seconds after startTime until everything is claimable
+    uint256 public immutable duration;
+
+    // Tokens locked for and claimed by each buyer
+    mapping(address => uint256) public allocated;
+    mapping(address => uint256) public released;
+    // Tokens held for buyers that haven't been claimed yet
+    uint256 public totalLocked;
+
+    // Custom errors
+    error InvalidSchedule();
+    error NotSale();
+    error TokensNotReceived();
+    error NothingToClaim();
+
+    // Events
+    event TokensLocked(address indexed beneficiary, uint256 amount);
+    event TokensClaimed(address indexed beneficiary, uint256 amount);
+
+    constructor(
+        address _tokenAddress,
+        address _sale,
+        uint256 _startTime,
+        uint256 _cliff,
+        uint256 _duration
+    ) {
+        if (_duration == 0 || _cliff > _duration) revert InvalidSchedule();
+
+        token = IERC20(_tokenAddress);
+        sale = _sale;
+        startTime = _startTime;
+        cliff = _cliff;
+        duration = _duration;
+    }
+
+    // Record _amount tokens the sale has just sent here for _beneficiary
+    function lock(address _beneficiary, uint256 _amount) external {
+        if (msg.sender != sale) revert NotSale();
+        if (token.balanceOf(address(this)) < totalLocked + _amount) {
+            revert TokensNotReceived();
+        }
+
+        allocated[_beneficiary] += _amount;
+        totalLocked += _amount;
+        emit TokensLocked(_beneficiary, _amount);
+    }
+
+    // Tokens of _beneficiary's allocation vested by _timestamp, claimed or not
+    function vestedAmount(address _beneficiary, uint256 _timestamp) public view returns (uint256) {
+        uint256 total = allocated[_beneficiary];
+        if (_timestamp < startTime + cliff) return 0;
+        if (_timestamp >= startTime + duration) return total;
+        return (total * (_timestamp - startTime)) / duration;
+    }
+
+    // Vested tokens _beneficiary hasn't claimed yet
+    function claimable(address _beneficiary) public view returns (uint256) {
+        return vestedAmount(_beneficiary, block.timestamp) - released[_beneficiary];
+    }
+
+    // Send the caller everything vested so far
+    function claim() external {
+        uint256 amount = claimable(msg.sender);
+        if (amount == 0) revert NothingToClaim();
+
+        released[msg.sender] += amount;
+        totalLocked -= amount;
+        token.transfer(msg.sender, amount);
+        emit TokensClaimed(msg.sender, amount);
+    }
+}
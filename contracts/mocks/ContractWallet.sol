@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Test stand-in for a smart-contract wallet such as a Safe: it forwards calls
+// for whoever deployed it and spends more than the 2300 gas that transfer()
+// forwards whenever it receives ETH. It can also be set to refuse ETH outright.
+contract ContractWallet {
+    address public immutable owner;
+    bool public rejectPayments;
+    // Written on every payment, which is what costs more than 2300 gas
+    uint256 public received;
+
+    error NotOwner();
+    error PaymentRejected();
+    error CallFailed(bytes reason);
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    receive() external payable {
+        if (rejectPayments) revert PaymentRejected();
+        received += msg.value;
+    }
+
+    function setRejectPayments(bool _rejectPayments) external {
+        if (msg.sender != owner) revert NotOwner();
+        rejectPayments = _rejectPayments;
+    }
+
+    function execute(address _target, uint256 _value, bytes calldata _data) external payable returns (bytes memory) {
+        if (msg.sender != owner) revert NotOwner();
+
+        (bool success, bytes memory result) = _target.call{value: _value}(_data);
+        if (!success) revert CallFailed(result);
+        return result;
+    }
+}
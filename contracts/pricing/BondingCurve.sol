@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./IPricingStrategy.sol";
+
+// Base for curves defined by their cumulative cost: buying from _supply to
+// _supply + _amount costs _integral(_supply + _amount) - _integral(_supply).
+// Sells walk the same curve back down and pay out spreadBps less.
+abstract contract BondingCurve is IPricingStrategy {
+    uint256 public immutable spreadBps;
+
+    // Custom errors
+    error InvalidSpread(uint256 spreadBps);
+    error SellExceedsSupply(uint256 supply, uint256 amount);
+
+    constructor(uint256 _spreadBps) {
+        if (_spreadBps > 10_000) revert InvalidSpread(_spreadBps);
+        spreadBps = _spreadBps;
+    }
+
+    function buyCost(
+        uint256 _supply,
+        uint256 _amount
+    ) external view returns (uint256) {
+        return _integral(_supply + _amount) - _integral(_supply);
+    }
+
+    function sellProceeds(
+        uint256 _supply,
+        uint256 _amount
+    ) external view returns (uint256) {
+        if (_amount > _supply) revert SellExceedsSupply(_supply, _amount);
+
+        uint256 value = _integral(_supply) - _integral(_supply - _amount);
+        return (value * (10_000 - spreadBps)) / 10_000;
+    }
+
+    // Total cost of the first _supply token wei, rounded down
+    function _integral(uint256 _supply) internal view virtual returns (uint256);
+}
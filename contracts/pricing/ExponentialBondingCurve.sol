@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./BondingCurve.sol";
+
+// Price compounds by growth (1e18 = 100%) for every whole token in circulation:
+// price(n) = basePrice * (1 + growth)^n for the n-th whole token. Within a
+// token the cost accrues linearly, so fractional amounts are priced exactly.
+// Products of 18-decimal values go through mulDiv so the 512-bit intermediate
+// can't overflow as the factor grows towards the max supply.
+contract ExponentialBondingCurve is BondingCurve {
+    uint256 public immutable basePrice;
+    uint256 public immutable growth;
+
+    // Custom errors
+    error ZeroGrowth();
+
+    constructor(
+        uint256 _basePrice,
+        uint256 _growth,
+        uint256 _spreadBps
+    ) BondingCurve(_spreadBps) {
+        if (_growth == 0) revert ZeroGrowth();
+        basePrice = _basePrice;
+        growth = _growth;
+    }
+
+    function spotPrice(uint256 _supply) external view returns (uint256) {
+        return Math.mulDiv(basePrice, _rpow(1e18 + growth, _supply / 1e18), 1e18);
+    }
+
+    // Geometric sum over whole tokens plus the partial token at the current price
+    function _integral(uint256 _supply) internal view override returns (uint256) {
+        uint256 factor = _rpow(1e18 + growth, _supply / 1e18);
+        uint256 wholeTokens = Math.mulDiv(basePrice, factor - 1e18, growth);
+        uint256 partialToken = Math.mulDiv(Math.mulDiv(basePrice, factor, 1e18), _supply % 1e18, 1e18);
+        return wholeTokens + partialToken;
+    }
+
+    // x^n for an 18-decimal fixed point x, by repeated squaring
+    function _rpow(uint256 _x, uint256 _n) internal pure returns (uint256 z) {
+        z = _n % 2 != 0 ? _x : 1e18;
+        for (_n /= 2; _n != 0; _n /= 2) {
+            _x = Math.mulDiv(_x, _x, 1e18);
+            if (_n % 2 != 0) z = Math.mulDiv(z, _x, 1e18);
+        }
+    }
+}
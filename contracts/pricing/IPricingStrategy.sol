@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Prices a TokenSale by the number of tokens in circulation.
+// Amounts are in token wei and prices in wei per whole token.
+interface IPricingStrategy {
+    // ETH cost of buying _amount tokens when _supply tokens are in circulation
+    function buyCost(
+        uint256 _supply,
+        uint256 _amount
+    ) external view returns (uint256);
+
+    // ETH paid for selling _amount tokens back when _supply tokens are in circulation
+    function sellProceeds(
+        uint256 _supply,
+        uint256 _amount
+    ) external view returns (uint256);
+
+    // Marginal buy price per whole token at _supply
+    function spotPrice(uint256 _supply) external view returns (uint256);
+}
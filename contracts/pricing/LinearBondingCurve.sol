@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./BondingCurve.sol";
+
+// Price rises by slope for every whole token in circulation:
+// price(supply) = basePrice + slope * supply / 1e18
+contract LinearBondingCurve is BondingCurve {
+    uint256 public immutable basePrice;
+    uint256 public immutable slope;
+
+    constructor(
+        uint256 _basePrice,
+        uint256 _slope,
+        uint256 _spreadBps
+    ) BondingCurve(_spreadBps) {
+        basePrice = _basePrice;
+        slope = _slope;
+    }
+
+    function spotPrice(uint256 _supply) external view returns (uint256) {
+        return basePrice + (slope * _supply) / 1e18;
+    }
+
+    // basePrice * x / 1e18 + slope * x^2 / 2e36
+    function _integral(uint256 _supply) internal view override returns (uint256) {
+        return
+            (basePrice * _supply) /
+            1e18 +
+            Math.mulDiv(_supply * _supply, slope, 2e36);
+    }
+}
@@ -1,5 +1,73 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { task } = require("hardhat/config");
+
+task("deploy-sale", "Deploys Token and TokenSale and grants the sale MINTER_ROLE, resuming unfinished deployments")
+  .addOptionalParam("configFile", "JSON file with any of the parameters below")
+  .addOptionalParam("name", "Token name")
+  .addOptionalParam("symbol", "Token symbol")
+  .addOptionalParam("maxSupply", "Max supply in whole tokens")
+  .addOptionalParam("buyPrice", "Buy price in ETH per token")
+  .addOptionalParam("sellPrice", "Sell price in ETH per token")
+  .addOptionalParam("initialDelay", "Default admin transfer delay in seconds")
+  .addOptionalParam("curve", "Pricing curve: none (fixed prices), linear or exponential")
+  .addOptionalParam("curveBasePrice", "Curve price of the first token in ETH")
+  .addOptionalParam("curveSlope", "Linear curve price increase in ETH per token in circulation")
+  .addOptionalParam("curveGrowth", "Exponential curve growth per token in circulation, e.g. 0.0001")
+  .addOptionalParam("sellSpreadBps", "Curve sell discount in basis points")
+  .addOptionalParam("saleStart", "Unix timestamp buying opens at (0 for immediately)")
+  .addOptionalParam("saleEnd", "Unix timestamp buying closes at (0 for no end)")
+  .addOptionalParam("hardCap", "Most tokens the sale may sell in total (0 for no cap)")
+  .addOptionalParam("minPurchase", "Smallest single purchase in whole tokens")
+  .addOptionalParam("maxPurchase", "Most one wallet may buy in whole tokens (0 for no limit)")
+  .addOptionalParam("vestingStart", "Unix timestamp purchases start vesting from")
+  .addOptionalParam("vestingCliff", "Seconds after vestingStart before anything can be claimed")
+  .addOptionalParam("vestingDuration", "Seconds after vestingStart until purchases are fully vested (0 for no vesting)")
+  .addOptionalParam("admin", "Token default admin (defaults to the deployer)")
+  .addOptionalParam("minter", "Initial minter and pauser, receives the premint (defaults to the deployer)")
+  .addOptionalParam("treasury", "TokenSale owner receiving withdrawals (defaults to the deployer)")
+  .addFlag("dryRun", "Validate parameters and estimate gas without sending transactions")
+  .addFlag("fresh", "Ignore the network's manifest and deploy everything again")
+  .setAction(async (args, hre) => {
+    const { deploy } = require("./scripts/deploy");
+    await deploy(hre, { ...args, config: args.configFile });
+  });
+
+task("build-allowlist", "Builds an allowlist Merkle tree and every address's proof from an address,allocation CSV")
+  .addPositionalParam("csv", "CSV of address,allocation rows, allocations in whole tokens")
+  .addOptionalParam("out", "Output file (defaults to allowlists/<merkleRoot>.json, where the frontend looks)")
+  .setAction(async ({ csv, out }) => {
+    const { ethers } = require("ethers");
+    const { writeAllowlist } = require("./scripts/allowlist");
+    const { allowlist, file } = writeAllowlist(csv, out);
+
+    console.log(`✅ ${Object.keys(allowlist.entries).length} addresses, ${ethers.formatEther(allowlist.totalAllocation)} tokens in total`);
+    console.log(`Merkle root: ${allowlist.merkleRoot}`);
+    console.log(`Written to ${file}`);
+    console.log("Start the round by setting this root on the sale from the admin console.");
+  });
+
+task("bindings", "Generates the frontend's ABIs and typed contract bindings (src/abis) from the compiled artifacts")
+  .addFlag("check", "Fail instead of writing when the committed bindings are stale")
+  .setAction(async ({ check }, hre) => {
+    const path = require("path");
+    const { findStaleBindings, writeBindings } = require("./scripts/bindings");
+    await hre.run("compile", { quiet: true });
+
+    if (check) {
+      const stale = await findStaleBindings(hre);
+      if (stale.length > 0) {
+        const files = stale.map((file) => path.relative(hre.config.paths.root, file)).join(", ");
+        throw new Error(`Stale contract bindings: ${files}. Run \`npx hardhat bindings\` and commit the result.`);
+      }
+      console.log("✅ Contract bindings are up to date");
+      return;
+    }
+
+    for (const file of await writeBindings(hre)) {
+      console.log(`Written ${path.relative(hre.config.paths.root, file)}`);
+    }
+  });
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -18,6 +86,8 @@ module.exports = {
     },
     sepolia: {
       url: "https://eth-sepolia.g.alchemy.com/v2/gQxcr8ewPoZ5AXCyIjr2T",
+      // Keyless RPC recorded in src/networks.json for the dApp's visitors
+      publicRpcUrl: "https://ethereum-sepolia-rpc.publicnode.com",
       accounts: [process.env.DEPLOYER_PRIVATE_KEY],
       chainId: 11155111,
       timeout: 120000, // 2 minutes
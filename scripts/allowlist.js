@@ -0,0 +1,120 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Allowlists the frontend loads to attach a buyer's proof (src/lib/allowlists.ts).
+// Files are named after their root, which is all the frontend reads from the sale.
+const ALLOWLIST_DIR = path.join(__dirname, "..", "allowlists");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// Same leaf TokenSale.buyTokensWithProof rebuilds for msg.sender. Hashing twice
+// keeps a leaf from ever passing as an inner node.
+function allowlistLeaf(account, allocation) {
+  return ethers.keccak256(ethers.keccak256(coder.encode(["address", "uint256"], [account, allocation])));
+}
+
+// MerkleProof hashes each pair in sorted order, so proofs carry no left/right flags
+function hashPair(a, b) {
+  return ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+}
+
+/**
+ * Parse `address,allocation` rows, allocations in whole tokens. A header row,
+ * blank lines and lines starting with # are skipped.
+ * @param {string} csv file contents
+ * @return {{account: string, allocation: bigint}[]} checksummed accounts, allocations in token wei
+ */
+function parseAllowlistCsv(csv) {
+  const rows = [];
+  const seen = new Set();
+
+  csv.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+
+    const [account, allocation, ...rest] = trimmed.split(",").map((field) => field.trim());
+    if (index === 0 && !ethers.isAddress(account)) return;
+    if (rest.length > 0) throw new Error(`Line ${index + 1}: expected "address,allocation", got "${trimmed}"`);
+    // Mixed-case addresses must carry a valid checksum
+    if (!ethers.isAddress(account)) throw new Error(`Line ${index + 1}: "${account}" is not a valid address`);
+    if (!/^\d+(\.\d+)?$/.test(allocation || "") || ethers.parseEther(allocation) === 0n) {
+      throw new Error(`Line ${index + 1}: allocation must be a positive number of tokens, got "${allocation}"`);
+    }
+
+    const checksummed = ethers.getAddress(account);
+    if (seen.has(checksummed)) throw new Error(`Line ${index + 1}: ${checksummed} is listed twice`);
+    seen.add(checksummed);
+    rows.push({ account: checksummed, allocation: ethers.parseEther(allocation) });
+  });
+
+  if (rows.length === 0) throw new Error("The allowlist is empty");
+  return rows;
+}
+
+/**
+ * Build the Merkle tree over the rows and every account's proof.
+ * @param {{account: string, allocation: bigint}[]} rows parsed allowlist
+ * @return {object} root, total allocation and per-account {allocation, proof}, amounts as decimal strings
+ */
+function buildAllowlist(rows) {
+  const leaves = rows.map(({ account, allocation }) => ({ account, allocation, hash: allowlistLeaf(account, allocation) }));
+  // Sorting the leaves makes the root independent of the CSV's row order
+  leaves.sort((a, b) => (a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0));
+
+  const layers = [leaves.map((leaf) => leaf.hash)];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      // An odd node out moves up unhashed
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  const proofFor = (index) => {
+    const proof = [];
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index ^ 1;
+      if (sibling < layer.length) proof.push(layer[sibling]);
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  };
+
+  const entries = {};
+  leaves.forEach((leaf, index) => {
+    entries[leaf.account] = { allocation: leaf.allocation.toString(), proof: proofFor(index) };
+  });
+
+  return {
+    merkleRoot: layers[layers.length - 1][0],
+    totalAllocation: rows.reduce((sum, row) => sum + row.allocation, 0n).toString(),
+    entries,
+  };
+}
+
+/**
+ * Build the allowlist for a CSV file and write it where the frontend finds it.
+ * @param {string} csvFile path to the `address,allocation` CSV
+ * @param {string} outFile output path, allowlists/<merkleRoot>.json by default
+ * @return {{allowlist: object, file: string}} the written allowlist and its path
+ */
+function writeAllowlist(csvFile, outFile) {
+  const allowlist = buildAllowlist(parseAllowlistCsv(fs.readFileSync(csvFile, "utf8")));
+  const file = outFile || path.join(ALLOWLIST_DIR, `${allowlist.merkleRoot}.json`);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(allowlist, null, 2) + "\n");
+  return { allowlist, file };
+}
+
+module.exports = {
+  ALLOWLIST_DIR,
+  allowlistLeaf,
+  parseAllowlistCsv,
+  buildAllowlist,
+  writeAllowlist,
+};
+
@@ -0,0 +1,162 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Generates the frontend's contract bindings (src/abis/*ABI.ts) from the
+// compiled artifacts: the full human-readable ABI plus a typed ethers contract
+// interface and a factory for it. Run `npx hardhat bindings` after changing a
+// contract; `npx hardhat bindings --check` fails when the committed files are stale.
+const ABIS_DIR = path.join(__dirname, "..", "src", "abis");
+
+// Artifact name -> name used in the frontend. The curves share BondingCurve's
+// ABI, which is the IPricingStrategy interface plus spreadBps.
+const BINDINGS = [
+  { artifact: "Token", name: "Token" },
+  { artifact: "TokenSale", name: "TokenSale" },
+  { artifact: "TokenVesting", name: "TokenVesting" },
+  { artifact: "BondingCurve", name: "PricingStrategy" },
+];
+
+// TypeScript type of a parameter passed to the contract
+function inputType(param) {
+  if (param.isArray()) return `Array<${inputType(param.arrayChildren)}>`;
+  if (param.isTuple()) return `{ ${param.components.map((c) => `${c.name}: ${inputType(c)}`).join("; ")} }`;
+  if (param.baseType === "address") return "AddressLike";
+  if (param.baseType === "bool") return "boolean";
+  if (param.baseType === "string") return "string";
+  if (param.baseType.startsWith("bytes")) return "BytesLike";
+  return "BigNumberish";
+}
+
+// TypeScript type of a value ethers decodes from the contract
+function outputType(param) {
+  if (param.isArray()) return `Array<${outputType(param.arrayChildren)}>`;
+  if (param.isTuple()) return `{ ${param.components.map((c) => `${c.name}: ${outputType(c)}`).join("; ")} }`;
+  if (param.baseType === "bool") return "boolean";
+  if (param.baseType.startsWith("uint") || param.baseType.startsWith("int")) return "bigint";
+  return "string";
+}
+
+// Labels drop Solidity's underscore prefixes; unnamed parameters, such as a
+// public mapping's key, get positional names
+const label = (param, i) => param.name.replace(/^_+|_+$/g, "") || `arg${i}`;
+
+const argList = (params, type) => `[${params.map((param, i) => `${label(param, i)}: ${type(param)}`).join(", ")}]`;
+
+function returnType(outputs) {
+  if (outputs.length === 0) return "void";
+  if (outputs.length === 1) return outputType(outputs[0]);
+  const tuple = `[${outputs.map(outputType).join(", ")}]`;
+  if (outputs.some((param) => !param.name)) return tuple;
+  return `${tuple} & { ${outputs.map((param) => `${param.name}: ${outputType(param)}`).join("; ")} }`;
+}
+
+/**
+ * Render the bindings file for one contract.
+ * @param {{abi: Array<object>}} artifact Hardhat artifact
+ * @param {string} name name used in the frontend, e.g. "TokenSale"
+ * @param {string} sourceName artifact the file was generated from, for the header
+ * @return {string} contents of src/abis/<name>ABI.ts
+ */
+function renderBindings(artifact, name, sourceName) {
+  const iface = new ethers.Interface(artifact.abi);
+  const functions = [];
+  const events = [];
+  iface.forEachFunction((fragment) => functions.push(fragment));
+  iface.forEachEvent((fragment) => events.push(fragment));
+
+  // Overloaded functions can only be called by signature
+  const key = (fragment, all) =>
+    all.filter((other) => other.name === fragment.name).length > 1 ? `'${fragment.format("sighash")}'` : fragment.name;
+
+  const methods = functions
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((fragment) => {
+      const args = argList(fragment.inputs, inputType);
+      const result = returnType(fragment.outputs);
+      const method = fragment.constant
+        ? `ConstantContractMethod<${args}, ${result}>`
+        : `ContractMethod<${args}, ${result}, ContractTransactionResponse>`;
+      return `  ${key(fragment, functions)}: ${method};`;
+    });
+  const filters = events
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((fragment) => `    ${key(fragment, events)}: ContractEvent<${argList(fragment.inputs, inputType)}>;`);
+
+  // Import only the types the interface uses, so the file passes noUnusedLocals
+  const body = [...methods, ...filters].join("\n");
+  const types = [
+    "AddressLike", "BaseContract", "BigNumberish", "BytesLike", "ConstantContractMethod",
+    "ContractEvent", "ContractMethod", "ContractRunner", "ContractTransactionResponse",
+  ].filter((type) => ["BaseContract", "ContractRunner"].includes(type) || new RegExp(`\\b${type}\\b`).test(body));
+
+  return [
+    `// Generated by scripts/bindings.js from ${sourceName}. Do not edit by hand:`,
+    "// run `npx hardhat bindings` after changing the contract.",
+    "import { Contract } from 'ethers'",
+    `import type { ${types.join(", ")} } from 'ethers'`,
+    "",
+    `export const ${name}ABI = [`,
+    iface.format().map((line) => `  ${JSON.stringify(line)}`).join(",\n"),
+    "] as const;",
+    "",
+    `export interface ${name}Contract extends BaseContract {`,
+    ...methods,
+    ...(filters.length > 0 ? ["  filters: {", ...filters, "  };"] : []),
+    `  connect(runner: ContractRunner | null): ${name}Contract;`,
+    "}",
+    "",
+    `export const connect${name} = (address: string, runner: ContractRunner | null): ${name}Contract =>`,
+    `  new Contract(address, ${name}ABI, runner) as unknown as ${name}Contract`,
+    "",
+  ].join("\n");
+}
+
+const bindingsPath = (name, abisDir = ABIS_DIR) => path.join(abisDir, `${name}ABI.ts`);
+
+/**
+ * Render every binding from the current artifacts.
+ * @param {object} hre Hardhat runtime environment; compile first
+ * @return {Promise<Array<{name: string, file: string, contents: string}>>}
+ */
+async function renderAllBindings(hre, abisDir = ABIS_DIR) {
+  return Promise.all(BINDINGS.map(async ({ artifact, name }) => {
+    const compiled = await hre.artifacts.readArtifact(artifact);
+    return {
+      name,
+      file: bindingsPath(name, abisDir),
+      contents: renderBindings(compiled, name, `${compiled.sourceName}:${compiled.contractName}`),
+    };
+  }));
+}
+
+/**
+ * Find the bindings that differ from what the artifacts would generate.
+ * @return {Promise<Array<string>>} paths of missing or stale files
+ */
+async function findStaleBindings(hre, abisDir = ABIS_DIR) {
+  const rendered = await renderAllBindings(hre, abisDir);
+  return rendered
+    .filter(({ file, contents }) => !fs.existsSync(file) || fs.readFileSync(file, "utf8") !== contents)
+    .map(({ file }) => file);
+}
+
+/**
+ * Write every binding from the current artifacts.
+ * @return {Promise<Array<string>>} paths written
+ */
+async function writeBindings(hre, abisDir = ABIS_DIR) {
+  const rendered = await renderAllBindings(hre, abisDir);
+  fs.mkdirSync(abisDir, { recursive: true });
+  for (const { file, contents } of rendered) fs.writeFileSync(file, contents);
+  return rendered.map(({ file }) => file);
+}
+
+module.exports = {
+  ABIS_DIR,
+  BINDINGS,
+  renderBindings,
+  renderAllBindings,
+  findStaleBindings,
+  writeBindings,
+};
@@ -0,0 +1,173 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Tokens minted to the initial minter by the Token constructor
+const TOKEN_PREMINT = ethers.parseEther("10000");
+
+// Values the original MTK sale was deployed with
+const DEFAULTS = {
+  name: "MyToken",
+  symbol: "MTK",
+  maxSupply: "1000000",
+  buyPrice: "0.001",
+  sellPrice: "0.0005",
+  initialDelay: 0,
+  // Bonding curve pricing; "none" keeps the fixed buyPrice/sellPrice
+  curve: "none",
+  curveBasePrice: "0",
+  curveSlope: "0",
+  curveGrowth: "0",
+  sellSpreadBps: 0,
+  // Buy window (unix seconds) and purchase limits in whole tokens; 0 leaves them unset
+  saleStart: 0,
+  saleEnd: 0,
+  hardCap: "0",
+  minPurchase: "0",
+  maxPurchase: "0",
+  // Vesting for purchases (unix seconds / seconds); a vestingDuration of 0 sends purchases straight to buyers
+  vestingStart: 0,
+  vestingCliff: 0,
+  vestingDuration: 0,
+};
+
+// Pricing strategy contract deployed for each curve
+const CURVE_CONTRACTS = {
+  linear: "LinearBondingCurve",
+  exponential: "ExponentialBondingCurve",
+};
+
+const PARAM_KEYS = [...Object.keys(DEFAULTS), "admin", "minter", "treasury"];
+
+/**
+ * Merge defaults, an optional JSON config file and explicit overrides.
+ * Token amounts and prices are decimal strings in whole tokens / ETH.
+ * curveGrowth is a decimal fraction per whole token, e.g. "0.0001" for 0.01%.
+ * @param {{config?: string}} options path to a JSON config file
+ * @param {object} overrides values from CLI flags; undefined entries are ignored
+ * @return {object} raw, unvalidated parameters
+ */
+function loadDeployConfig({ config } = {}, overrides = {}) {
+  let fromFile = {};
+  if (config) {
+    fromFile = JSON.parse(fs.readFileSync(path.resolve(config), "utf8"));
+    const unknown = Object.keys(fromFile).filter((key) => !PARAM_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown deploy config keys: ${unknown.join(", ")}`);
+    }
+  }
+
+  const merged = { ...DEFAULTS, ...fromFile };
+  for (const key of PARAM_KEYS) {
+    if (overrides[key] !== undefined) merged[key] = overrides[key];
+  }
+  return merged;
+}
+
+/**
+ * Turn raw parameters into constructor-ready values and check them.
+ * Admin, minter and treasury default to the deployer.
+ * @param {object} raw output of loadDeployConfig
+ * @param {string} deployer deployer address
+ * @return {object} parsed parameters
+ * @throws {Error} listing every invalid parameter
+ */
+function resolveDeployParams(raw, deployer) {
+  const errors = [];
+
+  const parseUnits = (key) => {
+    try {
+      return ethers.parseEther(String(raw[key]));
+    } catch {
+      errors.push(`${key} must be a decimal amount, got "${raw[key]}"`);
+      return 0n;
+    }
+  };
+  const parseAddress = (key) => {
+    const value = raw[key] === undefined ? deployer : raw[key];
+    if (!ethers.isAddress(value)) {
+      errors.push(`${key} must be an address, got "${value}"`);
+      return ethers.ZeroAddress;
+    }
+    if (value === ethers.ZeroAddress) errors.push(`${key} must not be the zero address`);
+    return ethers.getAddress(value);
+  };
+
+  const params = {
+    name: String(raw.name),
+    symbol: String(raw.symbol),
+    maxSupply: parseUnits("maxSupply"),
+    buyPrice: parseUnits("buyPrice"),
+    sellPrice: parseUnits("sellPrice"),
+    initialDelay: Number(raw.initialDelay),
+    curve: String(raw.curve),
+    curveBasePrice: parseUnits("curveBasePrice"),
+    curveSlope: parseUnits("curveSlope"),
+    curveGrowth: parseUnits("curveGrowth"),
+    sellSpreadBps: Number(raw.sellSpreadBps),
+    saleStart: Number(raw.saleStart),
+    saleEnd: Number(raw.saleEnd),
+    hardCap: parseUnits("hardCap"),
+    minPurchase: parseUnits("minPurchase"),
+    maxPurchase: parseUnits("maxPurchase"),
+    vestingStart: Number(raw.vestingStart),
+    vestingCliff: Number(raw.vestingCliff),
+    vestingDuration: Number(raw.vestingDuration),
+    admin: parseAddress("admin"),
+    minter: parseAddress("minter"),
+    treasury: parseAddress("treasury"),
+  };
+
+  if (!params.name) errors.push("name must not be empty");
+  if (!params.symbol) errors.push("symbol must not be empty");
+  if (params.maxSupply < TOKEN_PREMINT) {
+    errors.push(`maxSupply must cover the ${ethers.formatEther(TOKEN_PREMINT)} token premint`);
+  }
+  if (params.buyPrice === 0n) errors.push("buyPrice must be greater than zero");
+  if (params.sellPrice > params.buyPrice) errors.push("sellPrice must not exceed buyPrice");
+  if (!Number.isInteger(params.initialDelay) || params.initialDelay < 0 || params.initialDelay >= 2 ** 48) {
+    errors.push("initialDelay must be a uint48 number of seconds");
+  }
+  if (params.curve !== "none" && !CURVE_CONTRACTS[params.curve]) {
+    errors.push(`curve must be one of none, ${Object.keys(CURVE_CONTRACTS).join(", ")}, got "${params.curve}"`);
+  }
+  if (CURVE_CONTRACTS[params.curve]) {
+    if (params.curveBasePrice === 0n) errors.push("curveBasePrice must be greater than zero");
+    if (params.curve === "exponential" && params.curveGrowth === 0n) {
+      errors.push("curveGrowth must be greater than zero");
+    }
+    if (!Number.isInteger(params.sellSpreadBps) || params.sellSpreadBps < 0 || params.sellSpreadBps > 10000) {
+      errors.push("sellSpreadBps must be a whole number of basis points between 0 and 10000");
+    }
+  }
+
+  for (const key of ["saleStart", "saleEnd"]) {
+    if (!Number.isInteger(params[key]) || params[key] < 0) errors.push(`${key} must be a unix timestamp in seconds`);
+  }
+  if (params.saleEnd !== 0 && params.saleEnd <= params.saleStart) errors.push("saleEnd must be after saleStart");
+  if (params.maxPurchase !== 0n && params.minPurchase > params.maxPurchase) {
+    errors.push("minPurchase must not exceed maxPurchase");
+  }
+
+  for (const key of ["vestingStart", "vestingCliff", "vestingDuration"]) {
+    if (!Number.isInteger(params[key]) || params[key] < 0) errors.push(`${key} must be a whole number of seconds`);
+  }
+  if (params.vestingDuration !== 0) {
+    if (params.vestingStart === 0) errors.push("vestingStart must be set when vesting is enabled");
+    if (params.vestingCliff > params.vestingDuration) errors.push("vestingCliff must not exceed vestingDuration");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid deploy parameters:\n  - ${errors.join("\n  - ")}`);
+  }
+  return params;
+}
+
+module.exports = {
+  TOKEN_PREMINT,
+  DEFAULTS,
+  PARAM_KEYS,
+  CURVE_CONTRACTS,
+  loadDeployConfig,
+  resolveDeployParams,
+};
@@ -1,103 +1,421 @@
-const { ethers } = require("hardhat");
+const { recordDeployment } = require("./registry");
+const {
+  MANIFEST_DIR,
+  createManifest,
+  readManifest,
+  recordContract,
+  recordRoleGrant,
+  writeManifest,
+  manifestPath,
+} = require("./manifest");
+const { CURVE_CONTRACTS, loadDeployConfig, resolveDeployParams } = require("./deploy-config");
+
+// Explicit gas limit for role grants and ownership handoffs
+const ADMIN_TX_GAS_LIMIT = 100000n;
+// setSalePhase writes five storage slots
+const SALE_PHASE_GAS_LIMIT = 200000n;
+
+function logParams(ethers, params) {
+  console.log("Token:", `${params.name} (${params.symbol})`);
+  console.log("Max Supply:", ethers.formatEther(params.maxSupply));
+  console.log("Buy Price:", ethers.formatEther(params.buyPrice), "ETH per token");
+  console.log("Sell Price:", ethers.formatEther(params.sellPrice), "ETH per token");
+  if (params.curve === "linear") {
+    console.log("Pricing:", `linear curve from ${ethers.formatEther(params.curveBasePrice)} ETH,`,
+      `+${ethers.formatEther(params.curveSlope)} ETH per token, ${params.sellSpreadBps} bps sell spread`);
+  } else if (params.curve === "exponential") {
+    console.log("Pricing:", `exponential curve from ${ethers.formatEther(params.curveBasePrice)} ETH,`,
+      `x${1 + Number(ethers.formatEther(params.curveGrowth))} per token, ${params.sellSpreadBps} bps sell spread`);
+  }
+  if (salePhaseArgsFor({ params }).some((value) => value !== 0n)) {
+    const time = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : "unset");
+    const tokens = (amount) => (amount ? ethers.formatEther(amount) : "unset");
+    console.log("Sale Window:", time(params.saleStart), "to", time(params.saleEnd));
+    console.log("Hard Cap:", tokens(params.hardCap));
+    console.log("Purchase Limits:", tokens(params.minPurchase), "min,", tokens(params.maxPurchase), "max per wallet");
+  }
+  if (params.vestingDuration !== 0) {
+    console.log("Vesting:", `from ${new Date(params.vestingStart * 1000).toISOString()},`,
+      `${params.vestingCliff}s cliff, fully vested after ${params.vestingDuration}s`);
+  }
+  console.log("Admin Delay:", params.initialDelay, "seconds");
+  console.log("Admin:", params.admin);
+  console.log("Minter:", params.minter);
+  console.log("Treasury (sale owner):", params.treasury);
+}
+
+// Manifests store bigints as strings, so compare arguments in that form
+const sameArgs = (a, b) =>
+  JSON.stringify(a, (_, value) => (typeof value === "bigint" ? value.toString() : value)) ===
+  JSON.stringify(b, (_, value) => (typeof value === "bigint" ? value.toString() : value));
+
+function tokenArgsFor(ctx) {
+  const { params, deployer } = ctx;
+  return [
+    params.name,          // name
+    params.symbol,        // symbol
+    params.maxSupply,     // maxSupply
+    params.minter,        // initialMinter
+    deployer.address,     // initialDefaultAdmin (handed to params.admin below)
+    params.initialDelay   // initialDelay
+  ];
+}
+
+const curveContractFor = (ctx) => CURVE_CONTRACTS[ctx.params.curve];
+
+function curveArgsFor(ctx) {
+  const { params } = ctx;
+  return [
+    params.curveBasePrice,                                               // basePrice
+    params.curve === "linear" ? params.curveSlope : params.curveGrowth,  // slope or growth
+    params.sellSpreadBps                                                 // spreadBps
+  ];
+}
+
+function salePhaseArgsFor(ctx) {
+  const { params } = ctx;
+  return [
+    BigInt(params.saleStart),  // startTime
+    BigInt(params.saleEnd),    // endTime
+    params.hardCap,            // hardCap
+    params.minPurchase,        // minPurchase
+    params.maxPurchase         // maxPurchase
+  ];
+}
+
+async function vestingArgsFor(ctx) {
+  const { params } = ctx;
+  return [
+    await ctx.token.getAddress(),      // token
+    await ctx.tokenSale.getAddress(),  // sale
+    params.vestingStart,               // startTime
+    params.vestingCliff,               // cliff
+    params.vestingDuration             // duration
+  ];
+}
+
+async function tokenSaleArgsFor(ctx) {
+  const { ethers } = ctx.hre;
+  // Contracts that don't exist yet are predicted from the deployer's nonce,
+  // in the order the steps below deploy them
+  const nonce = await ethers.provider.getTransactionCount(ctx.deployer.address);
+  const predict = (offset) => ethers.getCreateAddress({ from: ctx.deployer.address, nonce: nonce + offset });
+
+  const tokenAddress = ctx.token ? await ctx.token.getAddress() : predict(0);
+  let pricingAddress = ethers.ZeroAddress;
+  if (curveContractFor(ctx)) {
+    pricingAddress = ctx.pricing ? await ctx.pricing.getAddress() : predict(ctx.token ? 0 : 1);
+  }
+  return [tokenAddress, ctx.params.buyPrice, ctx.params.sellPrice, pricingAddress];
+}
+
+/**
+ * Reattach to a contract recorded in the previous manifest, if it is still on chain
+ * and was deployed with the same constructor arguments.
+ * @return {object|null} ethers contract, or null if it has to be deployed
+ */
+async function attachRecorded(ctx, name, expectedArgs) {
+  const { ethers } = ctx.hre;
+  const recorded = ctx.manifest.contracts[name];
+  if (!recorded) return null;
+
+  if ((await ethers.provider.getCode(recorded.address)) === "0x") {
+    console.log(`⚠️  ${name} recorded at ${recorded.address} has no code on this chain; deploying again`);
+    delete ctx.manifest.contracts[name];
+    return null;
+  }
+  if (!sameArgs(recorded.constructorArgs, expectedArgs)) {
+    throw new Error(
+      `${name} in ${manifestPath(ctx.manifest.network, ctx.manifestDir)} was deployed with different parameters. ` +
+      "Rerun with --fresh to start a new deployment."
+    );
+  }
+  return ethers.getContractAt(name, recorded.address);
+}
+
+async function deployContract(ctx, name, args) {
+  const { ethers } = ctx.hre;
+  const factory = await ethers.getContractFactory(name);
+
+  console.log(`Estimating gas for ${name} deployment...`);
+  const estimatedGas = await ethers.provider.estimateGas(await factory.getDeployTransaction(...args));
+  console.log(`Estimated gas for ${name}:`, estimatedGas.toString());
+
+  console.log(`Deploying ${name} contract...`);
+  const contract = await factory.deploy(...args, {
+    gasLimit: estimatedGas * 120n / 100n // Add 20% buffer
+  });
+
+  console.log(`Waiting for ${name} deployment confirmation...`);
+  await contract.waitForDeployment();
+  await recordContract(ctx.manifest, name, contract, args);
+  console.log(`✅ ${name} deployed to:`, await contract.getAddress());
+  return contract;
+}
+
+async function estimateDeployGas(ctx, name, args) {
+  const factory = await ctx.hre.ethers.getContractFactory(name);
+  return ctx.hre.ethers.provider.estimateGas(await factory.getDeployTransaction(...args));
+}
+
+// Each step checks the chain to decide whether it still needs to run, so a
+// rerun after a failure picks up exactly where the previous one stopped.
+const STEPS = [
+  {
+    name: "Deploy Token",
+    isDone: async (ctx) => {
+      ctx.token = await attachRecorded(ctx, "Token", tokenArgsFor(ctx));
+      return Boolean(ctx.token);
+    },
+    estimate: (ctx) => estimateDeployGas(ctx, "Token", tokenArgsFor(ctx)),
+    run: async (ctx) => {
+      ctx.token = await deployContract(ctx, "Token", tokenArgsFor(ctx));
+    },
+  },
+  {
+    name: "Deploy pricing curve",
+    isNeeded: (ctx) => Boolean(curveContractFor(ctx)),
+    isDone: async (ctx) => {
+      ctx.pricing = await attachRecorded(ctx, curveContractFor(ctx), curveArgsFor(ctx));
+      return Boolean(ctx.pricing);
+    },
+    estimate: (ctx) => estimateDeployGas(ctx, curveContractFor(ctx), curveArgsFor(ctx)),
+    run: async (ctx) => {
+      ctx.pricing = await deployContract(ctx, curveContractFor(ctx), curveArgsFor(ctx));
+    },
+  },
+  {
+    name: "Deploy TokenSale",
+    isDone: async (ctx) => {
+      if (!ctx.token || (curveContractFor(ctx) && !ctx.pricing)) return false;
+      ctx.tokenSale = await attachRecorded(ctx, "TokenSale", await tokenSaleArgsFor(ctx));
+      return Boolean(ctx.tokenSale);
+    },
+    estimate: async (ctx) => estimateDeployGas(ctx, "TokenSale", await tokenSaleArgsFor(ctx)),
+    run: async (ctx) => {
+      ctx.tokenSale = await deployContract(ctx, "TokenSale", await tokenSaleArgsFor(ctx));
+    },
+  },
+  {
+    name: "Grant MINTER_ROLE to TokenSale",
+    isDone: async (ctx) => {
+      if (!ctx.token || !ctx.tokenSale) return false;
+      return ctx.token.hasRole(await ctx.token.MINTER_ROLE(), await ctx.tokenSale.getAddress());
+    },
+    estimate: async () => ADMIN_TX_GAS_LIMIT,
+    run: async (ctx) => {
+      const tokenSaleAddress = await ctx.tokenSale.getAddress();
+      console.log("Granting MINTER_ROLE to TokenSale contract...");
+      const tx = await ctx.token.grantRole(await ctx.token.MINTER_ROLE(), tokenSaleAddress, {
+        gasLimit: ADMIN_TX_GAS_LIMIT
+      });
+
+      console.log("Waiting for role grant confirmation...");
+      recordRoleGrant(ctx.manifest, "Token", "MINTER_ROLE", tokenSaleAddress, await tx.wait());
+      console.log("✅ MINTER_ROLE granted to TokenSale contract");
+    },
+  },
+  {
+    name: "Configure sale phase",
+    isNeeded: (ctx) => salePhaseArgsFor(ctx).some((value) => value !== 0n),
+    isDone: async (ctx) => {
+      if (!ctx.tokenSale) return false;
+      const phase = await ctx.tokenSale.salePhase();
+      return sameArgs([...phase], salePhaseArgsFor(ctx));
+    },
+    estimate: async () => SALE_PHASE_GAS_LIMIT,
+    run: async (ctx) => {
+      console.log("Setting the sale window and purchase limits...");
+      const tx = await ctx.tokenSale.setSalePhase(...salePhaseArgsFor(ctx), { gasLimit: SALE_PHASE_GAS_LIMIT });
+      await tx.wait();
+      console.log("✅ Sale phase configured");
+    },
+  },
+  {
+    name: "Deploy TokenVesting",
+    isNeeded: (ctx) => ctx.params.vestingDuration !== 0,
+    isDone: async (ctx) => {
+      if (!ctx.token || !ctx.tokenSale) return false;
+      ctx.vesting = await attachRecorded(ctx, "TokenVesting", await vestingArgsFor(ctx));
+      return Boolean(ctx.vesting);
+    },
+    // The addresses aren't known before a dry run deploys anything; they don't change the cost
+    estimate: async (ctx) => estimateDeployGas(ctx, "TokenVesting", [
+      ctx.hre.ethers.ZeroAddress, ctx.hre.ethers.ZeroAddress, ctx.params.vestingStart, ctx.params.vestingCliff, ctx.params.vestingDuration
+    ]),
+    run: async (ctx) => {
+      ctx.vesting = await deployContract(ctx, "TokenVesting", await vestingArgsFor(ctx));
+    },
+  },
+  {
+    name: "Enable vesting on TokenSale",
+    isNeeded: (ctx) => ctx.params.vestingDuration !== 0,
+    isDone: async (ctx) => {
+      if (!ctx.tokenSale || !ctx.vesting) return false;
+      return (await ctx.tokenSale.vesting()) === await ctx.vesting.getAddress();
+    },
+    estimate: async () => ADMIN_TX_GAS_LIMIT,
+    run: async (ctx) => {
+      console.log("Locking purchases in TokenVesting...");
+      const tx = await ctx.tokenSale.setVesting(await ctx.vesting.getAddress(), { gasLimit: ADMIN_TX_GAS_LIMIT });
+      await tx.wait();
+      console.log("✅ Vesting enabled");
+    },
+  },
+  {
+    name: "Hand TokenSale ownership to treasury",
+    isNeeded: (ctx) => ctx.params.treasury !== ctx.deployer.address,
+    isDone: async (ctx) => {
+      if (!ctx.tokenSale) return false;
+      const [owner, pendingOwner] = await Promise.all([ctx.tokenSale.owner(), ctx.tokenSale.pendingOwner()]);
+      return owner === ctx.params.treasury || pendingOwner === ctx.params.treasury;
+    },
+    estimate: async () => ADMIN_TX_GAS_LIMIT,
+    run: async (ctx) => {
+      console.log("Transferring TokenSale ownership to treasury...");
+      const tx = await ctx.tokenSale.transferOwnership(ctx.params.treasury, { gasLimit: ADMIN_TX_GAS_LIMIT });
+      recordRoleGrant(ctx.manifest, "TokenSale", "PENDING_OWNER", ctx.params.treasury, await tx.wait());
+      console.log(`⏳ Treasury ${ctx.params.treasury} must call acceptOwnership() on TokenSale`);
+    },
+  },
+  {
+    name: "Hand Token default admin to admin",
+    isNeeded: (ctx) => ctx.params.admin !== ctx.deployer.address,
+    isDone: async (ctx) => {
+      if (!ctx.token) return false;
+      const [defaultAdmin, pending] = await Promise.all([ctx.token.defaultAdmin(), ctx.token.pendingDefaultAdmin()]);
+      return defaultAdmin === ctx.params.admin || pending.newAdmin === ctx.params.admin;
+    },
+    estimate: async () => ADMIN_TX_GAS_LIMIT,
+    run: async (ctx) => {
+      console.log("Starting default admin transfer...");
+      const tx = await ctx.token.beginDefaultAdminTransfer(ctx.params.admin, { gasLimit: ADMIN_TX_GAS_LIMIT });
+      recordRoleGrant(ctx.manifest, "Token", "PENDING_DEFAULT_ADMIN", ctx.params.admin, await tx.wait());
+      console.log(`⏳ Admin ${ctx.params.admin} must call acceptDefaultAdminTransfer() on Token after ${ctx.params.initialDelay}s`);
+    },
+  },
+];
+
+function logReport(report) {
+  console.log("\n=== Deployment Steps ===");
+  for (const { step, status } of report) {
+    const icon = { done: "✅", skipped: "⏭️ ", "not needed": "➖", pending: "⏳" }[status];
+    console.log(`${icon} ${step}: ${status}`);
+  }
+}
+
+/**
+ * Deploy Token and TokenSale and wire them together, resuming from the network's
+ * manifest when a previous run stopped part-way.
+ * The deployer is the Token's initial admin so it can grant MINTER_ROLE; when a
+ * different admin or treasury is configured, both handoffs are started here and
+ * must be accepted by the new accounts (AccessControlDefaultAdminRules / Ownable2Step).
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} options deploy parameters (see deploy-config.js), plus `config` file path,
+ *   `dryRun`, `fresh` (ignore the previous manifest) and `manifestDir`
+ * @return {{manifest: object, report: Array<{step: string, status: string}>}}
+ */
+async function deploy(hre, options = {}) {
+  const { ethers } = hre;
 
-async function main() {
   try {
     const [deployer] = await ethers.getSigners();
 
     console.log("Deploying contracts with the account:", deployer.address);
-    
+
     const balance = await ethers.provider.getBalance(deployer.address);
     console.log("Account balance:", ethers.formatEther(balance), "ETH");
-    
-    // Check if we have enough balance (need at least 0.01 ETH for deployment)
-    if (balance < ethers.parseEther("0.01")) {
-      throw new Error("Insufficient balance for deployment. Need at least 0.01 ETH.");
-    }
 
     console.log("Getting network info...");
     const network = await ethers.provider.getNetwork();
     console.log("Network:", network.name, "Chain ID:", network.chainId.toString());
-    
+
     console.log("Getting gas price...");
     const gasPrice = await ethers.provider.getFeeData();
     console.log("Gas price:", ethers.formatUnits(gasPrice.gasPrice || 0n, "gwei"), "gwei");
 
-    // Deploy Token contract
-    console.log("\n=== Deploying Token Contract ===");
-    const Token = await ethers.getContractFactory("Token");
-    
-    console.log("Estimating gas for Token deployment...");
-    const tokenDeployTx = await Token.getDeployTransaction(
-      "MyToken",                    // name
-      "MTK",                       // symbol
-      ethers.parseEther("1000000"), // maxSupply (1M tokens)
-      deployer.address,            // initialMinter
-      deployer.address,            // initialDefaultAdmin
-      0                            // initialDelay
-    );
-    
-    const estimatedGas = await ethers.provider.estimateGas(tokenDeployTx);
-    console.log("Estimated gas for Token:", estimatedGas.toString());
-    
-    console.log("Deploying Token contract...");
-    const token = await Token.deploy(
-      "MyToken",                    // name
-      "MTK",                       // symbol
-      ethers.parseEther("1000000"), // maxSupply (1M tokens)
-      deployer.address,            // initialMinter
-      deployer.address,            // initialDefaultAdmin
-      0,                           // initialDelay
-      {
-        gasLimit: estimatedGas * 120n / 100n // Add 20% buffer
-      }
-    );
+    console.log("\n=== Deployment Parameters ===");
+    const params = resolveDeployParams(loadDeployConfig(options, options), deployer.address);
+    logParams(ethers, params);
 
-    console.log("Waiting for Token deployment confirmation...");
-    await token.waitForDeployment();
-    console.log("✅ Token deployed to:", await token.getAddress());
-
-    // Deploy TokenSale contract
-    console.log("\n=== Deploying TokenSale Contract ===");
-    const TokenSale = await ethers.getContractFactory("TokenSale");
-    const buyPrice = ethers.parseEther("0.001");   // 0.001 ETH per token
-    const sellPrice = ethers.parseEther("0.0005"); // 0.0005 ETH per token
-    
-    console.log("Estimating gas for TokenSale deployment...");
-    const tokenSaleDeployTx = await TokenSale.getDeployTransaction(
-      await token.getAddress(),
-      buyPrice,
-      sellPrice
-    );
-    
-    const estimatedGasTokenSale = await ethers.provider.estimateGas(tokenSaleDeployTx);
-    console.log("Estimated gas for TokenSale:", estimatedGasTokenSale.toString());
-    
-    console.log("Deploying TokenSale contract...");
-    const tokenSale = await TokenSale.deploy(
-      await token.getAddress(),
-      buyPrice,
-      sellPrice,
-      {
-        gasLimit: estimatedGasTokenSale * 120n / 100n // Add 20% buffer
+    // The in-process hardhat network disappears with this script, so there's
+    // nothing to resume from or record unless a manifest dir is given explicitly
+    const manifestDir = options.manifestDir || MANIFEST_DIR;
+    const persist = Boolean(options.manifestDir) || hre.network.name !== "hardhat";
+
+    const previous = persist && !options.fresh ? readManifest(hre.network.name, manifestDir) : null;
+    if (previous) {
+      console.log("\nResuming from", manifestPath(hre.network.name, manifestDir));
+    } else if (options.fresh) {
+      console.log("\nIgnoring any previous manifest (--fresh)");
+    }
+
+    const ctx = {
+      hre,
+      deployer,
+      params,
+      manifestDir,
+      manifest: previous || await createManifest(hre, deployer.address),
+      token: null,
+      pricing: null,
+      tokenSale: null,
+      vesting: null,
+    };
+
+    if (previous && previous.deployer !== deployer.address) {
+      throw new Error(`Manifest was created by ${previous.deployer}; resume with that account or use --fresh.`);
+    }
+
+    // Work out which steps are left before sending anything
+    const report = [];
+    for (const step of STEPS) {
+      let status = "pending";
+      if (step.isNeeded && !step.isNeeded(ctx)) status = "not needed";
+      else if (await step.isDone(ctx)) status = "skipped";
+      report.push({ step: step.name, status });
+    }
+
+    if (options.dryRun) {
+      logReport(report);
+
+      let totalGas = 0n;
+      console.log("\n=== Dry Run: Gas Estimate ===");
+      for (const [i, step] of STEPS.entries()) {
+        if (report[i].status !== "pending") continue;
+        const gas = await step.estimate(ctx);
+        totalGas += gas;
+        console.log(`${step.name}:`, gas.toString());
       }
-    );
 
-    console.log("Waiting for TokenSale deployment confirmation...");
-    await tokenSale.waitForDeployment();
-    console.log("✅ TokenSale deployed to:", await tokenSale.getAddress());
+      const pricePerGas = gasPrice.maxFeePerGas || gasPrice.gasPrice || 0n;
+      console.log("Total gas:", totalGas.toString());
+      console.log("Max cost:", ethers.formatEther(totalGas * pricePerGas), "ETH at", ethers.formatUnits(pricePerGas, "gwei"), "gwei");
+      console.log("\nDry run complete, nothing was sent.");
+      return { manifest: null, report };
+    }
 
-    // Grant MINTER_ROLE to TokenSale contract
-    console.log("\n=== Setting up Permissions ===");
+    const pending = report.filter(({ status }) => status === "pending").length;
+    // Check if we have enough balance (need at least 0.01 ETH for deployment)
+    if (pending > 0 && balance < ethers.parseEther("0.01")) {
+      throw new Error("Insufficient balance for deployment. Need at least 0.01 ETH.");
+    }
+
+    for (const [i, step] of STEPS.entries()) {
+      if (report[i].status !== "pending") continue;
+
+      console.log(`\n=== ${step.name} ===`);
+      await step.run(ctx);
+      report[i].status = "done";
+
+      // Save after every step so a failure in the next one can be resumed
+      if (persist) writeManifest(ctx.manifest, manifestDir);
+    }
+
+    logReport(report);
+    if (pending === 0) console.log("\nNothing to do, the deployment is already complete.");
+
+    const { token, tokenSale } = ctx;
     const MINTER_ROLE = await token.MINTER_ROLE();
-    console.log("Granting MINTER_ROLE to TokenSale contract...");
-    
-    const tx = await token.grantRole(MINTER_ROLE, await tokenSale.getAddress(), {
-      gasLimit: 100000n // Explicit gas limit for role grant
-    });
-    
-    console.log("Waiting for role grant confirmation...");
-    await tx.wait();
-    console.log("✅ MINTER_ROLE granted to TokenSale contract");
 
     // Verify deployment
     console.log("\n=== Deployment Summary ===");
@@ -106,12 +424,29 @@ async function main() {
     console.log("Max Supply:", ethers.formatEther(await token.MAX_SUPPLY()));
     console.log("Buy Price:", ethers.formatEther(await tokenSale.buyPrice()), "ETH per token");
     console.log("Sell Price:", ethers.formatEther(await tokenSale.sellPrice()), "ETH per token");
+    console.log("Pricing Strategy:", await tokenSale.pricingStrategy());
+    console.log("Vesting:", await tokenSale.vesting());
     console.log("TokenSale has MINTER_ROLE:", await token.hasRole(MINTER_ROLE, await tokenSale.getAddress()));
-    
+
+    // Publish the deployment for the frontend and verify script
+    if (persist) {
+      writeManifest(ctx.manifest, manifestDir);
+      console.log("Manifest written to", manifestPath(ctx.manifest.network, manifestDir));
+
+      if (!options.manifestDir) {
+        const entry = await recordDeployment(hre, {
+          token: await token.getAddress(),
+          tokenSale: await tokenSale.getAddress()
+        });
+        console.log(`Registry updated for ${entry.name} (chain ${entry.chainId})`);
+      }
+    }
+
     console.log("\n🎉 Deployment completed successfully!");
     console.log("Token Address:", await token.getAddress());
     console.log("TokenSale Address:", await tokenSale.getAddress());
-    
+
+    return { manifest: ctx.manifest, report };
   } catch (error) {
     console.error("❌ Deployment failed:");
     console.error(error.message);
@@ -125,9 +460,21 @@ async function main() {
   }
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
\ No newline at end of file
+module.exports = { deploy, STEPS };
+
+// `npx hardhat run scripts/deploy.js` takes no flags; DEPLOY_CONFIG, DRY_RUN and
+// FRESH cover the same ground. Prefer `npx hardhat deploy-sale` for flags.
+if (require.main === module) {
+  const hre = require("hardhat");
+
+  deploy(hre, {
+    config: process.env.DEPLOY_CONFIG,
+    dryRun: Boolean(process.env.DRY_RUN),
+    fresh: Boolean(process.env.FRESH)
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+
+// Bump when the manifest layout changes in a way readers need to know about
+const MANIFEST_VERSION = 1;
+const MANIFEST_DIR = path.join(__dirname, "..", "deployments");
+
+function manifestPath(networkName, dir = MANIFEST_DIR) {
+  return path.join(dir, `${networkName}.json`);
+}
+
+function readManifest(networkName, dir = MANIFEST_DIR) {
+  const file = manifestPath(networkName, dir);
+  if (!fs.existsSync(file)) return null;
+
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest version ${manifest.version} in ${file}`);
+  }
+  return manifest;
+}
+
+function writeManifest(manifest, dir = MANIFEST_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    manifestPath(manifest.network, dir),
+    JSON.stringify(manifest, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n"
+  );
+}
+
+/**
+ * Start a manifest for a deployment run on the current network.
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} deployer address sending the deployment transactions
+ * @return {object} manifest with no contracts recorded yet
+ */
+async function createManifest(hre, deployer) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const { version, settings } = hre.config.solidity.compilers[0];
+
+  return {
+    version: MANIFEST_VERSION,
+    network: hre.network.name,
+    chainId: Number(chainId),
+    deployer,
+    deployedAt: new Date().toISOString(),
+    compiler: { version, settings },
+    contracts: {},
+    roles: [],
+  };
+}
+
+/**
+ * Add a deployed contract, with the transaction and block that created it.
+ * @param {object} manifest manifest to update
+ * @param {string} name contract name as compiled (e.g. "Token")
+ * @param {object} contract deployed ethers contract
+ * @param {Array<any>} constructorArgs arguments passed to deploy()
+ */
+async function recordContract(manifest, name, contract, constructorArgs) {
+  const receipt = await contract.deploymentTransaction().wait();
+
+  manifest.contracts[name] = {
+    address: await contract.getAddress(),
+    constructorArgs,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+  };
+}
+
+/**
+ * Add a role grant made during deployment.
+ * @param {object} manifest manifest to update
+ * @param {string} contractName contract the role belongs to
+ * @param {string} role role constant name (e.g. "MINTER_ROLE")
+ * @param {string} account account granted the role
+ * @param {object} receipt receipt of the grantRole transaction
+ */
+function recordRoleGrant(manifest, contractName, role, account, receipt) {
+  manifest.roles.push({
+    contract: contractName,
+    role,
+    account,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+  });
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  MANIFEST_DIR,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  createManifest,
+  recordContract,
+  recordRoleGrant,
+};
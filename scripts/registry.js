@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+
+// Per-chain registry shared with the frontend (src/contract_address.ts)
+const REGISTRY_PATH = path.join(__dirname, "..", "src", "networks.json");
+
+const DEFAULT_CURRENCY = { name: "ETH", symbol: "ETH", decimals: 18 };
+
+const LOCAL_RPC_URL = "http://127.0.0.1:8545";
+
+function readRegistry(registryPath = REGISTRY_PATH) {
+  if (!fs.existsSync(registryPath)) return {};
+  return JSON.parse(fs.readFileSync(registryPath, "utf8"));
+}
+
+function getNetworkEntry(chainId, registryPath = REGISTRY_PATH) {
+  return readRegistry(registryPath)[chainId.toString()];
+}
+
+// The registry ships in the frontend bundle, so it only ever gets the network's
+// `publicRpcUrl` from hardhat.config.js, never the deployer's (usually keyed) `url`
+function publicRpcUrl(hre) {
+  if (hre.network.config.publicRpcUrl) return hre.network.config.publicRpcUrl;
+  return ["hardhat", "localhost"].includes(hre.network.name) ? LOCAL_RPC_URL : "";
+}
+
+/**
+ * Record where the contracts live on a chain, keeping any metadata already
+ * registered for it (explorer, currency, ...). A hand-recorded `deployBlock`
+ * belonged to the previous contracts and is dropped; the new ones have a manifest.
+ * @param {object} hre Hardhat runtime environment
+ * @param {{token: string, tokenSale: string}} contracts deployed addresses
+ * @param {string} registryPath registry file to update
+ * @return {object} the updated entry
+ */
+async function recordDeployment(hre, contracts, registryPath = REGISTRY_PATH) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const registry = readRegistry(registryPath);
+  const existing = registry[chainId.toString()] || {};
+
+  registry[chainId.toString()] = {
+    chainId: Number(chainId),
+    name: existing.name || hre.network.name,
+    rpcUrl: publicRpcUrl(hre) || existing.rpcUrl || "",
+    explorerUrl: existing.explorerUrl || "",
+    nativeCurrency: existing.nativeCurrency || DEFAULT_CURRENCY,
+    contracts,
+  };
+
+  fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2) + "\n");
+  return registry[chainId.toString()];
+}
+
+module.exports = {
+  REGISTRY_PATH,
+  readRegistry,
+  getNetworkEntry,
+  recordDeployment,
+};
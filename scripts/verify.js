@@ -1,9 +1,18 @@
 const hre = require("hardhat");
+const { getNetworkEntry } = require("./registry");
+const { readManifest, manifestPath } = require("./manifest");
+const { CURVE_CONTRACTS } = require("./deploy-config");
 
 async function main() {
-  // Contract addresses from deployment
-  const tokenAddress = "0x4B5C2436289EdDd6Dc621462Ed16a2FC216E0Cf3";
-  const tokenSaleAddress = "0x0d1dac61b846bCF7010FEEcDBD6eae5a37E8a0be";
+  // Addresses and constructor arguments from the manifest written by deploy.js
+  const manifest = readManifest(hre.network.name);
+  if (!manifest || !manifest.contracts.Token || !manifest.contracts.TokenSale) {
+    throw new Error(`No deployment manifest at ${manifestPath(hre.network.name)}. Run scripts/deploy.js first.`);
+  }
+  const { Token, TokenSale } = manifest.contracts;
+  const tokenAddress = Token.address;
+  const tokenSaleAddress = TokenSale.address;
+  const explorerUrl = getNetworkEntry(manifest.chainId)?.explorerUrl || "";
 
   console.log("🔍 Starting contract verification...\n");
 
@@ -14,14 +23,7 @@ async function main() {
     
     await hre.run("verify:verify", {
       address: tokenAddress,
-      constructorArguments: [
-        "MyToken",                           // name
-        "MTK",                              // symbol
-        hre.ethers.parseEther("1000000"),   // maxSupply (1M tokens)
-        "0xd83B5031506039893BF1C827b0A79aDDee71E1fE", // initialMinter (deployer)
-        "0xd83B5031506039893BF1C827b0A79aDDee71E1fE", // initialDefaultAdmin (deployer)
-        0                                   // initialDelay
-      ],
+      constructorArguments: Token.constructorArgs,
     });
     
     console.log("✅ Token contract verified successfully!\n");
@@ -30,21 +32,30 @@ async function main() {
     console.log("=== Verifying TokenSale Contract ===");
     console.log(`TokenSale Address: ${tokenSaleAddress}`);
     
-    // Constructor arguments for TokenSale
-    const buyPrice = hre.ethers.parseEther("0.001");  // 0.001 ETH
-    const sellPrice = hre.ethers.parseEther("0.0005"); // 0.0005 ETH
-    
     await hre.run("verify:verify", {
       address: tokenSaleAddress,
-      constructorArguments: [tokenAddress, buyPrice, sellPrice],
+      constructorArguments: TokenSale.constructorArgs,
     });
     
     console.log("✅ TokenSale contract verified successfully!\n");
 
+    // Verify the pricing curve and vesting contract, if the sale was deployed with them
+    for (const name of [...Object.values(CURVE_CONTRACTS), "TokenVesting"].filter((name) => manifest.contracts[name])) {
+      console.log(`=== Verifying ${name} Contract ===`);
+      console.log(`${name} Address: ${manifest.contracts[name].address}`);
+
+      await hre.run("verify:verify", {
+        address: manifest.contracts[name].address,
+        constructorArguments: manifest.contracts[name].constructorArgs,
+      });
+
+      console.log(`✅ ${name} contract verified successfully!\n`);
+    }
+
     console.log("🎉 All contracts verified successfully!");
     console.log("\n📋 Verification Summary:");
-    console.log(`Token: https://sepolia.etherscan.io/address/${tokenAddress}`);
-    console.log(`TokenSale: https://sepolia.etherscan.io/address/${tokenSaleAddress}`);
+    console.log(`Token: ${explorerUrl}/address/${tokenAddress}`);
+    console.log(`TokenSale: ${explorerUrl}/address/${tokenSaleAddress}`);
 
   } catch (error) {
     console.error("❌ Verification failed:", error.message);
@@ -1,8 +1,54 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback, useMemo } from 'react'
 import { ethers } from 'ethers'
-import { CONTRACT_ADDRESSES, SEPOLIA_CHAIN_ID } from './contract_address'
-import { TokenABI } from './abis/TokenABI'
-import { TokenSaleABI } from './abis/TokenSaleABI'
+import { explorerAddressUrl, explorerTxUrl } from './contract_address'
+import { getDeployment } from './lib/deployments'
+import { getPermitDomain, signPermit } from './lib/permit'
+import { detectSaleFeatures, type SaleFeatures } from './lib/features'
+import { formatEffectiveAt, isPriceUpdateReady, readPendingPrices, type PendingPrices } from './lib/prices'
+import { quoteCurveBuy, quoteCurveSell, readCurveState, type CurveState } from './lib/curve'
+import { applySalePhase, hasSaleLimits, readSalePhase, remainingAllocation, remainingWalletLimit, type SalePhase } from './lib/phase'
+import { applyAllowlist, findAllowlistEntry, readMerkleRoot, remainingAllowlistAllocation, type AllowlistStatus } from './lib/allowlist'
+import { loadAllowlist } from './lib/allowlists'
+import { readVesting, type VestingSchedule } from './lib/vesting'
+import { readPayments, type Payments } from './lib/payments'
+import { translateError, type AppError } from './lib/errors'
+import { preflight, simulateAndSend, type Preflight } from './lib/preflight'
+import { planApprove, planBuy, planPermitSell, planSell } from './lib/trades'
+import { createReadOnlyProvider } from './lib/readOnly'
+import type { WalletConnector } from './lib/wallets'
+import { connectToken } from './abis/TokenABI'
+import { connectTokenSale } from './abis/TokenSaleABI'
+import {
+  DEFAULT_SLIPPAGE_BPS,
+  ONE_TOKEN,
+  TRADE_DEADLINE_SECONDS,
+  applySlippage,
+  computeTradeLimits,
+  parseSlippage,
+  parseTokenAmount,
+  quoteBuyForTokens,
+  quoteSell,
+  tradeDeadline,
+  type BuyQuote,
+  type SaleStatus,
+  type SellQuote,
+  type TradeLimits
+} from './lib/quote'
+import { useWalletConnectors } from './hooks/useWalletConnectors'
+import { useWalletSession } from './hooks/useWalletSession'
+import { useTransactions } from './hooks/useTransactions'
+import ActivityFeed from './components/ActivityFeed'
+import AdminConsole from './components/AdminConsole'
+import ExplorerLink from './components/ExplorerLink'
+import PortfolioPanel, { type Portfolio } from './components/PortfolioPanel'
+import PriceCurveChart from './components/PriceCurveChart'
+import SalePhasePanel from './components/SalePhasePanel'
+import VestingPanel from './components/VestingPanel'
+import PaymentsPanel from './components/PaymentsPanel'
+import FeePreview from './components/FeePreview'
+import ErrorNotice from './components/ErrorNotice'
+import TransactionToasts from './components/TransactionToasts'
+import WalletPicker from './components/WalletPicker'
 import './App.css'
 
 interface TokenInfo {
@@ -11,84 +57,172 @@ interface TokenInfo {
   balance: string;
   totalSupply: string;
   maxSupply: string;
+  maxSupplyWei: bigint;
+  paused: boolean;
 }
 
 interface TokenSaleInfo {
   buyPrice: string;
   sellPrice: string;
+  buyPriceWei: bigint;
+  sellPriceWei: bigint;
+  ethReserve: string;
+  tokenReserve: string;
+  pendingPrices: PendingPrices | null;
+  // Set when trades are priced on a bonding curve instead of buyPrice/sellPrice
+  curve: CurveState | null;
+  // Buy window and purchase limits; null on sales that predate them
+  phase: SalePhase | null;
+  // Set while an allowlist phase runs
+  allowlist: AllowlistStatus | null;
+  // Set when purchases are locked in a vesting contract
+  vesting: VestingSchedule | null;
+  // ETH owed after failed payouts; null on sales that predate pull payments
+  payments: Payments | null;
+}
+
+const STATUS_BADGE_CLASSES: Record<SaleStatus, string> = {
+  'Active': 'bg-green-100 text-green-800',
+  'Sold out': 'bg-gray-200 text-gray-800',
+  'Sell liquidity low': 'bg-yellow-100 text-yellow-800',
+  'Token paused': 'bg-red-100 text-red-800',
+  'Not started': 'bg-blue-100 text-blue-800',
+  'Sale ended': 'bg-gray-200 text-gray-800'
 }
 
 function App() {
-  const [account, setAccount] = useState<string>('')
-  const [provider, setProvider] = useState<ethers.BrowserProvider | null>(null)
-  const [signer, setSigner] = useState<ethers.JsonRpcSigner | null>(null)
+  const connectors = useWalletConnectors()
+  const {
+    account,
+    chainId,
+    provider,
+    signer,
+    wallet,
+    network,
+    targetNetwork,
+    isWrongNetwork,
+    error: sessionError,
+    dismissError: dismissSessionError,
+    connect,
+    disconnect,
+    switchNetwork
+  } = useWalletSession(connectors)
+  const { transactions, track, dismiss: dismissTransaction } = useTransactions(provider, account, chainId)
+  // Until the wallet is on a chain with the sale, read the target network through its public RPC
+  const viewNetwork = network ?? targetNetwork
+  const readOnlyProvider = useMemo(
+    () => (!network && targetNetwork ? createReadOnlyProvider(targetNetwork) : null),
+    [network, targetNetwork]
+  )
+  const readProvider: ethers.Provider | null = network ? provider : readOnlyProvider
+  const contracts = viewNetwork?.contracts ?? null
+  const deployment = viewNetwork ? getDeployment(viewNetwork.chainId) : undefined
+  // The feed scans back to this block; without it only recent blocks are scanned
+  const saleDeployBlock = deployment?.contracts.TokenSale?.blockNumber ?? viewNetwork?.deployBlock
   const [tokenInfo, setTokenInfo] = useState<TokenInfo | null>(null)
   const [tokenSaleInfo, setTokenSaleInfo] = useState<TokenSaleInfo | null>(null)
+  const [limits, setLimits] = useState<TradeLimits | null>(null)
+  const [portfolio, setPortfolio] = useState<Portfolio | null>(null)
   const [buyAmount, setBuyAmount] = useState('')
   const [sellAmount, setSellAmount] = useState('')
+  const [slippage, setSlippage] = useState(String(DEFAULT_SLIPPAGE_BPS / 100))
+  const [saleFeatures, setSaleFeatures] = useState<SaleFeatures | null>(null)
+  const [curveBuyQuote, setCurveBuyQuote] = useState<BuyQuote | null>(null)
+  const [curveSellQuote, setCurveSellQuote] = useState<SellQuote | null>(null)
+  const [buyPreflight, setBuyPreflight] = useState<{ key: string; result: Preflight } | null>(null)
+  const [sellPreflight, setSellPreflight] = useState<{ key: string; result: Preflight } | null>(null)
   const [loading, setLoading] = useState(false)
-  const [error, setError] = useState('')
+  // Each panel shows its own failures, so a failed sell doesn't hide behind a later reload error
+  const [walletError, setWalletError] = useState<AppError | null>(null)
+  const [loadError, setLoadError] = useState<AppError | null>(null)
+  const [buyError, setBuyError] = useState<AppError | null>(null)
+  const [sellError, setSellError] = useState<AppError | null>(null)
+  const [showWalletPicker, setShowWalletPicker] = useState(false)
+
+  // Exact quotes for whatever is typed in the trade panels. Curve quotes come
+  // from the chain, so they only count once they match the typed amount.
+  // Sales that predate partial fills only sell whole tokens, so those buys are
+  // rounded down and not capped at the available supply.
+  const typedBuyWei = parseTokenAmount(buyAmount)
+  const partialFills = saleFeatures?.partialFills !== false
+  const buyAmountWei = typedBuyWei !== null && !partialFills ? (typedBuyWei / ONE_TOKEN) * ONE_TOKEN : typedBuyWei
+  const sellAmountWei = parseTokenAmount(sellAmount)
+  const curve = tokenSaleInfo?.curve ?? null
+  let buyQuote: BuyQuote | null = null
+  let sellQuote: SellQuote | null = null
+  if (tokenSaleInfo && buyAmountWei !== null) {
+    buyQuote = curve
+      ? (curveBuyQuote?.tokensRequested === buyAmountWei ? curveBuyQuote : null)
+      : quoteBuyForTokens(buyAmountWei, tokenSaleInfo.buyPriceWei, partialFills ? limits?.available : undefined)
+  }
+  if (tokenSaleInfo && sellAmountWei !== null) {
+    sellQuote = curve
+      ? (curveSellQuote?.tokensIn === sellAmountWei ? curveSellQuote : null)
+      : quoteSell(sellAmountWei, tokenSaleInfo.sellPriceWei)
+  }
 
-  // Connect wallet
-  const connectWallet = async () => {
+  // Minimum outputs passed to the slippage-protected entry points
+  const slippageBps = parseSlippage(slippage)
+  const minTokensOut = buyQuote && slippageBps !== null ? applySlippage(buyQuote.tokensOut, slippageBps) : null
+  const minEthOut = sellQuote && slippageBps !== null ? applySlippage(sellQuote.ethOut, slippageBps) : null
+
+  // Connect the wallet picked from the list
+  const connectWallet = async (connector: WalletConnector) => {
     try {
-      if (!window.ethereum) {
-        setError('Please install MetaMask!')
-        return
-      }
+      await connect(connector)
+      setWalletError(null)
+      setShowWalletPicker(false)
+    } catch (err: unknown) {
+      setWalletError(translateError(err))
+    }
+  }
 
-      const provider = new ethers.BrowserProvider(window.ethereum)
-      const accounts = await provider.send('eth_requestAccounts', [])
-      
-      // Check if we're on Sepolia
-      const network = await provider.getNetwork()
-      if (Number(network.chainId) !== SEPOLIA_CHAIN_ID) {
-        try {
-          await window.ethereum.request({
-            method: 'wallet_switchEthereumChain',
-            params: [{ chainId: `0x${SEPOLIA_CHAIN_ID.toString(16)}` }],
-          })
-        } catch (switchError: any) {
-          if (switchError.code === 4902) {
-            await window.ethereum.request({
-              method: 'wallet_addEthereumChain',
-              params: [{
-                chainId: `0x${SEPOLIA_CHAIN_ID.toString(16)}`,
-                chainName: 'Sepolia Testnet',
-                nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
-                rpcUrls: ['https://rpc.sepolia.org'],
-                blockExplorerUrls: ['https://sepolia.etherscan.io']
-              }]
-            })
-          }
-        }
-      }
+  const openWalletPicker = () => {
+    setWalletError(null)
+    setShowWalletPicker(true)
+  }
 
-      const signer = await provider.getSigner()
-      setProvider(provider)
-      setSigner(signer)
-      setAccount(accounts[0])
-      setError('')
-    } catch (err: any) {
-      setError(err.message)
+  const disconnectWallet = async () => {
+    try {
+      await disconnect()
+      setWalletError(null)
+    } catch (err: unknown) {
+      setWalletError(translateError(err))
+    }
+  }
+
+  // Ask the wallet to move to the sale's network
+  const switchWalletNetwork = async () => {
+    try {
+      await switchNetwork()
+      setWalletError(null)
+    } catch (err: unknown) {
+      setWalletError(translateError(err))
     }
   }
 
   // Load contract data
-  const loadContractData = async () => {
-    if (!provider || !account) return
+  const loadContractData = useCallback(async () => {
+    if (!readProvider || !contracts) return
 
     try {
-      const tokenContract = new ethers.Contract(CONTRACT_ADDRESSES.TOKEN, TokenABI, provider)
-      const tokenSaleContract = new ethers.Contract(CONTRACT_ADDRESSES.TOKEN_SALE, TokenSaleABI, provider)
+      const tokenContract = connectToken(contracts.token, readProvider)
+      const tokenSaleContract = connectTokenSale(contracts.tokenSale, readProvider)
+      // Without a wallet, per-account reads are made for the zero address, which
+      // holds and has bought nothing; none of them are shown until one connects
+      const holder = account || ethers.ZeroAddress
 
       // Get token info
-      const [name, symbol, balance, totalSupply, maxSupply] = await Promise.all([
+      const [name, symbol, balance, totalSupply, maxSupply, paused, ethBalance, allowance, blockNumber] = await Promise.all([
         tokenContract.name(),
         tokenContract.symbol(),
-        tokenContract.balanceOf(account),
+        tokenContract.balanceOf(holder),
         tokenContract.totalSupply(),
-        tokenContract.MAX_SUPPLY()
+        tokenContract.MAX_SUPPLY(),
+        tokenContract.paused(),
+        readProvider.getBalance(holder),
+        tokenContract.allowance(holder, contracts.tokenSale),
+        readProvider.getBlockNumber()
       ])
 
       setTokenInfo({
@@ -96,42 +230,101 @@ function App() {
         symbol,
         balance: ethers.formatEther(balance),
         totalSupply: ethers.formatEther(totalSupply),
-        maxSupply: ethers.formatEther(maxSupply)
+        maxSupply: ethers.formatEther(maxSupply),
+        maxSupplyWei: maxSupply,
+        paused
       })
 
-      // Get token sale info
-      const [buyPrice, sellPrice] = await Promise.all([
+      // Get token sale info and the reserves backing each side of the trade
+      const [buyPrice, sellPrice, saleBalance, tokenReserve, pendingPrices, curve, phase, merkleRoot, vesting, payments] = await Promise.all([
         tokenSaleContract.buyPrice(),
-        tokenSaleContract.sellPrice()
+        tokenSaleContract.sellPrice(),
+        readProvider.getBalance(contracts.tokenSale),
+        tokenContract.balanceOf(contracts.tokenSale),
+        readPendingPrices(tokenSaleContract),
+        readCurveState(tokenSaleContract),
+        readSalePhase(tokenSaleContract, holder),
+        readMerkleRoot(tokenSaleContract),
+        readVesting(tokenSaleContract, readProvider, holder),
+        readPayments(tokenSaleContract, holder)
       ])
+      // ETH owed through withdrawPayments can't fund sells
+      const ethReserve: bigint = saleBalance - (payments?.totalOwed ?? 0n)
+      let allowlist: AllowlistStatus | null = null
+      if (merkleRoot) {
+        const file = await loadAllowlist(merkleRoot)
+        allowlist = { merkleRoot, published: !!file, entry: file && account ? findAllowlistEntry(file, account) : null }
+      }
+      // On a curve, the sell side is valued by walking the balance back down it
+      const sellValue: bigint = curve
+        ? (balance > 0n ? await tokenSaleContract.quoteSellProceeds(balance) : 0n)
+        : quoteSell(balance, sellPrice).ethOut
 
       setTokenSaleInfo({
-        buyPrice: ethers.formatEther(buyPrice),
-        sellPrice: ethers.formatEther(sellPrice)
+        buyPrice: ethers.formatEther(curve?.buyPrice ?? buyPrice),
+        sellPrice: ethers.formatEther(curve?.sellPrice ?? sellPrice),
+        buyPriceWei: buyPrice,
+        sellPriceWei: sellPrice,
+        ethReserve: ethers.formatEther(ethReserve),
+        tokenReserve: ethers.formatEther(tokenReserve),
+        pendingPrices,
+        curve,
+        phase,
+        allowlist,
+        vesting,
+        payments
       })
-    } catch (err: any) {
-      setError(err.message)
+
+      setPortfolio(account ? {
+        ethBalance,
+        tokenBalance: balance,
+        allowance,
+        totalSupply,
+        maxSupply,
+        sellValue,
+        blockNumber
+      } : null)
+
+      const tradeLimits = computeTradeLimits(
+        balance,
+        totalSupply,
+        maxSupply,
+        paused,
+        // Later tokens sell for less on a curve, so this limit is conservative there
+        curve?.sellPrice ?? sellPrice,
+        ethReserve,
+        tokenReserve
+      )
+      const phaseLimits = phase ? applySalePhase(tradeLimits, phase) : tradeLimits
+      // Whether a visitor is allowlisted is only known once they connect
+      setLimits(allowlist && account ? applyAllowlist(phaseLimits, allowlist, phase?.purchased ?? 0n) : phaseLimits)
+      setLoadError(null)
+    } catch (err: unknown) {
+      setLoadError(translateError(err))
     }
-  }
+  }, [readProvider, account, contracts])
 
   // Buy tokens
   const buyTokens = async () => {
-    if (!signer || !tokenSaleInfo || !buyAmount) return
+    if (!signer || !contracts || !buyQuote) return
 
     try {
       setLoading(true)
-      setError('')
-      
-      const tokenSaleContract = new ethers.Contract(CONTRACT_ADDRESSES.TOKEN_SALE, TokenSaleABI, signer)
-      const cost = ethers.parseEther((parseFloat(buyAmount) * parseFloat(tokenSaleInfo.buyPrice)).toString())
+      setBuyError(null)
       
-      const tx = await tokenSaleContract.buyTokens({ value: cost })
-      await tx.wait()
+      const tokenSaleContract = connectTokenSale(contracts.tokenSale, signer)
+      const plan = planBuy(tokenSaleContract, {
+        value: buyQuote.value,
+        minTokensOut,
+        allowlistEntry: tokenSaleInfo?.allowlist?.entry ?? null,
+        protectedTrades: !!saleFeatures?.protectedTrades
+      })
+      await track('Buy', () => simulateAndSend(plan, signer))
       
       setBuyAmount('')
       await loadContractData()
-    } catch (err: any) {
-      setError(err.message)
+    } catch (err: unknown) {
+      setBuyError(translateError(err))
     } finally {
       setLoading(false)
     }
@@ -139,214 +332,594 @@ function App() {
 
   // Sell tokens
   const sellTokens = async () => {
-    if (!signer || !sellAmount) return
+    if (!signer || !contracts || !sellQuote) return
 
     try {
       setLoading(true)
-      setError('')
-      
-      const tokenContract = new ethers.Contract(CONTRACT_ADDRESSES.TOKEN, TokenABI, signer)
-      const tokenSaleContract = new ethers.Contract(CONTRACT_ADDRESSES.TOKEN_SALE, TokenSaleABI, signer)
+      setSellError(null)
       
-      const amount = ethers.parseEther(sellAmount)
+      const tokenContract = connectToken(contracts.token, signer)
+      const tokenSaleContract = connectTokenSale(contracts.tokenSale, signer)
       
-      // First approve the token sale contract to spend tokens
-      const approveTx = await tokenContract.approve(CONTRACT_ADDRESSES.TOKEN_SALE, amount)
-      await approveTx.wait()
-      
-      // Then sell the tokens
-      const sellTx = await tokenSaleContract.sellTokens(amount)
-      await sellTx.wait()
+      const amount = sellQuote.tokensIn
+      const allowance: bigint = await tokenContract.allowance(account, contracts.tokenSale)
+      // Sales deployed before slippage protection only have plain sellTokens
+      const sellMinEthOut = saleFeatures?.protectedTrades ? minEthOut : null
+      const permitDomain = sellMinEthOut !== null && allowance < amount ? await getPermitDomain(tokenContract) : null
+
+      if (permitDomain && sellMinEthOut !== null) {
+        // Approve and sell in one transaction with a signed permit
+        const permit = await signPermit(tokenContract, permitDomain, signer, contracts.tokenSale, amount, tradeDeadline())
+        await track('Sell', () => simulateAndSend(planPermitSell(tokenSaleContract, amount, sellMinEthOut, permit), signer))
+      } else {
+        // Tokens without permit need a separate approval first
+        if (allowance < amount) {
+          await track('Approve', () => simulateAndSend(planApprove(tokenContract, contracts.tokenSale, amount), signer))
+        }
+
+        await track('Sell', () => simulateAndSend(planSell(tokenSaleContract, amount, sellMinEthOut), signer))
+      }
       
       setSellAmount('')
       await loadContractData()
-    } catch (err: any) {
-      setError(err.message)
+    } catch (err: unknown) {
+      setSellError(translateError(err))
     } finally {
       setLoading(false)
     }
   }
 
+  // Find out which entry points the connected sale was deployed with
+  useEffect(() => {
+    setSaleFeatures(null)
+    if (!readProvider || !contracts) return
+
+    let cancelled = false
+    detectSaleFeatures(readProvider, contracts.tokenSale)
+      .then((features) => { if (!cancelled) setSaleFeatures(features) })
+      .catch(() => { if (!cancelled) setSaleFeatures({ protectedTrades: false, adjustablePrices: false, salePhases: false, allowlist: false, vesting: false, partialFills: false }) })
+    return () => { cancelled = true }
+  }, [readProvider, contracts])
+
+  // Curve quotes depend on the supply, so refresh them with every reload too
+  useEffect(() => {
+    if (!readProvider || !contracts || !tokenSaleInfo?.curve) return
+
+    const tokenSaleContract = connectTokenSale(contracts.tokenSale, readProvider)
+    let cancelled = false
+    if (buyAmountWei !== null) {
+      quoteCurveBuy(tokenSaleContract, buyAmountWei, partialFills, limits?.available)
+        .then((quote) => { if (!cancelled) setCurveBuyQuote(quote) })
+        .catch(() => { if (!cancelled) setCurveBuyQuote(null) })
+    }
+    if (sellAmountWei !== null) {
+      quoteCurveSell(tokenSaleContract, sellAmountWei)
+        .then((quote) => { if (!cancelled) setCurveSellQuote(quote) })
+        .catch(() => { if (!cancelled) setCurveSellQuote(null) })
+    }
+    return () => { cancelled = true }
+  }, [readProvider, contracts, tokenSaleInfo, buyAmountWei, sellAmountWei, partialFills, limits?.available])
+
+  // Drop data belonging to a previous account or network before reloading
   useEffect(() => {
-    if (account && provider) {
+    setTokenInfo(null)
+    setTokenSaleInfo(null)
+    setLimits(null)
+    setPortfolio(null)
+    if (readProvider) {
       loadContractData()
     }
-  }, [account, provider])
+  }, [account, readProvider, loadContractData])
+
+  // Keep balances and reserves in sync with the chain
+  useEffect(() => {
+    if (!readProvider) return
+
+    const onBlock = () => { loadContractData() }
+    readProvider.on('block', onBlock)
+    return () => { readProvider.off('block', onBlock) }
+  }, [readProvider, loadContractData])
+
+  // Work out why each side is blocked, if it is
+  const phase = tokenSaleInfo?.phase ?? null
+  const walletLimit = phase ? remainingWalletLimit(phase) : null
+  const allowlist = tokenSaleInfo?.allowlist ?? null
+  const allowlistRemaining = allowlist && account ? remainingAllowlistAllocation(allowlist.entry, phase?.purchased ?? 0n) : null
+  let buyBlockedReason = ''
+  if (isWrongNetwork) buyBlockedReason = `Switch to ${targetNetwork?.name} to trade`
+  else if (limits?.status === 'Token paused') buyBlockedReason = 'Token transfers are paused'
+  else if (limits?.status === 'Not started' && phase) {
+    buyBlockedReason = `The sale opens ${new Date(phase.startTime * 1000).toLocaleString()}`
+  } else if (limits?.status === 'Sale ended') buyBlockedReason = 'The sale has ended'
+  else if (allowlist && !allowlist.published) buyBlockedReason = "The allowlist for this round isn't published with this app"
+  else if (account && allowlist && !allowlist.entry) buyBlockedReason = 'Your address is not on the allowlist for this round'
+  else if (allowlistRemaining === 0n) buyBlockedReason = "You've used your allowlist allocation"
+  else if (walletLimit === 0n) buyBlockedReason = "You've reached your purchase limit"
+  else if (phase && remainingAllocation(phase) === 0n) buyBlockedReason = 'The sale allocation is sold out'
+  else if (limits?.maxBuy === 0n) buyBlockedReason = 'Max supply reached and no reserve left to sell'
+  else if (buyAmount && buyAmountWei === null) buyBlockedReason = 'Enter a valid amount'
+  else if (curve && buyAmountWei !== null && !buyQuote) buyBlockedReason = 'Getting a quote from the price curve...'
+  else if (buyQuote && buyQuote.tokensOut === 0n) {
+    buyBlockedReason = partialFills ? 'Amount is too small to buy any tokens' : 'Enter at least one whole token'
+  }  else if (phase && buyQuote && buyQuote.tokensOut < phase.minPurchase) {
+    buyBlockedReason = `The minimum purchase is ${ethers.formatEther(phase.minPurchase)} MTK`
+  } else if (saleFeatures?.protectedTrades && slippageBps === null) buyBlockedReason = 'Enter a valid slippage tolerance'
+  else if (walletLimit !== null && buyQuote && buyQuote.tokensOut > walletLimit) {
+    buyBlockedReason = `You can buy at most ${ethers.formatEther(walletLimit)} more MTK`
+  } else if (allowlistRemaining !== null && buyQuote && buyQuote.tokensOut > allowlistRemaining) {
+    buyBlockedReason = `Your allowlist allocation covers ${ethers.formatEther(allowlistRemaining)} more MTK`
+  } else if (limits && buyQuote && buyQuote.tokensOut > limits.maxBuy) {
+    buyBlockedReason = `Only ${ethers.formatEther(limits.maxBuy)} MTK available`
+  }
+
+  let sellBlockedReason = ''
+  if (isWrongNetwork) sellBlockedReason = `Switch to ${targetNetwork?.name} to trade`
+  else if (limits?.status === 'Token paused') sellBlockedReason = 'Token transfers are paused'
+  else if (sellAmount && sellAmountWei === null) sellBlockedReason = 'Enter a valid amount'
+  else if (curve && sellAmountWei !== null && !sellQuote) sellBlockedReason = 'Getting a quote from the price curve...'
+  else if (sellQuote && sellQuote.ethOut === 0n) sellBlockedReason = 'Amount is too small to be worth any ETH'
+  else if (saleFeatures?.protectedTrades && slippageBps === null) sellBlockedReason = 'Enter a valid slippage tolerance'
+  else if (account && limits && sellQuote && sellQuote.tokensIn > limits.maxSell) {
+    sellBlockedReason = limits.maxSell === 0n
+      ? 'The sale contract has no ETH to buy tokens back'
+      : `At most ${ethers.formatEther(limits.maxSell)} MTK can be sold right now`
+  }
+
+  // Simulate and price what each panel would send once nothing above blocks it.
+  // Like curve quotes, a result only counts while its key matches the typed trade.
+  const allowlistEntry = allowlist?.entry ?? null
+  const protectedTrades = !!saleFeatures?.protectedTrades
+  const ethBalance = portfolio?.ethBalance ?? null
+  const allowance = portfolio?.allowance ?? null
+  const sellMinEthOut = protectedTrades ? minEthOut : null
+  const buyValue = buyQuote && buyQuote.tokensOut > 0n && !buyBlockedReason ? buyQuote.value : null
+  const sellTokensIn = sellQuote && !sellBlockedReason ? sellQuote.tokensIn : null
+  const buyPreflightKey = `${buyValue}:${minTokensOut}`
+  const sellPreflightKey = `${sellTokensIn}:${sellMinEthOut}:${allowance}`
+
+  useEffect(() => {
+    if (!provider || !account || !contracts || buyValue === null || ethBalance === null) return
+
+    const tokenSaleContract = connectTokenSale(contracts.tokenSale, provider)
+    const tx = planBuy(tokenSaleContract, { value: buyValue, minTokensOut, allowlistEntry, protectedTrades })
+    let cancelled = false
+    preflight(provider, account, [tx], ethBalance)
+      .then((result) => { if (!cancelled) setBuyPreflight({ key: buyPreflightKey, result }) })
+      .catch(() => { if (!cancelled) setBuyPreflight(null) })
+    return () => { cancelled = true }
+  }, [provider, account, contracts, buyValue, minTokensOut, allowlistEntry, protectedTrades, ethBalance, buyPreflightKey])
+
+  useEffect(() => {
+    if (!provider || !account || !contracts || sellTokensIn === null || allowance === null || ethBalance === null) return
+
+    const tokenContract = connectToken(contracts.token, provider)
+    const tokenSaleContract = connectTokenSale(contracts.tokenSale, provider)
+    const run = async () => {
+      if (allowance >= sellTokensIn) {
+        return preflight(provider, account, [planSell(tokenSaleContract, sellTokensIn, sellMinEthOut)], ethBalance)
+      }
+      // The sell reverts until the sale may take the tokens, so it's simulated
+      // at submit time, after the permit is signed or the approval is mined
+      const permitDomain = sellMinEthOut !== null ? await getPermitDomain(tokenContract) : null
+      const steps = permitDomain ? [] : [planApprove(tokenContract, contracts.tokenSale, sellTokensIn)]
+      return preflight(provider, account, steps, ethBalance, ['Sell'])
+    }
+    let cancelled = false
+    run()
+      .then((result) => { if (!cancelled) setSellPreflight({ key: sellPreflightKey, result }) })
+      .catch(() => { if (!cancelled) setSellPreflight(null) })
+    return () => { cancelled = true }
+  }, [provider, account, contracts, sellTokensIn, sellMinEthOut, allowance, ethBalance, sellPreflightKey])
+
+  const buyPreview = buyValue !== null && buyPreflight?.key === buyPreflightKey ? buyPreflight.result : null
+  const sellPreview = sellTokensIn !== null && sellPreflight?.key === sellPreflightKey ? sellPreflight.result : null
+  if (!buyBlockedReason && buyPreview?.error) buyBlockedReason = buyPreview.error
+  if (!sellBlockedReason && sellPreview?.error) sellBlockedReason = sellPreview.error
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
       <div className="max-w-4xl mx-auto">
         <header className="text-center mb-8">
           <h1 className="text-4xl font-bold text-gray-800 mb-2">MyToken (MTK) Sale</h1>
-          <p className="text-gray-600">Buy and sell MTK tokens on Sepolia testnet</p>
+          <p className="text-gray-600">Buy and sell MTK tokens on {viewNetwork?.name}</p>
         </header>
 
-        {!account ? (
-          <div className="bg-white rounded-lg shadow-lg p-8 text-center">
-            <h2 className="text-2xl font-semibold mb-4">Connect Your Wallet</h2>
-            <p className="text-gray-600 mb-6">Connect your MetaMask wallet to start trading MTK tokens</p>
-            <button
-              onClick={connectWallet}
-              className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
-            >
-              Connect MetaMask
-            </button>
-          </div>
-        ) : (
-          <div className="space-y-6">
-            {/* Account Info */}
-            <div className="bg-white rounded-lg shadow-lg p-6">
-              <h2 className="text-xl font-semibold mb-4">Account Information</h2>
-              <p className="text-gray-600">
-                <span className="font-medium">Connected:</span> {account.slice(0, 6)}...{account.slice(-4)}
-              </p>
+        <div className="space-y-6">
+          {/* Read-only until a wallet connects */}
+          {!account && (
+            <div className="bg-white rounded-lg shadow-lg p-6 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div>
+                <h2 className="text-xl font-semibold mb-1">Connect Your Wallet</h2>
+                <p className="text-gray-600">You're viewing the sale read-only. Connect a wallet to buy and sell MTK tokens.</p>
+              </div>
+              <button
+                onClick={openWalletPicker}
+                className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors whitespace-nowrap"
+              >
+                Connect Wallet
+              </button>
             </div>
+          )}
+          {!showWalletPicker && <ErrorNotice error={walletError} onDismiss={() => setWalletError(null)} />}
+          <ErrorNotice error={sessionError} onDismiss={dismissSessionError} />
 
-            {/* Token Info */}
-            {tokenInfo && (
-              <div className="bg-white rounded-lg shadow-lg p-6">
-                <h2 className="text-xl font-semibold mb-4">Token Information</h2>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  <div>
-                    <p className="text-gray-600"><span className="font-medium">Name:</span> {tokenInfo.name}</p>
-                    <p className="text-gray-600"><span className="font-medium">Symbol:</span> {tokenInfo.symbol}</p>
-                  </div>
-                  <div>
+          {/* Wrong Network */}
+          {isWrongNetwork && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-center justify-between">
+              <p className="text-yellow-800">Your wallet is connected to a different network. Trading is disabled until you switch to {targetNetwork?.name}.</p>
+              <button
+                onClick={switchWalletNetwork}
+                className="ml-4 bg-yellow-600 hover:bg-yellow-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors whitespace-nowrap"
+              >
+                Switch Network
+              </button>
+            </div>
+          )}
+
+          {/* Account Info */}
+          {account && (
+            <PortfolioPanel
+              account={account}
+              walletName={wallet?.name ?? null}
+              symbol={tokenInfo?.symbol ?? 'MTK'}
+              portfolio={portfolio}
+              onDisconnect={disconnectWallet}
+            />
+          )}
+
+          {/* Token Info */}
+          {tokenInfo && (
+            <div className="bg-white rounded-lg shadow-lg p-6">
+              <h2 className="text-xl font-semibold mb-4">Token Information</h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <p className="text-gray-600"><span className="font-medium">Name:</span> {tokenInfo.name}</p>
+                  <p className="text-gray-600"><span className="font-medium">Symbol:</span> {tokenInfo.symbol}</p>
+                </div>
+                <div>
+                  {account && (
                     <p className="text-gray-600"><span className="font-medium">Your Balance:</span> {parseFloat(tokenInfo.balance).toFixed(4)} MTK</p>
-                    <p className="text-gray-600"><span className="font-medium">Total Supply:</span> {parseFloat(tokenInfo.totalSupply).toFixed(0)} MTK</p>
-                  </div>
+                  )}
+                  <p className="text-gray-600">
+                    <span className="font-medium">Total Supply:</span> {parseFloat(tokenInfo.totalSupply).toFixed(0)} of {parseFloat(tokenInfo.maxSupply).toFixed(0)} MTK
+                  </p>
                 </div>
               </div>
-            )}
+            </div>
+          )}
 
-            {/* Token Sale Info */}
-            {tokenSaleInfo && (
-              <div className="bg-white rounded-lg shadow-lg p-6">
-                <h2 className="text-xl font-semibold mb-4">Token Sale Information</h2>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                  <div>
-                    <p className="text-gray-600"><span className="font-medium">Buy Price:</span> {tokenSaleInfo.buyPrice} ETH</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600"><span className="font-medium">Sell Price:</span> {tokenSaleInfo.sellPrice} ETH</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600">
-                      <span className="font-medium">Status:</span> 
-                      <span className="ml-2 px-2 py-1 rounded text-sm bg-green-100 text-green-800">
-                        Active
-                      </span>
-                    </p>
-                  </div>
+          {/* Token Sale Info */}
+          {tokenSaleInfo && (
+            <div className="bg-white rounded-lg shadow-lg p-6">
+              <h2 className="text-xl font-semibold mb-4">Token Sale Information</h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <p className="text-gray-600"><span className="font-medium">{curve ? 'Next Token Price:' : 'Buy Price:'}</span> {tokenSaleInfo.buyPrice} ETH</p>
+                </div>
+                <div>
+                  <p className="text-gray-600"><span className="font-medium">{curve ? 'Sell-back Price:' : 'Sell Price:'}</span> {tokenSaleInfo.sellPrice} ETH</p>
+                </div>
+                <div>
+                  <p className="text-gray-600">
+                    <span className="font-medium">Status:</span> 
+                    <span className={`ml-2 px-2 py-1 rounded text-sm ${STATUS_BADGE_CLASSES[limits?.status ?? 'Active']}`}>
+                      {limits?.status ?? 'Active'}
+                    </span>
+                  </p>
+                </div>
+                <div>
+                  <p className="text-gray-600"><span className="font-medium">ETH Reserve:</span> {parseFloat(tokenSaleInfo.ethReserve).toFixed(4)} ETH</p>
+                </div>
+                <div>
+                  <p className="text-gray-600"><span className="font-medium">Token Reserve:</span> {parseFloat(tokenSaleInfo.tokenReserve).toFixed(0)} MTK</p>
                 </div>
               </div>
-            )}
-
-            {/* Trading Interface */}
-            {tokenSaleInfo && (
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                {/* Buy Tokens */}
-                <div className="bg-white rounded-lg shadow-lg p-6">
-                  <h3 className="text-lg font-semibold mb-4 text-green-700">Buy Tokens</h3>
-                  <div className="space-y-4">
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">
+              {tokenSaleInfo.pendingPrices && (
+                <div className="mt-4 bg-blue-50 border border-blue-200 rounded-lg p-3">
+                  <p className="text-sm text-blue-900">
+                    <span className="font-medium">Scheduled price change:</span>{' '}
+                    buy {ethers.formatEther(tokenSaleInfo.pendingPrices.buyPrice)} ETH,
+                    sell {ethers.formatEther(tokenSaleInfo.pendingPrices.sellPrice)} ETH
+                  </p>
+                  <p className="text-xs text-blue-800 mt-1">
+                    {isPriceUpdateReady(tokenSaleInfo.pendingPrices)
+                      ? 'Can take effect now, as soon as the owner executes it.'
+                      : `Can take effect from ${formatEffectiveAt(tokenSaleInfo.pendingPrices)}.`}
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Sale Phase */}
+          {phase && hasSaleLimits(phase) && (
+            <SalePhasePanel phase={phase} symbol={tokenInfo?.symbol ?? 'MTK'} connected={!!account} />
+          )}
+
+          {/* Vesting */}
+          {account && tokenSaleInfo?.vesting && (
+            <VestingPanel
+              schedule={tokenSaleInfo.vesting}
+              symbol={tokenInfo?.symbol ?? 'MTK'}
+              signer={signer}
+              track={track}
+              onClaimed={loadContractData}
+            />
+          )}
+
+          {/* Pending ETH */}
+          {contracts && tokenSaleInfo?.payments && tokenSaleInfo.payments.pending > 0n && (
+            <PaymentsPanel
+              tokenSale={contracts.tokenSale}
+              pending={tokenSaleInfo.payments.pending}
+              signer={signer}
+              track={track}
+              onWithdrawn={loadContractData}
+            />
+          )}
+
+          {/* Price Curve */}
+          {readProvider && curve && tokenInfo && (
+            <div className="bg-white rounded-lg shadow-lg p-6">
+              <h2 className="text-xl font-semibold mb-1">Price Curve</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                The price rises with every MTK in circulation and falls as tokens are sold back, less the sell spread.
+              </p>
+              <PriceCurveChart
+                provider={readProvider}
+                strategy={curve.strategy}
+                circulatingSupply={curve.circulatingSupply}
+                maxSupply={tokenInfo.maxSupplyWei}
+                holdings={portfolio?.tokenBalance ?? 0n}
+                buyAmount={buyQuote?.tokensOut ?? 0n}
+              />
+            </div>
+          )}
+
+          {/* Trade Settings */}
+          {tokenSaleInfo && saleFeatures?.protectedTrades && (
+            <div className="bg-white rounded-lg shadow-lg p-4 flex flex-col md:flex-row md:items-center gap-2">
+              <label htmlFor="slippage" className="text-sm font-medium text-gray-700">
+                Slippage tolerance
+              </label>
+              <div className="flex items-center gap-1">
+                <input
+                  id="slippage"
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={slippage}
+                  onChange={(e) => setSlippage(e.target.value)}
+                  className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <span className="text-sm text-gray-700">%</span>
+              </div>
+              <p className="text-xs text-gray-500">
+                Trades revert if the price moves by more than this, or if they aren't mined within {TRADE_DEADLINE_SECONDS / 60} minutes.
+              </p>
+            </div>
+          )}
+
+          {/* Trading Interface */}
+          {tokenSaleInfo && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {/* Buy Tokens */}
+              <div className="bg-white rounded-lg shadow-lg p-6">
+                <h3 className="text-lg font-semibold mb-4 text-green-700">Buy Tokens</h3>
+                <div className="space-y-4">
+                  {!account && allowlist && (
+                    <p className="text-sm text-blue-800 bg-blue-50 border border-blue-200 rounded-md p-2">
+                      Allowlist round: only allowlisted addresses can buy. Connect your wallet to see your allocation.
+                    </p>
+                  )}
+                  {allowlist?.entry && (
+                    <p className="text-sm text-blue-800 bg-blue-50 border border-blue-200 rounded-md p-2">
+                      Allowlist round: you can buy {ethers.formatEther(allowlistRemaining ?? 0n)} of your {ethers.formatEther(allowlist.entry.allocation)} MTK allocation.
+                    </p>
+                  )}
+                  <div>
+                    <div className="flex justify-between items-center mb-2">
+                      <label className="block text-sm font-medium text-gray-700">
                         Amount of MTK to buy
                       </label>
-                      <input
-                        type="number"
-                        value={buyAmount}
-                        onChange={(e) => setBuyAmount(e.target.value)}
-                        placeholder="Enter amount"
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
-                      />
-                      {buyAmount && tokenSaleInfo && (
-                        <p className="text-sm text-gray-600 mt-1">
-                          Cost: {(parseFloat(buyAmount) * parseFloat(tokenSaleInfo.buyPrice)).toFixed(6)} ETH
-                        </p>
+                      {limits && limits.maxBuy > 0n && (
+                        <button
+                          onClick={() => setBuyAmount(ethers.formatEther(limits.maxBuy))}
+                          className="text-xs text-green-700 hover:underline"
+                        >
+                          Max: {parseFloat(ethers.formatEther(limits.maxBuy)).toFixed(4)}
+                        </button>
                       )}
                     </div>
-                    <button
-                      onClick={buyTokens}
-                      disabled={loading || !buyAmount}
-                      className="w-full bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
-                    >
-                      {loading ? 'Processing...' : 'Buy Tokens'}
-                    </button>
+                    <input
+                      type="number"
+                      value={buyAmount}
+                      onChange={(e) => setBuyAmount(e.target.value)}
+                      placeholder="Enter amount"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
+                    />
+                    {buyQuote && (
+                      <p className="text-sm text-gray-600 mt-1">
+                        Cost: {ethers.formatEther(buyQuote.cost)} ETH for {ethers.formatEther(buyQuote.tokensOut)} MTK
+                      </p>
+                    )}
+                    {buyQuote && buyQuote.refund > 0n && (
+                      <p className="text-sm text-gray-600 mt-1">
+                        Refunded: {ethers.formatEther(buyQuote.refund)} of the {ethers.formatEther(buyQuote.value)} ETH sent
+                      </p>
+                    )}
+                    {saleFeatures?.protectedTrades && minTokensOut !== null && minTokensOut > 0n && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Minimum received: {ethers.formatEther(minTokensOut)} MTK
+                      </p>
+                    )}
+                    {tokenSaleInfo.vesting && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Purchases are locked and vest until {new Date(tokenSaleInfo.vesting.endTime * 1000).toLocaleDateString()}; claim them from My Vesting.
+                      </p>
+                    )}
+                    {buyQuote?.warnings.map((warning) => (
+                      <p key={warning} className="text-xs text-amber-700 mt-1">{warning}</p>
+                    ))}
+                    {buyPreview && <FeePreview preflight={buyPreview} />}
                   </div>
+                  {buyBlockedReason && (
+                    <p className="text-sm text-amber-700">{buyBlockedReason}</p>
+                  )}
+                  <ErrorNotice error={buyError} onDismiss={() => setBuyError(null)} />
+                  <button
+                    onClick={account ? buyTokens : openWalletPicker}
+                    disabled={loading || !buyAmount || !!buyBlockedReason}
+                    className="w-full bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+                  >
+                    {loading ? 'Processing...' : account ? 'Buy Tokens' : 'Connect Wallet to Buy'}
+                  </button>
                 </div>
+              </div>
 
-                {/* Sell Tokens */}
-                <div className="bg-white rounded-lg shadow-lg p-6">
-                  <h3 className="text-lg font-semibold mb-4 text-red-700">Sell Tokens</h3>
-                  <div className="space-y-4">
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">
+              {/* Sell Tokens */}
+              <div className="bg-white rounded-lg shadow-lg p-6">
+                <h3 className="text-lg font-semibold mb-4 text-red-700">Sell Tokens</h3>
+                <div className="space-y-4">
+                  <div>
+                    <div className="flex justify-between items-center mb-2">
+                      <label className="block text-sm font-medium text-gray-700">
                         Amount of MTK to sell
                       </label>
-                      <input
-                        type="number"
-                        value={sellAmount}
-                        onChange={(e) => setSellAmount(e.target.value)}
-                        placeholder="Enter amount"
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500"
-                      />
-                      {sellAmount && tokenSaleInfo && (
-                        <p className="text-sm text-gray-600 mt-1">
-                          You'll receive: {(parseFloat(sellAmount) * parseFloat(tokenSaleInfo.sellPrice)).toFixed(6)} ETH
-                        </p>
+                      {limits && limits.maxSell > 0n && (
+                        <button
+                          onClick={() => setSellAmount(ethers.formatEther(limits.maxSell))}
+                          className="text-xs text-red-700 hover:underline"
+                        >
+                          Max: {parseFloat(ethers.formatEther(limits.maxSell)).toFixed(4)}
+                        </button>
                       )}
                     </div>
-                    <button
-                      onClick={sellTokens}
-                      disabled={loading || !sellAmount}
-                      className="w-full bg-red-600 hover:bg-red-700 disabled:bg-gray-400 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
-                    >
-                      {loading ? 'Processing...' : 'Sell Tokens'}
-                    </button>
+                    <input
+                      type="number"
+                      value={sellAmount}
+                      onChange={(e) => setSellAmount(e.target.value)}
+                      placeholder="Enter amount"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500"
+                    />
+                    {sellQuote && (
+                      <p className="text-sm text-gray-600 mt-1">
+                        You'll receive: {ethers.formatEther(sellQuote.ethOut)} ETH
+                      </p>
+                    )}
+                    {saleFeatures?.protectedTrades && minEthOut !== null && minEthOut > 0n && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Minimum received: {ethers.formatEther(minEthOut)} ETH
+                      </p>
+                    )}
+                    {sellQuote?.warnings.map((warning) => (
+                      <p key={warning} className="text-xs text-amber-700 mt-1">{warning}</p>
+                    ))}
+                    {sellPreview && <FeePreview preflight={sellPreview} />}
                   </div>
+                  {sellBlockedReason && (
+                    <p className="text-sm text-amber-700">{sellBlockedReason}</p>
+                  )}
+                  <ErrorNotice error={sellError} onDismiss={() => setSellError(null)} />
+                  <button
+                    onClick={account ? sellTokens : openWalletPicker}
+                    disabled={loading || !sellAmount || !!sellBlockedReason}
+                    className="w-full bg-red-600 hover:bg-red-700 disabled:bg-gray-400 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+                  >
+                    {loading ? 'Processing...' : account ? 'Sell Tokens' : 'Connect Wallet to Sell'}
+                  </button>
                 </div>
               </div>
-            )}
+            </div>
+          )}
 
-            {/* Error Display */}
-            {error && (
-              <div className="bg-red-50 border border-red-200 rounded-lg p-4">
-                <p className="text-red-800">{error}</p>
-              </div>
-            )}
+          {/* Trade History */}
+          {readProvider && viewNetwork && contracts && tokenSaleInfo && (
+            <ActivityFeed
+              account={account}
+              provider={readProvider}
+              network={viewNetwork}
+              tokenSale={contracts.tokenSale}
+              buyPrice={tokenSaleInfo.buyPriceWei}
+              sellPrice={tokenSaleInfo.sellPriceWei}
+              pricedByCurve={curve !== null}
+              startBlock={saleDeployBlock}
+            />
+          )}
+
+          {/* Owner / Role Holder Tools, only while the wallet is on the chain these contracts live on */}
+          {provider && signer && contracts && chainId === viewNetwork?.chainId && (
+            <AdminConsole
+              account={account}
+              provider={provider}
+              signer={signer}
+              contracts={contracts}
+              adjustablePrices={(saleFeatures?.adjustablePrices ?? false) && !curve}
+              salePhases={saleFeatures?.salePhases ?? false}
+              allowlist={saleFeatures?.allowlist ?? false}
+              vesting={saleFeatures?.vesting ?? false}
+              track={track}
+              onChanged={loadContractData}
+            />
+          )}
 
-            {/* Contract Links */}
+          {/* Errors reading the contracts */}
+          <ErrorNotice error={loadError} onDismiss={() => setLoadError(null)} />
+
+          {/* Contract Links */}
+          {viewNetwork && contracts && (
             <div className="bg-white rounded-lg shadow-lg p-6">
               <h3 className="text-lg font-semibold mb-4">Contract Information</h3>
               <div className="space-y-2">
                 <p className="text-sm">
                   <span className="font-medium">Token Contract:</span>{' '}
-                  <a
-                    href={`https://sepolia.etherscan.io/address/${CONTRACT_ADDRESSES.TOKEN}`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-blue-600 hover:underline"
-                  >
-                    {CONTRACT_ADDRESSES.TOKEN}
-                  </a>
+                  <ExplorerLink href={explorerAddressUrl(viewNetwork, contracts.token)}>
+                    {contracts.token}
+                  </ExplorerLink>
                 </p>
                 <p className="text-sm">
                   <span className="font-medium">TokenSale Contract:</span>{' '}
-                  <a
-                    href={`https://sepolia.etherscan.io/address/${CONTRACT_ADDRESSES.TOKEN_SALE}`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-blue-600 hover:underline"
-                  >
-                    {CONTRACT_ADDRESSES.TOKEN_SALE}
-                  </a>
+                  <ExplorerLink href={explorerAddressUrl(viewNetwork, contracts.tokenSale)}>
+                    {contracts.tokenSale}
+                  </ExplorerLink>
                 </p>
+                {deployment && (
+                  <p className="text-sm">
+                    <span className="font-medium">Deployed by:</span>{' '}
+                    <ExplorerLink href={explorerAddressUrl(viewNetwork, deployment.deployer)}>
+                      {deployment.deployer}
+                    </ExplorerLink>
+                    {deployment.contracts.TokenSale?.blockNumber != null && (
+                      <> in block {deployment.contracts.TokenSale.blockNumber}</>
+                    )}
+                    {deployment.contracts.TokenSale?.transactionHash && (
+                      <>
+                        {' '}(
+                        <ExplorerLink href={explorerTxUrl(viewNetwork, deployment.contracts.TokenSale.transactionHash)}>
+                          tx
+                        </ExplorerLink>
+                        )
+                      </>
+                    )}
+                  </p>
+                )}
               </div>
             </div>
-          </div>
-        )}
+          )}
+        </div>
       </div>
+
+      {showWalletPicker && !account && (
+        <WalletPicker
+          connectors={connectors}
+          error={walletError}
+          onSelect={connectWallet}
+          onDismissError={() => setWalletError(null)}
+          onClose={() => setShowWalletPicker(false)}
+        />
+      )}
+
+      <TransactionToasts transactions={transactions} onDismiss={dismissTransaction} />
     </div>
   )
 }
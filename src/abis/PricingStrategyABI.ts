@@ -0,0 +1,24 @@
+// Generated by scripts/bindings.js from contracts/pricing/BondingCurve.sol:BondingCurve. Do not edit by hand:
+// run `npx hardhat bindings` after changing the contract.
+import { Contract } from 'ethers'
+import type { BaseContract, BigNumberish, ConstantContractMethod, ContractRunner } from 'ethers'
+
+export const PricingStrategyABI = [
+  "error InvalidSpread(uint256 spreadBps)",
+  "error SellExceedsSupply(uint256 supply, uint256 amount)",
+  "function buyCost(uint256 _supply, uint256 _amount) view returns (uint256)",
+  "function sellProceeds(uint256 _supply, uint256 _amount) view returns (uint256)",
+  "function spotPrice(uint256 _supply) view returns (uint256)",
+  "function spreadBps() view returns (uint256)"
+] as const;
+
+export interface PricingStrategyContract extends BaseContract {
+  buyCost: ConstantContractMethod<[supply: BigNumberish, amount: BigNumberish], bigint>;
+  sellProceeds: ConstantContractMethod<[supply: BigNumberish, amount: BigNumberish], bigint>;
+  spotPrice: ConstantContractMethod<[supply: BigNumberish], bigint>;
+  spreadBps: ConstantContractMethod<[], bigint>;
+  connect(runner: ContractRunner | null): PricingStrategyContract;
+}
+
+export const connectPricingStrategy = (address: string, runner: ContractRunner | null): PricingStrategyContract =>
+  new Contract(address, PricingStrategyABI, runner) as unknown as PricingStrategyContract
@@ -1,20 +1,143 @@
+// Generated by scripts/bindings.js from contracts/ERC20Token.sol:Token. Do not edit by hand:
+// run `npx hardhat bindings` after changing the contract.
+import { Contract } from 'ethers'
+import type { AddressLike, BaseContract, BigNumberish, BytesLike, ConstantContractMethod, ContractEvent, ContractMethod, ContractRunner, ContractTransactionResponse } from 'ethers'
+
 export const TokenABI = [
-  "function name() view returns (string)",
-  "function symbol() view returns (string)",
-  "function decimals() view returns (uint8)",
-  "function totalSupply() view returns (uint256)",
-  "function balanceOf(address owner) view returns (uint256)",
-  "function transfer(address to, uint256 amount) returns (bool)",
-  "function allowance(address owner, address spender) view returns (uint256)",
-  "function approve(address spender, uint256 amount) returns (bool)",
-  "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+  "constructor(string name, string symbol, uint256 maxSupply, address initalMinter, address initialDefaultAdmin, uint48 initialDelay)",
+  "error AccessControlBadConfirmation()",
+  "error AccessControlEnforcedDefaultAdminDelay(uint48 schedule)",
+  "error AccessControlEnforcedDefaultAdminRules()",
+  "error AccessControlInvalidDefaultAdmin(address defaultAdmin)",
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error ECDSAInvalidSignature()",
+  "error ECDSAInvalidSignatureLength(uint256 length)",
+  "error ECDSAInvalidSignatureS(bytes32 s)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InvalidApprover(address approver)",
+  "error ERC20InvalidReceiver(address receiver)",
+  "error ERC20InvalidSender(address sender)",
+  "error ERC20InvalidSpender(address spender)",
+  "error ERC2612ExpiredSignature(uint256 deadline)",
+  "error ERC2612InvalidSigner(address signer, address owner)",
+  "error EnforcedPause()",
+  "error ExpectedPause()",
+  "error InvalidAccountNonce(address account, uint256 currentNonce)",
+  "error InvalidShortString()",
+  "error MaxSupplyReached()",
+  "error SafeCastOverflowedUintDowncast(uint8 bits, uint256 value)",
+  "error StringTooLong(string str)",
+  "error ZeroAddress()",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  "event DefaultAdminDelayChangeCanceled()",
+  "event DefaultAdminDelayChangeScheduled(uint48 newDelay, uint48 effectSchedule)",
+  "event DefaultAdminTransferCanceled()",
+  "event DefaultAdminTransferScheduled(address indexed newAdmin, uint48 acceptSchedule)",
+  "event EIP712DomainChanged()",
+  "event Paused(address account)",
+  "event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Unpaused(address account)",
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
   "function MAX_SUPPLY() view returns (uint256)",
-  "function hasRole(bytes32 role, address account) view returns (bool)",
   "function MINTER_ROLE() view returns (bytes32)",
+  "function PAUSER_ROLE() view returns (bytes32)",
+  "function acceptDefaultAdminTransfer()",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 value) returns (bool)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function beginDefaultAdminTransfer(address newAdmin)",
+  "function cancelDefaultAdminTransfer()",
+  "function changeDefaultAdminDelay(uint48 newDelay)",
+  "function decimals() view returns (uint8)",
+  "function defaultAdmin() view returns (address)",
+  "function defaultAdminDelay() view returns (uint48)",
+  "function defaultAdminDelayIncreaseWait() view returns (uint48)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+  "function grantRole(bytes32 role, address account)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
   "function mint(address to, uint256 amount)",
+  "function name() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+  "function owner() view returns (address)",
   "function pause()",
-  "function unpause()",
   "function paused() view returns (bool)",
-  "event Transfer(address indexed from, address indexed to, uint256 value)",
-  "event Approval(address indexed owner, address indexed spender, uint256 value)"
-] as const;
\ No newline at end of file
+  "function pendingDefaultAdmin() view returns (address newAdmin, uint48 schedule)",
+  "function pendingDefaultAdminDelay() view returns (uint48 newDelay, uint48 schedule)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function renounceRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+  "function rollbackDefaultAdminDelay()",
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+  "function symbol() view returns (string)",
+  "function testPausable() view returns (bool)",
+  "function totalSupply() view returns (uint256)",
+  "function transfer(address to, uint256 value) returns (bool)",
+  "function transferFrom(address from, address to, uint256 value) returns (bool)",
+  "function unpause()"
+] as const;
+
+export interface TokenContract extends BaseContract {
+  acceptDefaultAdminTransfer: ContractMethod<[], void, ContractTransactionResponse>;
+  allowance: ConstantContractMethod<[owner: AddressLike, spender: AddressLike], bigint>;
+  approve: ContractMethod<[spender: AddressLike, value: BigNumberish], boolean, ContractTransactionResponse>;
+  balanceOf: ConstantContractMethod<[account: AddressLike], bigint>;
+  beginDefaultAdminTransfer: ContractMethod<[newAdmin: AddressLike], void, ContractTransactionResponse>;
+  cancelDefaultAdminTransfer: ContractMethod<[], void, ContractTransactionResponse>;
+  changeDefaultAdminDelay: ContractMethod<[newDelay: BigNumberish], void, ContractTransactionResponse>;
+  decimals: ConstantContractMethod<[], bigint>;
+  DEFAULT_ADMIN_ROLE: ConstantContractMethod<[], string>;
+  defaultAdmin: ConstantContractMethod<[], string>;
+  defaultAdminDelay: ConstantContractMethod<[], bigint>;
+  defaultAdminDelayIncreaseWait: ConstantContractMethod<[], bigint>;
+  DOMAIN_SEPARATOR: ConstantContractMethod<[], string>;
+  eip712Domain: ConstantContractMethod<[], [string, string, string, bigint, string, string, Array<bigint>] & { fields: string; name: string; version: string; chainId: bigint; verifyingContract: string; salt: string; extensions: Array<bigint> }>;
+  getRoleAdmin: ConstantContractMethod<[role: BytesLike], string>;
+  grantRole: ContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  hasRole: ConstantContractMethod<[role: BytesLike, account: AddressLike], boolean>;
+  MAX_SUPPLY: ConstantContractMethod<[], bigint>;
+  mint: ContractMethod<[to: AddressLike, amount: BigNumberish], void, ContractTransactionResponse>;
+  MINTER_ROLE: ConstantContractMethod<[], string>;
+  name: ConstantContractMethod<[], string>;
+  nonces: ConstantContractMethod<[owner: AddressLike], bigint>;
+  owner: ConstantContractMethod<[], string>;
+  pause: ContractMethod<[], void, ContractTransactionResponse>;
+  paused: ConstantContractMethod<[], boolean>;
+  PAUSER_ROLE: ConstantContractMethod<[], string>;
+  pendingDefaultAdmin: ConstantContractMethod<[], [string, bigint] & { newAdmin: string; schedule: bigint }>;
+  pendingDefaultAdminDelay: ConstantContractMethod<[], [bigint, bigint] & { newDelay: bigint; schedule: bigint }>;
+  permit: ContractMethod<[owner: AddressLike, spender: AddressLike, value: BigNumberish, deadline: BigNumberish, v: BigNumberish, r: BytesLike, s: BytesLike], void, ContractTransactionResponse>;
+  renounceRole: ContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  revokeRole: ContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  rollbackDefaultAdminDelay: ContractMethod<[], void, ContractTransactionResponse>;
+  supportsInterface: ConstantContractMethod<[interfaceId: BytesLike], boolean>;
+  symbol: ConstantContractMethod<[], string>;
+  testPausable: ConstantContractMethod<[], boolean>;
+  totalSupply: ConstantContractMethod<[], bigint>;
+  transfer: ContractMethod<[to: AddressLike, value: BigNumberish], boolean, ContractTransactionResponse>;
+  transferFrom: ContractMethod<[from: AddressLike, to: AddressLike, value: BigNumberish], boolean, ContractTransactionResponse>;
+  unpause: ContractMethod<[], void, ContractTransactionResponse>;
+  filters: {
+    Approval: ContractEvent<[owner: AddressLike, spender: AddressLike, value: BigNumberish]>;
+    DefaultAdminDelayChangeCanceled: ContractEvent<[]>;
+    DefaultAdminDelayChangeScheduled: ContractEvent<[newDelay: BigNumberish, effectSchedule: BigNumberish]>;
+    DefaultAdminTransferCanceled: ContractEvent<[]>;
+    DefaultAdminTransferScheduled: ContractEvent<[newAdmin: AddressLike, acceptSchedule: BigNumberish]>;
+    EIP712DomainChanged: ContractEvent<[]>;
+    Paused: ContractEvent<[account: AddressLike]>;
+    RoleAdminChanged: ContractEvent<[role: BytesLike, previousAdminRole: BytesLike, newAdminRole: BytesLike]>;
+    RoleGranted: ContractEvent<[role: BytesLike, account: AddressLike, sender: AddressLike]>;
+    RoleRevoked: ContractEvent<[role: BytesLike, account: AddressLike, sender: AddressLike]>;
+    Transfer: ContractEvent<[from: AddressLike, to: AddressLike, value: BigNumberish]>;
+    Unpaused: ContractEvent<[account: AddressLike]>;
+  };
+  connect(runner: ContractRunner | null): TokenContract;
+}
+
+export const connectToken = (address: string, runner: ContractRunner | null): TokenContract =>
+  new Contract(address, TokenABI, runner) as unknown as TokenContract
@@ -1,14 +1,151 @@
+// Generated by scripts/bindings.js from contracts/TokenSale.sol:TokenSale. Do not edit by hand:
+// run `npx hardhat bindings` after changing the contract.
+import { Contract } from 'ethers'
+import type { AddressLike, BaseContract, BigNumberish, BytesLike, ConstantContractMethod, ContractEvent, ContractMethod, ContractRunner, ContractTransactionResponse } from 'ethers'
+
 export const TokenSaleABI = [
-  "function token() view returns (address)",
-  "function buyPrice() view returns (uint256)",
-  "function sellPrice() view returns (uint256)",
-  "function owner() view returns (address)",
-  "function buyTokens() payable",
-  "function sellTokens(uint256 amount)",
-  "function withdrawEth()",
-  "function withdrawTokens(uint256 amount)",
+  "constructor(address _tokenAddress, uint256 _buyPrice, uint256 _sellPrice, address _pricingStrategy)",
+  "error AllocationExceeded(uint256 remaining)",
+  "error AllowlistOnly()",
+  "error BelowMinPurchase(uint256 amount, uint256 minPurchase)",
+  "error HardCapExceeded(uint256 remaining)",
+  "error InvalidPrices(uint256 buyPrice, uint256 sellPrice)",
+  "error InvalidProof()",
+  "error InvalidSalePhase()",
+  "error InvalidVesting()",
+  "error MaxSupplyReached()",
+  "error NoPayments()",
+  "error NoPendingPriceUpdate()",
+  "error OwnableInvalidOwner(address owner)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error PaymentFailed()",
+  "error PermitFailed()",
+  "error PriceUpdateNotReady(uint256 effectiveAt)",
+  "error PricingStrategyActive()",
+  "error ReentrancyGuardReentrantCall()",
+  "error SaleEnded(uint256 endTime)",
+  "error SaleNotStarted(uint256 startTime)",
+  "error SlippageExceeded(uint256 amountOut, uint256 minAmountOut)",
+  "error TradeExpired(uint256 deadline)",
+  "error WalletLimitExceeded(uint256 remaining)",
+  "error ZeroAmount()",
   "event BuyTokens(address indexed buyer, uint256 tokensBought)",
+  "event MerkleRootUpdated(bytes32 merkleRoot)",
+  "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event PaymentDeferred(address indexed payee, uint256 amount)",
+  "event PaymentWithdrawn(address indexed payee, uint256 amount)",
+  "event PriceUpdateCancelled(uint256 buyPrice, uint256 sellPrice)",
+  "event PriceUpdateScheduled(uint256 buyPrice, uint256 sellPrice, uint256 effectiveAt)",
+  "event PricesUpdated(uint256 oldBuyPrice, uint256 oldSellPrice, uint256 newBuyPrice, uint256 newSellPrice)",
+  "event RefundEth(address indexed buyer, uint256 amount)",
+  "event SaleClosed(uint256 closedAt)",
+  "event SalePhaseUpdated(uint256 startTime, uint256 endTime, uint256 hardCap, uint256 minPurchase, uint256 maxPurchase)",
   "event SellTokens(address indexed seller, uint256 tokensSold)",
+  "event VestingUpdated(address vesting)",
   "event WithdrawEth(address indexed withdrawer, uint256 amount)",
-  "event WithdrawTokens(address indexed withdrawer, uint256 amount)"
-] as const;
\ No newline at end of file
+  "event WithdrawTokens(address indexed withdrawer, uint256 amount)",
+  "fallback() payable",
+  "function PRICE_UPDATE_DELAY() view returns (uint256)",
+  "function acceptOwnership()",
+  "function buyPrice() view returns (uint256)",
+  "function buyTokens() payable",
+  "function buyTokensWithProof(uint256 _allocation, bytes32[] _proof, uint256 _minTokensOut, uint256 _deadline) payable",
+  "function buyTokensWithSlippage(uint256 _minTokensOut, uint256 _deadline) payable",
+  "function cancelPriceUpdate()",
+  "function circulatingSupply() view returns (uint256)",
+  "function closeSale()",
+  "function executePriceUpdate()",
+  "function merkleRoot() view returns (bytes32)",
+  "function owner() view returns (address)",
+  "function payments(address) view returns (uint256)",
+  "function pendingOwner() view returns (address)",
+  "function pendingPrices() view returns (uint256 buyPrice, uint256 sellPrice, uint256 effectiveAt)",
+  "function pricingStrategy() view returns (address)",
+  "function purchased(address) view returns (uint256)",
+  "function quoteBuy(uint256 _value) view returns (uint256 tokens, uint256 cost)",
+  "function quoteBuyCost(uint256 _amount) view returns (uint256)",
+  "function quoteSellProceeds(uint256 _amount) view returns (uint256)",
+  "function renounceOwnership()",
+  "function salePhase() view returns (uint256 startTime, uint256 endTime, uint256 hardCap, uint256 minPurchase, uint256 maxPurchase)",
+  "function schedulePriceUpdate(uint256 _buyPrice, uint256 _sellPrice)",
+  "function sellPrice() view returns (uint256)",
+  "function sellTokens(uint256 _amount)",
+  "function sellTokensWithPermit(uint256 _amount, uint256 _minEthOut, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s)",
+  "function sellTokensWithSlippage(uint256 _amount, uint256 _minEthOut, uint256 _deadline)",
+  "function setMerkleRoot(bytes32 _merkleRoot)",
+  "function setSalePhase(uint256 _startTime, uint256 _endTime, uint256 _hardCap, uint256 _minPurchase, uint256 _maxPurchase)",
+  "function setVesting(address _vesting)",
+  "function token() view returns (address)",
+  "function tokensSold() view returns (uint256)",
+  "function totalPayments() view returns (uint256)",
+  "function transferOwnership(address newOwner)",
+  "function vesting() view returns (address)",
+  "function withdrawEth()",
+  "function withdrawPayments()",
+  "function withdrawTokens(uint256 _amount)",
+  "receive() payable"
+] as const;
+
+export interface TokenSaleContract extends BaseContract {
+  acceptOwnership: ContractMethod<[], void, ContractTransactionResponse>;
+  buyPrice: ConstantContractMethod<[], bigint>;
+  buyTokens: ContractMethod<[], void, ContractTransactionResponse>;
+  buyTokensWithProof: ContractMethod<[allocation: BigNumberish, proof: Array<BytesLike>, minTokensOut: BigNumberish, deadline: BigNumberish], void, ContractTransactionResponse>;
+  buyTokensWithSlippage: ContractMethod<[minTokensOut: BigNumberish, deadline: BigNumberish], void, ContractTransactionResponse>;
+  cancelPriceUpdate: ContractMethod<[], void, ContractTransactionResponse>;
+  circulatingSupply: ConstantContractMethod<[], bigint>;
+  closeSale: ContractMethod<[], void, ContractTransactionResponse>;
+  executePriceUpdate: ContractMethod<[], void, ContractTransactionResponse>;
+  merkleRoot: ConstantContractMethod<[], string>;
+  owner: ConstantContractMethod<[], string>;
+  payments: ConstantContractMethod<[arg0: AddressLike], bigint>;
+  pendingOwner: ConstantContractMethod<[], string>;
+  pendingPrices: ConstantContractMethod<[], [bigint, bigint, bigint] & { buyPrice: bigint; sellPrice: bigint; effectiveAt: bigint }>;
+  PRICE_UPDATE_DELAY: ConstantContractMethod<[], bigint>;
+  pricingStrategy: ConstantContractMethod<[], string>;
+  purchased: ConstantContractMethod<[arg0: AddressLike], bigint>;
+  quoteBuy: ConstantContractMethod<[value: BigNumberish], [bigint, bigint] & { tokens: bigint; cost: bigint }>;
+  quoteBuyCost: ConstantContractMethod<[amount: BigNumberish], bigint>;
+  quoteSellProceeds: ConstantContractMethod<[amount: BigNumberish], bigint>;
+  renounceOwnership: ContractMethod<[], void, ContractTransactionResponse>;
+  salePhase: ConstantContractMethod<[], [bigint, bigint, bigint, bigint, bigint] & { startTime: bigint; endTime: bigint; hardCap: bigint; minPurchase: bigint; maxPurchase: bigint }>;
+  schedulePriceUpdate: ContractMethod<[buyPrice: BigNumberish, sellPrice: BigNumberish], void, ContractTransactionResponse>;
+  sellPrice: ConstantContractMethod<[], bigint>;
+  sellTokens: ContractMethod<[amount: BigNumberish], void, ContractTransactionResponse>;
+  sellTokensWithPermit: ContractMethod<[amount: BigNumberish, minEthOut: BigNumberish, deadline: BigNumberish, v: BigNumberish, r: BytesLike, s: BytesLike], void, ContractTransactionResponse>;
+  sellTokensWithSlippage: ContractMethod<[amount: BigNumberish, minEthOut: BigNumberish, deadline: BigNumberish], void, ContractTransactionResponse>;
+  setMerkleRoot: ContractMethod<[merkleRoot: BytesLike], void, ContractTransactionResponse>;
+  setSalePhase: ContractMethod<[startTime: BigNumberish, endTime: BigNumberish, hardCap: BigNumberish, minPurchase: BigNumberish, maxPurchase: BigNumberish], void, ContractTransactionResponse>;
+  setVesting: ContractMethod<[vesting: AddressLike], void, ContractTransactionResponse>;
+  token: ConstantContractMethod<[], string>;
+  tokensSold: ConstantContractMethod<[], bigint>;
+  totalPayments: ConstantContractMethod<[], bigint>;
+  transferOwnership: ContractMethod<[newOwner: AddressLike], void, ContractTransactionResponse>;
+  vesting: ConstantContractMethod<[], string>;
+  withdrawEth: ContractMethod<[], void, ContractTransactionResponse>;
+  withdrawPayments: ContractMethod<[], void, ContractTransactionResponse>;
+  withdrawTokens: ContractMethod<[amount: BigNumberish], void, ContractTransactionResponse>;
+  filters: {
+    BuyTokens: ContractEvent<[buyer: AddressLike, tokensBought: BigNumberish]>;
+    MerkleRootUpdated: ContractEvent<[merkleRoot: BytesLike]>;
+    OwnershipTransferred: ContractEvent<[previousOwner: AddressLike, newOwner: AddressLike]>;
+    OwnershipTransferStarted: ContractEvent<[previousOwner: AddressLike, newOwner: AddressLike]>;
+    PaymentDeferred: ContractEvent<[payee: AddressLike, amount: BigNumberish]>;
+    PaymentWithdrawn: ContractEvent<[payee: AddressLike, amount: BigNumberish]>;
+    PricesUpdated: ContractEvent<[oldBuyPrice: BigNumberish, oldSellPrice: BigNumberish, newBuyPrice: BigNumberish, newSellPrice: BigNumberish]>;
+    PriceUpdateCancelled: ContractEvent<[buyPrice: BigNumberish, sellPrice: BigNumberish]>;
+    PriceUpdateScheduled: ContractEvent<[buyPrice: BigNumberish, sellPrice: BigNumberish, effectiveAt: BigNumberish]>;
+    RefundEth: ContractEvent<[buyer: AddressLike, amount: BigNumberish]>;
+    SaleClosed: ContractEvent<[closedAt: BigNumberish]>;
+    SalePhaseUpdated: ContractEvent<[startTime: BigNumberish, endTime: BigNumberish, hardCap: BigNumberish, minPurchase: BigNumberish, maxPurchase: BigNumberish]>;
+    SellTokens: ContractEvent<[seller: AddressLike, tokensSold: BigNumberish]>;
+    VestingUpdated: ContractEvent<[vesting: AddressLike]>;
+    WithdrawEth: ContractEvent<[withdrawer: AddressLike, amount: BigNumberish]>;
+    WithdrawTokens: ContractEvent<[withdrawer: AddressLike, amount: BigNumberish]>;
+  };
+  connect(runner: ContractRunner | null): TokenSaleContract;
+}
+
+export const connectTokenSale = (address: string, runner: ContractRunner | null): TokenSaleContract =>
+  new Contract(address, TokenSaleABI, runner) as unknown as TokenSaleContract
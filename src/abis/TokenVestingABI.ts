@@ -0,0 +1,49 @@
+// Generated by scripts/bindings.js from contracts/TokenVesting.sol:TokenVesting. Do not edit by hand:
+// run `npx hardhat bindings` after changing the contract.
+import { Contract } from 'ethers'
+import type { AddressLike, BaseContract, BigNumberish, ConstantContractMethod, ContractEvent, ContractMethod, ContractRunner, ContractTransactionResponse } from 'ethers'
+
+export const TokenVestingABI = [
+  "constructor(address _tokenAddress, address _sale, uint256 _startTime, uint256 _cliff, uint256 _duration)",
+  "error InvalidSchedule()",
+  "error NotSale()",
+  "error NothingToClaim()",
+  "error TokensNotReceived()",
+  "event TokensClaimed(address indexed beneficiary, uint256 amount)",
+  "event TokensLocked(address indexed beneficiary, uint256 amount)",
+  "function allocated(address) view returns (uint256)",
+  "function claim()",
+  "function claimable(address _beneficiary) view returns (uint256)",
+  "function cliff() view returns (uint256)",
+  "function duration() view returns (uint256)",
+  "function lock(address _beneficiary, uint256 _amount)",
+  "function released(address) view returns (uint256)",
+  "function sale() view returns (address)",
+  "function startTime() view returns (uint256)",
+  "function token() view returns (address)",
+  "function totalLocked() view returns (uint256)",
+  "function vestedAmount(address _beneficiary, uint256 _timestamp) view returns (uint256)"
+] as const;
+
+export interface TokenVestingContract extends BaseContract {
+  allocated: ConstantContractMethod<[arg0: AddressLike], bigint>;
+  claim: ContractMethod<[], void, ContractTransactionResponse>;
+  claimable: ConstantContractMethod<[beneficiary: AddressLike], bigint>;
+  cliff: ConstantContractMethod<[], bigint>;
+  duration: ConstantContractMethod<[], bigint>;
+  lock: ContractMethod<[beneficiary: AddressLike, amount: BigNumberish], void, ContractTransactionResponse>;
+  released: ConstantContractMethod<[arg0: AddressLike], bigint>;
+  sale: ConstantContractMethod<[], string>;
+  startTime: ConstantContractMethod<[], bigint>;
+  token: ConstantContractMethod<[], string>;
+  totalLocked: ConstantContractMethod<[], bigint>;
+  vestedAmount: ConstantContractMethod<[beneficiary: AddressLike, timestamp: BigNumberish], bigint>;
+  filters: {
+    TokensClaimed: ContractEvent<[beneficiary: AddressLike, amount: BigNumberish]>;
+    TokensLocked: ContractEvent<[beneficiary: AddressLike, amount: BigNumberish]>;
+  };
+  connect(runner: ContractRunner | null): TokenVestingContract;
+}
+
+export const connectTokenVesting = (address: string, runner: ContractRunner | null): TokenVestingContract =>
+  new Contract(address, TokenVestingABI, runner) as unknown as TokenVestingContract
@@ -0,0 +1,217 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { ethers } from 'ethers'
+import { connectTokenSale } from '../abis/TokenSaleABI'
+import { explorerAddressUrl, explorerTxUrl, type NetworkConfig } from '../contract_address'
+import {
+  ACTIVITY_EVENTS,
+  RECENT_BLOCKS,
+  attachTimestamps,
+  loadActivityPage,
+  mergeActivity,
+  toActivityItem,
+  type ActivityItem,
+  type ActivityKind,
+  type ActivityPrices
+} from '../lib/activity'
+import { translateError, type AppError } from '../lib/errors'
+import ExplorerLink from './ExplorerLink'
+import ErrorNotice from './ErrorNotice'
+
+type FeedView = 'mine' | 'all'
+
+interface ActivityFeedProps {
+  // Empty until a wallet connects, when only recent trades are shown
+  account: string;
+  provider: ethers.Provider;
+  network: NetworkConfig;
+  tokenSale: string;
+  buyPrice: bigint;
+  sellPrice: bigint;
+  // Trades on a curve-priced sale can't be valued from the event alone
+  pricedByCurve: boolean;
+  // Block the sale was deployed in; scanning stops there. Without it only the
+  // last RECENT_BLOCKS blocks are scanned.
+  startBlock?: number;
+}
+
+const KIND_LABELS: Record<ActivityKind, string> = {
+  buy: 'Buy',
+  sell: 'Sell',
+  withdrawEth: 'Withdraw ETH',
+  withdrawTokens: 'Withdraw MTK'
+}
+
+const KIND_CLASSES: Record<ActivityKind, string> = {
+  buy: 'bg-green-100 text-green-800',
+  sell: 'bg-red-100 text-red-800',
+  withdrawEth: 'bg-indigo-100 text-indigo-800',
+  withdrawTokens: 'bg-indigo-100 text-indigo-800'
+}
+
+const shortAddress = (address: string) => `${address.slice(0, 6)}...${address.slice(-4)}`
+
+function ActivityFeed({ account, provider, network, tokenSale, buyPrice, sellPrice, pricedByCurve, startBlock }: ActivityFeedProps) {
+  const [view, setView] = useState<FeedView>('mine')
+  const [items, setItems] = useState<ActivityItem[]>([])
+  const [cursor, setCursor] = useState<number | null>(null)
+  // Prices in effect at the cursor, which differ from the current ones once the scan passes a price update
+  const [cursorPrices, setCursorPrices] = useState<ActivityPrices | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<AppError | null>(null)
+  const timestamps = useRef(new Map<number, number>())
+  // Lowest block to scan, fixed when the newest page loads
+  const floorBlock = useRef(0)
+  // Bumped whenever the feed is reset so late pages from an old view are dropped
+  const feedId = useRef(0)
+
+  // Visitors without a wallet only have recent trades to look at
+  const activeView: FeedView = account ? view : 'all'
+  const filterAccount = activeView === 'mine' ? account : undefined
+
+  const currentPrices = useMemo(
+    (): ActivityPrices | null => (pricedByCurve ? null : { buyPrice, sellPrice }),
+    [buyPrice, sellPrice, pricedByCurve]
+  )
+
+  const loadPage = useCallback(async (toBlock: number | null, prices: ActivityPrices | null, id: number) => {
+    const contract = connectTokenSale(tokenSale, provider)
+
+    try {
+      setLoading(true)
+      setError(null)
+      const headBlock = toBlock ?? await provider.getBlockNumber()
+      if (toBlock === null) floorBlock.current = startBlock ?? Math.max(0, headBlock - RECENT_BLOCKS + 1)
+      const page = await loadActivityPage(contract, toBlock === null ? currentPrices : prices, {
+        account: filterAccount,
+        fromBlock: floorBlock.current,
+        toBlock: headBlock
+      })
+      const withTimes = await attachTimestamps(provider, page.items, timestamps.current)
+      if (id !== feedId.current) return
+
+      setItems((current) => mergeActivity(current, withTimes))
+      setCursor(page.cursor)
+      setCursorPrices(page.prices)
+    } catch (err: unknown) {
+      if (id === feedId.current) setError(translateError(err))
+    } finally {
+      if (id === feedId.current) setLoading(false)
+    }
+  }, [provider, tokenSale, currentPrices, startBlock, filterAccount])
+
+  // Reset and load the newest page whenever the view or its inputs change
+  useEffect(() => {
+    const id = ++feedId.current
+    setItems([])
+    setCursor(null)
+    setCursorPrices(null)
+    loadPage(null, null, id)
+  }, [loadPage])
+
+  // Prepend new events as they arrive
+  useEffect(() => {
+    const contract = connectTokenSale(tokenSale, provider)
+    let cancelled = false
+
+    const onEvent = async (...args: unknown[]) => {
+      const payload = args[args.length - 1] as ethers.ContractEventPayload
+      const item = toActivityItem(payload.log, currentPrices)
+      if (!item) return
+
+      // If its block can't be read, the item is still shown by block number
+      const [withTime] = await attachTimestamps(provider, [item], timestamps.current).catch(() => [item])
+      if (!cancelled) setItems((current) => mergeActivity(current, [withTime]))
+    }
+
+    const filters = Object.keys(ACTIVITY_EVENTS).map((name) => contract.getEvent(name)(filterAccount ?? null))
+    filters.forEach((filter) => { contract.on(filter, onEvent) })
+    return () => {
+      cancelled = true
+      contract.removeAllListeners()
+    }
+  }, [provider, tokenSale, currentPrices, filterAccount])
+
+  const tabClass = (tab: FeedView) =>
+    `px-3 py-1 rounded-md text-sm font-medium ${activeView === tab ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Activity</h3>
+        <div className="flex gap-2">
+          {account && <button onClick={() => setView('mine')} className={tabClass('mine')}>My Activity</button>}
+          <button onClick={() => setView('all')} className={tabClass('all')}>Recent Trades</button>
+        </div>
+      </div>
+
+      {items.length === 0 && !loading && !error && (
+        <p className="text-sm text-gray-500">No activity yet.</p>
+      )}
+
+      {items.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-4 font-medium">Type</th>
+                {activeView === 'all' && <th className="py-2 pr-4 font-medium">Account</th>}
+                <th className="py-2 pr-4 font-medium">MTK</th>
+                <th className="py-2 pr-4 font-medium">ETH</th>
+                <th className="py-2 pr-4 font-medium">Time</th>
+                <th className="py-2 font-medium">Tx</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item) => (
+                <tr key={item.id} className="border-b last:border-0">
+                  <td className="py-2 pr-4">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${KIND_CLASSES[item.kind]}`}>
+                      {KIND_LABELS[item.kind]}
+                    </span>
+                  </td>
+                  {activeView === 'all' && (
+                    <td className="py-2 pr-4">
+                      <ExplorerLink href={explorerAddressUrl(network, item.account)}>
+                        {shortAddress(item.account)}
+                      </ExplorerLink>
+                    </td>
+                  )}
+                  <td className="py-2 pr-4">{item.tokens > 0n ? ethers.formatEther(item.tokens) : '-'}</td>
+                  <td className="py-2 pr-4">{item.eth ? ethers.formatEther(item.eth) : '-'}</td>
+                  <td className="py-2 pr-4 text-gray-600">
+                    {item.timestamp !== null ? new Date(item.timestamp * 1000).toLocaleString() : `Block ${item.blockNumber}`}
+                  </td>
+                  <td className="py-2">
+                    <ExplorerLink href={explorerTxUrl(network, item.transactionHash)}>
+                      {shortAddress(item.transactionHash)}
+                    </ExplorerLink>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {cursor !== null && (
+        <button
+          onClick={() => loadPage(cursor, cursorPrices, feedId.current)}
+          disabled={loading}
+          className="mt-4 text-sm text-blue-600 hover:underline disabled:text-gray-400"
+        >
+          {loading ? 'Loading...' : `Load older (before block ${cursor + 1})`}
+        </button>
+      )}
+      {cursor === null && loading && <p className="text-sm text-gray-500 mt-4">Loading...</p>}
+      {cursor === null && !loading && startBlock === undefined && (
+        <p className="text-sm text-gray-500 mt-4">
+          Only the last {RECENT_BLOCKS.toLocaleString()} blocks are shown for this network.
+        </p>
+      )}
+
+      <ErrorNotice error={error} onDismiss={() => setError(null)} className="mt-4" />
+    </div>
+  )
+}
+
+export default ActivityFeed
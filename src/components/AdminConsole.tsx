@@ -0,0 +1,567 @@
+import { useState, useEffect, useCallback } from 'react'
+import { ethers } from 'ethers'
+import { connectToken } from '../abis/TokenABI'
+import { connectTokenSale } from '../abis/TokenSaleABI'
+import type { ContractAddresses } from '../contract_address'
+import { parseTokenAmount } from '../lib/quote'
+import { formatEffectiveAt, isPriceUpdateReady, readPendingPrices, type PendingPrices } from '../lib/prices'
+import { phaseStatus, readSalePhase, type SalePhase } from '../lib/phase'
+import { readMerkleRoot } from '../lib/allowlist'
+import { loadAllowlist } from '../lib/allowlists'
+import { readPayments } from '../lib/payments'
+import { translateError, type AppError } from '../lib/errors'
+import type { TrackTransaction } from '../hooks/useTransactions'
+import ErrorNotice from './ErrorNotice'
+
+interface AdminState {
+  owner: string;
+  pendingOwner: string;
+  isAdmin: boolean;
+  isPauser: boolean;
+  paused: boolean;
+  // ETH the owner can withdraw; what is owed through withdrawPayments stays behind
+  ethReserve: bigint;
+  tokenReserve: bigint;
+  roles: Record<ManagedRole, string>;
+  buyPrice: bigint;
+  sellPrice: bigint;
+  pendingPrices: PendingPrices | null;
+  // Seconds between scheduling and executing a price change; null on sales with fixed prices
+  priceUpdateDelay: bigint | null;
+  // null on sales without sale phases
+  phase: SalePhase | null;
+  // Root of the running allowlist phase; null when there is none or the sale predates allowlists
+  merkleRoot: string | null;
+  // Contract purchases are locked in; null when they go straight to buyers or the sale predates vesting
+  vesting: string | null;
+}
+
+// Roles the default admin can hand out. DEFAULT_ADMIN_ROLE itself can only move
+// through the delayed beginDefaultAdminTransfer flow, so it isn't offered here.
+type ManagedRole = 'MINTER_ROLE' | 'PAUSER_ROLE'
+const MANAGED_ROLES: ManagedRole[] = ['MINTER_ROLE', 'PAUSER_ROLE']
+
+interface AdminConsoleProps {
+  account: string;
+  provider: ethers.BrowserProvider;
+  signer: ethers.JsonRpcSigner;
+  contracts: ContractAddresses;
+  adjustablePrices: boolean;
+  salePhases: boolean;
+  allowlist: boolean;
+  vesting: boolean;
+  track: TrackTransaction;
+  onChanged: () => void;
+}
+
+const sameAddress = (a: string, b: string) => a.toLowerCase() === b.toLowerCase()
+
+// Shown in the transaction tracker for each action key
+const ACTION_LABELS: Record<string, string> = {
+  withdrawEth: 'Withdraw ETH',
+  withdrawTokens: 'Withdraw tokens',
+  schedulePriceUpdate: 'Schedule price change',
+  executePriceUpdate: 'Apply price change',
+  cancelPriceUpdate: 'Cancel price change',
+  closeSale: 'Close sale',
+  setMerkleRoot: 'Set allowlist',
+  clearMerkleRoot: 'End allowlist phase',
+  setVesting: 'Set vesting',
+  clearVesting: 'Turn off vesting',
+  pause: 'Pause or unpause token',
+  grantRole: 'Grant role',
+  revokeRole: 'Revoke role',
+  transferOwnership: 'Transfer ownership',
+  acceptOwnership: 'Accept ownership'
+}
+
+function AdminConsole({ account, provider, signer, contracts, adjustablePrices, salePhases, allowlist, vesting, track, onChanged }: AdminConsoleProps) {
+  const [state, setState] = useState<AdminState | null>(null)
+  const [withdrawAmount, setWithdrawAmount] = useState('')
+  const [newOwner, setNewOwner] = useState('')
+  const [newBuyPrice, setNewBuyPrice] = useState('')
+  const [newSellPrice, setNewSellPrice] = useState('')
+  const [newMerkleRoot, setNewMerkleRoot] = useState('')
+  const [newRootPublished, setNewRootPublished] = useState<boolean | null>(null)
+  const [newVesting, setNewVesting] = useState('')
+  const [roleAccount, setRoleAccount] = useState('')
+  const [role, setRole] = useState<ManagedRole>('MINTER_ROLE')
+  const [roleHolder, setRoleHolder] = useState<boolean | null>(null)
+  const [busy, setBusy] = useState('')
+  const [error, setError] = useState<AppError | null>(null)
+
+  const loadAdminState = useCallback(async () => {
+    const token = connectToken(contracts.token, provider)
+    const tokenSale = connectTokenSale(contracts.tokenSale, provider)
+
+    try {
+      const [defaultAdminRole, minterRole, pauserRole] = await Promise.all([
+        token.DEFAULT_ADMIN_ROLE(),
+        token.MINTER_ROLE(),
+        token.PAUSER_ROLE()
+      ])
+      const [owner, pendingOwner, isAdmin, isPauser, paused, ethBalance, tokenReserve, payments] = await Promise.all([
+        tokenSale.owner(),
+        tokenSale.pendingOwner(),
+        token.hasRole(defaultAdminRole, account),
+        token.hasRole(pauserRole, account),
+        token.paused(),
+        provider.getBalance(contracts.tokenSale),
+        token.balanceOf(contracts.tokenSale),
+        readPayments(tokenSale, account)
+      ])
+      const [buyPrice, sellPrice, pendingPrices, priceUpdateDelay, phase, merkleRoot, vestingAddress] = await Promise.all([
+        tokenSale.buyPrice(),
+        tokenSale.sellPrice(),
+        readPendingPrices(tokenSale),
+        adjustablePrices ? tokenSale.PRICE_UPDATE_DELAY() : null,
+        salePhases ? readSalePhase(tokenSale, account) : null,
+        allowlist ? readMerkleRoot(tokenSale) : null,
+        vesting ? tokenSale.vesting() : null
+      ])
+
+      setState({
+        owner,
+        pendingOwner,
+        isAdmin,
+        isPauser,
+        paused,
+        ethReserve: ethBalance - (payments?.totalOwed ?? 0n),
+        tokenReserve,
+        roles: { MINTER_ROLE: minterRole, PAUSER_ROLE: pauserRole },
+        buyPrice,
+        sellPrice,
+        pendingPrices,
+        priceUpdateDelay,
+        phase,
+        merkleRoot,
+        vesting: vestingAddress === ethers.ZeroAddress ? null : vestingAddress
+      })
+    } catch (err: unknown) {
+      setError(translateError(err))
+    }
+  }, [account, provider, contracts, adjustablePrices, salePhases, allowlist, vesting])
+
+  useEffect(() => {
+    loadAdminState()
+
+    const onBlock = () => { loadAdminState() }
+    provider.on('block', onBlock)
+    return () => { provider.off('block', onBlock) }
+  }, [provider, loadAdminState])
+
+  // Look up whether the address in the role form already holds the selected role
+  useEffect(() => {
+    setRoleHolder(null)
+    if (!state || !ethers.isAddress(roleAccount)) return
+
+    let cancelled = false
+    const token = connectToken(contracts.token, provider)
+    token.hasRole(state.roles[role], roleAccount)
+      .then((held: boolean) => {
+        if (!cancelled) setRoleHolder(held)
+      })
+      .catch((err: unknown) => { if (!cancelled) setError(translateError(err)) })
+    return () => { cancelled = true }
+  }, [state, role, roleAccount, contracts, provider])
+
+  // Warn before starting a round buyers can't get proofs for in this app
+  useEffect(() => {
+    setNewRootPublished(null)
+    if (!ethers.isHexString(newMerkleRoot, 32)) return
+
+    let cancelled = false
+    loadAllowlist(newMerkleRoot)
+      .then((file) => {
+        if (!cancelled) setNewRootPublished(!!file)
+      })
+      .catch((err: unknown) => { if (!cancelled) setError(translateError(err)) })
+    return () => { cancelled = true }
+  }, [newMerkleRoot])
+
+  if (!state) return null
+
+  const isOwner = sameAddress(state.owner, account)
+  const isPendingOwner = sameAddress(state.pendingOwner, account)
+  if (!isOwner && !isPendingOwner && !state.isAdmin && !state.isPauser) return null
+
+  // Ask for confirmation, send the transaction and wait for it to be mined
+  const runAction = async (key: string, confirmation: string, send: () => Promise<ethers.ContractTransactionResponse>) => {
+    if (!window.confirm(confirmation)) return
+
+    try {
+      setBusy(key)
+      setError(null)
+      await track(ACTION_LABELS[key] ?? key, send)
+      await loadAdminState()
+      onChanged()
+    } catch (err: unknown) {
+      setError(translateError(err))
+    } finally {
+      setBusy('')
+    }
+  }
+
+  const token = connectToken(contracts.token, signer)
+  const tokenSale = connectTokenSale(contracts.tokenSale, signer)
+  const withdrawAmountWei = parseTokenAmount(withdrawAmount)
+  const hasPendingOwner = state.pendingOwner !== ethers.ZeroAddress
+
+  // New prices must keep the contract's invariant: buy > 0 and sell <= buy
+  const newBuyPriceWei = parseTokenAmount(newBuyPrice)
+  const newSellPriceWei = parseTokenAmount(newSellPrice)
+  let priceError = ''
+  if (newBuyPriceWei === 0n) priceError = 'Buy price must be greater than zero'
+  else if (newBuyPriceWei !== null && newSellPriceWei !== null && newSellPriceWei > newBuyPriceWei) {
+    priceError = 'Sell price must not exceed buy price'
+  }
+  const delayHours = state.priceUpdateDelay !== null ? Number(state.priceUpdateDelay) / 3600 : 0
+
+  const buttonClass = 'bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white font-semibold py-2 px-4 rounded-lg transition-colors'
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500'
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 border-2 border-indigo-200">
+      <h2 className="text-xl font-semibold mb-1">Admin Console</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {[
+          isOwner && 'Sale owner',
+          isPendingOwner && 'Pending sale owner',
+          state.isAdmin && 'Token admin',
+          state.isPauser && 'Pauser'
+        ].filter(Boolean).join(' · ')}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <p className="text-gray-600"><span className="font-medium">Sale ETH Reserve:</span> {ethers.formatEther(state.ethReserve)} ETH</p>
+        <p className="text-gray-600"><span className="font-medium">Sale Token Reserve:</span> {ethers.formatEther(state.tokenReserve)} MTK</p>
+        <p className="text-gray-600"><span className="font-medium">Owner:</span> {state.owner}</p>
+        {hasPendingOwner && (
+          <p className="text-gray-600"><span className="font-medium">Pending Owner:</span> {state.pendingOwner}</p>
+        )}
+      </div>
+
+      <div className="space-y-6">
+        {/* Withdrawals */}
+        {isOwner && (
+          <div>
+            <h3 className="font-semibold mb-2">Withdraw Reserves</h3>
+            <div className="flex flex-col md:flex-row gap-2">
+              <button
+                onClick={() => runAction('withdrawEth', `Withdraw ${ethers.formatEther(state.ethReserve)} ETH to ${state.owner}?`, () => tokenSale.withdrawEth())}
+                disabled={!!busy || state.ethReserve === 0n}
+                className={buttonClass}
+              >
+                {busy === 'withdrawEth' ? 'Processing...' : 'Withdraw All ETH'}
+              </button>
+              <input
+                type="text"
+                value={withdrawAmount}
+                onChange={(e) => setWithdrawAmount(e.target.value)}
+                placeholder="MTK amount"
+                className={inputClass}
+              />
+              <button
+                onClick={() => setWithdrawAmount(ethers.formatEther(state.tokenReserve))}
+                className="text-xs text-indigo-700 hover:underline whitespace-nowrap"
+              >
+                Max
+              </button>
+              <button
+                onClick={() => withdrawAmountWei && runAction('withdrawTokens', `Withdraw ${withdrawAmount} MTK to ${state.owner}?`, () => tokenSale.withdrawTokens(withdrawAmountWei))}
+                disabled={!!busy || !withdrawAmountWei || withdrawAmountWei > state.tokenReserve}
+                className={buttonClass}
+              >
+                {busy === 'withdrawTokens' ? 'Processing...' : 'Withdraw Tokens'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Prices */}
+        {isOwner && state.priceUpdateDelay !== null && (
+          <div>
+            <h3 className="font-semibold mb-2">Sale Prices</h3>
+            <p className="text-sm text-gray-600 mb-2">
+              Current prices: buy {ethers.formatEther(state.buyPrice)} ETH, sell {ethers.formatEther(state.sellPrice)} ETH.
+              New prices can be executed {delayHours} hours after they are scheduled.
+            </p>
+            {state.pendingPrices && (
+              <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mb-2">
+                <p className="text-sm text-blue-900">
+                  Scheduled: buy {ethers.formatEther(state.pendingPrices.buyPrice)} ETH, sell {ethers.formatEther(state.pendingPrices.sellPrice)} ETH,
+                  executable from {formatEffectiveAt(state.pendingPrices)}
+                </p>
+                <div className="flex gap-2 mt-2">
+                  <button
+                    onClick={() => runAction('executePriceUpdate', 'Apply the scheduled prices now?', () => tokenSale.executePriceUpdate())}
+                    disabled={!!busy || !isPriceUpdateReady(state.pendingPrices)}
+                    className={buttonClass}
+                  >
+                    {busy === 'executePriceUpdate' ? 'Processing...' : 'Execute'}
+                  </button>
+                  <button
+                    onClick={() => runAction('cancelPriceUpdate', 'Cancel the scheduled price change?', () => tokenSale.cancelPriceUpdate())}
+                    disabled={!!busy}
+                    className={buttonClass}
+                  >
+                    {busy === 'cancelPriceUpdate' ? 'Processing...' : 'Cancel'}
+                  </button>
+                </div>
+              </div>
+            )}
+            <div className="flex flex-col md:flex-row gap-2">
+              <input
+                type="text"
+                value={newBuyPrice}
+                onChange={(e) => setNewBuyPrice(e.target.value)}
+                placeholder="Buy price (ETH)"
+                className={inputClass}
+              />
+              <input
+                type="text"
+                value={newSellPrice}
+                onChange={(e) => setNewSellPrice(e.target.value)}
+                placeholder="Sell price (ETH)"
+                className={inputClass}
+              />
+              <button
+                onClick={() => newBuyPriceWei !== null && newSellPriceWei !== null && runAction(
+                  'schedulePriceUpdate',
+                  `Schedule buy ${newBuyPrice} ETH / sell ${newSellPrice} ETH? ${state.pendingPrices ? 'This replaces the pending change and restarts the delay.' : `It can be executed in ${delayHours} hours.`}`,
+                  () => tokenSale.schedulePriceUpdate(newBuyPriceWei, newSellPriceWei)
+                )}
+                disabled={!!busy || newBuyPriceWei === null || newSellPriceWei === null || !!priceError}
+                className={buttonClass}
+              >
+                {busy === 'schedulePriceUpdate' ? 'Processing...' : 'Schedule'}
+              </button>
+            </div>
+            {priceError && <p className="text-sm text-amber-700 mt-1">{priceError}</p>}
+          </div>
+        )}
+
+        {/* Sale Window */}
+        {isOwner && state.phase && (
+          <div>
+            <h3 className="font-semibold mb-2">Sale Window</h3>
+            <p className="text-sm text-gray-600 mb-2">
+              {phaseStatus(state.phase) === 'ended'
+                ? `Buying closed ${new Date(state.phase.endTime * 1000).toLocaleString()}.`
+                : state.phase.endTime !== 0
+                  ? `Buying closes ${new Date(state.phase.endTime * 1000).toLocaleString()}.`
+                  : 'Buying has no end time.'}
+              {' '}Selling back stays open either way.
+            </p>
+            <button
+              onClick={() => runAction('closeSale', 'Close the sale now? Buying stops immediately and can only reopen with a new sale phase.', () => tokenSale.closeSale())}
+              disabled={!!busy || phaseStatus(state.phase) === 'ended'}
+              className={buttonClass}
+            >
+              {busy === 'closeSale' ? 'Processing...' : 'Close Sale Now'}
+            </button>
+          </div>
+        )}
+
+        {/* Allowlist */}
+        {isOwner && allowlist && (
+          <div>
+            <h3 className="font-semibold mb-2">Allowlist Phase</h3>
+            <p className="text-sm text-gray-600 mb-2">
+              {state.merkleRoot
+                ? <>Only allowlisted addresses can buy, up to their allocation. Root: <span className="font-mono break-all">{state.merkleRoot}</span></>
+                : 'No allowlist phase is running; anyone can buy.'}
+            </p>
+            <div className="flex flex-col md:flex-row gap-2">
+              <input
+                type="text"
+                value={newMerkleRoot}
+                onChange={(e) => setNewMerkleRoot(e.target.value)}
+                placeholder="0x Merkle root from scripts/allowlist.js"
+                className={inputClass}
+              />
+              <button
+                onClick={() => runAction(
+                  'setMerkleRoot',
+                  `${state.merkleRoot ? 'Replace the allowlist' : 'Start an allowlist phase'} with root ${newMerkleRoot}? Plain buys stop until the root is cleared.`,
+                  () => tokenSale.setMerkleRoot(newMerkleRoot)
+                )}
+                disabled={!!busy || !ethers.isHexString(newMerkleRoot, 32) || newMerkleRoot === ethers.ZeroHash}
+                className={buttonClass}
+              >
+                {busy === 'setMerkleRoot' ? 'Processing...' : 'Set Root'}
+              </button>
+              {state.merkleRoot && (
+                <button
+                  onClick={() => runAction('clearMerkleRoot', 'End the allowlist phase? Anyone will be able to buy.', () => tokenSale.setMerkleRoot(ethers.ZeroHash))}
+                  disabled={!!busy}
+                  className={buttonClass}
+                >
+                  {busy === 'clearMerkleRoot' ? 'Processing...' : 'Open Public Sale'}
+                </button>
+              )}
+            </div>
+            {newRootPublished === false && (
+              <p className="text-sm text-amber-700 mt-1">
+                No allowlist with this root ships with the app, so buyers won't get their proofs attached.
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Vesting */}
+        {isOwner && vesting && (
+          <div>
+            <h3 className="font-semibold mb-2">Purchase Vesting</h3>
+            <p className="text-sm text-gray-600 mb-2">
+              {state.vesting
+                ? <>Purchases are locked in <span className="font-mono break-all">{state.vesting}</span>.</>
+                : 'Purchases go straight to buyers.'}
+              {' '}Tokens already locked keep vesting either way.
+            </p>
+            <div className="flex flex-col md:flex-row gap-2">
+              <input
+                type="text"
+                value={newVesting}
+                onChange={(e) => setNewVesting(e.target.value)}
+                placeholder="0x TokenVesting deployed for this sale"
+                className={inputClass}
+              />
+              <button
+                onClick={() => runAction('setVesting', `Lock future purchases in ${newVesting}?`, () => tokenSale.setVesting(newVesting))}
+                disabled={!!busy || !ethers.isAddress(newVesting) || (!!state.vesting && sameAddress(newVesting, state.vesting))}
+                className={buttonClass}
+              >
+                {busy === 'setVesting' ? 'Processing...' : 'Set Vesting'}
+              </button>
+              {state.vesting && (
+                <button
+                  onClick={() => runAction('clearVesting', 'Send future purchases straight to buyers?', () => tokenSale.setVesting(ethers.ZeroAddress))}
+                  disabled={!!busy}
+                  className={buttonClass}
+                >
+                  {busy === 'clearVesting' ? 'Processing...' : 'Disable Vesting'}
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Pause */}
+        {state.isPauser && (
+          <div>
+            <h3 className="font-semibold mb-2">Token Transfers</h3>
+            <p className="text-sm text-gray-600 mb-2">Transfers are currently {state.paused ? 'paused' : 'active'}.</p>
+            <button
+              onClick={() => state.paused
+                ? runAction('pause', 'Unpause token transfers?', () => token.unpause())
+                : runAction('pause', 'Pause all token transfers? Buying from the reserve and selling will stop.', () => token.pause())}
+              disabled={!!busy}
+              className={buttonClass}
+            >
+              {busy === 'pause' ? 'Processing...' : state.paused ? 'Unpause Token' : 'Pause Token'}
+            </button>
+          </div>
+        )}
+
+        {/* Roles */}
+        {state.isAdmin && (
+          <div>
+            <h3 className="font-semibold mb-2">Manage Roles</h3>
+            <div className="flex flex-col md:flex-row gap-2">
+              <select
+                value={role}
+                onChange={(e) => setRole(e.target.value as ManagedRole)}
+                className="px-3 py-2 border border-gray-300 rounded-md"
+              >
+                {MANAGED_ROLES.map((name) => <option key={name} value={name}>{name}</option>)}
+              </select>
+              <input
+                type="text"
+                value={roleAccount}
+                onChange={(e) => setRoleAccount(e.target.value)}
+                placeholder="0x account"
+                className={inputClass}
+              />
+              <button
+                onClick={() => runAction('grantRole', `Grant ${role} to ${roleAccount}?`, () => token.grantRole(state.roles[role], roleAccount))}
+                disabled={!!busy || roleHolder !== false}
+                className={buttonClass}
+              >
+                {busy === 'grantRole' ? 'Processing...' : 'Grant'}
+              </button>
+              <button
+                onClick={() => runAction('revokeRole', `Revoke ${role} from ${roleAccount}?`, () => token.revokeRole(state.roles[role], roleAccount))}
+                disabled={!!busy || roleHolder !== true}
+                className={buttonClass}
+              >
+                {busy === 'revokeRole' ? 'Processing...' : 'Revoke'}
+              </button>
+            </div>
+            {roleHolder !== null && (
+              <p className="text-sm text-gray-600 mt-1">
+                This account {roleHolder ? 'holds' : 'does not hold'} {role}.
+              </p>
+            )}
+            {role === 'MINTER_ROLE' && roleHolder && sameAddress(roleAccount, contracts.tokenSale) && (
+              <p className="text-sm text-amber-700 mt-1">Revoking MINTER_ROLE from the sale contract stops it minting new tokens.</p>
+            )}
+          </div>
+        )}
+
+        {/* Ownership */}
+        {isOwner && (
+          <div>
+            <h3 className="font-semibold mb-2">Transfer Sale Ownership</h3>
+            <p className="text-sm text-gray-600 mb-2">
+              Ownership moves in two steps: the new owner must accept before it takes effect.
+            </p>
+            <div className="flex flex-col md:flex-row gap-2">
+              <input
+                type="text"
+                value={newOwner}
+                onChange={(e) => setNewOwner(e.target.value)}
+                placeholder="0x new owner"
+                className={inputClass}
+              />
+              <button
+                onClick={() => runAction('transferOwnership', `Start transferring sale ownership to ${newOwner}? You stay owner until they accept.`, () => tokenSale.transferOwnership(newOwner))}
+                disabled={!!busy || !ethers.isAddress(newOwner) || sameAddress(newOwner, state.owner)}
+                className={buttonClass}
+              >
+                {busy === 'transferOwnership' ? 'Processing...' : 'Propose Owner'}
+              </button>
+              {hasPendingOwner && (
+                <button
+                  onClick={() => runAction('transferOwnership', `Cancel the pending transfer to ${state.pendingOwner}?`, () => tokenSale.transferOwnership(ethers.ZeroAddress))}
+                  disabled={!!busy}
+                  className={buttonClass}
+                >
+                  Cancel Transfer
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {isPendingOwner && (
+          <div>
+            <h3 className="font-semibold mb-2">Accept Sale Ownership</h3>
+            <p className="text-sm text-gray-600 mb-2">{state.owner} has proposed you as the new owner of the sale contract.</p>
+            <button
+              onClick={() => runAction('acceptOwnership', 'Accept ownership of the sale contract?', () => tokenSale.acceptOwnership())}
+              disabled={!!busy}
+              className={buttonClass}
+            >
+              {busy === 'acceptOwnership' ? 'Processing...' : 'Accept Ownership'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <ErrorNotice error={error} onDismiss={() => setError(null)} className="mt-4" />
+    </div>
+  )
+}
+
+export default AdminConsole
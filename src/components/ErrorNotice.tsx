@@ -0,0 +1,36 @@
+import type { AppError } from '../lib/errors'
+
+interface ErrorNoticeProps {
+  error: AppError | null;
+  onDismiss: () => void;
+  className?: string;
+}
+
+// Rejections are the user's own choice, so they aren't shown as failures
+const KIND_CLASSES: Record<AppError['kind'], string> = {
+  rejected: 'bg-gray-50 border-gray-200 text-gray-700',
+  insufficientFunds: 'bg-amber-50 border-amber-200 text-amber-800',
+  revert: 'bg-red-50 border-red-200 text-red-800',
+  rpc: 'bg-amber-50 border-amber-200 text-amber-800',
+  unknown: 'bg-red-50 border-red-200 text-red-800'
+}
+
+function ErrorNotice({ error, onDismiss, className = '' }: ErrorNoticeProps) {
+  if (!error) return null
+
+  return (
+    <div role="alert" className={`flex items-start justify-between gap-3 border rounded-lg p-3 ${KIND_CLASSES[error.kind]} ${className}`}>
+      <div className="min-w-0">
+        <p className="text-sm">{error.message}</p>
+        {error.detail && error.detail !== error.message && (
+          <p className="text-xs opacity-75 mt-1 break-all">{error.detail}</p>
+        )}
+      </div>
+      <button onClick={onDismiss} aria-label="Dismiss" className="text-lg leading-none opacity-60 hover:opacity-100">
+        ×
+      </button>
+    </div>
+  )
+}
+
+export default ErrorNotice
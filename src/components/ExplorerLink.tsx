@@ -0,0 +1,24 @@
+import type { ReactNode } from 'react'
+
+interface ExplorerLinkProps {
+  href: string | null;
+  children: ReactNode;
+}
+
+// Falls back to plain text on chains without a block explorer (e.g. a local node)
+function ExplorerLink({ href, children }: ExplorerLinkProps) {
+  if (!href) return <span className="font-mono">{children}</span>
+
+  return (
+    <a
+      href={href}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="text-blue-600 hover:underline"
+    >
+      {children}
+    </a>
+  )
+}
+
+export default ExplorerLink
@@ -0,0 +1,34 @@
+import { ethers } from 'ethers'
+import type { Preflight } from '../lib/preflight'
+
+interface FeePreviewProps {
+  preflight: Preflight;
+}
+
+const formatEth = (value: bigint) => parseFloat(ethers.formatEther(value)).toFixed(6)
+
+function FeePreview({ preflight }: FeePreviewProps) {
+  if (preflight.estimates.length === 0 && preflight.unchecked.length === 0) return null
+
+  const fee = preflight.estimates.reduce((sum, estimate) => sum + estimate.fee, 0n)
+  const maxFee = preflight.estimates.reduce((sum, estimate) => sum + estimate.maxFee, 0n)
+  const labels = preflight.estimates.map((estimate) => estimate.label).join(' + ')
+
+  return (
+    <div className="text-xs text-gray-500 mt-1 space-y-0.5">
+      {preflight.estimates.length > 0 && (
+        <>
+          <p>
+            Network fee{preflight.estimates.length > 1 ? ` (${labels})` : ''}: ~{formatEth(fee)} ETH, at most {formatEth(maxFee)} ETH
+          </p>
+          <p>Total ETH out: ~{formatEth(preflight.total)} ETH including gas</p>
+        </>
+      )}
+      {preflight.unchecked.map((label) => (
+        <p key={label}>{label} is checked and priced once the step before it is done</p>
+      ))}
+    </div>
+  )
+}
+
+export default FeePreview
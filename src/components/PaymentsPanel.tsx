@@ -0,0 +1,55 @@
+import { useState } from 'react'
+import { ethers } from 'ethers'
+import { connectTokenSale } from '../abis/TokenSaleABI'
+import { translateError, type AppError } from '../lib/errors'
+import type { TrackTransaction } from '../hooks/useTransactions'
+import ErrorNotice from './ErrorNotice'
+
+interface PaymentsPanelProps {
+  tokenSale: string;
+  pending: bigint;
+  signer: ethers.JsonRpcSigner | null;
+  track: TrackTransaction;
+  onWithdrawn: () => void;
+}
+
+function PaymentsPanel({ tokenSale, pending, signer, track, onWithdrawn }: PaymentsPanelProps) {
+  const [withdrawing, setWithdrawing] = useState(false)
+  const [error, setError] = useState<AppError | null>(null)
+
+  const withdraw = async () => {
+    if (!signer) return
+
+    try {
+      setWithdrawing(true)
+      setError(null)
+      const tokenSaleContract = connectTokenSale(tokenSale, signer)
+      await track('Withdraw pending ETH', () => tokenSaleContract.withdrawPayments())
+      onWithdrawn()
+    } catch (err: unknown) {
+      setError(translateError(err))
+    } finally {
+      setWithdrawing(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h2 className="text-xl font-semibold mb-2">Pending ETH</h2>
+      <p className="text-gray-600 mb-4">
+        The sale couldn't send {ethers.formatEther(pending)} ETH to your address, so it is holding it for you.
+        Withdraw it once your wallet can receive ETH.
+      </p>
+      <button
+        onClick={withdraw}
+        disabled={withdrawing || !signer}
+        className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+      >
+        {withdrawing ? 'Processing...' : `Withdraw ${ethers.formatEther(pending)} ETH`}
+      </button>
+      <ErrorNotice error={error} onDismiss={() => setError(null)} className="mt-2" />
+    </div>
+  )
+}
+
+export default PaymentsPanel
@@ -0,0 +1,75 @@
+import { ethers } from 'ethers'
+
+export interface Portfolio {
+  ethBalance: bigint;
+  tokenBalance: bigint;
+  allowance: bigint;
+  totalSupply: bigint;
+  maxSupply: bigint;
+  // ETH the whole token balance sells for right now
+  sellValue: bigint;
+  blockNumber: number;
+}
+
+interface PortfolioPanelProps {
+  account: string;
+  // Name of the wallet it's connected through, from its EIP-6963 announcement
+  walletName: string | null;
+  symbol: string;
+  portfolio: Portfolio | null;
+  onDisconnect: () => void;
+}
+
+// Share of `whole` held by `part`, as a percentage string with 4 decimals
+const formatShare = (part: bigint, whole: bigint): string => {
+  if (whole === 0n) return '0.0000'
+  const basisPoints = (part * 1_000_000n) / whole
+  return `${basisPoints / 10_000n}.${(basisPoints % 10_000n).toString().padStart(4, '0')}`
+}
+
+const formatAmount = (value: bigint, decimals: number): string =>
+  parseFloat(ethers.formatEther(value)).toFixed(decimals)
+
+function PortfolioPanel({ account, walletName, symbol, portfolio, onDisconnect }: PortfolioPanelProps) {
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="flex justify-between items-baseline mb-4">
+        <h2 className="text-xl font-semibold">Account Information</h2>
+        {portfolio && (
+          <span className="text-xs text-gray-400">Block #{portfolio.blockNumber}</span>
+        )}
+      </div>
+      <div className="flex justify-between items-center mb-4">
+        <p className="text-gray-600">
+          <span className="font-medium">Connected:</span> {account.slice(0, 6)}...{account.slice(-4)}
+          {walletName && <> with {walletName}</>}
+        </p>
+        <button onClick={onDisconnect} className="text-sm text-gray-500 hover:text-gray-800 hover:underline">
+          Disconnect
+        </button>
+      </div>
+
+      {portfolio && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <p className="text-gray-600"><span className="font-medium">ETH Balance:</span> {formatAmount(portfolio.ethBalance, 4)} ETH</p>
+            <p className="text-gray-600"><span className="font-medium">{symbol} Balance:</span> {formatAmount(portfolio.tokenBalance, 4)} {symbol}</p>
+            <p className="text-gray-600">
+              <span className="font-medium">Sell Value:</span> {formatAmount(portfolio.sellValue, 6)} ETH
+            </p>
+          </div>
+          <div>
+            <p className="text-gray-600">
+              <span className="font-medium">Approved for Sale:</span>{' '}
+              {portfolio.allowance === ethers.MaxUint256 ? 'Unlimited' : `${formatAmount(portfolio.allowance, 4)} ${symbol}`}
+            </p>
+            <p className="text-gray-600"><span className="font-medium">Share of Supply:</span> {formatShare(portfolio.tokenBalance, portfolio.totalSupply)}%</p>
+            <p className="text-gray-600"><span className="font-medium">Share of Max Supply:</span> {formatShare(portfolio.tokenBalance, portfolio.maxSupply)}%</p>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PortfolioPanel
@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react'
+import { ethers } from 'ethers'
+import { connectPricingStrategy } from '../abis/PricingStrategyABI'
+import { chartRange, loadCurvePoints, type CurvePoint } from '../lib/curve'
+import { translateError } from '../lib/errors'
+
+interface PriceCurveChartProps {
+  provider: ethers.Provider;
+  strategy: string;
+  circulatingSupply: bigint;
+  maxSupply: bigint;
+  // Connected account's balance, drawn as the stretch of curve it would sell back down
+  holdings: bigint;
+  // Typed buy amount, drawn as the stretch of curve it would buy up
+  buyAmount: bigint;
+}
+
+const WIDTH = 400
+const HEIGHT = 160
+
+// Fraction of `whole` as a number, without losing precision on large bigints
+const ratio = (part: bigint, whole: bigint): number =>
+  whole === 0n ? 0 : Number((part * 10_000n) / whole) / 10_000
+
+// Price at `supply`, interpolated between the sampled points
+const priceAt = (points: CurvePoint[], supply: bigint): bigint => {
+  const next = points.findIndex((point) => point.supply >= supply)
+  if (next <= 0) return points[next === 0 ? 0 : points.length - 1].price
+  const a = points[next - 1]
+  const b = points[next]
+  return a.price + ((b.price - a.price) * (supply - a.supply)) / (b.supply - a.supply)
+}
+
+function PriceCurveChart({ provider, strategy, circulatingSupply, maxSupply, holdings, buyAmount }: PriceCurveChartProps) {
+  const [points, setPoints] = useState<CurvePoint[]>([])
+  const [error, setError] = useState('')
+  const range = chartRange(circulatingSupply, buyAmount, maxSupply)
+
+  useEffect(() => {
+    const contract = connectPricingStrategy(strategy, provider)
+    let cancelled = false
+
+    loadCurvePoints(contract, range)
+      .then((loaded) => {
+        if (cancelled) return
+        setPoints(loaded)
+        setError('')
+      })
+      .catch((err: unknown) => { if (!cancelled) setError(translateError(err).message) })
+    return () => { cancelled = true }
+  }, [provider, strategy, range])
+
+  if (error) return <p className="text-sm text-red-700">Could not load the price curve: {error}</p>
+  if (points.length < 2) return <p className="text-sm text-gray-500">Loading price curve...</p>
+
+  const maxPrice = points.reduce((max, point) => (point.price > max ? point.price : max), 0n)
+  const x = (supply: bigint) => ratio(supply, range) * WIDTH
+  const y = (price: bigint) => HEIGHT - ratio(price, maxPrice) * HEIGHT
+
+  // Filled area under the curve between two supplies
+  const area = (from: bigint, to: bigint) => {
+    const inside = points.filter((point) => point.supply > from && point.supply < to)
+    const edge = [{ supply: from, price: priceAt(points, from) }, ...inside, { supply: to, price: priceAt(points, to) }]
+    return [
+      `${x(from)},${HEIGHT}`,
+      ...edge.map((point) => `${x(point.supply)},${y(point.price)}`),
+      `${x(to)},${HEIGHT}`
+    ].join(' ')
+  }
+
+  const holdingsFrom = holdings < circulatingSupply ? circulatingSupply - holdings : 0n
+  const buyTo = circulatingSupply + buyAmount < range ? circulatingSupply + buyAmount : range
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-40 bg-gray-50 rounded-md" preserveAspectRatio="none">
+        {holdings > 0n && <polygon points={area(holdingsFrom, circulatingSupply)} className="fill-blue-200" />}
+        {buyAmount > 0n && <polygon points={area(circulatingSupply, buyTo)} className="fill-green-200" />}
+        <polyline
+          points={points.map((point) => `${x(point.supply)},${y(point.price)}`).join(' ')}
+          className="fill-none stroke-indigo-600"
+          strokeWidth={2}
+          vectorEffect="non-scaling-stroke"
+        />
+        <line
+          x1={x(circulatingSupply)}
+          x2={x(circulatingSupply)}
+          y1={0}
+          y2={HEIGHT}
+          className="stroke-gray-500"
+          strokeDasharray="4 4"
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>0 MTK</span>
+        <span>Top: {ethers.formatEther(maxPrice)} ETH</span>
+        <span>{parseFloat(ethers.formatEther(range)).toFixed(0)} MTK</span>
+      </div>
+      <div className="flex flex-wrap gap-4 text-xs text-gray-600 mt-2">
+        <span>Dashed line: {parseFloat(ethers.formatEther(circulatingSupply)).toFixed(0)} MTK in circulation</span>
+        {holdings > 0n && <span className="text-blue-700">Blue: your {parseFloat(ethers.formatEther(holdings)).toFixed(4)} MTK</span>}
+        {buyAmount > 0n && <span className="text-green-700">Green: this buy</span>}
+      </div>
+    </div>
+  )
+}
+
+export default PriceCurveChart
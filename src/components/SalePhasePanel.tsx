@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react'
+import { ethers } from 'ethers'
+import {
+  formatCountdown,
+  phaseStatus,
+  remainingAllocation,
+  remainingWalletLimit,
+  type PhaseStatus,
+  type SalePhase
+} from '../lib/phase'
+
+interface SalePhasePanelProps {
+  phase: SalePhase;
+  symbol: string;
+  // Without a wallet there is no purchase history to show, only the per-wallet limit
+  connected: boolean;
+}
+
+const STATUS_LABELS: Record<PhaseStatus, string> = {
+  upcoming: 'Not started',
+  open: 'Open',
+  ended: 'Ended'
+}
+
+const STATUS_CLASSES: Record<PhaseStatus, string> = {
+  upcoming: 'bg-blue-100 text-blue-800',
+  open: 'bg-green-100 text-green-800',
+  ended: 'bg-gray-200 text-gray-800'
+}
+
+const formatTokens = (value: bigint) => parseFloat(ethers.formatEther(value)).toFixed(0)
+
+function SalePhasePanel({ phase, symbol, connected }: SalePhasePanelProps) {
+  const [now, setNow] = useState(Date.now())
+
+  // Tick once a second for the countdown
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const status = phaseStatus(phase, now)
+  const seconds = Math.floor(now / 1000)
+  const allocation = remainingAllocation(phase)
+  const walletLimit = remainingWalletLimit(phase)
+
+  let countdown = ''
+  if (status === 'upcoming') countdown = `Opens in ${formatCountdown(phase.startTime - seconds)}`
+  else if (status === 'open' && phase.endTime !== 0) countdown = `Closes in ${formatCountdown(phase.endTime - seconds)}`
+  else if (status === 'ended') countdown = `Closed ${new Date(phase.endTime * 1000).toLocaleString()}`
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">Sale Phase</h2>
+        <span className={`px-2 py-1 rounded text-sm ${STATUS_CLASSES[status]}`}>{STATUS_LABELS[status]}</span>
+      </div>
+      {countdown && <p className="text-2xl font-mono text-gray-800 mb-4">{countdown}</p>}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <p className="text-gray-600"><span className="font-medium">Sold:</span> {formatTokens(phase.tokensSold)} {symbol}</p>
+          {allocation !== null && (
+            <p className="text-gray-600">
+              <span className="font-medium">Remaining allocation:</span> {formatTokens(allocation)} of {formatTokens(phase.hardCap)} {symbol}
+            </p>
+          )}
+        </div>
+        {connected ? (
+          <div>
+            <p className="text-gray-600"><span className="font-medium">You bought:</span> {formatTokens(phase.purchased)} {symbol}</p>
+            {walletLimit !== null && (
+              <p className="text-gray-600">
+                <span className="font-medium">Your remaining limit:</span> {formatTokens(walletLimit)} of {formatTokens(phase.maxPurchase)} {symbol}
+              </p>
+            )}
+          </div>
+        ) : walletLimit !== null && (
+          <div>
+            <p className="text-gray-600"><span className="font-medium">Limit per wallet:</span> {formatTokens(phase.maxPurchase)} {symbol}</p>
+          </div>
+        )}
+        {phase.minPurchase > 0n && (
+          <div>
+            <p className="text-gray-600"><span className="font-medium">Minimum purchase:</span> {formatTokens(phase.minPurchase)} {symbol}</p>
+          </div>
+        )}
+      </div>
+      {status !== 'open' && (
+        <p className="text-sm text-gray-500 mt-4">Selling back to the sale stays open outside the sale window.</p>
+      )}
+    </div>
+  )
+}
+
+export default SalePhasePanel
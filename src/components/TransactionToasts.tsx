@@ -0,0 +1,62 @@
+import { explorerTxUrl, getNetworkConfig } from '../contract_address'
+import { currentHash, isSettled, type TrackedTx, type TxStatus } from '../lib/transactions'
+import ExplorerLink from './ExplorerLink'
+
+interface TransactionToastsProps {
+  transactions: TrackedTx[];
+  onDismiss: (hash: string) => void;
+}
+
+const STATUS_CLASSES: Record<TxStatus, string> = {
+  pending: 'border-blue-200',
+  mined: 'border-blue-200',
+  confirmed: 'border-green-300',
+  failed: 'border-red-300',
+  replaced: 'border-amber-300',
+  unknown: 'border-amber-300'
+}
+
+const describeStatus = (tx: TrackedTx): string => {
+  const spedUp = tx.replacement ? ' (sped up)' : ''
+  switch (tx.status) {
+    case 'pending': return `Waiting to be mined${spedUp}...`
+    case 'mined': return `Mined in block ${tx.blockNumber}${spedUp}, ${tx.confirmations}/${tx.confirmationsNeeded} confirmations`
+    case 'confirmed': return `Confirmed in block ${tx.blockNumber}${spedUp}`
+    case 'unknown': return `Lost track of it (${tx.error}); check the explorer or reload to try again`
+    default: return tx.error ?? 'Failed'
+  }
+}
+
+const shortHash = (hash: string) => `${hash.slice(0, 10)}...${hash.slice(-8)}`
+
+const explorerUrl = (tx: TrackedTx): string | null => {
+  const network = getNetworkConfig(tx.chainId)
+  return network ? explorerTxUrl(network, currentHash(tx)) : null
+}
+
+function TransactionToasts({ transactions, onDismiss }: TransactionToastsProps) {
+  if (transactions.length === 0) return null
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 w-80 space-y-2">
+      {transactions.map((tx) => (
+        <div key={tx.hash} role="status" className={`bg-white border-l-4 ${STATUS_CLASSES[tx.status]} rounded-lg shadow-lg p-3`}>
+          <div className="flex items-start justify-between gap-2">
+            <p className="font-medium text-sm">{tx.label}</p>
+            {(isSettled(tx) || tx.status === 'unknown') && (
+              <button onClick={() => onDismiss(tx.hash)} aria-label="Dismiss" className="text-lg leading-none opacity-60 hover:opacity-100">
+                ×
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-gray-600 mt-1">{describeStatus(tx)}</p>
+          <p className="text-xs mt-1">
+            <ExplorerLink href={explorerUrl(tx)}>{shortHash(currentHash(tx))}</ExplorerLink>
+          </p>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default TransactionToasts
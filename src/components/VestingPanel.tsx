@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react'
+import { ethers } from 'ethers'
+import { connectTokenVesting } from '../abis/TokenVestingABI'
+import { formatCountdown } from '../lib/phase'
+import { vestingBreakdown, type VestingSchedule } from '../lib/vesting'
+import { translateError, type AppError } from '../lib/errors'
+import type { TrackTransaction } from '../hooks/useTransactions'
+import ErrorNotice from './ErrorNotice'
+
+interface VestingPanelProps {
+  schedule: VestingSchedule;
+  symbol: string;
+  signer: ethers.JsonRpcSigner | null;
+  track: TrackTransaction;
+  onClaimed: () => void;
+}
+
+const formatTokens = (value: bigint) => parseFloat(ethers.formatEther(value)).toFixed(4)
+const formatDate = (seconds: number) => new Date(seconds * 1000).toLocaleString()
+
+function VestingPanel({ schedule, symbol, signer, track, onClaimed }: VestingPanelProps) {
+  const [now, setNow] = useState(Date.now())
+  const [claiming, setClaiming] = useState(false)
+  const [error, setError] = useState<AppError | null>(null)
+
+  // Vested amounts grow every second once the cliff has passed
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const { locked, vested, claimable } = vestingBreakdown(schedule, now)
+  const seconds = Math.floor(now / 1000)
+  const vestedPercent = schedule.allocated === 0n ? 0 : Number((vested * 10_000n) / schedule.allocated) / 100
+
+  const claim = async () => {
+    if (!signer) return
+
+    try {
+      setClaiming(true)
+      setError(null)
+      const vesting = connectTokenVesting(schedule.address, signer)
+      await track('Claim vested tokens', () => vesting.claim())
+      onClaimed()
+    } catch (err: unknown) {
+      setError(translateError(err))
+    } finally {
+      setClaiming(false)
+    }
+  }
+
+  let timing = `Fully vested since ${formatDate(schedule.endTime)}`
+  if (seconds < schedule.cliffEnd) timing = `Cliff ends in ${formatCountdown(schedule.cliffEnd - seconds)}`
+  else if (seconds < schedule.endTime) timing = `Fully vested in ${formatCountdown(schedule.endTime - seconds)}`
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">My Vesting</h2>
+        <span className="text-sm text-gray-600">{timing}</span>
+      </div>
+      {schedule.allocated === 0n ? (
+        <p className="text-gray-600">
+          Purchases are locked and released linearly from {formatDate(schedule.startTime)} to {formatDate(schedule.endTime)},
+          with nothing claimable before {formatDate(schedule.cliffEnd)}.
+        </p>
+      ) : (
+        <>
+          <div className="w-full bg-gray-200 rounded-full h-3 mb-4">
+            <div className="bg-indigo-600 h-3 rounded-full" style={{ width: `${vestedPercent}%` }} />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <p className="text-gray-600"><span className="font-medium">Locked:</span> {formatTokens(locked)} {symbol}</p>
+            <p className="text-gray-600"><span className="font-medium">Vested:</span> {formatTokens(vested)} {symbol}</p>
+            <p className="text-gray-600"><span className="font-medium">Claimed:</span> {formatTokens(schedule.released)} {symbol}</p>
+            <p className="text-gray-600"><span className="font-medium">Claimable:</span> {formatTokens(claimable)} {symbol}</p>
+          </div>
+          <button
+            onClick={claim}
+            disabled={claiming || !signer || claimable === 0n}
+            className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+          >
+            {claiming ? 'Processing...' : `Claim ${formatTokens(claimable)} ${symbol}`}
+          </button>
+        </>
+      )}
+      <ErrorNotice error={error} onDismiss={() => setError(null)} className="mt-2" />
+    </div>
+  )
+}
+
+export default VestingPanel
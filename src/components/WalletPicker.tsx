@@ -0,0 +1,74 @@
+import { useState } from 'react'
+import type { AppError } from '../lib/errors'
+import type { WalletConnector } from '../lib/wallets'
+import ErrorNotice from './ErrorNotice'
+
+interface WalletPickerProps {
+  connectors: WalletConnector[];
+  error: AppError | null;
+  onSelect: (connector: WalletConnector) => Promise<void>;
+  onDismissError: () => void;
+  onClose: () => void;
+}
+
+function WalletPicker({ connectors, error, onSelect, onDismissError, onClose }: WalletPickerProps) {
+  const [connecting, setConnecting] = useState<string | null>(null)
+
+  const select = async (connector: WalletConnector) => {
+    setConnecting(connector.id)
+    try {
+      await onSelect(connector)
+    } finally {
+      setConnecting(null)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-labelledby="wallet-picker-title"
+        className="bg-white rounded-lg shadow-lg p-6 w-full max-w-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between mb-4">
+          <h2 id="wallet-picker-title" className="text-xl font-semibold">Connect a Wallet</h2>
+          <button onClick={onClose} aria-label="Close" className="text-lg leading-none opacity-60 hover:opacity-100">
+            ×
+          </button>
+        </div>
+
+        {connectors.length === 0 ? (
+          <p className="text-sm text-gray-600">
+            No browser wallet found. Install MetaMask, Rabby, Coinbase Wallet or another wallet extension and reload
+            this page, or open it in your mobile wallet's browser.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {connectors.map((connector) => (
+              <li key={connector.id}>
+                <button
+                  onClick={() => select(connector)}
+                  disabled={connecting !== null}
+                  className="w-full flex items-center gap-3 border border-gray-200 hover:border-blue-400 hover:bg-blue-50 disabled:opacity-60 rounded-lg p-3 transition-colors"
+                >
+                  {connector.icon ? (
+                    <img src={connector.icon} alt="" className="w-8 h-8" />
+                  ) : (
+                    <span className="w-8 h-8 rounded-full bg-gray-200" />
+                  )}
+                  <span className="font-medium">{connector.name}</span>
+                  {connecting === connector.id && <span className="ml-auto text-sm text-gray-500">Check your wallet...</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <ErrorNotice error={error} onDismiss={onDismissError} className="mt-4" />
+      </div>
+    </div>
+  )
+}
+
+export default WalletPicker
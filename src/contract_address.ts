@@ -1,7 +1,57 @@
-export const CONTRACT_ADDRESSES = {
-  TOKEN: "0x4B5C2436289EdDd6Dc621462Ed16a2FC216E0Cf3",
-  TOKEN_SALE: "0x0d1dac61b846bCF7010FEEcDBD6eae5a37E8a0be"
-} as const;
+import networks from './networks.json';
+
+// Per-chain deployment registry. src/networks.json is written by
+// scripts/deploy.js; add a chain there (or deploy to it) to make the dApp use it.
+
+export interface ContractAddresses {
+  token: string;
+  tokenSale: string;
+}
+
+export interface NetworkConfig {
+  chainId: number;
+  name: string;
+  rpcUrl: string;
+  explorerUrl: string;
+  nativeCurrency: { name: string; symbol: string; decimals: number };
+  contracts: ContractAddresses | null;
+  // TokenSale deployment block for sales deployed without a manifest
+  deployBlock?: number;
+}
+
+export const NETWORKS: Record<string, NetworkConfig> = networks;
 
 export const SEPOLIA_CHAIN_ID = 11155111;
-export const SEPOLIA_RPC_URL = "https://eth-sepolia.g.alchemy.com/v2/gQxcr8ewPoZ5AXCyIjr2T";
\ No newline at end of file
+export const SEPOLIA_RPC_URL = NETWORKS[SEPOLIA_CHAIN_ID].rpcUrl;
+
+export const getNetworkConfig = (chainId: number | null): NetworkConfig | undefined =>
+  chainId === null ? undefined : NETWORKS[chainId];
+
+// A chain is usable only once the sale contracts are deployed on it
+export const isSupportedChain = (chainId: number | null): boolean =>
+  Boolean(getNetworkConfig(chainId)?.contracts);
+
+/**
+ * Pick the chain the dApp targets when the wallet is somewhere unsupported.
+ * @param {string | undefined} envValue VITE_CHAIN_ID, if set
+ * @return {number} a chain id present in the registry
+ */
+export const resolveDefaultChainId = (envValue?: string): number => {
+  const chainId = Number(envValue);
+  return isSupportedChain(chainId) ? chainId : SEPOLIA_CHAIN_ID;
+};
+
+export const explorerAddressUrl = (network: NetworkConfig, address: string): string | null =>
+  network.explorerUrl ? `${network.explorerUrl}/address/${address}` : null;
+
+export const explorerTxUrl = (network: NetworkConfig, hash: string): string | null =>
+  network.explorerUrl ? `${network.explorerUrl}/tx/${hash}` : null;
+
+// Parameters for wallet_addEthereumChain (EIP-3085)
+export const toAddChainParams = (network: NetworkConfig) => ({
+  chainId: `0x${network.chainId.toString(16)}`,
+  chainName: network.name,
+  nativeCurrency: network.nativeCurrency,
+  rpcUrls: [network.rpcUrl],
+  blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined
+});
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react'
+import { ethers } from 'ethers'
+import {
+  followTransaction,
+  isSettled,
+  loadPendingTxs,
+  newTrackedTx,
+  resumeTransaction,
+  savePendingTxs,
+  type TrackedTx
+} from '../lib/transactions'
+
+// Sends a transaction and resolves once it is mined, so a step that depends on
+// it (a sell after its approval) can go ahead. Confirmations keep counting in
+// the background. Rejects when it reverts, is cancelled or replaced, or can't be
+// followed; a failure after it was mined only marks the entry 'unknown'.
+export type TrackTransaction = (label: string, send: () => Promise<ethers.TransactionResponse>) => Promise<TrackedTx>
+
+interface TrackedList {
+  // chainId:account the entries belong to
+  key: string;
+  txs: TrackedTx[];
+}
+
+/**
+ * Tracks the account's transactions on the connected chain. Unsettled ones
+ * are kept in localStorage and resumed when the page is reloaded.
+ */
+export const useTransactions = (provider: ethers.Provider | null, account: string, chainId: number | null) => {
+  const key = `${chainId}:${account.toLowerCase()}`
+  const [list, setList] = useState<TrackedList>({ key, txs: [] })
+
+  const upsert = useCallback((tx: TrackedTx) => {
+    setList((current) => {
+      if (current.key !== `${tx.chainId}:${tx.from.toLowerCase()}`) return current
+      const exists = current.txs.some((entry) => entry.hash === tx.hash)
+      return {
+        key: current.key,
+        txs: exists ? current.txs.map((entry) => (entry.hash === tx.hash ? tx : entry)) : [tx, ...current.txs]
+      }
+    })
+  }, [])
+
+  const dismiss = useCallback((hash: string) => {
+    setList((current) => ({ key: current.key, txs: current.txs.filter((tx) => tx.hash !== hash) }))
+  }, [])
+
+  // Resume what was still pending when this account last used the dApp
+  useEffect(() => {
+    if (!provider || !account || chainId === null) {
+      setList({ key, txs: [] })
+      return
+    }
+
+    const saved = loadPendingTxs(window.localStorage, chainId, account)
+    setList({ key, txs: saved })
+    // A lookup that fails marks its entry 'unknown' through upsert
+    for (const tx of saved) {
+      resumeTransaction(provider, tx, upsert).catch(() => {})
+    }
+  }, [provider, account, chainId, key, upsert])
+
+  useEffect(() => {
+    if (!account || chainId === null || list.key !== key) return
+    savePendingTxs(window.localStorage, chainId, account, list.txs)
+  }, [list, key, account, chainId])
+
+  const track: TrackTransaction = useCallback(async (label, send) => {
+    if (!provider) throw new Error('Connect your wallet first')
+
+    const startBlock = await provider.getBlockNumber()
+    const response = await send()
+    const tracked = newTrackedTx(response, label, startBlock)
+    upsert(tracked)
+
+    return new Promise<TrackedTx>((resolve, reject) => {
+      followTransaction(tracked, response, (tx) => {
+        upsert(tx)
+        if (tx.status === 'mined') resolve(tx)
+        else if (isSettled(tx) && tx.status !== 'confirmed') reject(new Error(`${label}: ${tx.error}`))
+      }).then(resolve, reject)
+    })
+  }, [provider, upsert])
+
+  return { transactions: list.key === key ? list.txs : [], track, dismiss }
+}
@@ -0,0 +1,16 @@
+import { useState, useEffect, useMemo } from 'react'
+import { addAnnouncedWallet, discoverWallets, listConnectors, type AnnouncedWallet, type WalletConnector } from '../lib/wallets'
+
+/**
+ * Wallets the user can connect with: every EIP-6963 wallet in the browser,
+ * or window.ethereum on its own for wallets that don't announce themselves.
+ */
+export const useWalletConnectors = (): WalletConnector[] => {
+  const [announced, setAnnounced] = useState<AnnouncedWallet[]>([])
+
+  useEffect(() => discoverWallets(window, (wallet) => {
+    setAnnounced((current) => addAnnouncedWallet(current, wallet))
+  }), [])
+
+  return useMemo(() => listConnectors(announced, window.ethereum), [announced])
+}
@@ -0,0 +1,149 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import {
+  getNetworkConfig,
+  isSupportedChain,
+  resolveDefaultChainId
+} from '../contract_address'
+import { translateError, type AppError } from '../lib/errors'
+import {
+  EMPTY_SESSION,
+  loadWalletChoice,
+  openSession,
+  readAccounts,
+  readChainId,
+  requestAccounts,
+  saveWalletChoice,
+  switchChain,
+  type WalletConnector,
+  type WalletProvider,
+  type WalletSession
+} from '../lib/wallets'
+
+// Chain to move the wallet to when it sits on one without a deployment
+export const DEFAULT_CHAIN_ID = resolveDefaultChainId(import.meta.env.VITE_CHAIN_ID)
+
+interface ActiveWallet {
+  connector: WalletConnector;
+  provider: WalletProvider;
+}
+
+/**
+ * Tracks the chosen wallet's account and network.
+ * The provider and signer are rebuilt whenever the wallet reports a new account
+ * or chain, so nothing downstream ever signs with a stale context. Any chain with
+ * contracts in the registry is usable; otherwise `targetChainId` is offered.
+ * @param {WalletConnector[]} connectors wallets the user can pick from; the one
+ * picked last time is reconnected when it still authorises the dApp
+ */
+export const useWalletSession = (connectors: WalletConnector[], targetChainId: number = DEFAULT_CHAIN_ID) => {
+  const [active, setActive] = useState<ActiveWallet | null>(null)
+  const [session, setSession] = useState<WalletSession>(EMPTY_SESSION)
+  // Failures while following wallet events, which have no caller to throw to
+  const [error, setError] = useState<AppError | null>(null)
+  // Wallet events can arrive faster than we can rebuild; only the latest sync wins
+  const syncId = useRef(0)
+
+  const syncSession = useCallback(async (walletProvider: WalletProvider, accounts: string[]) => {
+    const id = ++syncId.current
+    if (accounts.length === 0) {
+      setSession(EMPTY_SESSION)
+      return
+    }
+
+    const next = await openSession(walletProvider, accounts[0])
+    if (id !== syncId.current) return
+    setSession(next)
+    setError(null)
+  }, [])
+
+  const reportError = useCallback((err: unknown) => setError(translateError(err)), [])
+  const dismissError = useCallback(() => setError(null), [])
+
+  const switchNetwork = useCallback(async () => {
+    const network = getNetworkConfig(targetChainId)
+    if (!active || !network) return
+    await switchChain(active.provider, network)
+  }, [active, targetChainId])
+
+  const connect = useCallback(async (connector: WalletConnector) => {
+    const provider = await connector.getProvider()
+    const accounts = await requestAccounts(provider)
+    const network = getNetworkConfig(targetChainId)
+    if (network && !isSupportedChain(await readChainId(provider))) {
+      await switchChain(provider, network)
+    }
+
+    saveWalletChoice(window.localStorage, connector.id)
+    setActive({ connector, provider })
+    await syncSession(provider, accounts)
+  }, [targetChainId, syncSession])
+
+  const disconnect = useCallback(async () => {
+    syncId.current++
+    saveWalletChoice(window.localStorage, null)
+    setActive(null)
+    setSession(EMPTY_SESSION)
+    setError(null)
+    await active?.connector.disconnect()
+  }, [active])
+
+  // Restore the wallet picked last time, once it has been discovered
+  useEffect(() => {
+    if (active) return
+    const connector = connectors.find((candidate) => candidate.id === loadWalletChoice(window.localStorage))
+    if (!connector) return
+
+    let cancelled = false
+    const restore = async () => {
+      const provider = await connector.getProvider()
+      const accounts = await readAccounts(provider)
+      if (cancelled || accounts.length === 0) return
+      setActive({ connector, provider })
+      await syncSession(provider, accounts)
+    }
+    restore().catch(() => {})
+    return () => { cancelled = true }
+  }, [connectors, active, syncSession])
+
+  // Follow the active wallet's events
+  useEffect(() => {
+    if (!active) return
+    const { provider } = active
+
+    const onAccountsChanged = (...args: unknown[]) => {
+      syncSession(provider, args[0] as string[]).catch(reportError)
+    }
+    const onChainChanged = () => {
+      readAccounts(provider).then((accounts) => syncSession(provider, accounts)).catch(reportError)
+    }
+    const onDisconnect = () => {
+      syncId.current++
+      setSession(EMPTY_SESSION)
+    }
+
+    provider.on?.('accountsChanged', onAccountsChanged)
+    provider.on?.('chainChanged', onChainChanged)
+    provider.on?.('disconnect', onDisconnect)
+
+    return () => {
+      provider.removeListener?.('accountsChanged', onAccountsChanged)
+      provider.removeListener?.('chainChanged', onChainChanged)
+      provider.removeListener?.('disconnect', onDisconnect)
+    }
+  }, [active, syncSession, reportError])
+
+  const isWrongNetwork = session.chainId !== null && !isSupportedChain(session.chainId)
+
+  return {
+    ...session,
+    wallet: session.account ? active?.connector ?? null : null,
+    network: isWrongNetwork ? undefined : getNetworkConfig(session.chainId),
+    targetNetwork: getNetworkConfig(targetChainId),
+    isWrongNetwork,
+    error,
+    dismissError,
+    connect,
+    disconnect,
+    switchNetwork
+  }
+}
@@ -0,0 +1,195 @@
+import { ethers } from 'ethers'
+import type { TokenSaleContract } from '../abis/TokenSaleABI'
+import { fixedBuyCost, quoteSell } from './quote'
+
+// Activity feed built from TokenSale events, read newest-first in block chunks
+// so public RPCs with getLogs range limits can serve it.
+//
+// Trade events only carry the token amount. Their ETH side is implied by the
+// prices in effect when they were mined, so the scan also reads PricesUpdated
+// and switches to the old prices whenever it walks back past an update. Sales
+// priced on a bonding curve have no such prices, so their trades carry no ETH.
+
+export type ActivityKind = 'buy' | 'sell' | 'withdrawEth' | 'withdrawTokens'
+
+export interface ActivityItem {
+  id: string;
+  kind: ActivityKind;
+  account: string;
+  tokens: bigint;
+  // null for trades on a curve-priced sale, whose ETH side isn't in the event
+  eth: bigint | null;
+  blockNumber: number;
+  transactionHash: string;
+  logIndex: number;
+  timestamp: number | null;
+}
+
+export interface ActivityPrices {
+  buyPrice: bigint;
+  sellPrice: bigint;
+}
+
+export interface ActivityQuery {
+  // Only events for this address (buyer, seller or withdrawer)
+  account?: string;
+  // Lowest block to scan, usually the sale's deployment block
+  fromBlock: number;
+  // Highest block to scan, inclusive
+  toBlock: number;
+  pageSize?: number;
+  chunkSize?: number;
+  maxChunks?: number;
+}
+
+export interface ActivityPage {
+  items: ActivityItem[];
+  // Block to continue scanning down from, or null once fromBlock was reached
+  cursor: number | null;
+  // Prices in effect at the cursor, for loading the next page
+  prices: ActivityPrices | null;
+}
+
+export const DEFAULT_PAGE_SIZE = 10
+export const DEFAULT_CHUNK_SIZE = 2000
+export const DEFAULT_MAX_CHUNKS = 10
+// Blocks scanned back from the head when the sale's deployment block isn't known
+export const RECENT_BLOCKS = DEFAULT_CHUNK_SIZE * DEFAULT_MAX_CHUNKS
+
+export const ACTIVITY_EVENTS: Record<string, ActivityKind> = {
+  BuyTokens: 'buy',
+  SellTokens: 'sell',
+  WithdrawEth: 'withdrawEth',
+  WithdrawTokens: 'withdrawTokens'
+}
+
+/**
+ * Convert a decoded TokenSale event into a feed item.
+ * Buys and sells carry the token amount, so their ETH side is implied by the
+ * sale prices; withdrawals carry the amount withdrawn directly.
+ * @param {ActivityPrices | null} prices null when the sale prices trades on a curve
+ */
+export const toActivityItem = (log: ethers.EventLog, prices: ActivityPrices | null): ActivityItem | null => {
+  const kind = ACTIVITY_EVENTS[log.eventName]
+  if (!kind) return null
+
+  const [account, amount] = log.args as unknown as [string, bigint]
+  let tokens = 0n
+  let eth: bigint | null = 0n
+  if (kind === 'buy') {
+    tokens = amount
+    eth = prices ? fixedBuyCost(amount, prices.buyPrice) : null
+  } else if (kind === 'sell') {
+    tokens = amount
+    eth = prices ? quoteSell(amount, prices.sellPrice).ethOut : null
+  } else if (kind === 'withdrawTokens') {
+    tokens = amount
+  } else {
+    eth = amount
+  }
+
+  return {
+    id: `${log.transactionHash}-${log.index}`,
+    kind,
+    account,
+    tokens,
+    eth,
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    timestamp: null
+  }
+}
+
+// Newest first
+export const compareActivity = (a: ActivityItem, b: ActivityItem) =>
+  b.blockNumber - a.blockNumber || b.logIndex - a.logIndex
+
+// One topic filter matching all feed events, optionally narrowed to an account
+export const activityTopicFilter = (tokenSale: TokenSaleContract, account?: string): ethers.TopicFilter => {
+  const topics = Object.keys(ACTIVITY_EVENTS).map((name) => tokenSale.interface.getEvent(name)!.topicHash)
+  return account ? [topics, ethers.zeroPadValue(account, 32)] : [topics]
+}
+
+const compareLogs = (a: ethers.EventLog, b: ethers.EventLog) =>
+  b.blockNumber - a.blockNumber || b.index - a.index
+
+/**
+ * Load one page of activity, scanning down from query.toBlock.
+ * Every event in the scanned range is returned, so a page can hold more than
+ * pageSize items; continue from `cursor` with the returned `prices` to get the
+ * next page.
+ * @param {ActivityPrices | null} prices prices in effect at query.toBlock, or
+ * null for a curve-priced sale
+ */
+export const loadActivityPage = async (
+  tokenSale: TokenSaleContract,
+  prices: ActivityPrices | null,
+  query: ActivityQuery
+): Promise<ActivityPage> => {
+  const pageSize = query.pageSize ?? DEFAULT_PAGE_SIZE
+  const chunkSize = query.chunkSize ?? DEFAULT_CHUNK_SIZE
+  const maxChunks = query.maxChunks ?? DEFAULT_MAX_CHUNKS
+  const filter = activityTopicFilter(tokenSale, query.account)
+  const priceFilter = tokenSale.filters.PricesUpdated()
+
+  const items: ActivityItem[] = []
+  let current = prices
+  let toBlock = query.toBlock
+  let chunks = 0
+
+  while (toBlock >= query.fromBlock && items.length < pageSize && chunks < maxChunks) {
+    const fromBlock = Math.max(query.fromBlock, toBlock - chunkSize + 1)
+    // Price updates aren't indexed by account, so they need their own query
+    const [logs, priceLogs] = await Promise.all([
+      tokenSale.queryFilter(filter, fromBlock, toBlock),
+      tokenSale.queryFilter(priceFilter, fromBlock, toBlock)
+    ])
+
+    const events = [...logs, ...priceLogs]
+      .filter((log): log is ethers.EventLog => log instanceof ethers.EventLog)
+      .sort(compareLogs)
+    for (const log of events) {
+      if (log.eventName === 'PricesUpdated') {
+        // Everything older was traded at the prices this update replaced
+        current = { buyPrice: log.args.oldBuyPrice, sellPrice: log.args.oldSellPrice }
+        continue
+      }
+      const item = toActivityItem(log, current)
+      if (item) items.push(item)
+    }
+
+    toBlock = fromBlock - 1
+    chunks++
+  }
+
+  return {
+    items,
+    cursor: toBlock >= query.fromBlock ? toBlock : null,
+    prices: current
+  }
+}
+
+/**
+ * Fill in block timestamps, fetching each block once.
+ * @param {Map<number, number>} cache block number to timestamp, shared across pages
+ */
+export const attachTimestamps = async (
+  provider: ethers.Provider,
+  items: ActivityItem[],
+  cache: Map<number, number>
+): Promise<ActivityItem[]> => {
+  const missing = [...new Set(items.map((item) => item.blockNumber))].filter((block) => !cache.has(block))
+  const blocks = await Promise.all(missing.map((block) => provider.getBlock(block)))
+  blocks.forEach((block) => {
+    if (block) cache.set(block.number, block.timestamp)
+  })
+
+  return items.map((item) => ({ ...item, timestamp: cache.get(item.blockNumber) ?? null }))
+}
+
+// Add items that aren't in the list yet, keeping it sorted newest first
+export const mergeActivity = (existing: ActivityItem[], incoming: ActivityItem[]): ActivityItem[] => {
+  const seen = new Set(existing.map((item) => item.id))
+  return [...existing, ...incoming.filter((item) => !seen.has(item.id))].sort(compareActivity)
+}
@@ -0,0 +1,82 @@
+import { ethers } from 'ethers'
+import type { TokenSaleContract } from '../abis/TokenSaleABI'
+import type { TradeLimits } from './quote'
+
+// While TokenSale.merkleRoot() is set only allowlisted addresses can buy, each
+// up to the allocation in its leaf. scripts/allowlist.js builds the tree and
+// every proof; the frontend finds the buyer's entry in that file and passes it
+// to buyTokensWithProof.
+
+// File written by scripts/allowlist.js. Amounts are decimal strings of token wei.
+export interface AllowlistFile {
+  merkleRoot: string;
+  totalAllocation: string;
+  // Keyed by checksummed address
+  entries: Record<string, { allocation: string; proof: string[] }>;
+}
+
+export interface AllowlistEntry {
+  allocation: bigint;
+  proof: string[];
+}
+
+export interface AllowlistStatus {
+  merkleRoot: string;
+  // false when no allowlist with this root ships with the frontend
+  published: boolean;
+  // The account's leaf, or null when it isn't on the list
+  entry: AllowlistEntry | null;
+}
+
+const coder = ethers.AbiCoder.defaultAbiCoder()
+
+// Mirrors the leaf TokenSale.buyTokensWithProof builds for msg.sender
+export const allowlistLeaf = (account: string, allocation: bigint): string =>
+  ethers.keccak256(ethers.keccak256(coder.encode(['address', 'uint256'], [account, allocation])))
+
+// Mirrors OpenZeppelin's MerkleProof.verify, which hashes each pair in sorted order
+export const verifyAllowlistProof = (proof: string[], root: string, leaf: string): boolean => {
+  const computed = proof.reduce((hash, sibling) => {
+    const [a, b] = [hash.toLowerCase(), sibling.toLowerCase()]
+    return ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]))
+  }, leaf)
+  return computed.toLowerCase() === root.toLowerCase()
+}
+
+/**
+ * Look up the account in an allowlist file.
+ * @return {AllowlistEntry | null} null when the account isn't listed or its proof
+ * doesn't lead to the file's root, which would only fail on chain
+ */
+export const findAllowlistEntry = (allowlist: AllowlistFile, account: string): AllowlistEntry | null => {
+  const listed = allowlist.entries[ethers.getAddress(account)]
+  if (!listed) return null
+
+  const entry = { allocation: BigInt(listed.allocation), proof: listed.proof }
+  return verifyAllowlistProof(entry.proof, allowlist.merkleRoot, allowlistLeaf(account, entry.allocation)) ? entry : null
+}
+
+/**
+ * Read the sale's allowlist root.
+ * @return {Promise<string | null>} null when no allowlist phase is running, or
+ * the sale predates allowlists
+ */
+export const readMerkleRoot = async (tokenSale: TokenSaleContract): Promise<string | null> => {
+  try {
+    const root: string = await tokenSale.merkleRoot()
+    return root === ethers.ZeroHash ? null : root
+  } catch {
+    return null
+  }
+}
+
+// Tokens the account may still buy in the allowlist phase. The allocation
+// covers everything it bought from the sale, like TokenSale.purchased.
+export const remainingAllowlistAllocation = (entry: AllowlistEntry | null, purchased: bigint): bigint =>
+  entry && entry.allocation > purchased ? entry.allocation - purchased : 0n
+
+// Narrow the buy limit to the account's remaining allocation
+export const applyAllowlist = (limits: TradeLimits, allowlist: AllowlistStatus, purchased: bigint): TradeLimits => {
+  const remaining = remainingAllowlistAllocation(allowlist.entry, purchased)
+  return remaining < limits.maxBuy ? { ...limits, maxBuy: remaining } : limits
+}
@@ -0,0 +1,12 @@
+import type { AllowlistFile } from './allowlist'
+
+// Allowlists written by scripts/allowlist.js (allowlists/<merkleRoot>.json).
+// Each is only fetched once a sale is found running its round.
+
+const allowlists = import.meta.glob<AllowlistFile>('../../allowlists/*.json', { import: 'default' })
+
+export const loadAllowlist = async (merkleRoot: string): Promise<AllowlistFile | undefined> => {
+  const load = Object.entries(allowlists)
+    .find(([file]) => file.toLowerCase().endsWith(`/${merkleRoot.toLowerCase()}.json`))?.[1]
+  return load ? load() : undefined
+}
@@ -0,0 +1,123 @@
+import { ethers } from 'ethers'
+import type { TokenSaleContract } from '../abis/TokenSaleABI'
+import type { PricingStrategyContract } from '../abis/PricingStrategyABI'
+import { ONE_TOKEN, buildBuyQuote, type BuyQuote, type SellQuote } from './quote'
+
+// Sales deployed with a pricing strategy price every trade on a bonding curve
+// over the tokens in circulation instead of the fixed buyPrice/sellPrice. The
+// curve lives in its own contract, so quotes come from the sale's quote views
+// rather than being mirrored here.
+
+export const CURVE_SAMPLES = 32
+
+export interface CurveState {
+  // IPricingStrategy the sale consults
+  strategy: string;
+  // Tokens held outside the sale, i.e. the current position on the curve
+  circulatingSupply: bigint;
+  // Cost of the next whole token and proceeds for selling one back
+  buyPrice: bigint;
+  sellPrice: bigint;
+}
+
+export interface CurvePoint {
+  supply: bigint;
+  price: bigint;
+}
+
+/**
+ * Read the sale's pricing curve and where it stands on it.
+ * @return {Promise<CurveState | null>} null when the sale uses fixed prices, or
+ * predates pricing strategies and has no pricingStrategy()
+ */
+export const readCurveState = async (tokenSale: TokenSaleContract): Promise<CurveState | null> => {
+  let strategy: string
+  try {
+    strategy = await tokenSale.pricingStrategy()
+  } catch {
+    return null
+  }
+  if (strategy === ethers.ZeroAddress) return null
+
+  const circulatingSupply: bigint = await tokenSale.circulatingSupply()
+  const [buyPrice, sellPrice] = await Promise.all([
+    tokenSale.quoteBuyCost(ONE_TOKEN),
+    // The curve can't be walked back below zero
+    circulatingSupply >= ONE_TOKEN ? tokenSale.quoteSellProceeds(ONE_TOKEN) : 0n
+  ])
+  return { strategy, circulatingSupply, buyPrice, sellPrice }
+}
+
+/**
+ * Quote a buy on the curve. It sends TokenSale.quoteBuyCost for the amount and
+ * takes the fill and refund from TokenSale.quoteBuy, which runs the same search
+ * the buy does.
+ * @param {bigint} tokens requested amount in token wei
+ * @param {boolean} partialFills false for sales that predate quoteBuy, which
+ * only fill whole tokens and revert past max supply
+ * @param {bigint} available fill limit from the hard cap and wallet limit, see
+ * TradeLimits.available; quoteBuy itself only stops at the supply
+ * @return {Promise<BuyQuote>} exact ETH to send, fill and refund at the current supply
+ */
+export const quoteCurveBuy = async (
+  tokenSale: TokenSaleContract,
+  tokens: bigint,
+  partialFills: boolean = true,
+  available?: bigint
+): Promise<BuyQuote> => {
+  const value: bigint = tokens > 0n ? await tokenSale.quoteBuyCost(tokens) : 0n
+  if (value === 0n) return buildBuyQuote(tokens, 0n, 0n, 0n)
+  if (!partialFills) return buildBuyQuote(tokens, tokens, value, value)
+
+  const [tokensOut, cost]: [bigint, bigint] = await tokenSale.quoteBuy(value)
+  // Prices only rise along the curve, so the capped fill costs what quoteBuyCost says
+  if (available !== undefined && tokensOut > available) {
+    return buildBuyQuote(tokens, available, value, await tokenSale.quoteBuyCost(available))
+  }
+  return buildBuyQuote(tokens, tokensOut, value, cost)
+}
+
+/**
+ * Quote a sell on the curve with TokenSale.quoteSellProceeds, spread included.
+ * @param {bigint} tokens amount to sell in token wei
+ * @return {Promise<SellQuote>} exact ETH paid out at the current supply
+ */
+export const quoteCurveSell = async (tokenSale: TokenSaleContract, tokens: bigint): Promise<SellQuote> => {
+  const quote: SellQuote = {
+    tokensIn: tokens,
+    ethOut: tokens > 0n ? await tokenSale.quoteSellProceeds(tokens) : 0n,
+    warnings: []
+  }
+
+  if (quote.ethOut === 0n && tokens > 0n) {
+    quote.warnings.push('Amount is too small to be worth any ETH')
+  }
+
+  return quote
+}
+
+/**
+ * Supply the price chart spans: twice the current supply, or further if the
+ * typed buy goes past that, but never beyond max supply.
+ */
+export const chartRange = (circulatingSupply: bigint, buyAmount: bigint, maxSupply: bigint): bigint => {
+  let range = circulatingSupply * 2n
+  if (circulatingSupply + buyAmount > range) range = circulatingSupply + buyAmount
+  if (range < 10n * ONE_TOKEN) range = 10n * ONE_TOKEN
+  return range < maxSupply ? range : maxSupply
+}
+
+/**
+ * Sample the strategy's spot price at evenly spaced supplies from 0 to `to`.
+ * @param {PricingStrategyContract} strategy IPricingStrategy contract
+ * @return {Promise<CurvePoint[]>} samples + 1 points, lowest supply first
+ */
+export const loadCurvePoints = async (
+  strategy: PricingStrategyContract,
+  to: bigint,
+  samples: number = CURVE_SAMPLES
+): Promise<CurvePoint[]> => {
+  const supplies = Array.from({ length: samples + 1 }, (_, i) => (to * BigInt(i)) / BigInt(samples))
+  const prices: bigint[] = await Promise.all(supplies.map((supply) => strategy.spotPrice(supply)))
+  return supplies.map((supply, i) => ({ supply, price: prices[i] }))
+}
@@ -0,0 +1,36 @@
+// Deployment manifests written by scripts/deploy.js (deployments/<network>.json).
+// A deployment that stopped part-way lists only the contracts it got to.
+
+export interface DeployedContract {
+  address: string;
+  constructorArgs: unknown[];
+  transactionHash: string;
+  blockNumber: number;
+}
+
+export interface RoleGrant {
+  contract: string;
+  role: string;
+  account: string;
+  transactionHash: string;
+  blockNumber: number;
+}
+
+export interface DeploymentManifest {
+  version: number;
+  network: string;
+  chainId: number;
+  deployer: string;
+  deployedAt: string;
+  compiler: { version: string; settings: Record<string, unknown> };
+  contracts: Partial<Record<'Token' | 'TokenSale' | 'LinearBondingCurve' | 'ExponentialBondingCurve' | 'TokenVesting', DeployedContract>>;
+  roles: RoleGrant[];
+}
+
+const manifests = import.meta.glob<DeploymentManifest>('../../deployments/*.json', {
+  eager: true,
+  import: 'default'
+})
+
+export const getDeployment = (chainId: number | null): DeploymentManifest | undefined =>
+  Object.values(manifests).find((manifest) => manifest.chainId === chainId)
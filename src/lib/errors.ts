@@ -0,0 +1,165 @@
+import { ethers } from 'ethers'
+import { TokenABI } from '../abis/TokenABI'
+import { TokenSaleABI } from '../abis/TokenSaleABI'
+import { TokenVestingABI } from '../abis/TokenVestingABI'
+
+// Turns whatever a wallet, provider or contract throws into a message the
+// panels can show. Reverts are decoded against every contract the dApp talks
+// to, since a sale call can bubble up the token's errors too.
+
+export type ErrorKind = 'rejected' | 'insufficientFunds' | 'revert' | 'rpc' | 'unknown'
+
+export interface AppError {
+  kind: ErrorKind;
+  // What went wrong and, where there is one, what to do about it
+  message: string;
+  // The decoded error or the RPC message, kept for bug reports
+  detail: string | null;
+}
+
+// Errors shared by several contracts (MaxSupplyReached) have the same selector,
+// so keep one fragment per signature
+const errorFragments = [...TokenSaleABI, ...TokenABI, ...TokenVestingABI].filter(
+  (fragment, index, all) => fragment.startsWith('error ') && all.indexOf(fragment) === index
+)
+const contractErrors = new ethers.Interface(errorFragments)
+
+const formatTokens = (amount: bigint) => `${ethers.formatEther(amount)} MTK`
+const formatTime = (seconds: bigint) => new Date(Number(seconds) * 1000).toLocaleString()
+
+const REVERT_MESSAGES: Record<string, (args: ethers.Result) => string> = {
+  // TokenSale
+  MaxSupplyReached: () => 'No tokens are left; the max supply has been minted',
+  ZeroAmount: () => 'The amount is too small to buy any tokens; enter a larger amount',
+  PermitFailed: () => "The token didn't accept the permit signature; sell with an approval instead",
+  TradeExpired: () => 'The trade was mined after its deadline; submit it again',
+  SlippageExceeded: () => 'The price moved past your slippage tolerance; try again or raise the tolerance',
+  InvalidPrices: () => 'The sell price must not be higher than the buy price',
+  NoPendingPriceUpdate: () => 'There is no scheduled price change',
+  PriceUpdateNotReady: (args) => `The price change can't be applied before ${formatTime(args[0])}`,
+  PricingStrategyActive: () => 'This sale is priced by a bonding curve, so its prices are fixed',
+  SaleNotStarted: (args) => `The sale opens ${formatTime(args[0])}`,
+  SaleEnded: () => 'The sale has ended',
+  BelowMinPurchase: (args) => `The minimum purchase is ${formatTokens(args[1])}`,
+  HardCapExceeded: (args) => `Only ${formatTokens(args[0])} are left under the hard cap`,
+  WalletLimitExceeded: (args) => `You can buy at most ${formatTokens(args[0])} more`,
+  InvalidSalePhase: () => 'The sale window, cap or limits are invalid',
+  AllowlistOnly: () => 'Only allowlisted addresses can buy during this round',
+  InvalidProof: () => "Your allowlist proof doesn't match this round; reload the page and try again",
+  AllocationExceeded: (args) => `Your allowlist allocation covers ${formatTokens(args[0])} more`,
+  InvalidVesting: () => "The vesting contract isn't set up for this sale and token",
+  NoPayments: () => 'The sale is not holding any ETH for you',
+  PaymentFailed: () => "Your address still can't receive ETH; try again from a wallet that can",
+  OwnableUnauthorizedAccount: () => 'Only the sale owner can do this; connect the owner wallet',
+  OwnableInvalidOwner: () => 'Enter a valid new owner address',
+  ReentrancyGuardReentrantCall: () => 'The sale refused a nested call',
+  // Token
+  ZeroAddress: () => 'Enter a valid address',
+  EnforcedPause: () => 'Token transfers are paused; try again once the token is unpaused',
+  ExpectedPause: () => 'The token is not paused',
+  AccessControlUnauthorizedAccount: () => "Your wallet doesn't have the role needed to do this",
+  AccessControlEnforcedDefaultAdminRules: () => 'The admin role can only be handed over with a delayed transfer',
+  ERC20InsufficientBalance: (args) => `You only have ${formatTokens(args[1])}`,
+  ERC20InsufficientAllowance: () => 'The sale is not approved to take that many tokens; approve them and try again',
+  ERC20InvalidReceiver: () => "Tokens can't be sent to that address",
+  ERC2612ExpiredSignature: () => 'The permit signature expired; sell again to sign a new one',
+  ERC2612InvalidSigner: () => "The permit wasn't signed by the token holder; sell again to sign a new one",
+  // TokenVesting
+  NothingToClaim: () => 'Nothing has vested since your last claim',
+  NotSale: () => 'Only the sale can lock tokens for vesting'
+}
+
+// require() messages in TokenSale, reworded where the contract's are terse
+const REQUIRE_MESSAGES: Record<string, string> = {
+  'Insufficient ETH balance': "The sale doesn't have enough ETH to buy these tokens back; try a smaller amount",
+  'Insufficient tokens': "The sale doesn't hold that many tokens",
+  'No ETH to withdraw': 'The sale has no ETH to withdraw',
+  'Amount must be more than zero': 'Enter an amount greater than zero'
+}
+
+// Wallet and node errors come wrapped differently by ethers, MetaMask and
+// other EIP-1193 providers, so look through every layer
+const errorLayers = (err: unknown): Record<string, unknown>[] => {
+  const layers: Record<string, unknown>[] = []
+  let current = err
+  for (let depth = 0; depth < 4 && current && typeof current === 'object'; depth++) {
+    const layer = current as Record<string, unknown>
+    layers.push(layer)
+    const info = layer.info as { error?: unknown } | undefined
+    current = layer.error ?? info?.error ?? (typeof layer.data === 'object' ? layer.data : undefined)
+  }
+  return layers
+}
+
+const findRevertData = (err: unknown): string | null => {
+  for (const layer of errorLayers(err)) {
+    if (typeof layer.data === 'string' && ethers.isHexString(layer.data) && layer.data.length >= 10) return layer.data
+  }
+  return null
+}
+
+const hasCode = (err: unknown, code: number | string) => errorLayers(err).some((layer) => layer.code === code)
+
+const rawMessage = (err: unknown): string => {
+  const layers = errorLayers(err)
+  for (const layer of layers) {
+    if (typeof layer.shortMessage === 'string') return layer.shortMessage
+  }
+  for (const layer of layers) {
+    if (typeof layer.message === 'string') return layer.message
+  }
+  return String(err)
+}
+
+/**
+ * Decode revert data against the Token, TokenSale and TokenVesting errors,
+ * plus the built-in Error(string) and Panic(uint256).
+ * @return {ethers.ErrorDescription | null} null when there is no revert data or it matches no known error
+ */
+export const decodeRevert = (err: unknown): ethers.ErrorDescription | null => {
+  const data = findRevertData(err)
+  return data ? contractErrors.parseError(data) : null
+}
+
+/**
+ * Describe an error thrown by a wallet request, a call or a transaction.
+ * @return {AppError} the message to show and what kind of failure it was
+ */
+export const translateError = (err: unknown): AppError => {
+  if (ethers.isError(err, 'ACTION_REJECTED') || hasCode(err, 4001)) {
+    return { kind: 'rejected', message: 'You rejected the request in your wallet', detail: null }
+  }
+
+  const revert = decodeRevert(err)
+  if (revert) {
+    const { name, args, signature } = revert
+    const detail = name === 'Error' ? String(args[0]) : `${name}(${args.map(String).join(', ')})`
+    if (name === 'Error') return { kind: 'revert', message: REQUIRE_MESSAGES[args[0]] ?? String(args[0]), detail }
+    if (name === 'Panic') return { kind: 'revert', message: `The contract hit an internal error (panic ${ethers.toBeHex(args[0])})`, detail }
+    return { kind: 'revert', message: REVERT_MESSAGES[name]?.(args) ?? `The contract reverted with ${signature}`, detail }
+  }
+  const data = findRevertData(err)
+  if (data) return { kind: 'revert', message: `The contract reverted with an unknown error ${data.slice(0, 10)}`, detail: data }
+
+  const message = rawMessage(err)
+  if (ethers.isError(err, 'INSUFFICIENT_FUNDS') || /insufficient funds/i.test(message)) {
+    return { kind: 'insufficientFunds', message: "Your wallet doesn't have enough ETH for this and its gas", detail: message }
+  }
+  if (ethers.isError(err, 'CALL_EXCEPTION') || /execution reverted/i.test(message)) {
+    const reason = ethers.isError(err, 'CALL_EXCEPTION') ? err.reason : null
+    return { kind: 'revert', message: reason ?? 'The transaction reverted without a reason', detail: message }
+  }
+  // -32002: the wallet already has a request of this kind open
+  if (hasCode(err, -32002)) {
+    return { kind: 'rpc', message: 'Your wallet already has a request waiting; open it to continue', detail: message }
+  }
+  if (
+    ethers.isError(err, 'NETWORK_ERROR') ||
+    ethers.isError(err, 'SERVER_ERROR') ||
+    ethers.isError(err, 'TIMEOUT') ||
+    errorLayers(err).some((layer) => typeof layer.code === 'number' && layer.code <= -32000 && layer.code >= -32700)
+  ) {
+    return { kind: 'rpc', message: "The network request failed; check your connection or the wallet's RPC and try again", detail: message }
+  }
+  return { kind: 'unknown', message, detail: null }
+}
@@ -0,0 +1,75 @@
+import { ethers } from 'ethers'
+import { TokenSaleABI } from '../abis/TokenSaleABI'
+
+// Sales deployed before an entry point existed don't have it, and calling a
+// missing function only hits the reverting fallback. The compiler's dispatcher
+// compares the call's selector against every external function's with
+// `PUSH4 <selector> EQ`, so the runtime code tells us what's there.
+
+export interface SaleFeatures {
+  // buyTokensWithSlippage, sellTokensWithSlippage and sellTokensWithPermit
+  protectedTrades: boolean;
+  // schedulePriceUpdate, executePriceUpdate and cancelPriceUpdate
+  adjustablePrices: boolean;
+  // setSalePhase and closeSale
+  salePhases: boolean;
+  // setMerkleRoot and buyTokensWithProof
+  allowlist: boolean;
+  // vesting and setVesting
+  vesting: boolean;
+  // quoteBuy, alongside buys that fill fractional and partial amounts and refund the rest
+  partialFills: boolean;
+}
+
+const saleInterface = new ethers.Interface(TokenSaleABI)
+
+const PUSH1 = 0x60
+const PUSH4 = 0x63
+const PUSH32 = 0x7f
+const DUP1 = 0x80
+const DUP16 = 0x8f
+const EQ = 0x14
+
+/**
+ * Collect the selectors a contract's dispatcher matches calls against.
+ * Walks the code opcode by opcode, so bytes inside PUSH data (constants,
+ * immutables) or the metadata never count as selectors, and only keeps values
+ * compared with EQ, as the dispatcher does. The optimizer drops leading zero
+ * bytes from a selector's PUSH, so values are compared as numbers.
+ * @param {string} code runtime bytecode from getCode
+ * @return {Set<number>} selectors as numbers
+ */
+export const readSelectors = (code: string): Set<number> => {
+  const bytes = ethers.getBytes(code)
+  const selectors = new Set<number>()
+  for (let pc = 0; pc < bytes.length; pc++) {
+    const op = bytes[pc]
+    if (op < PUSH1 || op > PUSH32) continue
+
+    const size = op - PUSH1 + 1
+    const next = pc + size + 1
+    // A DUP may sit between the PUSH and the EQ
+    const compared = bytes[next] === EQ || (bytes[next] >= DUP1 && bytes[next] <= DUP16 && bytes[next + 1] === EQ)
+    if (op <= PUSH4 && compared) {
+      selectors.add(Number(ethers.toBigInt(bytes.slice(pc + 1, next))))
+    }
+    pc += size
+  }
+  return selectors
+}
+
+export const hasFunction = (selectors: Set<number>, iface: ethers.Interface, name: string): boolean =>
+  selectors.has(Number(iface.getFunction(name)!.selector))
+
+export const detectSaleFeatures = async (provider: ethers.Provider, tokenSale: string): Promise<SaleFeatures> => {
+  const selectors = readSelectors(await provider.getCode(tokenSale))
+  const hasAll = (names: string[]) => names.every((name) => hasFunction(selectors, saleInterface, name))
+  return {
+    protectedTrades: hasAll(['buyTokensWithSlippage', 'sellTokensWithSlippage', 'sellTokensWithPermit']),
+    adjustablePrices: hasAll(['schedulePriceUpdate', 'executePriceUpdate', 'cancelPriceUpdate']),
+    salePhases: hasAll(['setSalePhase', 'closeSale']),
+    allowlist: hasAll(['setMerkleRoot', 'buyTokensWithProof']),
+    vesting: hasAll(['vesting', 'setVesting']),
+    partialFills: hasAll(['quoteBuy'])
+  }
+}
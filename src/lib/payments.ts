@@ -0,0 +1,27 @@
+import type { TokenSaleContract } from '../abis/TokenSaleABI'
+
+// Sales with pull payments pay out ETH with a plain call, so contract wallets
+// such as a Safe are paid like any other account. A payout that still fails is
+// owed to the payee in payments() instead of reverting the trade, and the payee
+// claims it with withdrawPayments(). Owed ETH stays in the sale, but can't fund
+// sells or be withdrawn by the owner.
+
+export interface Payments {
+  // ETH owed to the connected account
+  pending: bigint;
+  // ETH owed to everyone, held back from the reserve
+  totalOwed: bigint;
+}
+
+/**
+ * Read what the sale owes the account and everyone else.
+ * @return {Promise<Payments | null>} null when the sale predates pull payments
+ */
+export const readPayments = async (tokenSale: TokenSaleContract, account: string): Promise<Payments | null> => {
+  try {
+    const [pending, totalOwed] = await Promise.all([tokenSale.payments(account), tokenSale.totalPayments()])
+    return { pending, totalOwed }
+  } catch {
+    return null
+  }
+}
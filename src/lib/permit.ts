@@ -0,0 +1,57 @@
+import { ethers } from 'ethers'
+import type { TokenContract } from '../abis/TokenABI'
+
+// EIP-2612 permits let a sell approve and spend tokens in one transaction.
+
+export const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
+export interface PermitSignature {
+  deadline: bigint;
+  v: number;
+  r: string;
+  s: string;
+}
+
+/**
+ * Read the token's EIP-712 domain (ERC-5267).
+ * @return {Promise<ethers.TypedDataDomain | null>} null when the token doesn't support permit
+ */
+export const getPermitDomain = async (token: TokenContract): Promise<ethers.TypedDataDomain | null> => {
+  try {
+    const [[, name, version, chainId, verifyingContract]] = await Promise.all([
+      token.eip712Domain(),
+      token.nonces(ethers.ZeroAddress)
+    ])
+    return { name, version, chainId, verifyingContract }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Sign a permit letting `spender` take `value` of the signer's tokens.
+ * Uses the signer's current nonce, so the signature is void once any other
+ * permit from the same owner is used.
+ */
+export const signPermit = async (
+  token: TokenContract,
+  domain: ethers.TypedDataDomain,
+  signer: ethers.Signer,
+  spender: string,
+  value: bigint,
+  deadline: bigint
+): Promise<PermitSignature> => {
+  const owner = await signer.getAddress()
+  const nonce: bigint = await token.nonces(owner)
+  const signature = await signer.signTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline })
+  const { v, r, s } = ethers.Signature.from(signature)
+  return { deadline, v, r, s }
+}
@@ -0,0 +1,98 @@
+import type { TokenSaleContract } from '../abis/TokenSaleABI'
+import type { TradeLimits } from './quote'
+
+// Buy window and purchase limits set with TokenSale.setSalePhase. Zero leaves a
+// bound unset. Sells aren't affected by any of them.
+
+export interface SalePhase {
+  // Unix timestamps; 0 for no start or end
+  startTime: number;
+  endTime: number;
+  hardCap: bigint;
+  minPurchase: bigint;
+  maxPurchase: bigint;
+  tokensSold: bigint;
+  // What the connected account has bought so far
+  purchased: bigint;
+}
+
+export type PhaseStatus = 'upcoming' | 'open' | 'ended'
+
+/**
+ * Read the sale phase and the account's purchases.
+ * @return {Promise<SalePhase | null>} null when the sale predates sale phases
+ */
+export const readSalePhase = async (tokenSale: TokenSaleContract, account: string): Promise<SalePhase | null> => {
+  try {
+    const [[startTime, endTime, hardCap, minPurchase, maxPurchase], tokensSold, purchased] = await Promise.all([
+      tokenSale.salePhase(),
+      tokenSale.tokensSold(),
+      tokenSale.purchased(account)
+    ])
+    return {
+      startTime: Number(startTime),
+      endTime: Number(endTime),
+      hardCap,
+      minPurchase,
+      maxPurchase,
+      tokensSold,
+      purchased
+    }
+  } catch {
+    return null
+  }
+}
+
+// True when any window or limit is set
+export const hasSaleLimits = (phase: SalePhase): boolean =>
+  phase.startTime !== 0 || phase.endTime !== 0 || phase.hardCap !== 0n || phase.minPurchase !== 0n || phase.maxPurchase !== 0n
+
+// Mirrors TokenSale._checkSaleOpen: the end is exclusive and wins over the start
+export const phaseStatus = (phase: SalePhase, now: number = Date.now()): PhaseStatus => {
+  const seconds = Math.floor(now / 1000)
+  if (phase.endTime !== 0 && seconds >= phase.endTime) return 'ended'
+  if (seconds < phase.startTime) return 'upcoming'
+  return 'open'
+}
+
+const remaining = (limit: bigint, used: bigint): bigint | null =>
+  limit === 0n ? null : limit > used ? limit - used : 0n
+
+// Tokens left under the hard cap, or null without one
+export const remainingAllocation = (phase: SalePhase): bigint | null => remaining(phase.hardCap, phase.tokensSold)
+
+// Tokens the account may still buy, or null without a per-wallet limit
+export const remainingWalletLimit = (phase: SalePhase): bigint | null => remaining(phase.maxPurchase, phase.purchased)
+
+/**
+ * Narrow trade limits to the sale window, hard cap and the account's wallet limit.
+ * Buys crossing the hard cap or wallet limit are filled up to it, so both narrow
+ * what is available as well as the largest full fill.
+ */
+export const applySalePhase = (limits: TradeLimits, phase: SalePhase, now: number = Date.now()): TradeLimits => {
+  const allocation = remainingAllocation(phase)
+  const walletLimit = remainingWalletLimit(phase)
+  let { maxBuy, available } = limits
+  if (allocation !== null && allocation < maxBuy) maxBuy = allocation
+  if (allocation !== null && allocation < available) available = allocation
+  // A wallet at its own limit doesn't make the sale sold out
+  const soldOut = maxBuy === 0n
+  if (walletLimit !== null && walletLimit < maxBuy) maxBuy = walletLimit
+  if (walletLimit !== null && walletLimit < available) available = walletLimit
+
+  const status = phaseStatus(phase, now)
+  if (limits.status === 'Token paused') return { ...limits, maxBuy, available }
+  if (status === 'upcoming') return { ...limits, maxBuy, available, status: 'Not started' }
+  if (status === 'ended') return { ...limits, maxBuy, available, status: 'Sale ended' }
+  return { ...limits, maxBuy, available, status: soldOut ? 'Sold out' : limits.status }
+}
+
+// Countdown such as "2d 03:04:05"
+export const formatCountdown = (seconds: number): string => {
+  const clamped = Math.max(0, Math.floor(seconds))
+  const days = Math.floor(clamped / 86400)
+  const time = [Math.floor(clamped / 3600) % 24, Math.floor(clamped / 60) % 60, clamped % 60]
+    .map((part) => String(part).padStart(2, '0'))
+    .join(':')
+  return days > 0 ? `${days}d ${time}` : time
+}
@@ -0,0 +1,109 @@
+import { ethers } from 'ethers'
+import { translateError } from './errors'
+
+// Pre-flight checks for the trade panels. Every transaction is simulated with
+// estimateGas before the wallet is asked to sign it, so a revert shows up as a
+// reason in the panel instead of a failed transaction, and the fee is priced
+// from the node's EIP-1559 fee data.
+
+export interface PlannedTx {
+  // Shown next to the fee, e.g. "Approve" or "Sell"
+  label: string;
+  contract: ethers.BaseContract;
+  method: string;
+  args: unknown[];
+  value?: bigint;
+}
+
+export interface GasPrices {
+  // Base fee plus priority fee, what a unit of gas is likely to cost now
+  likely: bigint;
+  // maxFeePerGas, the most the wallet lets a unit of gas cost
+  max: bigint;
+}
+
+export interface TxEstimate {
+  label: string;
+  gasLimit: bigint;
+  fee: bigint;
+  maxFee: bigint;
+}
+
+export interface Preflight {
+  estimates: TxEstimate[];
+  // ETH leaving the wallet: the value sent plus the likely and the highest fees
+  total: bigint;
+  maxTotal: bigint;
+  // Why the trade can't go ahead; null when every transaction simulated cleanly
+  error: string | null;
+  // Labels of transactions that can only be simulated once the ones before them
+  // are done, e.g. a sell waiting on its approval
+  unchecked: string[];
+}
+
+/**
+ * Read the gas prices to quote fees at. Chains without EIP-1559 price both
+ * at the legacy gasPrice.
+ * @return {Promise<GasPrices>} per-gas prices in wei
+ */
+export const readGasPrices = async (provider: ethers.Provider): Promise<GasPrices> => {
+  const [feeData, block] = await Promise.all([provider.getFeeData(), provider.getBlock('latest')])
+  const gasPrice = feeData.gasPrice ?? 0n
+  if (feeData.maxFeePerGas === null || block?.baseFeePerGas == null) return { likely: gasPrice, max: gasPrice }
+  return { likely: block.baseFeePerGas + (feeData.maxPriorityFeePerGas ?? 0n), max: feeData.maxFeePerGas }
+}
+
+/**
+ * Simulate each transaction from `from` and price it. Stops at the first one
+ * that would revert, or when the wallet can't cover the value plus the
+ * highest fees.
+ * @param {bigint} balance the sender's ETH balance
+ * @param {string[]} unchecked labels of later transactions that can't be simulated yet
+ * @return {Promise<Preflight>} estimates for every transaction that simulated
+ */
+export const preflight = async (
+  provider: ethers.Provider,
+  from: string,
+  txs: PlannedTx[],
+  balance: bigint,
+  unchecked: string[] = []
+): Promise<Preflight> => {
+  const prices = await readGasPrices(provider)
+  const result: Preflight = { estimates: [], total: 0n, maxTotal: 0n, error: null, unchecked }
+
+  for (const tx of txs) {
+    let gasLimit: bigint
+    try {
+      gasLimit = await tx.contract.getFunction(tx.method).estimateGas(...tx.args, { from, value: tx.value ?? 0n })
+    } catch (err) {
+      result.error = `${tx.label} would fail: ${translateError(err).message}`
+      return result
+    }
+
+    const estimate = { label: tx.label, gasLimit, fee: gasLimit * prices.likely, maxFee: gasLimit * prices.max }
+    result.estimates.push(estimate)
+    result.total += (tx.value ?? 0n) + estimate.fee
+    result.maxTotal += (tx.value ?? 0n) + estimate.maxFee
+  }
+
+  if (result.maxTotal > balance) {
+    result.error = `Not enough ETH: this needs up to ${ethers.formatEther(result.maxTotal)} ETH including gas`
+  }
+  return result
+}
+
+/**
+ * Simulate a transaction once more and send it. The chain may have moved since
+ * the preview, and this is what stops a transaction that would now revert.
+ * @throws {Error} with the decoded reason when it would revert
+ */
+export const simulateAndSend = async (tx: PlannedTx, signer: ethers.Signer): Promise<ethers.ContractTransactionResponse> => {
+  const overrides = { from: await signer.getAddress(), value: tx.value ?? 0n }
+  try {
+    await tx.contract.getFunction(tx.method).estimateGas(...tx.args, overrides)
+  } catch (err) {
+    throw new Error(`${tx.label} would fail: ${translateError(err).message}`)
+  }
+  const contract = tx.contract.connect(signer)
+  return contract.getFunction(tx.method).send(...tx.args, { value: overrides.value })
+}
@@ -0,0 +1,31 @@
+import type { TokenSaleContract } from '../abis/TokenSaleABI'
+
+// Price changes on the sale go through a schedule-then-execute timelock; this
+// reads the announced change so the UI can show it before it takes effect.
+
+export interface PendingPrices {
+  buyPrice: bigint;
+  sellPrice: bigint;
+  // Unix timestamp from which the update can be executed
+  effectiveAt: number;
+}
+
+/**
+ * Read TokenSale.pendingPrices().
+ * @return {Promise<PendingPrices | null>} null when nothing is scheduled, or when
+ * the sale predates adjustable prices and has no pendingPrices()
+ */
+export const readPendingPrices = async (tokenSale: TokenSaleContract): Promise<PendingPrices | null> => {
+  try {
+    const [buyPrice, sellPrice, effectiveAt] = await tokenSale.pendingPrices()
+    return effectiveAt === 0n ? null : { buyPrice, sellPrice, effectiveAt: Number(effectiveAt) }
+  } catch {
+    return null
+  }
+}
+
+export const isPriceUpdateReady = (pending: PendingPrices, now: number = Date.now()): boolean =>
+  Math.floor(now / 1000) >= pending.effectiveAt
+
+export const formatEffectiveAt = (pending: PendingPrices): string =>
+  new Date(pending.effectiveAt * 1000).toLocaleString()
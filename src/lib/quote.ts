@@ -0,0 +1,183 @@
+// Quote engine for the TokenSale contract.
+//
+// Every function here mirrors the integer math in contracts/TokenSale.sol so the
+// UI shows exactly what the contract will do with a transaction. All amounts are
+// bigint wei; never convert through Number/parseFloat.
+
+export const ONE_TOKEN = 10n ** 18n
+
+// Slippage is kept in basis points (1/100 of a percent)
+export const DEFAULT_SLIPPAGE_BPS = 50
+export const MAX_SLIPPAGE_BPS = 5000
+export const TRADE_DEADLINE_SECONDS = 20 * 60
+
+export interface BuyQuote {
+  tokensRequested: bigint;
+  tokensOut: bigint;
+  // msg.value to send
+  value: bigint;
+  // Part of value the sale keeps for tokensOut
+  cost: bigint;
+  // Rest of value, sent back in the same transaction
+  refund: bigint;
+  warnings: string[];
+}
+
+export interface SellQuote {
+  tokensIn: bigint;
+  ethOut: bigint;
+  warnings: string[];
+}
+
+export type SaleStatus = 'Active' | 'Sold out' | 'Sell liquidity low' | 'Token paused' | 'Not started' | 'Sale ended'
+
+export interface TradeLimits {
+  // Largest buy filled in full; an allowlist allocation reverts past it
+  maxBuy: bigint;
+  // Tokens left in the reserve or mintable, and under the hard cap and wallet
+  // limit; buys past this are filled in part
+  available: bigint;
+  maxSell: bigint;
+  status: SaleStatus;
+}
+
+// TokenSale.quoteBuyCost on a fixed price, which rounds up
+export const fixedBuyCost = (tokens: bigint, buyPrice: bigint): bigint =>
+  (tokens * buyPrice + ONE_TOKEN - 1n) / ONE_TOKEN
+
+/**
+ * Assemble a buy quote from what the sale fills, with warnings for buys that
+ * would revert or only be partly filled.
+ * @param {bigint} tokensRequested amount the buyer asked for in token wei
+ * @param {bigint} tokensOut amount the sale fills
+ * @param {bigint} value msg.value
+ * @param {bigint} cost ETH kept for tokensOut
+ * @return {BuyQuote} quote with value - cost as the refund
+ */
+export const buildBuyQuote = (tokensRequested: bigint, tokensOut: bigint, value: bigint, cost: bigint): BuyQuote => {
+  const quote: BuyQuote = { tokensRequested, tokensOut, value, cost, refund: value - cost, warnings: [] }
+
+  if (tokensOut === 0n && tokensRequested > 0n) {
+    quote.warnings.push('Amount is too small to buy any tokens; the transaction would revert')
+  } else if (tokensOut < tokensRequested) {
+    quote.warnings.push('Only part of the amount can be filled; the unspent ETH is refunded')
+  }
+
+  return quote
+}
+
+/**
+ * Quote a buy for an ETH amount, e.g. a plain transfer to the sale contract.
+ * buyTokens fills (msg.value * 1e18) / buyPrice token wei up to what is
+ * available and refunds whatever the fill doesn't cost.
+ * @param {bigint} value msg.value in wei
+ * @param {bigint} buyPrice TokenSale.buyPrice()
+ * @param {bigint} available tokens left to buy, see TradeLimits.maxBuy
+ * @return {BuyQuote} tokens delivered and the ETH refunded
+ */
+export const quoteBuyForEth = (value: bigint, buyPrice: bigint, available?: bigint): BuyQuote => {
+  const tokens = buyPrice > 0n ? (value * ONE_TOKEN) / buyPrice : 0n
+  const tokensOut = available !== undefined && tokens > available ? available : tokens
+  return buildBuyQuote(tokens, tokensOut, value, fixedBuyCost(tokensOut, buyPrice))
+}
+
+/**
+ * Quote a buy for a token amount typed by the user. It sends what the amount
+ * costs, rounded up, which can fill a few wei more than asked.
+ * @param {bigint} tokens requested amount in token wei
+ * @param {bigint} buyPrice TokenSale.buyPrice()
+ * @param {bigint} available tokens left to buy, see TradeLimits.maxBuy
+ * @return {BuyQuote} exact ETH to send, tokens delivered and ETH refunded
+ */
+export const quoteBuyForTokens = (tokens: bigint, buyPrice: bigint, available?: bigint): BuyQuote => {
+  const quote = quoteBuyForEth(fixedBuyCost(tokens, buyPrice), buyPrice, available)
+  return buildBuyQuote(tokens, quote.tokensOut, quote.value, quote.cost)
+}
+
+/**
+ * Quote a sell. sellTokens pays (_amount * sellPrice) / 1e18, rounded down.
+ * @param {bigint} tokens amount to sell in token wei
+ * @param {bigint} sellPrice TokenSale.sellPrice()
+ * @return {SellQuote} exact ETH paid out
+ */
+export const quoteSell = (tokens: bigint, sellPrice: bigint): SellQuote => {
+  const quote: SellQuote = {
+    tokensIn: tokens,
+    ethOut: (tokens * sellPrice) / ONE_TOKEN,
+    warnings: []
+  }
+
+  if (quote.ethOut === 0n && tokens > 0n) {
+    quote.warnings.push('Amount is too small to be worth any ETH')
+  } else if ((tokens * sellPrice) % ONE_TOKEN !== 0n) {
+    quote.warnings.push('Payout is rounded down to the nearest wei')
+  }
+
+  return quote
+}
+
+/**
+ * Largest buy and sell the contract can fill right now.
+ * A buy is served from the reserve first and minted up to MAX_SUPPLY after
+ * that; a sell is capped by the ETH the contract holds.
+ */
+export const computeTradeLimits = (
+  balance: bigint,
+  totalSupply: bigint,
+  maxSupply: bigint,
+  paused: boolean,
+  sellPrice: bigint,
+  ethReserve: bigint,
+  tokenReserve: bigint
+): TradeLimits => {
+  const mintable = maxSupply > totalSupply ? maxSupply - totalSupply : 0n
+  const available = tokenReserve + mintable
+
+  const payable = sellPrice > 0n ? (ethReserve * ONE_TOKEN) / sellPrice : balance
+  const maxSell = balance < payable ? balance : payable
+
+  let status: SaleStatus = 'Active'
+  if (paused) status = 'Token paused'
+  else if (available === 0n) status = 'Sold out'
+  else if (maxSell < balance) status = 'Sell liquidity low'
+
+  return { maxBuy: available, available, maxSell, status }
+}
+
+/**
+ * Parse a decimal token amount into wei without going through floating point.
+ * Returns null for empty or malformed input instead of throwing.
+ */
+export const parseTokenAmount = (value: string, decimals = 18): bigint | null => {
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(value.trim())
+  if (!match || (!match[1] && !match[2])) return null
+
+  const [, whole, fraction = ''] = match
+  if (fraction.length > decimals) return null
+
+  return BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0')
+}
+
+/**
+ * Smallest output to accept for a quoted amount, for the minTokensOut/minEthOut
+ * arguments of the slippage-protected entry points.
+ * @param {bigint} amountOut quoted tokens or ETH in wei
+ * @param {number} slippageBps tolerated shortfall in basis points
+ * @return {bigint} amountOut reduced by the tolerance, rounded down
+ */
+export const applySlippage = (amountOut: bigint, slippageBps: number): bigint =>
+  (amountOut * BigInt(10_000 - slippageBps)) / 10_000n
+
+/**
+ * Parse a slippage percentage such as "0.5" into basis points.
+ * Returns null for malformed input or anything above MAX_SLIPPAGE_BPS.
+ */
+export const parseSlippage = (value: string): number | null => {
+  const bps = parseTokenAmount(value, 2)
+  if (bps === null || bps > BigInt(MAX_SLIPPAGE_BPS)) return null
+  return Number(bps)
+}
+
+// Unix timestamp after which a trade sent now should revert
+export const tradeDeadline = (now: number = Date.now()): bigint =>
+  BigInt(Math.floor(now / 1000) + TRADE_DEADLINE_SECONDS)
@@ -0,0 +1,27 @@
+import { ethers } from 'ethers'
+import type { NetworkConfig } from '../contract_address'
+
+// Before a wallet connects, or while it sits on a chain without the sale, the
+// dApp reads the sale through the network's public RPC so visitors can still
+// see prices, supply and recent trades. The provider has no accounts, so
+// nothing can be signed through it. Every visitor shares this RPC, so the
+// registry lists a keyless public endpoint, not the deployer's own.
+
+// Public RPCs rate-limit; poll for new blocks less often than a wallet would
+export const READ_ONLY_POLLING_INTERVAL = 12_000
+
+/**
+ * Build a provider for the network's public RPC.
+ * @param {NetworkConfig} network registry entry with the rpcUrl to read through
+ * @return {ethers.JsonRpcProvider | null} null when the network has no RPC URL
+ */
+export const createReadOnlyProvider = (network: NetworkConfig): ethers.JsonRpcProvider | null => {
+  if (!network.rpcUrl) return null
+
+  // The chain is known from the registry, so skip eth_chainId on every request
+  const chain = ethers.Network.from(network.chainId)
+  return new ethers.JsonRpcProvider(network.rpcUrl, chain, {
+    staticNetwork: chain,
+    pollingInterval: READ_ONLY_POLLING_INTERVAL
+  })
+}
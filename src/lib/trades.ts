@@ -0,0 +1,59 @@
+import type { TokenContract } from '../abis/TokenABI'
+import type { TokenSaleContract } from '../abis/TokenSaleABI'
+import type { AllowlistEntry } from './allowlist'
+import type { PermitSignature } from './permit'
+import type { PlannedTx } from './preflight'
+import { tradeDeadline } from './quote'
+
+// The transactions the trade panels send, built once so the same call is
+// simulated for the preview and then signed.
+
+export interface BuyOptions {
+  // msg.value, BuyQuote.value
+  value: bigint;
+  // null skips slippage protection
+  minTokensOut: bigint | null;
+  // Set during an allowlist round
+  allowlistEntry: AllowlistEntry | null;
+  // Sales deployed before slippage protection only have plain buyTokens
+  protectedTrades: boolean;
+}
+
+export const planBuy = (tokenSale: TokenSaleContract, options: BuyOptions): PlannedTx => {
+  const { value, minTokensOut, allowlistEntry, protectedTrades } = options
+  // Plain buys revert during the allowlist phase, so attach the account's proof
+  if (allowlistEntry) {
+    return {
+      label: 'Buy',
+      contract: tokenSale,
+      method: 'buyTokensWithProof',
+      args: [allowlistEntry.allocation, allowlistEntry.proof, minTokensOut ?? 0n, tradeDeadline()],
+      value
+    }
+  }
+  if (protectedTrades && minTokensOut !== null) {
+    return { label: 'Buy', contract: tokenSale, method: 'buyTokensWithSlippage', args: [minTokensOut, tradeDeadline()], value }
+  }
+  return { label: 'Buy', contract: tokenSale, method: 'buyTokens', args: [], value }
+}
+
+export const planApprove = (token: TokenContract, spender: string, amount: bigint): PlannedTx =>
+  ({ label: 'Approve', contract: token, method: 'approve', args: [spender, amount] })
+
+// Sells once the sale may already take the tokens; minEthOut null skips slippage protection
+export const planSell = (tokenSale: TokenSaleContract, amount: bigint, minEthOut: bigint | null): PlannedTx =>
+  minEthOut !== null
+    ? { label: 'Sell', contract: tokenSale, method: 'sellTokensWithSlippage', args: [amount, minEthOut, tradeDeadline()] }
+    : { label: 'Sell', contract: tokenSale, method: 'sellTokens', args: [amount] }
+
+export const planPermitSell = (
+  tokenSale: TokenSaleContract,
+  amount: bigint,
+  minEthOut: bigint,
+  permit: PermitSignature
+): PlannedTx => ({
+  label: 'Sell',
+  contract: tokenSale,
+  method: 'sellTokensWithPermit',
+  args: [amount, minEthOut, permit.deadline, permit.v, permit.r, permit.s]
+})
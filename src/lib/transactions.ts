@@ -0,0 +1,208 @@
+import { ethers } from 'ethers'
+import { translateError } from './errors'
+
+// Follows each transaction the dApp submits from the moment the wallet sends it
+// until it is buried under enough blocks, replaced or failed. Entries are plain
+// JSON, so unsettled ones can be saved and resumed after a reload.
+
+// 'unknown' is a transaction we lost track of, e.g. when the RPC failed while
+// waiting for it; it stays unsettled so it is followed again after a reload
+export type TxStatus = 'pending' | 'mined' | 'confirmed' | 'failed' | 'replaced' | 'unknown'
+
+export interface TrackedTx {
+  // Hash the wallet first sent; stays the entry's id after a speed-up
+  hash: string;
+  // e.g. "Buy", "Approve" or an admin action
+  label: string;
+  chainId: number;
+  from: string;
+  nonce: number;
+  // Block the chain was at when the transaction was sent; replacements are searched from here
+  startBlock: number;
+  submittedAt: number;
+  status: TxStatus;
+  blockNumber: number | null;
+  confirmations: number;
+  confirmationsNeeded: number;
+  // Transaction the wallet replaced this one with: a speed-up that is followed
+  // in its place, or a cancel or other transaction that took its nonce
+  replacement: string | null;
+  // Why it failed, was replaced or couldn't be followed
+  error: string | null;
+}
+
+// Local chains only mine when there is a transaction to mine, so don't wait for more
+const LOCAL_CHAIN_IDS = [1337, 31337]
+const CONFIRMATIONS = 3
+
+const STORAGE_KEY = 'tokenSale.transactions'
+
+export const confirmationsFor = (chainId: number): number =>
+  LOCAL_CHAIN_IDS.includes(chainId) ? 1 : CONFIRMATIONS
+
+export const isSettled = (tx: TrackedTx): boolean =>
+  tx.status === 'confirmed' || tx.status === 'failed' || tx.status === 'replaced'
+
+// The hash to look up on an explorer: the speed-up once there is one
+export const currentHash = (tx: TrackedTx): string =>
+  tx.replacement && tx.status !== 'replaced' ? tx.replacement : tx.hash
+
+/**
+ * Start tracking a transaction the wallet just sent.
+ * @param {number} startBlock block number read before the transaction was sent
+ * @return {TrackedTx} a pending entry
+ */
+export const newTrackedTx = (response: ethers.TransactionResponse, label: string, startBlock: number): TrackedTx => {
+  const chainId = Number(response.chainId)
+  return {
+    hash: response.hash,
+    label,
+    chainId,
+    from: response.from,
+    nonce: response.nonce,
+    startBlock,
+    submittedAt: Date.now(),
+    status: 'pending',
+    blockNumber: null,
+    confirmations: 0,
+    confirmationsNeeded: confirmationsFor(chainId),
+    replacement: null,
+    error: null
+  }
+}
+
+// Following it failed part-way, e.g. the RPC dropped while waiting for confirmations
+const lostTrack = (tx: TrackedTx, err: unknown): TrackedTx =>
+  ({ ...tx, status: 'unknown', error: translateError(err).message })
+
+/**
+ * Follow a transaction until it settles, reporting every change of state:
+ * mined, each confirmation up to confirmationsNeeded, a revert, or a
+ * replacement from the wallet. A speed-up is the same call at a higher fee,
+ * so it is followed in the original's place. If following it fails part-way,
+ * the entry is reported as 'unknown' before the error is rethrown.
+ * @param {ethers.TransactionResponse} response the transaction as the provider returned it
+ * @return {Promise<TrackedTx>} the settled entry
+ */
+export const followTransaction = async (
+  tracked: TrackedTx,
+  response: ethers.TransactionResponse,
+  onUpdate: (tx: TrackedTx) => void
+): Promise<TrackedTx> => {
+  let current = tracked
+  const update = (changes: Partial<TrackedTx>) => {
+    current = { ...current, ...changes }
+    onUpdate(current)
+    return current
+  }
+
+  try {
+    let followed = response.replaceableTransaction(tracked.startBlock)
+    // A speed-up is followed in place of the original, and can revert just the same
+    const waitMined = async (): Promise<ethers.TransactionReceipt | null> => {
+      try {
+        return await followed.wait(1)
+      } catch (err) {
+        if (!ethers.isError(err, 'TRANSACTION_REPLACED') || err.reason !== 'repriced') throw err
+        followed = err.replacement
+        update({ replacement: followed.hash })
+        return followed.wait(1)
+      }
+    }
+
+    let receipt: ethers.TransactionReceipt | null
+    try {
+      receipt = await waitMined()
+    } catch (err) {
+      if (ethers.isError(err, 'TRANSACTION_REPLACED')) {
+        return update({
+          status: 'replaced',
+          replacement: err.replacement.hash,
+          error: err.reason === 'cancelled' ? 'Cancelled from your wallet' : 'Replaced by another transaction from your wallet'
+        })
+      } else if (ethers.isError(err, 'CALL_EXCEPTION') && err.receipt) {
+        return update({ status: 'failed', blockNumber: err.receipt.blockNumber, confirmations: 1, error: translateError(err).message })
+      } else {
+        throw err
+      }
+    }
+    if (!receipt) throw new Error(`No receipt for ${followed.hash}`)
+
+    update({ status: 'mined', blockNumber: receipt.blockNumber, confirmations: 1 })
+    for (let confirmations = 2; confirmations <= tracked.confirmationsNeeded; confirmations++) {
+      const confirmed = await followed.wait(confirmations)
+      // A reorg can move the transaction to another block
+      update({ blockNumber: confirmed?.blockNumber ?? current.blockNumber, confirmations })
+    }
+    return update({ status: 'confirmed' })
+  } catch (err) {
+    current = lostTrack(current, err)
+    onUpdate(current)
+    throw err
+  }
+}
+
+/**
+ * Pick up a transaction saved before a reload. One the node no longer knows
+ * was dropped; once its nonce has been used, something else took its place.
+ * One we lost track of is looked up again as pending, and reported as
+ * 'unknown' again if the node can't be reached.
+ * @return {Promise<TrackedTx>} the settled entry, or the entry unchanged while it may still be mined
+ */
+export const resumeTransaction = async (
+  provider: ethers.Provider,
+  tracked: TrackedTx,
+  onUpdate: (tx: TrackedTx) => void
+): Promise<TrackedTx> => {
+  const resumed: TrackedTx = tracked.status === 'unknown' ? { ...tracked, status: 'pending', error: null } : tracked
+
+  let response: ethers.TransactionResponse | null
+  let nonce = 0
+  try {
+    response = await provider.getTransaction(resumed.replacement ?? resumed.hash)
+    if (!response) nonce = await provider.getTransactionCount(resumed.from, 'latest')
+  } catch (err) {
+    onUpdate(lostTrack(resumed, err))
+    throw err
+  }
+  if (resumed !== tracked) onUpdate(resumed)
+
+  if (response) return followTransaction(resumed, response, onUpdate)
+  if (nonce <= resumed.nonce) return resumed
+  const replaced: TrackedTx = { ...resumed, status: 'replaced', error: 'Replaced by another transaction from your wallet' }
+  onUpdate(replaced)
+  return replaced
+}
+
+type TxStorage = Pick<Storage, 'getItem' | 'setItem'>
+
+const readAll = (storage: TxStorage): TrackedTx[] => {
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY) ?? '[]')
+    return Array.isArray(saved) ? saved : []
+  } catch {
+    return []
+  }
+}
+
+const belongsTo = (tx: TrackedTx, chainId: number, account: string) =>
+  tx.chainId === chainId && tx.from.toLowerCase() === account.toLowerCase()
+
+/**
+ * Read the account's unsettled transactions on a chain.
+ * @param {TxStorage} storage window.localStorage in the dApp
+ * @return {TrackedTx[]} entries to resume
+ */
+export const loadPendingTxs = (storage: TxStorage, chainId: number, account: string): TrackedTx[] =>
+  readAll(storage).filter((tx) => belongsTo(tx, chainId, account))
+
+/**
+ * Save the account's unsettled transactions on a chain, leaving other
+ * accounts' and chains' entries alone. Settled ones are dropped.
+ * @param {TrackedTx[]} txs the account's current entries
+ */
+export const savePendingTxs = (storage: TxStorage, chainId: number, account: string, txs: TrackedTx[]) => {
+  const others = readAll(storage).filter((tx) => !belongsTo(tx, chainId, account))
+  const pending = txs.filter((tx) => belongsTo(tx, chainId, account) && !isSettled(tx))
+  storage.setItem(STORAGE_KEY, JSON.stringify([...others, ...pending]))
+}
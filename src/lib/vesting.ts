@@ -0,0 +1,83 @@
+import { ethers } from 'ethers'
+import { connectTokenVesting } from '../abis/TokenVestingABI'
+import type { TokenSaleContract } from '../abis/TokenSaleABI'
+
+// Sales with vesting enabled send purchases to a TokenVesting contract, which
+// releases each buyer's tokens on one schedule: nothing before the cliff, then
+// linearly until startTime + duration.
+
+export interface VestingSchedule {
+  // TokenVesting the sale locks purchases in
+  address: string;
+  // Unix timestamps
+  startTime: number;
+  cliffEnd: number;
+  endTime: number;
+  // The connected account's tokens locked in total and claimed so far
+  allocated: bigint;
+  released: bigint;
+}
+
+export interface VestingBreakdown {
+  // Not vested yet
+  locked: bigint;
+  // Vested so far, claimed or not
+  vested: bigint;
+  // Vested but not claimed yet
+  claimable: bigint;
+}
+
+/**
+ * Read the sale's vesting contract and the account's allocation on it.
+ * @return {Promise<VestingSchedule | null>} null when purchases go straight to
+ * buyers, or the sale predates vesting
+ */
+export const readVesting = async (
+  tokenSale: TokenSaleContract,
+  provider: ethers.Provider,
+  account: string
+): Promise<VestingSchedule | null> => {
+  let address: string
+  try {
+    address = await tokenSale.vesting()
+  } catch {
+    return null
+  }
+  if (address === ethers.ZeroAddress) return null
+
+  const vesting = connectTokenVesting(address, provider)
+  const [startTime, cliff, duration, allocated, released] = await Promise.all([
+    vesting.startTime(),
+    vesting.cliff(),
+    vesting.duration(),
+    vesting.allocated(account),
+    vesting.released(account)
+  ])
+  return {
+    address,
+    startTime: Number(startTime),
+    cliffEnd: Number(startTime + cliff),
+    endTime: Number(startTime + duration),
+    allocated,
+    released
+  }
+}
+
+// Mirrors TokenVesting.vestedAmount
+export const vestedAmount = (schedule: VestingSchedule, now: number = Date.now()): bigint => {
+  const seconds = Math.floor(now / 1000)
+  if (seconds < schedule.cliffEnd) return 0n
+  if (seconds >= schedule.endTime) return schedule.allocated
+  return (schedule.allocated * BigInt(seconds - schedule.startTime)) / BigInt(schedule.endTime - schedule.startTime)
+}
+
+// A browser clock behind the chain's can't vest less than was already claimed
+export const vestingBreakdown = (schedule: VestingSchedule, now: number = Date.now()): VestingBreakdown => {
+  const atNow = vestedAmount(schedule, now)
+  const vested = atNow > schedule.released ? atNow : schedule.released
+  return {
+    locked: schedule.allocated - vested,
+    vested,
+    claimable: vested - schedule.released
+  }
+}
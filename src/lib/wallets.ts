@@ -0,0 +1,177 @@
+import { ethers } from 'ethers'
+import { toAddChainParams, type NetworkConfig } from '../contract_address'
+
+// Everything the dApp knows about a wallet goes through an EIP-1193 provider,
+// whichever way the wallet was found: announced through EIP-6963, the legacy
+// window.ethereum, or a connector that sets up a remote session first, as
+// WalletConnect does.
+
+// EIP-1193 provider, with the events wallets emit
+export interface WalletProvider extends ethers.Eip1193Provider {
+  on?: (event: string, listener: (...args: unknown[]) => void) => void;
+  removeListener?: (event: string, listener: (...args: unknown[]) => void) => void;
+}
+
+// EIP-6963 provider info
+export interface WalletInfo {
+  uuid: string;
+  name: string;
+  // Data URI; render it with <img>, never as markup
+  icon: string;
+  // Reverse DNS id, e.g. "io.metamask", stable across page loads
+  rdns: string;
+}
+
+export interface AnnouncedWallet {
+  info: WalletInfo;
+  provider: WalletProvider;
+}
+
+export interface WalletConnector {
+  // Remembered to restore the session on the next visit
+  id: string;
+  name: string;
+  icon: string | null;
+  // The wallet's provider, setting up a remote session first for connectors
+  // that need one. Must not prompt, so a saved choice can be restored on load.
+  getProvider: () => Promise<WalletProvider>;
+  // Ends a remote session; injected wallets keep the dApp authorised until
+  // the user revokes it in the wallet
+  disconnect: () => Promise<void>;
+}
+
+export interface WalletSession {
+  account: string;
+  chainId: number | null;
+  provider: ethers.BrowserProvider | null;
+  signer: ethers.JsonRpcSigner | null;
+}
+
+export const EMPTY_SESSION: WalletSession = {
+  account: '',
+  chainId: null,
+  provider: null,
+  signer: null
+}
+
+export const INJECTED_CONNECTOR_ID = 'injected'
+
+const ANNOUNCE_EVENT = 'eip6963:announceProvider'
+const REQUEST_EVENT = 'eip6963:requestProvider'
+const STORAGE_KEY = 'tokenSale.wallet'
+
+const isAnnouncedWallet = (detail: unknown): detail is AnnouncedWallet => {
+  const wallet = detail as AnnouncedWallet | null
+  return typeof wallet?.info?.uuid === 'string' &&
+    typeof wallet.info.rdns === 'string' &&
+    typeof wallet.provider?.request === 'function'
+}
+
+/**
+ * Collect the wallets installed in the browser (EIP-6963). Wallets announce
+ * themselves when asked, and again whenever they load later.
+ * @param {EventTarget} target window in the dApp
+ * @param {function(AnnouncedWallet): void} onWallet called for every announcement, repeats included
+ * @return {function(): void} stops listening
+ */
+export const discoverWallets = (target: EventTarget, onWallet: (wallet: AnnouncedWallet) => void): (() => void) => {
+  const onAnnounce = (event: Event) => {
+    const { detail } = event as CustomEvent<unknown>
+    if (isAnnouncedWallet(detail)) onWallet(detail)
+  }
+  target.addEventListener(ANNOUNCE_EVENT, onAnnounce)
+  target.dispatchEvent(new Event(REQUEST_EVENT))
+  return () => target.removeEventListener(ANNOUNCE_EVENT, onAnnounce)
+}
+
+// Add an announcement to the list unless that wallet is already in it
+export const addAnnouncedWallet = (wallets: AnnouncedWallet[], wallet: AnnouncedWallet): AnnouncedWallet[] =>
+  wallets.some((known) => known.info.uuid === wallet.info.uuid || known.info.rdns === wallet.info.rdns)
+    ? wallets
+    : [...wallets, wallet]
+
+export const announcedConnector = ({ info, provider }: AnnouncedWallet): WalletConnector => ({
+  id: info.rdns,
+  name: info.name,
+  icon: info.icon,
+  getProvider: async () => provider,
+  disconnect: async () => {}
+})
+
+// window.ethereum, for wallets that predate EIP-6963
+export const injectedConnector = (provider: WalletProvider): WalletConnector => ({
+  id: INJECTED_CONNECTOR_ID,
+  name: 'Browser wallet',
+  icon: null,
+  getProvider: async () => provider,
+  disconnect: async () => {}
+})
+
+/**
+ * Wallets to offer in the picker. window.ethereum is one of the announced
+ * wallets whenever there are any, so it's only offered on its own.
+ * @param {WalletProvider | undefined} injected window.ethereum
+ * @return {WalletConnector[]} in announcement order
+ */
+export const listConnectors = (announced: AnnouncedWallet[], injected?: WalletProvider): WalletConnector[] => {
+  if (announced.length > 0) return announced.map(announcedConnector)
+  return injected ? [injectedConnector(injected)] : []
+}
+
+/**
+ * Ask the wallet to connect, prompting the user unless the dApp is already authorised.
+ * @return {Promise<string[]>} authorised accounts, the selected one first
+ */
+export const requestAccounts = async (provider: WalletProvider): Promise<string[]> =>
+  provider.request({ method: 'eth_requestAccounts' })
+
+// Accounts the dApp is already authorised for, without prompting
+export const readAccounts = async (provider: WalletProvider): Promise<string[]> =>
+  provider.request({ method: 'eth_accounts' })
+
+export const readChainId = async (provider: WalletProvider): Promise<number> =>
+  Number(await provider.request({ method: 'eth_chainId' }))
+
+/**
+ * Move the wallet to a network, adding it first when the wallet doesn't know it (EIP-3085).
+ * @param {NetworkConfig} network registry entry to switch to
+ */
+export const switchChain = async (provider: WalletProvider, network: NetworkConfig) => {
+  const chainId = `0x${network.chainId.toString(16)}`
+  try {
+    await provider.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] })
+  } catch (switchError) {
+    // 4902: the wallet doesn't know this chain yet
+    if ((switchError as { code?: number }).code !== 4902) throw switchError
+    await provider.request({ method: 'wallet_addEthereumChain', params: [toAddChainParams(network)] })
+  }
+}
+
+/**
+ * Build the ethers provider and signer for an account the wallet authorised.
+ * @param {string} account one of the wallet's accounts
+ * @return {Promise<WalletSession>} session on the wallet's current chain
+ */
+export const openSession = async (walletProvider: WalletProvider, account: string): Promise<WalletSession> => {
+  const provider = new ethers.BrowserProvider(walletProvider)
+  const [network, signer] = await Promise.all([
+    provider.getNetwork(),
+    provider.getSigner(account)
+  ])
+  return {
+    account: ethers.getAddress(account),
+    chainId: Number(network.chainId),
+    provider,
+    signer
+  }
+}
+
+type WalletStorage = Pick<Storage, 'getItem' | 'setItem' | 'removeItem'>
+
+// Connector id chosen last time, if the user hasn't disconnected since
+export const loadWalletChoice = (storage: WalletStorage): string | null => storage.getItem(STORAGE_KEY)
+
+export const saveWalletChoice = (storage: WalletStorage, connectorId: string | null) => {
+  if (connectorId === null) storage.removeItem(STORAGE_KEY)
+  else storage.setItem(STORAGE_KEY, connectorId)
+}
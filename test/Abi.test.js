@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { requireFrontend } = require("./helpers/frontend");
+const { findStaleBindings, renderBindings } = require("../scripts/bindings");
+
+const { ethers } = hre;
+
+const { TokenABI } = requireFrontend("abis/TokenABI.ts");
+const { TokenSaleABI } = requireFrontend("abis/TokenSaleABI.ts");
+const { PricingStrategyABI } = requireFrontend("abis/PricingStrategyABI.ts");
+const { TokenVestingABI } = requireFrontend("abis/TokenVestingABI.ts");
+const { detectSaleFeatures, hasFunction, readSelectors } = requireFrontend("lib/features.ts");
+
+describe("Frontend ABIs", function () {
+  // Every fragment the frontend calls must exist, with the same signature, in the compiled contract
+  for (const [contractName, abi] of [
+    ["Token", TokenABI],
+    ["TokenSale", TokenSaleABI],
+    ["LinearBondingCurve", PricingStrategyABI],
+    ["ExponentialBondingCurve", PricingStrategyABI],
+    ["TokenVesting", TokenVestingABI]
+  ]) {
+    it(`Should match the compiled ${contractName} contract`, async function () {
+      const compiled = (await ethers.getContractFactory(contractName)).interface;
+      const frontend = new ethers.Interface(abi);
+
+      frontend.forEachFunction((fragment) => {
+        const match = compiled.getFunction(fragment.selector);
+        expect(match, `${contractName}.${fragment.format()}`).to.not.equal(null);
+        expect(match.stateMutability).to.equal(fragment.stateMutability);
+      });
+      frontend.forEachEvent((fragment) => {
+        expect(compiled.getEvent(fragment.topicHash), `${contractName}.${fragment.format()}`).to.not.equal(null);
+      });
+      frontend.forEachError((fragment) => {
+        expect(compiled.getError(fragment.selector), `${contractName}.${fragment.format()}`).to.not.equal(null);
+      });
+    });
+  }
+
+  it("Should be generated from the current artifacts", async function () {
+    // Fails after a contract change until `npx hardhat bindings` is run and committed
+    expect(await findStaleBindings(hre)).to.deep.equal([]);
+  });
+
+  it("Should type overloaded functions, unnamed parameters and named return values", function () {
+    const abi = [
+      "function transfer(address to, uint256 amount) returns (bool)",
+      "function transfer(address to, uint256 amount, bytes data) returns (bool)",
+      "function balances(address) view returns (uint256)",
+      "function position(address _account) view returns (uint256 size, bool open)",
+      "event Moved(address indexed from, uint256 amount)"
+    ];
+    const source = renderBindings({ abi }, "Example", "Example.sol:Example");
+
+    expect(source).to.include("'transfer(address,uint256)': ContractMethod<[to: AddressLike, amount: BigNumberish], boolean, ContractTransactionResponse>;");
+    expect(source).to.include("'transfer(address,uint256,bytes)': ContractMethod<[to: AddressLike, amount: BigNumberish, data: BytesLike], boolean, ContractTransactionResponse>;");
+    expect(source).to.include("balances: ConstantContractMethod<[arg0: AddressLike], bigint>;");
+    expect(source).to.include("position: ConstantContractMethod<[account: AddressLike], [bigint, boolean] & { size: bigint; open: boolean }>;");
+    expect(source).to.include("Moved: ContractEvent<[from: AddressLike, amount: BigNumberish]>;");
+    expect(source).to.include("export const connectExample = (address: string, runner: ContractRunner | null): ExampleContract =>");
+  });
+
+  it("Should expose the admin console functions", function () {
+    const token = new ethers.Interface(TokenABI);
+    const tokenSale = new ethers.Interface(TokenSaleABI);
+
+    for (const name of ["grantRole", "revokeRole", "pause", "unpause", "DEFAULT_ADMIN_ROLE", "PAUSER_ROLE"]) {
+      expect(token.getFunction(name), name).to.not.equal(null);
+    }
+    for (const name of ["owner", "pendingOwner", "transferOwnership", "acceptOwnership", "withdrawEth", "withdrawTokens"]) {
+      expect(tokenSale.getFunction(name), name).to.not.equal(null);
+    }
+  });
+
+  it("Should detect the sale's optional entry points from deployed bytecode", async function () {
+    const [owner] = await ethers.getSigners();
+    const Token = await ethers.getContractFactory("Token");
+    const token = await Token.deploy("TestToken", "TTK", ethers.parseEther("1000000"), owner.address, owner.address, 0);
+    const TokenSale = await ethers.getContractFactory("TokenSale");
+    const tokenSale = await TokenSale.deploy(await token.getAddress(), 1n, 1n, ethers.ZeroAddress);
+
+    expect(await detectSaleFeatures(ethers.provider, await tokenSale.getAddress())).to.deep.equal({ protectedTrades: true, adjustablePrices: true, salePhases: true, allowlist: true, vesting: true, partialFills: true });
+
+    // A contract without the functions, such as the token, is reported as unsupported
+    expect(await detectSaleFeatures(ethers.provider, await token.getAddress())).to.deep.equal({ protectedTrades: false, adjustablePrices: false, salePhases: false, allowlist: false, vesting: false, partialFills: false });
+    const saleInterface = new ethers.Interface(TokenSaleABI);
+    const selectors = readSelectors(await ethers.provider.getCode(await tokenSale.getAddress()));
+    saleInterface.forEachFunction((fragment) => {
+      expect(hasFunction(selectors, saleInterface, fragment.name), fragment.format()).to.equal(true);
+    });
+  });
+
+  it("Should only take selectors from the dispatcher's comparisons", function () {
+    const iface = new ethers.Interface(["function target()"]);
+    const target = iface.getFunction("target").selector.slice(2);
+    const code = (...parts) => readSelectors("0x" + parts.join(""));
+
+    // DUP1 PUSH4 <selector> EQ, and PUSH3 for a selector starting with a zero byte
+    expect(hasFunction(code("80", "63", target, "14"), iface, "target")).to.equal(true);
+    expect(code("80", "62", "abcdef", "14").has(0x00abcdef)).to.equal(true);
+    // The same bytes inside PUSH32 data, at an odd nibble offset or never compared don't count
+    expect(hasFunction(code("7f", target.padEnd(64, "0"), "14"), iface, "target")).to.equal(false);
+    expect(hasFunction(code("5b", "5", target, "5", "14"), iface, "target")).to.equal(false);
+    expect(hasFunction(code("63", target, "11"), iface, "target")).to.equal(false);
+  });
+});
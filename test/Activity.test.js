@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { requireFrontend } = require("./helpers/frontend");
+
+const { connectTokenSale } = requireFrontend("abis/TokenSaleABI.ts");
+const { attachTimestamps, loadActivityPage, mergeActivity } = requireFrontend("lib/activity.ts");
+
+describe("Activity feed", function () {
+  async function deployWithTradesFixture() {
+    const [owner, minter, user1, user2] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("Token");
+    const token = await Token.deploy("TestToken", "TTK", ethers.parseEther("1000000"), minter.address, owner.address, 0);
+
+    const TokenSale = await ethers.getContractFactory("TokenSale");
+    const buyPrice = ethers.parseEther("0.001");
+    const sellPrice = ethers.parseEther("0.0005");
+    const tokenSale = await TokenSale.deploy(await token.getAddress(), buyPrice, sellPrice, ethers.ZeroAddress);
+    const MINTER_ROLE = await token.MINTER_ROLE();
+    await token.connect(owner).grantRole(MINTER_ROLE, await tokenSale.getAddress());
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    // One event per block: buy, buy, sell, withdraw
+    await tokenSale.connect(user1).buyTokens({ value: ethers.parseEther("0.1") });
+    await tokenSale.connect(user2).buyTokens({ value: ethers.parseEther("0.05") });
+    await token.connect(user1).approve(await tokenSale.getAddress(), ethers.parseEther("40"));
+    await tokenSale.connect(user1).sellTokens(ethers.parseEther("40"));
+    await tokenSale.connect(owner).withdrawEth();
+
+    // Read through the same ABI the frontend uses
+    const feedContract = connectTokenSale(await tokenSale.getAddress(), ethers.provider);
+    const latestBlock = await ethers.provider.getBlockNumber();
+    const prices = { buyPrice, sellPrice };
+
+    return { tokenSale, feedContract, prices, startBlock, latestBlock, owner, user1, user2 };
+  }
+
+  it("Should list every sale event newest first with implied ETH values", async function () {
+    const { feedContract, prices, startBlock, latestBlock, owner, user1, user2 } = await loadFixture(deployWithTradesFixture);
+
+    const page = await loadActivityPage(feedContract, prices, { fromBlock: startBlock, toBlock: latestBlock, pageSize: 10 });
+
+    expect(page.cursor).to.equal(null);
+    expect(page.items.map((item) => item.kind)).to.deep.equal(["withdrawEth", "sell", "buy", "buy"]);
+
+    const [withdraw, sell, buy2, buy1] = page.items;
+    expect(withdraw.account).to.equal(owner.address);
+    expect(withdraw.eth).to.equal(ethers.parseEther("0.13"));
+    expect(sell.account).to.equal(user1.address);
+    expect(sell.tokens).to.equal(ethers.parseEther("40"));
+    expect(sell.eth).to.equal(ethers.parseEther("0.02"));
+    expect(buy2.account).to.equal(user2.address);
+    expect(buy2.tokens).to.equal(ethers.parseEther("50"));
+    expect(buy2.eth).to.equal(ethers.parseEther("0.05"));
+    expect(buy1.tokens).to.equal(ethers.parseEther("100"));
+  });
+
+  it("Should value buys at what the sale charged, rounded up", async function () {
+    const [owner, minter, user1] = await ethers.getSigners();
+    const token = await ethers.deployContract("Token", ["TestToken", "TTK", ethers.parseEther("1000000"), minter.address, owner.address, 0]);
+    // 3 wei per token, so the cost of a fractional buy isn't a whole number of wei
+    const prices = { buyPrice: 3n, sellPrice: 1n };
+    const tokenSale = await ethers.deployContract("TokenSale", [await token.getAddress(), prices.buyPrice, prices.sellPrice, ethers.ZeroAddress]);
+    await token.connect(owner).grantRole(await token.MINTER_ROLE(), await tokenSale.getAddress());
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    await tokenSale.connect(user1).buyTokens({ value: 1n });
+
+    const feedContract = connectTokenSale(await tokenSale.getAddress(), ethers.provider);
+    const page = await loadActivityPage(feedContract, prices, { fromBlock: startBlock, toBlock: await ethers.provider.getBlockNumber() });
+    const [buy] = page.items;
+    expect(buy.tokens).to.equal(333333333333333333n);
+    expect(buy.eth).to.equal(await tokenSale.quoteBuyCost(buy.tokens));
+    expect(buy.eth).to.equal(await ethers.provider.getBalance(await tokenSale.getAddress()));
+  });
+
+  it("Should only return the given account's events", async function () {
+    const { feedContract, prices, startBlock, latestBlock, user1 } = await loadFixture(deployWithTradesFixture);
+
+    const page = await loadActivityPage(feedContract, prices, {
+      account: user1.address,
+      fromBlock: startBlock,
+      toBlock: latestBlock
+    });
+
+    expect(page.items.map((item) => item.kind)).to.deep.equal(["sell", "buy"]);
+    expect(page.items.every((item) => item.account === user1.address)).to.equal(true);
+  });
+
+  it("Should page through the history in chunks without gaps or duplicates", async function () {
+    const { feedContract, prices, startBlock, latestBlock } = await loadFixture(deployWithTradesFixture);
+
+    let items = [];
+    let cursor = latestBlock;
+    let pages = 0;
+    while (cursor !== null) {
+      const page = await loadActivityPage(feedContract, prices, {
+        fromBlock: startBlock,
+        toBlock: cursor,
+        pageSize: 1,
+        chunkSize: 1
+      });
+      expect(page.items.length).to.be.at.most(1);
+      items = mergeActivity(items, page.items);
+      cursor = page.cursor;
+      pages++;
+    }
+
+    // Blocks without sale events (the approval, the role grant) are scanned past within a page
+    expect(pages).to.equal(5);
+    expect(items.map((item) => item.kind)).to.deep.equal(["withdrawEth", "sell", "buy", "buy"]);
+  });
+
+  it("Should stop after maxChunks and hand back a cursor", async function () {
+    const { feedContract, prices, startBlock, latestBlock } = await loadFixture(deployWithTradesFixture);
+
+    const page = await loadActivityPage(feedContract, prices, {
+      fromBlock: startBlock,
+      toBlock: latestBlock,
+      chunkSize: 2,
+      maxChunks: 1
+    });
+
+    expect(page.items.map((item) => item.kind)).to.deep.equal(["withdrawEth", "sell"]);
+    expect(page.cursor).to.equal(latestBlock - 2);
+  });
+
+  it("Should leave the ETH side of trades unknown without prices", async function () {
+    const { feedContract, startBlock, latestBlock } = await loadFixture(deployWithTradesFixture);
+
+    // Curve-priced sales pass null, as their trade events can't be valued from fixed prices
+    const page = await loadActivityPage(feedContract, null, { fromBlock: startBlock, toBlock: latestBlock });
+
+    expect(page.prices).to.equal(null);
+    expect(page.items.map((item) => item.eth)).to.deep.equal([ethers.parseEther("0.13"), null, null, null]);
+  });
+
+  it("Should attach block timestamps, fetching each block once", async function () {
+    const { feedContract, prices, startBlock, latestBlock } = await loadFixture(deployWithTradesFixture);
+
+    const page = await loadActivityPage(feedContract, prices, { fromBlock: startBlock, toBlock: latestBlock });
+    const cache = new Map();
+    const items = await attachTimestamps(ethers.provider, page.items, cache);
+
+    expect(cache.size).to.equal(4);
+    for (const item of items) {
+      const block = await ethers.provider.getBlock(item.blockNumber);
+      expect(item.timestamp).to.equal(block.timestamp);
+    }
+  });
+
+  it("Should value trades at the prices in effect when they were made", async function () {
+    const { tokenSale, feedContract, prices, startBlock, owner, user1 } = await loadFixture(deployWithTradesFixture);
+
+    const newPrices = { buyPrice: ethers.parseEther("0.002"), sellPrice: ethers.parseEther("0.001") };
+    await tokenSale.connect(owner).schedulePriceUpdate(newPrices.buyPrice, newPrices.sellPrice);
+    await time.increase(await tokenSale.PRICE_UPDATE_DELAY());
+    await tokenSale.connect(owner).executePriceUpdate();
+    await tokenSale.connect(user1).buyTokens({ value: ethers.parseEther("0.02") });
+    const latestBlock = await ethers.provider.getBlockNumber();
+
+    // Page through one block at a time so the price switch has to carry across pages
+    let items = [];
+    let page = { cursor: latestBlock, prices: newPrices };
+    while (page.cursor !== null) {
+      page = await loadActivityPage(feedContract, page.prices, {
+        account: user1.address,
+        fromBlock: startBlock,
+        toBlock: page.cursor,
+        chunkSize: 1,
+        pageSize: 1
+      });
+      items = mergeActivity(items, page.items);
+    }
+
+    expect(page.prices).to.deep.equal(prices);
+    const [newBuy, sell, oldBuy] = items;
+    expect(newBuy.tokens).to.equal(ethers.parseEther("10"));
+    expect(newBuy.eth).to.equal(ethers.parseEther("0.02"));
+    expect(sell.eth).to.equal(ethers.parseEther("0.02"));
+    expect(oldBuy.eth).to.equal(ethers.parseEther("0.1"));
+  });
+});
@@ -0,0 +1,230 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { parseAllowlistCsv, buildAllowlist, writeAllowlist } = require("../scripts/allowlist");
+const { requireFrontend } = require("./helpers/frontend");
+
+const { connectTokenSale } = requireFrontend("abis/TokenSaleABI.ts");
+const { computeTradeLimits } = requireFrontend("lib/quote.ts");
+const {
+  allowlistLeaf,
+  applyAllowlist,
+  findAllowlistEntry,
+  readMerkleRoot,
+  remainingAllowlistAllocation,
+  verifyAllowlistProof,
+} = requireFrontend("lib/allowlist.ts");
+
+describe("Allowlist", function () {
+  const tokens = (amount) => ethers.parseEther(String(amount));
+  // At 0.001 ETH per token
+  const ethFor = (amount) => ethers.parseEther(String(amount / 1000));
+
+  async function deployAllowlistFixture() {
+    const [owner, minter, user1, user2, user3, ...others] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("Token", [
+      "TestToken", "TTK", ethers.parseEther("1000000"), minter.address, owner.address, 0
+    ]);
+    const tokenSale = await ethers.deployContract("TokenSale", [
+      await token.getAddress(), ethers.parseEther("0.001"), ethers.parseEther("0.0005"), ethers.ZeroAddress
+    ]);
+    await token.connect(owner).grantRole(await token.MINTER_ROLE(), await tokenSale.getAddress());
+
+    // user1 and user2 are on the list, user3 isn't
+    const allowlist = buildAllowlist(parseAllowlistCsv(`address,allocation\n${user1.address},100\n${user2.address},50\n`));
+
+    return { token, tokenSale, owner, user1, user2, user3, others, allowlist };
+  }
+
+  const proofArgs = (allowlist, account) => {
+    const entry = allowlist.entries[account.address];
+    return [entry.allocation, entry.proof];
+  };
+
+  describe("Build script", function () {
+    it("Should parse allocations in whole tokens, skipping headers, blanks and comments", function () {
+      const account = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+      const rows = parseAllowlistCsv(`address,allocation\n\n# round one\n${account}, 12.5\n`);
+
+      expect(rows).to.deep.equal([{ account: ethers.getAddress(account), allocation: tokens(12.5) }]);
+    });
+
+    it("Should reject malformed, duplicate and empty lists", function () {
+      const account = ethers.Wallet.createRandom().address;
+
+      expect(() => parseAllowlistCsv(`${account},100\n0x1234,100`)).to.throw('Line 2: "0x1234" is not a valid address');
+      expect(() => parseAllowlistCsv(`${account},0`)).to.throw("Line 1: allocation must be a positive");
+      expect(() => parseAllowlistCsv(`${account},ten`)).to.throw("Line 1: allocation must be a positive");
+      expect(() => parseAllowlistCsv(`${account},1,extra`)).to.throw("Line 1: expected");
+      expect(() => parseAllowlistCsv(`${account},1\n${account.toLowerCase()},2`)).to.throw("listed twice");
+      expect(() => parseAllowlistCsv("address,allocation\n")).to.throw("The allowlist is empty");
+    });
+
+    it("Should give every address a proof to the same root, whatever the row order", function () {
+      const rows = Array.from({ length: 7 }, (_, i) => ({ account: ethers.Wallet.createRandom().address, allocation: tokens(i + 1) }));
+      const allowlist = buildAllowlist(rows);
+
+      expect(buildAllowlist([...rows].reverse()).merkleRoot).to.equal(allowlist.merkleRoot);
+      expect(allowlist.totalAllocation).to.equal(tokens(28).toString());
+      for (const { account, allocation } of rows) {
+        const entry = allowlist.entries[account];
+        expect(entry.allocation).to.equal(allocation.toString());
+        expect(verifyAllowlistProof(entry.proof, allowlist.merkleRoot, allowlistLeaf(account, allocation))).to.equal(true);
+      }
+
+      // A single address is its own root
+      const [only] = rows;
+      expect(buildAllowlist([only]).merkleRoot).to.equal(allowlistLeaf(only.account, only.allocation));
+    });
+
+    it("Should write the allowlist to a file named after its root", function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "allowlist-"));
+      const csvFile = path.join(dir, "round.csv");
+      fs.writeFileSync(csvFile, `${ethers.Wallet.createRandom().address},10\n`);
+
+      const { allowlist, file } = writeAllowlist(csvFile, path.join(dir, "out", "round.json"));
+      expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.deep.equal(allowlist);
+    });
+  });
+
+  describe("TokenSale", function () {
+    it("Should only let the owner set the root", async function () {
+      const { tokenSale, owner, user1, allowlist } = await loadFixture(deployAllowlistFixture);
+
+      expect(await tokenSale.merkleRoot()).to.equal(ethers.ZeroHash);
+      await expect(tokenSale.connect(user1).setMerkleRoot(allowlist.merkleRoot))
+        .to.be.revertedWithCustomError(tokenSale, "OwnableUnauthorizedAccount");
+      await expect(tokenSale.connect(owner).setMerkleRoot(allowlist.merkleRoot))
+        .to.emit(tokenSale, "MerkleRootUpdated")
+        .withArgs(allowlist.merkleRoot);
+    });
+
+    it("Should close every plain buy while the allowlist phase runs", async function () {
+      const { tokenSale, owner, user1, allowlist } = await loadFixture(deployAllowlistFixture);
+      await tokenSale.connect(owner).setMerkleRoot(allowlist.merkleRoot);
+      const deadline = (await time.latest()) + 600;
+
+      await expect(tokenSale.connect(user1).buyTokens({ value: ethFor(1) }))
+        .to.be.revertedWithCustomError(tokenSale, "AllowlistOnly");
+      await expect(tokenSale.connect(user1).buyTokensWithSlippage(0, deadline, { value: ethFor(1) }))
+        .to.be.revertedWithCustomError(tokenSale, "AllowlistOnly");
+      await expect(user1.sendTransaction({ to: await tokenSale.getAddress(), value: ethFor(1) }))
+        .to.be.revertedWithCustomError(tokenSale, "AllowlistOnly");
+    });
+
+    it("Should let listed addresses buy up to their allocation", async function () {
+      const { token, tokenSale, owner, user1, allowlist } = await loadFixture(deployAllowlistFixture);
+      // Purchases made before the round count against the allocation
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(30) });
+      await tokenSale.connect(owner).setMerkleRoot(allowlist.merkleRoot);
+      const deadline = (await time.latest()) + 600;
+
+      await expect(tokenSale.connect(user1).buyTokensWithProof(...proofArgs(allowlist, user1), tokens(60), deadline, { value: ethFor(60) }))
+        .to.emit(tokenSale, "BuyTokens")
+        .withArgs(user1.address, tokens(60));
+      await expect(tokenSale.connect(user1).buyTokensWithProof(...proofArgs(allowlist, user1), 0, deadline, { value: ethFor(11) }))
+        .to.be.revertedWithCustomError(tokenSale, "AllocationExceeded")
+        .withArgs(tokens(10));
+      await tokenSale.connect(user1).buyTokensWithProof(...proofArgs(allowlist, user1), 0, deadline, { value: ethFor(10) });
+
+      expect(await token.balanceOf(user1.address)).to.equal(tokens(100));
+      expect(await tokenSale.purchased(user1.address)).to.equal(tokens(100));
+    });
+
+    it("Should reject proofs for another address or allocation", async function () {
+      const { tokenSale, owner, user1, user2, user3, allowlist } = await loadFixture(deployAllowlistFixture);
+      await tokenSale.connect(owner).setMerkleRoot(allowlist.merkleRoot);
+      const deadline = (await time.latest()) + 600;
+      const [allocation, proof] = proofArgs(allowlist, user1);
+
+      await expect(tokenSale.connect(user3).buyTokensWithProof(allocation, proof, 0, deadline, { value: ethFor(1) }))
+        .to.be.revertedWithCustomError(tokenSale, "InvalidProof");
+      await expect(tokenSale.connect(user2).buyTokensWithProof(allocation, proof, 0, deadline, { value: ethFor(1) }))
+        .to.be.revertedWithCustomError(tokenSale, "InvalidProof");
+      await expect(tokenSale.connect(user1).buyTokensWithProof(tokens(1000), proof, 0, deadline, { value: ethFor(1) }))
+        .to.be.revertedWithCustomError(tokenSale, "InvalidProof");
+      await expect(tokenSale.connect(user1).buyTokensWithProof(allocation, proof, 0, deadline - 601, { value: ethFor(1) }))
+        .to.be.revertedWithCustomError(tokenSale, "TradeExpired");
+    });
+
+    it("Should accept every proof the script builds", async function () {
+      const { tokenSale, owner, others } = await loadFixture(deployAllowlistFixture);
+      const buyers = others.slice(0, 9);
+      const allowlist = buildAllowlist(buyers.map((buyer, i) => ({ account: buyer.address, allocation: tokens(i + 1) })));
+      await tokenSale.connect(owner).setMerkleRoot(allowlist.merkleRoot);
+      const deadline = (await time.latest()) + 600;
+
+      for (const [i, buyer] of buyers.entries()) {
+        await expect(tokenSale.connect(buyer).buyTokensWithProof(...proofArgs(allowlist, buyer), 0, deadline, { value: ethFor(i + 1) }))
+          .to.emit(tokenSale, "BuyTokens")
+          .withArgs(buyer.address, tokens(i + 1));
+      }
+    });
+
+    it("Should open the public sale once the root is cleared", async function () {
+      const { tokenSale, owner, user1, user3, allowlist } = await loadFixture(deployAllowlistFixture);
+      await tokenSale.connect(owner).setMerkleRoot(allowlist.merkleRoot);
+      await tokenSale.connect(owner).setMerkleRoot(ethers.ZeroHash);
+      const deadline = (await time.latest()) + 600;
+
+      await expect(tokenSale.connect(user3).buyTokens({ value: ethFor(200) })).to.emit(tokenSale, "BuyTokens");
+      // Proofs and allocations no longer matter
+      await expect(tokenSale.connect(user1).buyTokensWithProof(0, [], 0, deadline, { value: ethFor(200) }))
+        .to.emit(tokenSale, "BuyTokens")
+        .withArgs(user1.address, tokens(200));
+    });
+  });
+
+  describe("Frontend", function () {
+    it("Should find the account's entry in the published allowlist", async function () {
+      const { tokenSale, owner, user1, user3, allowlist } = await loadFixture(deployAllowlistFixture);
+      const frontendSale = connectTokenSale(await tokenSale.getAddress(), ethers.provider);
+
+      expect(await readMerkleRoot(frontendSale)).to.equal(null);
+      await tokenSale.connect(owner).setMerkleRoot(allowlist.merkleRoot);
+      expect(await readMerkleRoot(frontendSale)).to.equal(allowlist.merkleRoot);
+
+      // Lookups don't depend on the address's case
+      const entry = findAllowlistEntry(allowlist, user1.address.toLowerCase());
+      expect(entry).to.deep.equal({ allocation: tokens(100), proof: allowlist.entries[user1.address].proof });
+      expect(findAllowlistEntry(allowlist, user3.address)).to.equal(null);
+
+      // A proof that wouldn't verify on chain is treated as not listed
+      const tampered = { ...allowlist, entries: { [user1.address]: { ...allowlist.entries[user1.address], allocation: tokens(1000).toString() } } };
+      expect(findAllowlistEntry(tampered, user1.address)).to.equal(null);
+    });
+
+    it("Should limit buys to the remaining allocation", async function () {
+      const { token, tokenSale, owner, user1, allowlist } = await loadFixture(deployAllowlistFixture);
+      await tokenSale.connect(owner).setMerkleRoot(allowlist.merkleRoot);
+      const deadline = (await time.latest()) + 600;
+      await tokenSale.connect(user1).buyTokensWithProof(...proofArgs(allowlist, user1), 0, deadline, { value: ethFor(40) });
+
+      const entry = findAllowlistEntry(allowlist, user1.address);
+      const purchased = await tokenSale.purchased(user1.address);
+      expect(remainingAllowlistAllocation(entry, purchased)).to.equal(tokens(60));
+      expect(remainingAllowlistAllocation(null, purchased)).to.equal(0n);
+
+      const limits = computeTradeLimits(
+        await token.balanceOf(user1.address),
+        await token.totalSupply(),
+        await token.MAX_SUPPLY(),
+        false,
+        await tokenSale.sellPrice(),
+        await ethers.provider.getBalance(await tokenSale.getAddress()),
+        await token.balanceOf(await tokenSale.getAddress())
+      );
+      const status = { merkleRoot: allowlist.merkleRoot, published: true, entry };
+      expect(applyAllowlist(limits, status, purchased).maxBuy).to.equal(tokens(60));
+      expect(applyAllowlist(limits, { ...status, entry: null }, purchased).maxBuy).to.equal(0n);
+
+      // The limit is what buyTokensWithProof takes
+      await tokenSale.connect(user1).buyTokensWithProof(...proofArgs(allowlist, user1), 0, deadline, { value: ethFor(60) });
+      expect(await tokenSale.purchased(user1.address)).to.equal(entry.allocation);
+    });
+  });
+});
@@ -0,0 +1,351 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadDeployConfig, resolveDeployParams, DEFAULTS, TOKEN_PREMINT } = require("../scripts/deploy-config");
+const { deploy } = require("../scripts/deploy");
+const { readManifest } = require("../scripts/manifest");
+
+describe("Deploy script", function () {
+  const deployer = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+
+  describe("Parameters", function () {
+    it("Should default to the original MTK deployment", function () {
+      const params = resolveDeployParams(loadDeployConfig(), deployer);
+
+      expect(params.name).to.equal("MyToken");
+      expect(params.symbol).to.equal("MTK");
+      expect(params.maxSupply).to.equal(ethers.parseEther("1000000"));
+      expect(params.buyPrice).to.equal(ethers.parseEther("0.001"));
+      expect(params.sellPrice).to.equal(ethers.parseEther("0.0005"));
+      expect(params.initialDelay).to.equal(0);
+      expect(params.admin).to.equal(deployer);
+      expect(params.minter).to.equal(deployer);
+      expect(params.treasury).to.equal(deployer);
+    });
+
+    it("Should layer config file values under CLI overrides", function () {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "deploy-")), "sale.json");
+      fs.writeFileSync(file, JSON.stringify({ symbol: "CMP", buyPrice: "0.01", sellPrice: "0.005" }));
+
+      const raw = loadDeployConfig({ config: file }, { sellPrice: "0.002", name: undefined });
+      expect(raw).to.include({ symbol: "CMP", buyPrice: "0.01", sellPrice: "0.002", name: DEFAULTS.name });
+    });
+
+    it("Should reject unknown config file keys", function () {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "deploy-")), "sale.json");
+      fs.writeFileSync(file, JSON.stringify({ maxSuply: "5" }));
+
+      expect(() => loadDeployConfig({ config: file })).to.throw("Unknown deploy config keys: maxSuply");
+    });
+
+    it("Should reject a sell price above the buy price", function () {
+      const raw = { ...DEFAULTS, sellPrice: "0.0011" };
+      expect(() => resolveDeployParams(raw, deployer)).to.throw("sellPrice must not exceed buyPrice");
+    });
+
+    it("Should reject a max supply below the premint", function () {
+      const raw = { ...DEFAULTS, maxSupply: ethers.formatEther(TOKEN_PREMINT - 1n) };
+      expect(() => resolveDeployParams(raw, deployer)).to.throw("maxSupply must cover");
+      expect(() => resolveDeployParams({ ...DEFAULTS, maxSupply: "10000" }, deployer)).to.not.throw();
+    });
+
+    it("Should reject zero and malformed addresses", function () {
+      expect(() => resolveDeployParams({ ...DEFAULTS, admin: ethers.ZeroAddress }, deployer))
+        .to.throw("admin must not be the zero address");
+      expect(() => resolveDeployParams({ ...DEFAULTS, treasury: "0x1234" }, deployer))
+        .to.throw("treasury must be an address");
+    });
+
+    it("Should only check curve parameters when a curve is chosen", function () {
+      expect(() => resolveDeployParams({ ...DEFAULTS, sellSpreadBps: 20000 }, deployer)).to.not.throw();
+      expect(() => resolveDeployParams({ ...DEFAULTS, curve: "quadratic" }, deployer))
+        .to.throw("curve must be one of none, linear, exponential");
+
+      const raw = { ...DEFAULTS, curve: "exponential", sellSpreadBps: 20000 };
+      expect(() => resolveDeployParams(raw, deployer))
+        .to.throw(/curveBasePrice must be greater than zero[\s\S]*curveGrowth[\s\S]*sellSpreadBps/);
+
+      const params = resolveDeployParams({ ...raw, curveBasePrice: "0.001", curveGrowth: "0.0001", sellSpreadBps: 500 }, deployer);
+      expect(params.curveGrowth).to.equal(ethers.parseEther("0.0001"));
+      expect(params.sellSpreadBps).to.equal(500);
+    });
+
+    it("Should reject a sale window that ends before it starts", function () {
+      expect(() => resolveDeployParams({ ...DEFAULTS, saleStart: 2000, saleEnd: 1000 }, deployer))
+        .to.throw("saleEnd must be after saleStart");
+      expect(() => resolveDeployParams({ ...DEFAULTS, minPurchase: "10", maxPurchase: "5" }, deployer))
+        .to.throw("minPurchase must not exceed maxPurchase");
+      expect(() => resolveDeployParams({ ...DEFAULTS, saleStart: 2000, minPurchase: "10" }, deployer)).to.not.throw();
+    });
+
+    it("Should only check the vesting schedule when vesting is enabled", function () {
+      expect(() => resolveDeployParams({ ...DEFAULTS, vestingCliff: 100 }, deployer)).to.not.throw();
+      expect(() => resolveDeployParams({ ...DEFAULTS, vestingDuration: 100, vestingCliff: 200 }, deployer))
+        .to.throw(/vestingStart must be set[\s\S]*vestingCliff must not exceed vestingDuration/);
+      expect(() => resolveDeployParams({ ...DEFAULTS, vestingStart: 2000, vestingDuration: 1.5 }, deployer))
+        .to.throw("vestingDuration must be a whole number of seconds");
+    });
+
+    it("Should report every problem at once", function () {
+      const raw = { ...DEFAULTS, buyPrice: "abc", initialDelay: -1, minter: ethers.ZeroAddress };
+      expect(() => resolveDeployParams(raw, deployer)).to.throw(/buyPrice[\s\S]*minter[\s\S]*initialDelay/);
+    });
+  });
+
+  describe("Deployment", function () {
+    let log;
+
+    before(function () {
+      log = console.log;
+      console.log = () => {};
+    });
+
+    after(function () {
+      console.log = log;
+    });
+
+    it("Should only estimate gas on a dry run", async function () {
+      const [owner] = await ethers.getSigners();
+      const nonce = await ethers.provider.getTransactionCount(owner.address);
+
+      const { manifest, report } = await deploy(hre, { dryRun: true });
+      expect(manifest).to.equal(null);
+      expect(report.map(({ status }) => status))
+        .to.deep.equal(["pending", "not needed", "pending", "pending", "not needed", "not needed", "not needed", "not needed", "not needed"]);
+      expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce);
+    });
+
+    it("Should not send anything when parameters are invalid", async function () {
+      const [owner] = await ethers.getSigners();
+      const nonce = await ethers.provider.getTransactionCount(owner.address);
+      const error = console.error;
+      console.error = () => {};
+
+      try {
+        await expect(deploy(hre, { sellPrice: "1" })).to.be.rejectedWith("sellPrice must not exceed buyPrice");
+      } finally {
+        console.error = error;
+      }
+      expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce);
+    });
+
+    it("Should deploy with separate admin, minter and treasury", async function () {
+      const [owner, admin, minter, treasury] = await ethers.getSigners();
+
+      const { manifest } = await deploy(hre, {
+        name: "Campaign",
+        symbol: "CMP",
+        maxSupply: "50000",
+        buyPrice: "0.002",
+        sellPrice: "0.001",
+        admin: admin.address,
+        minter: minter.address,
+        treasury: treasury.address,
+      });
+
+      const token = await ethers.getContractAt("Token", manifest.contracts.Token.address);
+      const tokenSale = await ethers.getContractAt("TokenSale", manifest.contracts.TokenSale.address);
+
+      expect(await token.symbol()).to.equal("CMP");
+      expect(await token.MAX_SUPPLY()).to.equal(ethers.parseEther("50000"));
+      expect(await tokenSale.buyPrice()).to.equal(ethers.parseEther("0.002"));
+      expect(await token.balanceOf(minter.address)).to.equal(TOKEN_PREMINT);
+      expect(await token.hasRole(await token.MINTER_ROLE(), minter.address)).to.be.true;
+      expect(await token.hasRole(await token.MINTER_ROLE(), await tokenSale.getAddress())).to.be.true;
+
+      // Both handoffs are pending until the new accounts accept them
+      expect(await tokenSale.pendingOwner()).to.equal(treasury.address);
+      await tokenSale.connect(treasury).acceptOwnership();
+      expect(await tokenSale.owner()).to.equal(treasury.address);
+
+      expect((await token.pendingDefaultAdmin()).newAdmin).to.equal(admin.address);
+      await token.connect(admin).acceptDefaultAdminTransfer();
+      expect(await token.defaultAdmin()).to.equal(admin.address);
+      expect(await token.hasRole(await token.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.false;
+
+      expect(manifest.roles.map((grant) => grant.role))
+        .to.deep.equal(["MINTER_ROLE", "PENDING_OWNER", "PENDING_DEFAULT_ADMIN"]);
+    });
+
+    it("Should deploy the pricing curve and point the sale at it", async function () {
+      const curve = { curve: "linear", curveBasePrice: "0.001", curveSlope: "0.000001", sellSpreadBps: 300 };
+
+      const dryRun = await deploy(hre, { ...curve, dryRun: true });
+      expect(dryRun.report.map(({ status }) => status))
+        .to.deep.equal(["pending", "pending", "pending", "pending", "not needed", "not needed", "not needed", "not needed", "not needed"]);
+
+      const { manifest } = await deploy(hre, curve);
+      const pricing = manifest.contracts.LinearBondingCurve;
+      expect(pricing.constructorArgs).to.deep.equal([ethers.parseEther("0.001"), ethers.parseEther("0.000001"), 300]);
+      expect(manifest.contracts.TokenSale.constructorArgs[3]).to.equal(pricing.address);
+
+      const tokenSale = await ethers.getContractAt("TokenSale", manifest.contracts.TokenSale.address);
+      expect(await tokenSale.pricingStrategy()).to.equal(pricing.address);
+    });
+
+    it("Should configure the sale phase before handing over ownership", async function () {
+      const [, , , treasury] = await ethers.getSigners();
+      const manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-"));
+      const phase = { saleStart: 2000000000, saleEnd: 2000086400, hardCap: "5000", minPurchase: "10", maxPurchase: "500" };
+
+      const { manifest, report } = await deploy(hre, { ...phase, treasury: treasury.address, manifestDir });
+      expect(report.map(({ status }) => status))
+        .to.deep.equal(["done", "not needed", "done", "done", "done", "not needed", "not needed", "done", "not needed"]);
+
+      const tokenSale = await ethers.getContractAt("TokenSale", manifest.contracts.TokenSale.address);
+      expect(await tokenSale.salePhase()).to.deep.equal([
+        2000000000n, 2000086400n, ethers.parseEther("5000"), ethers.parseEther("10"), ethers.parseEther("500")
+      ]);
+
+      const rerun = await deploy(hre, { ...phase, treasury: treasury.address, manifestDir });
+      expect(rerun.report[4].status).to.equal("skipped");
+    });
+
+    it("Should lock purchases in a vesting contract for the sale", async function () {
+      const [, user1] = await ethers.getSigners();
+      const schedule = { vestingStart: 2000000000, vestingCliff: 86400, vestingDuration: 864000 };
+
+      const { manifest, report } = await deploy(hre, schedule);
+      expect(report.map(({ status }) => status))
+        .to.deep.equal(["done", "not needed", "done", "done", "not needed", "done", "done", "not needed", "not needed"]);
+
+      const vesting = manifest.contracts.TokenVesting;
+      expect(vesting.constructorArgs).to.deep.equal([
+        manifest.contracts.Token.address, manifest.contracts.TokenSale.address, 2000000000, 86400, 864000
+      ]);
+
+      const tokenSale = await ethers.getContractAt("TokenSale", manifest.contracts.TokenSale.address);
+      expect(await tokenSale.vesting()).to.equal(vesting.address);
+      await tokenSale.connect(user1).buyTokens({ value: ethers.parseEther("0.01") });
+      const tokenVesting = await ethers.getContractAt("TokenVesting", vesting.address);
+      expect(await tokenVesting.allocated(user1.address)).to.equal(ethers.parseEther("10"));
+    });
+  });
+
+  describe("Resuming", function () {
+    let log;
+    let manifestDir;
+
+    before(function () {
+      log = console.log;
+      console.log = () => {};
+    });
+
+    after(function () {
+      console.log = log;
+    });
+
+    beforeEach(function () {
+      manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-"));
+    });
+
+    const statuses = (report) => report.map(({ status }) => status);
+
+    // Run only the first `count` steps, as if the script died after them
+    async function partialDeploy(count) {
+      const { STEPS } = require("../scripts/deploy");
+      const original = STEPS.splice(count);
+      try {
+        return await deploy(hre, { manifestDir }).catch(() => null);
+      } finally {
+        STEPS.push(...original);
+      }
+    }
+
+    it("Should reuse a Token deployed by a failed run", async function () {
+      const error = console.error;
+      console.error = () => {};
+      try {
+        await partialDeploy(1);
+      } finally {
+        console.error = error;
+      }
+      const orphan = readManifest("hardhat", manifestDir).contracts.Token.address;
+
+      const { manifest, report } = await deploy(hre, { manifestDir });
+      expect(statuses(report)).to.deep.equal(["skipped", "not needed", "done", "done", "not needed", "not needed", "not needed", "not needed", "not needed"]);
+      expect(manifest.contracts.Token.address).to.equal(orphan);
+
+      const token = await ethers.getContractAt("Token", orphan);
+      expect(await token.hasRole(await token.MINTER_ROLE(), manifest.contracts.TokenSale.address)).to.be.true;
+    });
+
+    it("Should only grant the missing role", async function () {
+      const error = console.error;
+      console.error = () => {};
+      try {
+        await partialDeploy(3);
+      } finally {
+        console.error = error;
+      }
+
+      const { report } = await deploy(hre, { manifestDir });
+      expect(statuses(report)).to.deep.equal(["skipped", "not needed", "skipped", "done", "not needed", "not needed", "not needed", "not needed", "not needed"]);
+    });
+
+    it("Should send nothing when the deployment is complete", async function () {
+      const [owner] = await ethers.getSigners();
+      const first = await deploy(hre, { manifestDir });
+      const nonce = await ethers.provider.getTransactionCount(owner.address);
+
+      const second = await deploy(hre, { manifestDir });
+      expect(statuses(second.report)).to.deep.equal(["skipped", "not needed", "skipped", "skipped", "not needed", "not needed", "not needed", "not needed", "not needed"]);
+      expect(second.manifest.contracts.Token.address).to.equal(first.manifest.contracts.Token.address);
+      expect(second.manifest.contracts.TokenSale.address).to.equal(first.manifest.contracts.TokenSale.address);
+      expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce);
+    });
+
+    it("Should check the role on chain rather than trusting the manifest", async function () {
+      const { manifest } = await deploy(hre, { manifestDir });
+      const token = await ethers.getContractAt("Token", manifest.contracts.Token.address);
+      await token.revokeRole(await token.MINTER_ROLE(), manifest.contracts.TokenSale.address);
+
+      const { report } = await deploy(hre, { manifestDir });
+      expect(statuses(report)).to.deep.equal(["skipped", "not needed", "skipped", "done", "not needed", "not needed", "not needed", "not needed", "not needed"]);
+      expect(await token.hasRole(await token.MINTER_ROLE(), manifest.contracts.TokenSale.address)).to.be.true;
+    });
+
+    it("Should finish a handoff left out by the previous run", async function () {
+      const [, , , treasury] = await ethers.getSigners();
+      await deploy(hre, { manifestDir });
+
+      const { manifest, report } = await deploy(hre, { manifestDir, treasury: treasury.address });
+      expect(statuses(report)).to.deep.equal(["skipped", "not needed", "skipped", "skipped", "not needed", "not needed", "not needed", "done", "not needed"]);
+
+      const tokenSale = await ethers.getContractAt("TokenSale", manifest.contracts.TokenSale.address);
+      expect(await tokenSale.pendingOwner()).to.equal(treasury.address);
+    });
+
+    it("Should refuse to resume with different parameters", async function () {
+      await deploy(hre, { manifestDir });
+      const error = console.error;
+      console.error = () => {};
+
+      try {
+        await expect(deploy(hre, { manifestDir, symbol: "NEW" })).to.be.rejectedWith("different parameters");
+      } finally {
+        console.error = error;
+      }
+
+      const { manifest, report } = await deploy(hre, { manifestDir, symbol: "NEW", fresh: true });
+      expect(statuses(report)).to.deep.equal(["done", "not needed", "done", "done", "not needed", "not needed", "not needed", "not needed", "not needed"]);
+      expect(readManifest("hardhat", manifestDir).contracts.Token.address).to.equal(manifest.contracts.Token.address);
+    });
+
+    it("Should plan only the remaining steps on a dry run", async function () {
+      const error = console.error;
+      console.error = () => {};
+      try {
+        await partialDeploy(3);
+      } finally {
+        console.error = error;
+      }
+
+      const { report } = await deploy(hre, { manifestDir, dryRun: true });
+      expect(statuses(report)).to.deep.equal(["skipped", "not needed", "skipped", "pending", "not needed", "not needed", "not needed", "not needed", "not needed"]);
+    });
+  });
+});
@@ -272,4 +272,37 @@ describe("ERC20Token", function () {
       expect(await token.allowance(minter.address, user1.address)).to.equal(approveAmount - transferAmount);
     });
   });
-});
\ No newline at end of file
+
+  describe("Permit", function () {
+    it("Should set an allowance from a signed permit", async function () {
+      const { token, minter, user1, user2 } = await loadFixture(deployTokenFixture);
+
+      const value = ethers.parseEther("250");
+      const deadline = ethers.MaxUint256;
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = { name: "TestToken", version: "1", chainId, verifyingContract: await token.getAddress() };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const signature = await minter.signTypedData(domain, types, {
+        owner: minter.address, spender: user1.address, value, nonce: 0, deadline,
+      });
+      const { v, r, s } = ethers.Signature.from(signature);
+
+      // Anyone may submit the permit
+      await token.connect(user2).permit(minter.address, user1.address, value, deadline, v, r, s);
+
+      expect(await token.allowance(minter.address, user1.address)).to.equal(value);
+      expect(await token.nonces(minter.address)).to.equal(1);
+      await expect(
+        token.connect(user2).permit(minter.address, user1.address, value, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(token, "ERC2612InvalidSigner");
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { requireFrontend } = require("./helpers/frontend");
+
+const { connectToken } = requireFrontend("abis/TokenABI.ts");
+const { connectTokenSale } = requireFrontend("abis/TokenSaleABI.ts");
+const { decodeRevert, translateError } = requireFrontend("lib/errors.ts");
+
+describe("Frontend errors", function () {
+  const tokens = (amount) => ethers.parseEther(String(amount));
+
+  async function deployErrorsFixture() {
+    const [owner, minter, user1] = await ethers.getSigners();
+
+    // 100 tokens left to mint after the 10,000 token premint
+    const token = await ethers.deployContract("Token", [
+      "TestToken", "TTK", tokens(10100), minter.address, owner.address, 0
+    ]);
+    const tokenSale = await ethers.deployContract("TokenSale", [
+      await token.getAddress(), ethers.parseEther("0.001"), ethers.parseEther("0.0005"), ethers.ZeroAddress
+    ]);
+    await token.connect(owner).grantRole(await token.MINTER_ROLE(), await tokenSale.getAddress());
+
+    // The frontend's view of both contracts
+    const frontendToken = connectToken(await token.getAddress(), ethers.provider);
+    const frontendSale = connectTokenSale(await tokenSale.getAddress(), ethers.provider);
+
+    return { token, tokenSale, frontendToken, frontendSale, owner, minter, user1 };
+  }
+
+  // What the wallet would throw when the call is simulated or sent
+  async function thrown(promise) {
+    try {
+      await promise;
+    } catch (err) {
+      return err;
+    }
+    throw new Error("Expected the call to revert");
+  }
+
+  describe("Reverts", function () {
+    it("Should explain a custom error from the sale", async function () {
+      const { tokenSale, frontendSale, user1 } = await loadFixture(deployErrorsFixture);
+      await tokenSale.connect(user1).buyTokens({ value: ethers.parseEther("0.1") });
+
+      const err = await thrown(frontendSale.buyTokens.estimateGas({ from: user1.address, value: 1000n }));
+      expect(translateError(err)).to.deep.equal({
+        kind: "revert",
+        message: "No tokens are left; the max supply has been minted",
+        detail: "MaxSupplyReached()"
+      });
+    });
+
+    it("Should explain a token error that bubbles up through the sale", async function () {
+      const { token, tokenSale, frontendSale, minter } = await loadFixture(deployErrorsFixture);
+      await token.connect(minter).approve(await tokenSale.getAddress(), tokens(10));
+      await tokenSale.connect(minter).buyTokens({ value: ethers.parseEther("0.1") });
+      await token.connect(minter).pause();
+
+      const err = await thrown(frontendSale.sellTokens.estimateGas(tokens(10), { from: minter.address }));
+      expect(translateError(err).message).to.equal("Token transfers are paused; try again once the token is unpaused");
+      expect(decodeRevert(err).name).to.equal("EnforcedPause");
+    });
+
+    it("Should explain OpenZeppelin access errors and fill in their amounts", async function () {
+      const { frontendToken, frontendSale, user1 } = await loadFixture(deployErrorsFixture);
+
+      const notOwner = translateError(await thrown(frontendSale.withdrawEth.estimateGas({ from: user1.address })));
+      expect(notOwner.message).to.equal("Only the sale owner can do this; connect the owner wallet");
+      expect(notOwner.detail).to.equal(`OwnableUnauthorizedAccount(${user1.address})`);
+
+      const missingRole = translateError(await thrown(frontendToken.pause.estimateGas({ from: user1.address })));
+      expect(missingRole.message).to.equal("Your wallet doesn't have the role needed to do this");
+
+      const noBalance = translateError(await thrown(frontendToken.transfer.estimateGas(user1.address, tokens(1), { from: user1.address })));
+      expect(noBalance.message).to.equal("You only have 0.0 MTK");
+    });
+
+    it("Should reword known require messages and pass others through", async function () {
+      const { token, tokenSale, frontendSale, minter } = await loadFixture(deployErrorsFixture);
+      await token.connect(minter).approve(await tokenSale.getAddress(), tokens(10));
+
+      const noEth = translateError(await thrown(frontendSale.sellTokens.estimateGas(tokens(10), { from: minter.address })));
+      expect(noEth).to.deep.equal({
+        kind: "revert",
+        message: "The sale doesn't have enough ETH to buy these tokens back; try a smaller amount",
+        detail: "Insufficient ETH balance"
+      });
+
+      const direct = await thrown(ethers.provider.estimateGas({ to: await tokenSale.getAddress(), data: "0x1234" }));
+      expect(translateError(direct).message).to.equal("Direct calls not allowed");
+    });
+
+    it("Should decode every error the contracts can revert with", async function () {
+      const defaults = { address: ethers.ZeroAddress, bytes32: ethers.ZeroHash, string: "" };
+      // Only raised while deploying the token, never by a call the dApp makes
+      const deployOnly = ["InvalidShortString", "StringTooLong", "SafeCastOverflowedUintDowncast"];
+
+      for (const contractName of ["Token", "TokenSale", "TokenVesting"]) {
+        const compiled = (await ethers.getContractFactory(contractName)).interface;
+        compiled.forEachError((fragment) => {
+          if (deployOnly.includes(fragment.name)) return;
+          const args = fragment.inputs.map((input) => defaults[input.type] ?? 0n);
+          const decoded = decodeRevert({ data: compiled.encodeErrorResult(fragment, args) });
+          expect(decoded?.name, `${contractName}.${fragment.format()}`).to.equal(fragment.name);
+        });
+      }
+    });
+
+    it("Should name revert data that matches no known error", function () {
+      expect(translateError({ data: "0xdeadbeef" })).to.deep.equal({
+        kind: "revert",
+        message: "The contract reverted with an unknown error 0xdeadbeef",
+        detail: "0xdeadbeef"
+      });
+    });
+  });
+
+  describe("Wallet and RPC failures", function () {
+    it("Should recognise a rejected request", function () {
+      const ethersError = ethers.makeError("user rejected action", "ACTION_REJECTED", { action: "sendTransaction", reason: "rejected" });
+      expect(translateError(ethersError).kind).to.equal("rejected");
+      // EIP-1193 providers reject with code 4001, sometimes wrapped by the caller
+      expect(translateError({ code: 4001, message: "User rejected the request." }).kind).to.equal("rejected");
+      expect(translateError({ error: { code: 4001, message: "User denied transaction signature" } })).to.deep.equal({
+        kind: "rejected",
+        message: "You rejected the request in your wallet",
+        detail: null
+      });
+    });
+
+    it("Should recognise a wallet without enough ETH", function () {
+      const err = ethers.makeError("insufficient funds for intrinsic transaction cost", "INSUFFICIENT_FUNDS", { transaction: {} });
+      expect(translateError(err)).to.deep.equal({
+        kind: "insufficientFunds",
+        message: "Your wallet doesn't have enough ETH for this and its gas",
+        detail: "insufficient funds for intrinsic transaction cost"
+      });
+    });
+
+    it("Should tell RPC failures apart from reverts", function () {
+      const offline = ethers.makeError("could not detect network", "NETWORK_ERROR", { event: "noNetwork" });
+      expect(translateError(offline).kind).to.equal("rpc");
+      expect(translateError({ code: -32603, message: "Internal JSON-RPC error." }).kind).to.equal("rpc");
+      expect(translateError({ code: -32002, message: "Request already pending" }).message)
+        .to.equal("Your wallet already has a request waiting; open it to continue");
+      expect(translateError(new Error("something else"))).to.deep.equal({ kind: "unknown", message: "something else", detail: null });
+    });
+  });
+});
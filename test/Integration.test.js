@@ -25,7 +25,8 @@ describe("Integration Tests - Token and TokenSale", function () {
     const tokenSale = await TokenSale.deploy(
       await token.getAddress(),
       buyPrice,
-      sellPrice
+      sellPrice,
+      ethers.ZeroAddress
     );
 
     // Grant MINTER_ROLE to TokenSale contract
@@ -135,18 +136,23 @@ describe("Integration Tests - Token and TokenSale", function () {
       const tokensToMint = remainingSupply - ethers.parseEther("1000"); // Leave 1000 tokens
       await token.connect(minter).mint(user1.address, tokensToMint);
       
-      // Now try to buy more than the remaining 1000 tokens
-      const excessEth = (ethers.parseEther("2000") * buyPrice) / ethers.parseEther("1"); // Try to buy 2000 tokens
+      // Buying within the limit works as usual
+      const validEth = (ethers.parseEther("500") * buyPrice) / ethers.parseEther("1"); // Buy 500 tokens
+      await expect(
+        tokenSale.connect(user1).buyTokens({ value: validEth })
+      ).to.not.emit(tokenSale, "RefundEth");
       
+      // Asking for more than the remaining 500 tokens fills what's left
+      const excessEth = (ethers.parseEther("2000") * buyPrice) / ethers.parseEther("1"); // Try to buy 2000 tokens
       await expect(
         tokenSale.connect(user1).buyTokens({ value: excessEth })
-      ).to.be.revertedWithCustomError(tokenSale, "MaxSupplyReached");
+      ).to.emit(tokenSale, "BuyTokens").withArgs(user1.address, ethers.parseEther("500"));
+      expect(await token.totalSupply()).to.equal(maxSupply);
       
-      // But buying within the limit should work
-      const validEth = (ethers.parseEther("500") * buyPrice) / ethers.parseEther("1"); // Buy 500 tokens
+      // And nothing more can be bought
       await expect(
         tokenSale.connect(user1).buyTokens({ value: validEth })
-      ).to.not.be.reverted;
+      ).to.be.revertedWithCustomError(tokenSale, "MaxSupplyReached");
     });
   });
 
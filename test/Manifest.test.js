@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  MANIFEST_VERSION,
+  MANIFEST_DIR,
+  readManifest,
+  writeManifest,
+  createManifest,
+  recordContract,
+  recordRoleGrant,
+} = require("../scripts/manifest");
+
+describe("Deployment manifest", function () {
+  let manifestDir;
+
+  beforeEach(function () {
+    manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+  });
+
+  async function deployAndRecord() {
+    const [owner] = await ethers.getSigners();
+    const manifest = await createManifest(hre, owner.address);
+
+    const tokenArgs = ["TestToken", "TTK", ethers.parseEther("1000000"), owner.address, owner.address, 0];
+    const token = await ethers.deployContract("Token", tokenArgs);
+    await recordContract(manifest, "Token", token, tokenArgs);
+
+    const tokenSaleArgs = [await token.getAddress(), ethers.parseEther("0.001"), ethers.parseEther("0.0005"), ethers.ZeroAddress];
+    const tokenSale = await ethers.deployContract("TokenSale", tokenSaleArgs);
+    await recordContract(manifest, "TokenSale", tokenSale, tokenSaleArgs);
+
+    const tx = await token.grantRole(await token.MINTER_ROLE(), await tokenSale.getAddress());
+    recordRoleGrant(manifest, "Token", "MINTER_ROLE", await tokenSale.getAddress(), await tx.wait());
+
+    return { manifest, token, tokenSale, owner };
+  }
+
+  it("Should record network, deployer and compiler settings", async function () {
+    const { manifest, owner } = await deployAndRecord();
+
+    expect(manifest.version).to.equal(MANIFEST_VERSION);
+    expect(manifest.network).to.equal("hardhat");
+    expect(manifest.chainId).to.equal(1337);
+    expect(manifest.deployer).to.equal(owner.address);
+    expect(manifest.compiler.version).to.equal(hre.config.solidity.compilers[0].version);
+    expect(manifest.compiler.settings.optimizer.enabled).to.be.true;
+  });
+
+  it("Should record addresses, transactions and blocks that match the chain", async function () {
+    const { manifest, token, tokenSale } = await deployAndRecord();
+
+    for (const [name, contract] of [["Token", token], ["TokenSale", tokenSale]]) {
+      const entry = manifest.contracts[name];
+      expect(entry.address).to.equal(await contract.getAddress());
+
+      const receipt = await ethers.provider.getTransactionReceipt(entry.transactionHash);
+      expect(receipt.contractAddress).to.equal(entry.address);
+      expect(receipt.blockNumber).to.equal(entry.blockNumber);
+    }
+  });
+
+  it("Should record role grants", async function () {
+    const { manifest, token, tokenSale } = await deployAndRecord();
+
+    const [grant] = manifest.roles;
+    expect(grant).to.include({ contract: "Token", role: "MINTER_ROLE", account: await tokenSale.getAddress() });
+    expect(await token.hasRole(await token.MINTER_ROLE(), grant.account)).to.be.true;
+  });
+
+  it("Should round-trip constructor args usable for verification", async function () {
+    const { manifest, token } = await deployAndRecord();
+    writeManifest(manifest, manifestDir);
+
+    const { Token } = readManifest("hardhat", manifestDir).contracts;
+    expect(Token.constructorArgs[2]).to.equal(ethers.parseEther("1000000").toString());
+
+    // The stored args must still encode to the bytecode suffix that was deployed
+    const factory = await ethers.getContractFactory("Token");
+    const deployTx = await factory.getDeployTransaction(...Token.constructorArgs);
+    const sent = await ethers.provider.getTransaction(Token.transactionHash);
+    expect(deployTx.data).to.equal(sent.data);
+    expect(Token.address).to.equal(await token.getAddress());
+  });
+
+  it("Should return null when no manifest exists", function () {
+    expect(readManifest("nowhere", manifestDir)).to.equal(null);
+  });
+
+  it("Should reject manifests from an unknown version", function () {
+    fs.writeFileSync(path.join(manifestDir, "future.json"), JSON.stringify({ version: MANIFEST_VERSION + 1 }));
+    expect(() => readManifest("future", manifestDir)).to.throw("Unsupported manifest version");
+  });
+
+  it("Should keep committed manifests readable", function () {
+    // deployments/ only exists once a deployment has been committed
+    const files = fs.existsSync(MANIFEST_DIR) ? fs.readdirSync(MANIFEST_DIR) : [];
+    for (const file of files) {
+      const manifest = readManifest(path.basename(file, ".json"));
+      expect(ethers.isAddress(manifest.contracts.Token.address)).to.be.true;
+      expect(ethers.isAddress(manifest.contracts.TokenSale.address)).to.be.true;
+    }
+  });
+});
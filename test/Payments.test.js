@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { requireFrontend } = require("./helpers/frontend");
+
+const { connectTokenSale } = requireFrontend("abis/TokenSaleABI.ts");
+const { readPayments } = requireFrontend("lib/payments.ts");
+
+describe("Payouts", function () {
+  const tokens = (amount) => ethers.parseEther(String(amount));
+  // At 0.001 ETH per token, sold back at 0.0005
+  const ethFor = (amount) => ethers.parseEther(String(amount / 1000));
+  const proceedsFor = (amount) => ethers.parseEther(String(amount / 2000));
+
+  async function deployPaymentsFixture() {
+    const [owner, minter, user1] = await ethers.getSigners();
+
+    // 100 tokens left to mint after the 10,000 token premint
+    const token = await ethers.deployContract("Token", [
+      "TestToken", "TTK", tokens(10100), minter.address, owner.address, 0
+    ]);
+    const tokenSale = await ethers.deployContract("TokenSale", [
+      await token.getAddress(), ethers.parseEther("0.001"), ethers.parseEther("0.0005"), ethers.ZeroAddress
+    ]);
+    await token.connect(owner).grantRole(await token.MINTER_ROLE(), await tokenSale.getAddress());
+
+    // A contract wallet holding tokens to sell, plus ETH in the sale to pay for them
+    const wallet = await ethers.deployContract("ContractWallet", [], user1);
+    await token.connect(minter).transfer(await wallet.getAddress(), tokens(50));
+    await tokenSale.connect(minter).buyTokens({ value: ethFor(50) });
+
+    return { token, tokenSale, wallet, owner, minter, user1 };
+  }
+
+  // Have the wallet approve and sell _amount tokens
+  async function sellFromWallet(token, tokenSale, wallet, amount) {
+    const saleAddress = await tokenSale.getAddress();
+    await wallet.execute(await token.getAddress(), 0, token.interface.encodeFunctionData("approve", [saleAddress, amount]));
+    return wallet.execute(saleAddress, 0, tokenSale.interface.encodeFunctionData("sellTokens", [amount]));
+  }
+
+  describe("Contract wallets", function () {
+    it("Should pay a sell to a wallet that needs more than 2300 gas", async function () {
+      const { token, tokenSale, wallet } = await loadFixture(deployPaymentsFixture);
+
+      const tx = sellFromWallet(token, tokenSale, wallet, tokens(20));
+      await expect(tx).to.changeEtherBalance(wallet, proceedsFor(20));
+      await expect(tx).to.not.emit(tokenSale, "PaymentDeferred");
+      expect(await wallet.received()).to.equal(proceedsFor(20));
+    });
+
+    it("Should refund a wallet's unfilled buy", async function () {
+      const { token, tokenSale, wallet } = await loadFixture(deployPaymentsFixture);
+
+      // Asks for 80 tokens when only 50 are left to mint
+      const data = tokenSale.interface.encodeFunctionData("buyTokens");
+      await expect(wallet.execute(await tokenSale.getAddress(), ethFor(80), data, { value: ethFor(80) }))
+        .to.emit(tokenSale, "RefundEth")
+        .withArgs(await wallet.getAddress(), ethFor(30));
+      expect(await token.balanceOf(await wallet.getAddress())).to.equal(tokens(100));
+      expect(await wallet.received()).to.equal(ethFor(30));
+    });
+
+    it("Should pay withdrawEth to an owner that is a contract wallet", async function () {
+      const { tokenSale, wallet, owner } = await loadFixture(deployPaymentsFixture);
+      const saleAddress = await tokenSale.getAddress();
+
+      await tokenSale.connect(owner).transferOwnership(await wallet.getAddress());
+      await wallet.execute(saleAddress, 0, tokenSale.interface.encodeFunctionData("acceptOwnership"));
+
+      await expect(wallet.execute(saleAddress, 0, tokenSale.interface.encodeFunctionData("withdrawEth")))
+        .to.changeEtherBalances([wallet, tokenSale], [ethFor(50), -ethFor(50)]);
+      expect(await wallet.received()).to.equal(ethFor(50));
+    });
+  });
+
+  describe("Deferred payments", function () {
+    it("Should owe the ETH to a payee that refuses it instead of reverting", async function () {
+      const { token, tokenSale, wallet } = await loadFixture(deployPaymentsFixture);
+      const walletAddress = await wallet.getAddress();
+      await wallet.setRejectPayments(true);
+
+      await expect(sellFromWallet(token, tokenSale, wallet, tokens(20)))
+        .to.emit(tokenSale, "PaymentDeferred")
+        .withArgs(walletAddress, proceedsFor(20));
+      expect(await token.balanceOf(walletAddress)).to.equal(tokens(30));
+      expect(await tokenSale.payments(walletAddress)).to.equal(proceedsFor(20));
+      expect(await tokenSale.totalPayments()).to.equal(proceedsFor(20));
+    });
+
+    it("Should hold owed ETH back from sells and withdrawEth", async function () {
+      const { token, tokenSale, wallet, owner, minter, user1 } = await loadFixture(deployPaymentsFixture);
+      await wallet.setRejectPayments(true);
+      await sellFromWallet(token, tokenSale, wallet, tokens(50));
+
+      // 0.05 ETH in the sale, 0.025 of it owed to the wallet
+      await token.connect(minter).transfer(user1.address, tokens(60));
+      await token.connect(user1).approve(await tokenSale.getAddress(), tokens(60));
+      await expect(tokenSale.connect(user1).sellTokens(tokens(60))).to.be.revertedWith("Insufficient ETH balance");
+
+      await expect(tokenSale.connect(owner).withdrawEth())
+        .to.emit(tokenSale, "WithdrawEth")
+        .withArgs(owner.address, proceedsFor(50));
+      expect(await ethers.provider.getBalance(await tokenSale.getAddress())).to.equal(proceedsFor(50));
+      await expect(tokenSale.connect(owner).withdrawEth()).to.be.revertedWith("No ETH to withdraw");
+    });
+
+    it("Should let the payee claim what it is owed once it accepts ETH", async function () {
+      const { token, tokenSale, wallet, user1 } = await loadFixture(deployPaymentsFixture);
+      const saleAddress = await tokenSale.getAddress();
+      const withdraw = tokenSale.interface.encodeFunctionData("withdrawPayments");
+      await wallet.setRejectPayments(true);
+      await sellFromWallet(token, tokenSale, wallet, tokens(20));
+
+      // Still refusing, so the claim reverts and stays owed
+      await expect(wallet.execute(saleAddress, 0, withdraw)).to.be.revertedWithCustomError(wallet, "CallFailed");
+
+      await wallet.setRejectPayments(false);
+      const tx = wallet.execute(saleAddress, 0, withdraw);
+      await expect(tx)
+        .to.emit(tokenSale, "PaymentWithdrawn")
+        .withArgs(await wallet.getAddress(), proceedsFor(20));
+      await expect(tx).to.changeEtherBalance(wallet, proceedsFor(20));
+      expect(await tokenSale.payments(await wallet.getAddress())).to.equal(0n);
+      expect(await tokenSale.totalPayments()).to.equal(0n);
+
+      await expect(tokenSale.connect(user1).withdrawPayments()).to.be.revertedWithCustomError(tokenSale, "NoPayments");
+    });
+  });
+
+  describe("Frontend", function () {
+    it("Should read what the sale owes the account and everyone", async function () {
+      const { token, tokenSale, wallet, user1 } = await loadFixture(deployPaymentsFixture);
+      const frontendSale = connectTokenSale(await tokenSale.getAddress(), ethers.provider);
+      await wallet.setRejectPayments(true);
+      await sellFromWallet(token, tokenSale, wallet, tokens(20));
+
+      expect(await readPayments(frontendSale, await wallet.getAddress())).to.deep.equal({
+        pending: proceedsFor(20),
+        totalOwed: proceedsFor(20)
+      });
+      expect(await readPayments(frontendSale, user1.address)).to.deep.equal({ pending: 0n, totalOwed: proceedsFor(20) });
+      // Sales that predate pull payments have no payments()
+      const legacy = connectTokenSale(await token.getAddress(), ethers.provider);
+      expect(await readPayments(legacy, user1.address)).to.equal(null);
+    });
+  });
+});
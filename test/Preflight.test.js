@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { requireFrontend } = require("./helpers/frontend");
+
+const { connectToken } = requireFrontend("abis/TokenABI.ts");
+const { connectTokenSale } = requireFrontend("abis/TokenSaleABI.ts");
+const { preflight, readGasPrices, simulateAndSend } = requireFrontend("lib/preflight.ts");
+const { planApprove, planBuy, planSell } = requireFrontend("lib/trades.ts");
+
+describe("Pre-flight", function () {
+  const tokens = (amount) => ethers.parseEther(String(amount));
+  // At 0.001 ETH per token
+  const ethFor = (amount) => ethers.parseEther(String(amount / 1000));
+
+  async function deployPreflightFixture() {
+    const [owner, minter, user1] = await ethers.getSigners();
+
+    // 100 tokens left to mint after the 10,000 token premint, and no ETH in the sale yet
+    const token = await ethers.deployContract("Token", [
+      "TestToken", "TTK", tokens(10100), minter.address, owner.address, 0
+    ]);
+    const tokenSale = await ethers.deployContract("TokenSale", [
+      await token.getAddress(), ethers.parseEther("0.001"), ethers.parseEther("0.0005"), ethers.ZeroAddress
+    ]);
+    await token.connect(owner).grantRole(await token.MINTER_ROLE(), await tokenSale.getAddress());
+
+    // The frontend's view of both contracts
+    const frontendToken = connectToken(await token.getAddress(), ethers.provider);
+    const frontendSale = connectTokenSale(await tokenSale.getAddress(), ethers.provider);
+
+    return { token, tokenSale, frontendToken, frontendSale, owner, minter, user1 };
+  }
+
+  const buyOptions = (value) => ({ value, minTokensOut: null, allowlistEntry: null, protectedTrades: false });
+
+  describe("Estimates", function () {
+    it("Should price a buy at the node's fee data", async function () {
+      const { tokenSale, frontendSale, user1 } = await loadFixture(deployPreflightFixture);
+      const value = ethFor(10);
+
+      const result = await preflight(
+        ethers.provider, user1.address, [planBuy(frontendSale, buyOptions(value))], await ethers.provider.getBalance(user1.address)
+      );
+      const prices = await readGasPrices(ethers.provider);
+      const gasLimit = await tokenSale.connect(user1).buyTokens.estimateGas({ value });
+
+      expect(result.error).to.equal(null);
+      expect(result.estimates).to.deep.equal([
+        { label: "Buy", gasLimit, fee: gasLimit * prices.likely, maxFee: gasLimit * prices.max }
+      ]);
+      expect(result.total).to.equal(value + gasLimit * prices.likely);
+      expect(result.maxTotal).to.equal(value + gasLimit * prices.max);
+      expect(prices.max).to.be.at.least(prices.likely);
+    });
+
+    it("Should price the approval and leave the sell for later", async function () {
+      const { frontendToken, frontendSale, minter } = await loadFixture(deployPreflightFixture);
+      const approve = planApprove(frontendToken, await frontendSale.getAddress(), tokens(10));
+
+      const result = await preflight(ethers.provider, minter.address, [approve], tokens(1), ["Sell"]);
+      expect(result.error).to.equal(null);
+      expect(result.estimates.map((estimate) => estimate.label)).to.deep.equal(["Approve"]);
+      expect(result.total).to.equal(result.estimates[0].fee);
+      expect(result.unchecked).to.deep.equal(["Sell"]);
+    });
+  });
+
+  describe("Blocking", function () {
+    it("Should decode a custom error the buy would revert with", async function () {
+      const { tokenSale, frontendSale, user1 } = await loadFixture(deployPreflightFixture);
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(100) });
+
+      const result = await preflight(ethers.provider, user1.address, [planBuy(frontendSale, buyOptions(ethFor(1)))], tokens(1));
+      expect(result.error).to.equal("Buy would fail: No tokens are left; the max supply has been minted");
+      expect(result.estimates).to.deep.equal([]);
+    });
+
+    it("Should decode a require message the sell would revert with", async function () {
+      const { token, tokenSale, frontendSale, minter } = await loadFixture(deployPreflightFixture);
+      await token.connect(minter).approve(await tokenSale.getAddress(), tokens(10));
+
+      const result = await preflight(ethers.provider, minter.address, [planSell(frontendSale, tokens(10), null)], tokens(1));
+      expect(result.error).to.equal("Sell would fail: The sale doesn't have enough ETH to buy these tokens back; try a smaller amount");
+    });
+
+    it("Should block when the wallet can't cover the value and the fee", async function () {
+      const { frontendSale, user1 } = await loadFixture(deployPreflightFixture);
+      const value = ethFor(10);
+
+      const result = await preflight(ethers.provider, user1.address, [planBuy(frontendSale, buyOptions(value))], value);
+      expect(result.estimates).to.have.lengthOf(1);
+      expect(result.error).to.equal(`Not enough ETH: this needs up to ${ethers.formatEther(result.maxTotal)} ETH including gas`);
+    });
+  });
+
+  describe("Sending", function () {
+    it("Should send a transaction that simulates cleanly", async function () {
+      const { token, frontendSale, user1 } = await loadFixture(deployPreflightFixture);
+
+      const tx = await simulateAndSend(planBuy(frontendSale, buyOptions(ethFor(10))), user1);
+      await tx.wait();
+      expect(await token.balanceOf(user1.address)).to.equal(tokens(10));
+    });
+
+    it("Should refuse to send a transaction that would revert", async function () {
+      const { tokenSale, frontendSale, user1 } = await loadFixture(deployPreflightFixture);
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(100) });
+      const nonce = await ethers.provider.getTransactionCount(user1.address);
+
+      await expect(simulateAndSend(planBuy(frontendSale, buyOptions(ethFor(1))), user1))
+        .to.be.rejectedWith("Buy would fail: No tokens are left; the max supply has been minted");
+      expect(await ethers.provider.getTransactionCount(user1.address)).to.equal(nonce);
+    });
+  });
+});
@@ -0,0 +1,303 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { requireFrontend } = require("./helpers/frontend");
+
+const { connectTokenSale } = requireFrontend("abis/TokenSaleABI.ts");
+const { connectPricingStrategy } = requireFrontend("abis/PricingStrategyABI.ts");
+const { chartRange, loadCurvePoints, quoteCurveBuy, quoteCurveSell, readCurveState } = requireFrontend("lib/curve.ts");
+
+describe("Pricing curves", function () {
+  const ONE_TOKEN = ethers.parseEther("1");
+  const PREMINT = ethers.parseEther("10000");
+
+  const basePrice = ethers.parseEther("0.001");
+  const slope = ethers.parseEther("0.0000001"); // +0.0000001 ETH per token in circulation
+  const growth = ethers.parseEther("0.01");     // +1% per token in circulation
+  const spreadBps = 300n;
+
+  async function deployCurvesFixture() {
+    const linear = await ethers.deployContract("LinearBondingCurve", [basePrice, slope, spreadBps]);
+    const exponential = await ethers.deployContract("ExponentialBondingCurve", [basePrice, growth, spreadBps]);
+    return { linear, exponential };
+  }
+
+  async function deployCurveSaleFixture() {
+    const [owner, minter, user1, user2] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("Token", [
+      "TestToken", "TTK", ethers.parseEther("1000000"), minter.address, owner.address, 0
+    ]);
+    const curve = await ethers.deployContract("LinearBondingCurve", [basePrice, slope, spreadBps]);
+    const tokenSale = await ethers.deployContract("TokenSale", [
+      await token.getAddress(),
+      ethers.parseEther("0.001"),
+      ethers.parseEther("0.0005"),
+      await curve.getAddress()
+    ]);
+    await token.connect(owner).grantRole(await token.MINTER_ROLE(), await tokenSale.getAddress());
+
+    // Read through the same ABI the frontend uses
+    const frontendSale = connectTokenSale(await tokenSale.getAddress(), ethers.provider);
+
+    return { token, curve, tokenSale, frontendSale, owner, minter, user1, user2 };
+  }
+
+  describe("LinearBondingCurve", function () {
+    it("Should raise the spot price by the slope per token", async function () {
+      const { linear } = await loadFixture(deployCurvesFixture);
+
+      expect(await linear.spotPrice(0)).to.equal(basePrice);
+      expect(await linear.spotPrice(PREMINT)).to.equal(basePrice + slope * 10000n);
+    });
+
+    it("Should charge the area under the curve", async function () {
+      const { linear } = await loadFixture(deployCurvesFixture);
+
+      // 10 tokens from 10000: 10 * spot + slope * 10^2 / 2
+      const expected = 10n * (basePrice + slope * 10000n) + (slope * 100n) / 2n;
+      expect(await linear.buyCost(PREMINT, 10n * ONE_TOKEN)).to.equal(expected);
+    });
+
+    it("Should cost the same whether bought at once or in parts", async function () {
+      const { linear } = await loadFixture(deployCurvesFixture);
+      const first = ethers.parseEther("3.3");
+      const second = ethers.parseEther("6.7");
+
+      const split = (await linear.buyCost(PREMINT, first)) + (await linear.buyCost(PREMINT + first, second));
+      expect(await linear.buyCost(PREMINT, first + second)).to.equal(split);
+    });
+
+    it("Should pay sells back down the curve less the spread", async function () {
+      const { linear } = await loadFixture(deployCurvesFixture);
+      const amount = 10n * ONE_TOKEN;
+
+      const value = await linear.buyCost(PREMINT - amount, amount);
+      expect(await linear.sellProceeds(PREMINT, amount)).to.equal((value * (10000n - spreadBps)) / 10000n);
+    });
+
+    it("Should reject selling more than is in circulation", async function () {
+      const { linear } = await loadFixture(deployCurvesFixture);
+
+      await expect(linear.sellProceeds(ONE_TOKEN, 2n * ONE_TOKEN))
+        .to.be.revertedWithCustomError(linear, "SellExceedsSupply")
+        .withArgs(ONE_TOKEN, 2n * ONE_TOKEN);
+    });
+
+    it("Should reject a spread above 100%", async function () {
+      const Curve = await ethers.getContractFactory("LinearBondingCurve");
+
+      await expect(Curve.deploy(basePrice, slope, 10001))
+        .to.be.revertedWithCustomError(Curve, "InvalidSpread")
+        .withArgs(10001);
+    });
+  });
+
+  describe("ExponentialBondingCurve", function () {
+    it("Should compound the spot price per whole token", async function () {
+      const { exponential } = await loadFixture(deployCurvesFixture);
+
+      expect(await exponential.spotPrice(0)).to.equal(basePrice);
+      expect(await exponential.spotPrice(ONE_TOKEN)).to.equal((basePrice * 101n) / 100n);
+      // Fractions of a token don't move the spot price
+      expect(await exponential.spotPrice(ethers.parseEther("1.5"))).to.equal((basePrice * 101n) / 100n);
+      expect(await exponential.spotPrice(10n * ONE_TOKEN)).to.be.closeTo((basePrice * 110462n) / 100000n, 10n ** 12n);
+    });
+
+    it("Should charge each whole token at its own price", async function () {
+      const { exponential } = await loadFixture(deployCurvesFixture);
+
+      const expected = basePrice + (basePrice * 101n) / 100n + (basePrice * 10201n) / 10000n;
+      expect(await exponential.buyCost(0, 3n * ONE_TOKEN)).to.be.closeTo(expected, 10n);
+      // Half a token costs half the current price
+      expect(await exponential.buyCost(ONE_TOKEN, ethers.parseEther("0.5"))).to.equal((basePrice * 101n) / 200n);
+    });
+
+    it("Should cost the same whether bought at once or in parts", async function () {
+      const { exponential } = await loadFixture(deployCurvesFixture);
+      const first = ethers.parseEther("2.5");
+      const second = ethers.parseEther("4.25");
+
+      const split = (await exponential.buyCost(0, first)) + (await exponential.buyCost(first, second));
+      expect(await exponential.buyCost(0, first + second)).to.equal(split);
+    });
+
+    it("Should still price buys near max supply at realistic growth", async function () {
+      // 0.01% per token compounds to about e^100 by a million tokens
+      const curve = await ethers.deployContract("ExponentialBondingCurve", [basePrice, ethers.parseEther("0.0001"), spreadBps]);
+      const nearMax = ethers.parseEther("999999");
+      const half = ethers.parseEther("0.5");
+
+      const spot = await curve.spotPrice(nearMax);
+      expect(spot).to.be.greaterThan(basePrice * 10n ** 40n);
+      // Half a token costs half the current price, up to rounding
+      expect(await curve.buyCost(nearMax, half)).to.be.closeTo(spot / 2n, 1n);
+      expect(await curve.buyCost(0, nearMax + half)).to.equal((await curve.buyCost(0, nearMax)) + (await curve.buyCost(nearMax, half)));
+      expect(await curve.sellProceeds(nearMax + half, half)).to.be.greaterThan(0n);
+    });
+
+    it("Should reject zero growth", async function () {
+      const Curve = await ethers.getContractFactory("ExponentialBondingCurve");
+
+      await expect(Curve.deploy(basePrice, 0, spreadBps)).to.be.revertedWithCustomError(Curve, "ZeroGrowth");
+    });
+  });
+
+  describe("TokenSale on a curve", function () {
+    it("Should start the curve at the tokens already in circulation", async function () {
+      const { curve, tokenSale } = await loadFixture(deployCurveSaleFixture);
+
+      expect(await tokenSale.pricingStrategy()).to.equal(await curve.getAddress());
+      expect(await tokenSale.circulatingSupply()).to.equal(PREMINT);
+      expect(await tokenSale.quoteBuyCost(ONE_TOKEN)).to.equal(await curve.buyCost(PREMINT, ONE_TOKEN));
+    });
+
+    it("Should fill exactly the quoted amount and move up the curve", async function () {
+      const { token, tokenSale, user1 } = await loadFixture(deployCurveSaleFixture);
+      const amount = 10n * ONE_TOKEN;
+      const cost = await tokenSale.quoteBuyCost(amount);
+
+      // The last few token wei cost less than a wei of ETH
+      const [filled] = await tokenSale.quoteBuy(cost);
+      expect(filled).to.be.closeTo(amount, 1000n);
+
+      await expect(tokenSale.connect(user1).buyTokens({ value: cost }))
+        .to.emit(tokenSale, "BuyTokens")
+        .withArgs(user1.address, filled);
+      expect(await token.balanceOf(user1.address)).to.equal(filled);
+      expect(await tokenSale.circulatingSupply()).to.equal(PREMINT + filled);
+
+      // The same ETH now buys less
+      expect(await tokenSale.quoteBuyCost(amount)).to.be.greaterThan(cost);
+    });
+
+    it("Should fill fractional amounts and spend only what they cost", async function () {
+      const { token, tokenSale, user1 } = await loadFixture(deployCurveSaleFixture);
+      const value = (await tokenSale.quoteBuyCost(10n * ONE_TOKEN)) - 1n;
+      const [filled, spent] = await tokenSale.quoteBuy(value);
+
+      expect(filled).to.be.lessThan(10n * ONE_TOKEN);
+      expect(filled).to.be.greaterThan(ethers.parseEther("9.999"));
+      await expect(tokenSale.connect(user1).buyTokens({ value }))
+        .to.changeEtherBalance(user1, -spent);
+      expect(await token.balanceOf(user1.address)).to.equal(filled);
+    });
+
+    it("Should sell a fraction of a token for less than its price", async function () {
+      const { token, tokenSale, user1 } = await loadFixture(deployCurveSaleFixture);
+      const half = (await tokenSale.quoteBuyCost(ONE_TOKEN)) / 2n;
+
+      await tokenSale.connect(user1).buyTokens({ value: half });
+      expect(await token.balanceOf(user1.address)).to.be.closeTo(ethers.parseEther("0.5"), ethers.parseEther("0.001"));
+    });
+
+    it("Should fill a buy past max supply up to it and refund the rest", async function () {
+      const [owner, minter, user1] = await ethers.getSigners();
+      const token = await ethers.deployContract("Token", [
+        "TestToken", "TTK", PREMINT + 5n * ONE_TOKEN, minter.address, owner.address, 0
+      ]);
+      const curve = await ethers.deployContract("LinearBondingCurve", [basePrice, slope, spreadBps]);
+      const tokenSale = await ethers.deployContract("TokenSale", [await token.getAddress(), basePrice, 0, await curve.getAddress()]);
+      await token.connect(owner).grantRole(await token.MINTER_ROLE(), await tokenSale.getAddress());
+      const frontendSale = connectTokenSale(await tokenSale.getAddress(), ethers.provider);
+
+      const quote = await quoteCurveBuy(frontendSale, 6n * ONE_TOKEN);
+      const cost = await tokenSale.quoteBuyCost(5n * ONE_TOKEN);
+      expect(quote.tokensOut).to.equal(5n * ONE_TOKEN);
+      expect(quote.cost).to.equal(cost);
+      expect(quote.warnings).to.have.length(1);
+
+      const tx = tokenSale.connect(user1).buyTokens({ value: quote.value });
+      await expect(tx)
+        .to.emit(tokenSale, "RefundEth")
+        .withArgs(user1.address, quote.refund);
+      await expect(tx).to.changeEtherBalance(user1, -cost);
+      expect(await token.totalSupply()).to.equal(PREMINT + 5n * ONE_TOKEN);
+
+      await expect(tokenSale.connect(user1).buyTokens({ value: cost }))
+        .to.be.revertedWithCustomError(tokenSale, "MaxSupplyReached");
+    });
+
+    it("Should quote a curve buy crossing the hard cap as the partial fill it gets", async function () {
+      const { token, tokenSale, frontendSale, owner, user1 } = await loadFixture(deployCurveSaleFixture);
+      await tokenSale.connect(owner).setSalePhase(0, 0, 3n * ONE_TOKEN, 0, 0);
+
+      const quote = await quoteCurveBuy(frontendSale, 5n * ONE_TOKEN, true, 3n * ONE_TOKEN);
+      expect(quote.tokensOut).to.equal(3n * ONE_TOKEN);
+      expect(quote.cost).to.equal(await tokenSale.quoteBuyCost(3n * ONE_TOKEN));
+
+      await expect(tokenSale.connect(user1).buyTokens({ value: quote.value }))
+        .to.emit(tokenSale, "RefundEth")
+        .withArgs(user1.address, quote.refund);
+      expect(await token.balanceOf(user1.address)).to.equal(quote.tokensOut);
+    });
+
+    it("Should pay sells their quote, less than the round trip cost", async function () {
+      const { token, tokenSale, user1 } = await loadFixture(deployCurveSaleFixture);
+      const [amount, cost] = await tokenSale.quoteBuy(await tokenSale.quoteBuyCost(10n * ONE_TOKEN));
+      await tokenSale.connect(user1).buyTokens({ value: cost });
+
+      const proceeds = await tokenSale.quoteSellProceeds(amount);
+      expect(proceeds).to.equal((cost * (10000n - spreadBps)) / 10000n);
+
+      await token.connect(user1).approve(await tokenSale.getAddress(), amount);
+      await expect(tokenSale.connect(user1).sellTokens(amount))
+        .to.changeEtherBalances([user1, tokenSale], [proceeds, -proceeds]);
+      expect(await tokenSale.circulatingSupply()).to.equal(PREMINT);
+    });
+
+    it("Should not schedule fixed price changes", async function () {
+      const { tokenSale, owner } = await loadFixture(deployCurveSaleFixture);
+
+      await expect(tokenSale.connect(owner).schedulePriceUpdate(ethers.parseEther("0.002"), ethers.parseEther("0.001")))
+        .to.be.revertedWithCustomError(tokenSale, "PricingStrategyActive");
+    });
+  });
+
+  describe("Frontend curve helpers", function () {
+    it("Should report no curve for a fixed-price sale", async function () {
+      const [owner, minter] = await ethers.getSigners();
+      const token = await ethers.deployContract("Token", ["TestToken", "TTK", ethers.parseEther("1000000"), minter.address, owner.address, 0]);
+      const tokenSale = await ethers.deployContract("TokenSale", [await token.getAddress(), basePrice, 0, ethers.ZeroAddress]);
+      const frontendSale = connectTokenSale(await tokenSale.getAddress(), ethers.provider);
+
+      expect(await readCurveState(frontendSale)).to.equal(null);
+      expect(await tokenSale.quoteBuyCost(ethers.parseEther("2.5"))).to.equal((basePrice * 5n) / 2n);
+      expect(await tokenSale.quoteSellProceeds(ONE_TOKEN)).to.equal(0n);
+    });
+
+    it("Should read the curve and quote trades the sale fills", async function () {
+      const { curve, tokenSale, frontendSale, token, user1 } = await loadFixture(deployCurveSaleFixture);
+
+      const state = await readCurveState(frontendSale);
+      expect(state.strategy).to.equal(await curve.getAddress());
+      expect(state.circulatingSupply).to.equal(PREMINT);
+      expect(state.buyPrice).to.equal(await tokenSale.quoteBuyCost(ONE_TOKEN));
+      expect(state.sellPrice).to.equal(await tokenSale.quoteSellProceeds(ONE_TOKEN));
+
+      const buy = await quoteCurveBuy(frontendSale, ethers.parseEther("7.5"));
+      expect(buy.value).to.equal(await tokenSale.quoteBuyCost(ethers.parseEther("7.5")));
+      expect(buy.tokensOut).to.be.closeTo(ethers.parseEther("7.5"), 1000n);
+      expect(buy.warnings).to.be.empty;
+      await expect(tokenSale.connect(user1).buyTokens({ value: buy.value })).to.changeEtherBalance(user1, -buy.cost);
+      expect(await token.balanceOf(user1.address)).to.equal(buy.tokensOut);
+
+      const sell = await quoteCurveSell(frontendSale, buy.tokensOut);
+      await token.connect(user1).approve(await tokenSale.getAddress(), sell.tokensIn);
+      await expect(tokenSale.connect(user1).sellTokens(sell.tokensIn)).to.changeEtherBalance(user1, sell.ethOut);
+    });
+
+    it("Should sample the spot price across the chart range", async function () {
+      const { curve } = await loadFixture(deployCurveSaleFixture);
+      const strategy = connectPricingStrategy(await curve.getAddress(), ethers.provider);
+
+      const range = chartRange(PREMINT, 0n, ethers.parseEther("1000000"));
+      expect(range).to.equal(2n * PREMINT);
+      expect(chartRange(PREMINT, 3n * PREMINT, 3n * PREMINT)).to.equal(3n * PREMINT);
+
+      const points = await loadCurvePoints(strategy, range, 4);
+      expect(points.map((point) => point.supply)).to.deep.equal([0n, 5000n, 10000n, 15000n, 20000n].map((n) => n * ONE_TOKEN));
+      expect(points[2].price).to.equal(await curve.spotPrice(PREMINT));
+    });
+  });
+});
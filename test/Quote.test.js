@@ -0,0 +1,238 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { requireFrontend } = require("./helpers/frontend");
+
+const {
+  ONE_TOKEN,
+  quoteBuyForTokens,
+  quoteBuyForEth,
+  quoteSell,
+  computeTradeLimits,
+  parseTokenAmount,
+  applySlippage,
+  parseSlippage,
+  MAX_SLIPPAGE_BPS,
+} = requireFrontend("lib/quote.ts");
+
+describe("Frontend quote engine", function () {
+  async function deployTokenSaleFixture() {
+    const [owner, minter, user1, user2] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("Token");
+    const token = await Token.deploy(
+      "TestToken",
+      "TTK",
+      ethers.parseEther("1000000"),
+      minter.address,
+      owner.address,
+      0
+    );
+
+    // Odd prices so rounding paths are exercised
+    const TokenSale = await ethers.getContractFactory("TokenSale");
+    const buyPrice = ethers.parseEther("0.0013");
+    const sellPrice = 333333333333333n;
+    const tokenSale = await TokenSale.deploy(await token.getAddress(), buyPrice, sellPrice, ethers.ZeroAddress);
+
+    const MINTER_ROLE = await token.MINTER_ROLE();
+    await token.connect(owner).grantRole(MINTER_ROLE, await tokenSale.getAddress());
+
+    return { token, tokenSale, owner, minter, user1, user2, buyPrice, sellPrice };
+  }
+
+  describe("parseTokenAmount", function () {
+    it("Should parse decimals exactly", function () {
+      expect(parseTokenAmount("1.5")).to.equal(ethers.parseEther("1.5"));
+      expect(parseTokenAmount(".000000000000000001")).to.equal(1n);
+      expect(parseTokenAmount("42")).to.equal(ethers.parseEther("42"));
+    });
+
+    it("Should reject malformed input", function () {
+      expect(parseTokenAmount("")).to.equal(null);
+      expect(parseTokenAmount(".")).to.equal(null);
+      expect(parseTokenAmount("1e3")).to.equal(null);
+      expect(parseTokenAmount("-1")).to.equal(null);
+      expect(parseTokenAmount("0.0000000000000000001")).to.equal(null);
+    });
+  });
+
+  describe("Buy quotes", function () {
+    it("Should deliver exactly the quoted tokens for the quoted cost", async function () {
+      const { token, tokenSale, user1, buyPrice } = await loadFixture(deployTokenSaleFixture);
+
+      const quote = quoteBuyForTokens(ethers.parseEther("777"), buyPrice);
+      expect(quote.warnings).to.be.empty;
+      expect(quote.refund).to.equal(0n);
+
+      await expect(
+        tokenSale.connect(user1).buyTokens({ value: quote.value })
+      ).to.changeEtherBalance(tokenSale, quote.cost);
+      expect(await token.balanceOf(user1.address)).to.equal(quote.tokensOut);
+    });
+
+    it("Should fill fractional requests", async function () {
+      const { token, tokenSale, user1, buyPrice } = await loadFixture(deployTokenSaleFixture);
+
+      const quote = quoteBuyForTokens(ethers.parseEther("10.75"), buyPrice);
+      // The cost is rounded up to the wei, which can buy a few token wei more
+      expect(quote.tokensOut).to.be.closeTo(ethers.parseEther("10.75"), 1000n);
+      expect(quote.tokensOut).to.be.gte(ethers.parseEther("10.75"));
+      expect(quote.warnings).to.be.empty;
+
+      await tokenSale.connect(user1).buyTokens({ value: quote.value });
+      expect(await token.balanceOf(user1.address)).to.equal(quote.tokensOut);
+    });
+
+    it("Should refund ETH that doesn't divide into the price", async function () {
+      const { token, owner, user1 } = await loadFixture(deployTokenSaleFixture);
+
+      // Above 1 ETH per token, a single token wei costs more than a wei
+      const highPrice = ethers.parseEther("3");
+      const sale = await ethers.deployContract("TokenSale", [await token.getAddress(), highPrice, 0, ethers.ZeroAddress]);
+      await token.connect(owner).grantRole(await token.MINTER_ROLE(), await sale.getAddress());
+
+      const value = ethers.parseEther("1") + 1n;
+      const quote = quoteBuyForEth(value, highPrice);
+      expect(quote.cost + quote.refund).to.equal(value);
+      expect(quote.refund).to.be.gt(0n);
+      expect(quote.warnings).to.be.empty;
+
+      const balanceBefore = await token.balanceOf(user1.address);
+      const tx = user1.sendTransaction({ to: await sale.getAddress(), value });
+      await expect(tx).to.emit(sale, "RefundEth").withArgs(user1.address, quote.refund);
+      await expect(tx).to.changeEtherBalance(sale, quote.cost);
+      expect(await token.balanceOf(user1.address)).to.equal(balanceBefore + quote.tokensOut);
+    });
+
+    it("Should quote a partial fill past the available supply", async function () {
+      const { token, tokenSale, minter, user1, buyPrice, sellPrice } = await loadFixture(deployTokenSaleFixture);
+
+      const maxSupply = await token.MAX_SUPPLY();
+      await token.connect(minter).mint(minter.address, maxSupply - (await token.totalSupply()) - ethers.parseEther("12.5"));
+      const limits = computeTradeLimits(0n, await token.totalSupply(), maxSupply, false, sellPrice, 0n, 0n);
+
+      const quote = quoteBuyForTokens(ethers.parseEther("20"), buyPrice, limits.available);
+      expect(quote.tokensOut).to.equal(ethers.parseEther("12.5"));
+      expect(quote.cost).to.equal((buyPrice * 25n) / 2n);
+      expect(quote.refund).to.equal(quote.value - quote.cost);
+      expect(quote.warnings).to.have.lengthOf(1);
+
+      await expect(
+        tokenSale.connect(user1).buyTokens({ value: quote.value })
+      ).to.changeEtherBalances([user1, tokenSale], [-quote.cost, quote.cost]);
+      expect(await token.balanceOf(user1.address)).to.equal(quote.tokensOut);
+    });
+  });
+
+  describe("Sell quotes", function () {
+    it("Should pay out exactly the quoted ETH", async function () {
+      const { token, tokenSale, minter, user1, user2, sellPrice } = await loadFixture(deployTokenSaleFixture);
+
+      await tokenSale.connect(user2).buyTokens({ value: ethers.parseEther("5") });
+
+      const amount = ethers.parseEther("3.141592653589793238");
+      const quote = quoteSell(amount, sellPrice);
+      expect(quote.warnings).to.have.lengthOf(1);
+
+      await token.connect(minter).transfer(user1.address, amount);
+      await token.connect(user1).approve(await tokenSale.getAddress(), amount);
+
+      await expect(
+        tokenSale.connect(user1).sellTokens(amount)
+      ).to.changeEtherBalances([user1, tokenSale], [quote.ethOut, -quote.ethOut]);
+    });
+
+    it("Should flag sells too small to be worth a wei", function () {
+      const quote = quoteSell(1n, 333333333333333n);
+      expect(quote.ethOut).to.equal(0n);
+      expect(quote.warnings).to.have.lengthOf(1);
+    });
+  });
+
+  describe("Trade limits", function () {
+    it("Should allow buying exactly the remaining supply", async function () {
+      const { token, tokenSale, minter, user1, buyPrice, sellPrice } = await loadFixture(deployTokenSaleFixture);
+
+      const maxSupply = await token.MAX_SUPPLY();
+      await token.connect(minter).mint(minter.address, maxSupply - (await token.totalSupply()) - ethers.parseEther("12.5"));
+      // Reserve tokens count on top of what is left to mint
+      await token.connect(minter).transfer(await tokenSale.getAddress(), ethers.parseEther("2"));
+
+      const limits = computeTradeLimits(
+        0n,
+        await token.totalSupply(),
+        maxSupply,
+        false,
+        sellPrice,
+        0n,
+        ethers.parseEther("2")
+      );
+      expect(limits.maxBuy).to.equal(ethers.parseEther("14.5"));
+      expect(limits.available).to.equal(limits.maxBuy);
+
+      const quote = quoteBuyForTokens(limits.maxBuy, buyPrice, limits.available);
+      await tokenSale.connect(user1).buyTokens({ value: quote.value });
+      expect(await token.balanceOf(user1.address)).to.equal(limits.maxBuy);
+
+      await expect(
+        tokenSale.connect(user1).buyTokens({ value: buyPrice })
+      ).to.be.revertedWithCustomError(tokenSale, "MaxSupplyReached");
+    });
+
+    it("Should cap sells at what the ETH reserve can pay", function () {
+      const sellPrice = ethers.parseEther("0.0005");
+      const limits = computeTradeLimits(
+        ethers.parseEther("1000"),
+        0n,
+        ethers.parseEther("1000000"),
+        false,
+        sellPrice,
+        ethers.parseEther("0.1"),
+        0n
+      );
+
+      expect(limits.maxSell).to.equal(ethers.parseEther("200"));
+      expect(limits.status).to.equal("Sell liquidity low");
+      expect(quoteSell(limits.maxSell, sellPrice).ethOut).to.equal(ethers.parseEther("0.1"));
+    });
+
+    it("Should report sold out and paused states", function () {
+      const supply = ethers.parseEther("1000000");
+      expect(computeTradeLimits(0n, supply, supply, false, 1n, 0n, 0n).status).to.equal("Sold out");
+      expect(computeTradeLimits(0n, 0n, supply, true, 1n, 0n, 0n).status).to.equal("Token paused");
+      expect(ONE_TOKEN).to.equal(ethers.parseEther("1"));
+    });
+  });
+
+  describe("Slippage", function () {
+    it("Should parse percentages into basis points", function () {
+      expect(parseSlippage("0.5")).to.equal(50);
+      expect(parseSlippage("1")).to.equal(100);
+      expect(parseSlippage("0")).to.equal(0);
+      expect(parseSlippage("0.005")).to.equal(null);
+      expect(parseSlippage("abc")).to.equal(null);
+      expect(parseSlippage(String(MAX_SLIPPAGE_BPS / 100 + 1))).to.equal(null);
+    });
+
+    it("Should round the minimum output down", function () {
+      expect(applySlippage(ethers.parseEther("100"), 50)).to.equal(ethers.parseEther("99.5"));
+      expect(applySlippage(999n, 1)).to.equal(998n);
+      expect(applySlippage(999n, 0)).to.equal(999n);
+    });
+
+    it("Should fill quoted trades at zero slippage", async function () {
+      const { token, tokenSale, user1, buyPrice, sellPrice } = await loadFixture(deployTokenSaleFixture);
+      const deadline = ethers.MaxUint256;
+
+      const buy = quoteBuyForTokens(ethers.parseEther("300"), buyPrice);
+      await tokenSale.connect(user1).buyTokensWithSlippage(applySlippage(buy.tokensOut, 0), deadline, { value: buy.value });
+
+      const sell = quoteSell(ethers.parseEther("123.456"), sellPrice);
+      await token.connect(user1).approve(await tokenSale.getAddress(), sell.tokensIn);
+      await expect(
+        tokenSale.connect(user1).sellTokensWithSlippage(sell.tokensIn, applySlippage(sell.ethOut, 0), deadline)
+      ).to.changeEtherBalance(user1, sell.ethOut);
+    });
+  });
+});
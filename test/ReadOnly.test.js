@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { requireFrontend } = require("./helpers/frontend");
+const { startNode } = require("./helpers/node");
+
+const { connectToken } = requireFrontend("abis/TokenABI.ts");
+const { connectTokenSale } = requireFrontend("abis/TokenSaleABI.ts");
+const { loadActivityPage } = requireFrontend("lib/activity.ts");
+const { readSalePhase } = requireFrontend("lib/phase.ts");
+const { NETWORKS } = requireFrontend("contract_address.ts");
+const { READ_ONLY_POLLING_INTERVAL, createReadOnlyProvider } = requireFrontend("lib/readOnly.ts");
+
+describe("Read-only mode", function () {
+  const tokens = (amount) => ethers.parseEther(String(amount));
+  let node;
+  let provider;
+
+  // Visitors read through the network's public RPC; here that's the test chain served over HTTP
+  before(async function () {
+    node = await startNode();
+    const { chainId } = await ethers.provider.getNetwork();
+    provider = createReadOnlyProvider({
+      chainId: Number(chainId),
+      name: "Hardhat Local",
+      rpcUrl: node.url,
+      explorerUrl: "",
+      nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
+      contracts: null
+    });
+  });
+
+  after(async function () {
+    provider.destroy();
+    await node.close();
+  });
+
+  async function deployWithTradesFixture() {
+    const [owner, minter, user1] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("Token", [
+      "TestToken", "TTK", tokens(10100), minter.address, owner.address, 0
+    ]);
+    const tokenSale = await ethers.deployContract("TokenSale", [
+      await token.getAddress(), ethers.parseEther("0.001"), ethers.parseEther("0.0005"), ethers.ZeroAddress
+    ]);
+    await token.connect(owner).grantRole(await token.MINTER_ROLE(), await tokenSale.getAddress());
+    const startBlock = await ethers.provider.getBlockNumber();
+    await tokenSale.connect(user1).buyTokens({ value: tokens(0.1) });
+
+    return { token, tokenSale, startBlock, owner, user1 };
+  }
+
+  it("Should be built from the registry entry, and not without an RPC URL", async function () {
+    const { chainId } = await ethers.provider.getNetwork();
+    expect((await provider.getNetwork()).chainId).to.equal(chainId);
+    expect(provider.pollingInterval).to.equal(READ_ONLY_POLLING_INTERVAL);
+    expect(createReadOnlyProvider({ chainId: 1, rpcUrl: "" })).to.equal(null);
+  });
+
+  it("Should read deployed chains through a keyless public RPC", function () {
+    // Every visitor's reads go through this URL, so a provider API key would ship in the bundle
+    const keyedRpc = /alchemy\.com\/v2\/|infura\.io\/v3\/|quiknode\.pro\/|\/v[0-9]+\/[A-Za-z0-9_-]{16,}/;
+    for (const network of Object.values(NETWORKS).filter((entry) => entry.contracts)) {
+      expect(network.rpcUrl, network.name).to.match(/^https?:\/\//).and.not.match(keyedRpc);
+    }
+  });
+
+  it("Should load the sale's stats and recent trades without a wallet", async function () {
+    const { token, tokenSale, startBlock, user1 } = await loadFixture(deployWithTradesFixture);
+    const readToken = connectToken(await token.getAddress(), provider);
+    const readSale = connectTokenSale(await tokenSale.getAddress(), provider);
+
+    const [buyPrice, sellPrice, totalSupply, maxSupply, ethReserve] = await Promise.all([
+      readSale.buyPrice(),
+      readSale.sellPrice(),
+      readToken.totalSupply(),
+      readToken.MAX_SUPPLY(),
+      provider.getBalance(await tokenSale.getAddress())
+    ]);
+    expect(buyPrice).to.equal(ethers.parseEther("0.001"));
+    expect(sellPrice).to.equal(ethers.parseEther("0.0005"));
+    expect(totalSupply).to.equal(tokens(10100));
+    expect(maxSupply).to.equal(await token.MAX_SUPPLY());
+    expect(ethReserve).to.equal(tokens(0.1));
+
+    // Per-account reads stand in the zero address until a wallet connects
+    const phase = await readSalePhase(readSale, ethers.ZeroAddress);
+    expect(phase).to.include({ tokensSold: tokens(100), purchased: 0n });
+
+    const latestBlock = await provider.getBlockNumber();
+    const page = await loadActivityPage(readSale, { buyPrice, sellPrice }, { fromBlock: startBlock, toBlock: latestBlock });
+    expect(page.items).to.have.lengthOf(1);
+    expect(page.items[0]).to.include({ kind: "buy", account: user1.address, tokens: tokens(100) });
+  });
+
+  it("Should not be able to send transactions", async function () {
+    const { tokenSale } = await loadFixture(deployWithTradesFixture);
+    const readSale = connectTokenSale(await tokenSale.getAddress(), provider);
+
+    await expect(readSale.buyTokens({ value: tokens(0.01) })).to.be.rejectedWith("does not support sending transactions");
+  });
+});
@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { readRegistry, getNetworkEntry, recordDeployment, REGISTRY_PATH } = require("../scripts/registry");
+const { requireFrontend } = require("./helpers/frontend");
+
+const {
+  NETWORKS,
+  SEPOLIA_CHAIN_ID,
+  getNetworkConfig,
+  isSupportedChain,
+  resolveDefaultChainId,
+  explorerAddressUrl,
+  toAddChainParams,
+} = requireFrontend("contract_address.ts");
+
+describe("Network registry", function () {
+  async function deployTokenSaleFixture() {
+    const [owner, minter] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("Token");
+    const token = await Token.deploy(
+      "TestToken",
+      "TTK",
+      ethers.parseEther("1000000"),
+      minter.address,
+      owner.address,
+      0
+    );
+
+    const TokenSale = await ethers.getContractFactory("TokenSale");
+    const tokenSale = await TokenSale.deploy(
+      await token.getAddress(),
+      ethers.parseEther("0.001"),
+      ethers.parseEther("0.0005"),
+      ethers.ZeroAddress
+    );
+
+    return { token, tokenSale };
+  }
+
+  let registryPath;
+
+  beforeEach(function () {
+    registryPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "registry-")), "networks.json");
+    fs.copyFileSync(REGISTRY_PATH, registryPath);
+  });
+
+  describe("Committed registry", function () {
+    it("Should describe every chain consistently", function () {
+      for (const [key, network] of Object.entries(readRegistry())) {
+        expect(network.chainId.toString()).to.equal(key);
+        expect(network.rpcUrl).to.be.a("string").and.not.empty;
+        expect(network.nativeCurrency.decimals).to.equal(18);
+        if (network.deployBlock !== undefined) expect(Number.isInteger(network.deployBlock)).to.be.true;
+        if (network.contracts) {
+          expect(ethers.isAddress(network.contracts.token)).to.be.true;
+          expect(ethers.isAddress(network.contracts.tokenSale)).to.be.true;
+        }
+      }
+    });
+
+    it("Should be the same data the frontend reads", function () {
+      expect(NETWORKS).to.deep.equal(readRegistry());
+      expect(isSupportedChain(SEPOLIA_CHAIN_ID)).to.be.true;
+    });
+  });
+
+  describe("recordDeployment", function () {
+    it("Should register the deployed contracts for the current chain", async function () {
+      const { token, tokenSale } = await loadFixture(deployTokenSaleFixture);
+
+      const contracts = {
+        token: await token.getAddress(),
+        tokenSale: await tokenSale.getAddress(),
+      };
+      await recordDeployment(hre, contracts, registryPath);
+
+      const entry = getNetworkEntry(1337, registryPath);
+      expect(entry.contracts).to.deep.equal(contracts);
+      expect(await ethers.provider.getCode(entry.contracts.tokenSale)).to.not.equal("0x");
+    });
+
+    it("Should keep existing metadata and other chains", async function () {
+      const before = readRegistry(registryPath);
+      await recordDeployment(hre, { token: ethers.ZeroAddress, tokenSale: ethers.ZeroAddress }, registryPath);
+      const after = readRegistry(registryPath);
+
+      expect(after["1337"].name).to.equal(before["1337"].name);
+      expect(after["1337"].rpcUrl).to.equal(before["1337"].rpcUrl);
+      expect(after[SEPOLIA_CHAIN_ID]).to.deep.equal(before[SEPOLIA_CHAIN_ID]);
+    });
+
+    it("Should create an entry for an unknown chain", async function () {
+      fs.writeFileSync(registryPath, "{}");
+      await recordDeployment(hre, { token: ethers.ZeroAddress, tokenSale: ethers.ZeroAddress }, registryPath);
+
+      const entry = getNetworkEntry(1337, registryPath);
+      expect(entry.name).to.equal("hardhat");
+      expect(entry.nativeCurrency.symbol).to.equal("ETH");
+    });
+
+    it("Should record the public RPC, never the deployer's RPC URL", async function () {
+      const deployingTo = (config) => ({ ...hre, network: { name: "sepolia", config } });
+      const privateUrl = "https://eth-sepolia.example/v2/deployer-api-key";
+      fs.writeFileSync(registryPath, "{}");
+
+      await recordDeployment(deployingTo({ url: privateUrl }), { token: ethers.ZeroAddress, tokenSale: ethers.ZeroAddress }, registryPath);
+      expect(getNetworkEntry(1337, registryPath).rpcUrl).to.equal("");
+
+      await recordDeployment(
+        deployingTo({ url: privateUrl, publicRpcUrl: "https://rpc.example" }),
+        { token: ethers.ZeroAddress, tokenSale: ethers.ZeroAddress },
+        registryPath
+      );
+      expect(getNetworkEntry(1337, registryPath).rpcUrl).to.equal("https://rpc.example");
+      expect(fs.readFileSync(registryPath, "utf8")).to.not.include("deployer-api-key");
+    });
+  });
+
+  describe("Frontend helpers", function () {
+    it("Should fall back to Sepolia for unknown or undeployed chains", function () {
+      expect(resolveDefaultChainId(undefined)).to.equal(SEPOLIA_CHAIN_ID);
+      expect(resolveDefaultChainId("424242")).to.equal(SEPOLIA_CHAIN_ID);
+      expect(resolveDefaultChainId(String(SEPOLIA_CHAIN_ID))).to.equal(SEPOLIA_CHAIN_ID);
+    });
+
+    it("Should build explorer links and wallet_addEthereumChain params", function () {
+      const sepolia = getNetworkConfig(SEPOLIA_CHAIN_ID);
+      expect(explorerAddressUrl(sepolia, sepolia.contracts.token))
+        .to.equal(`https://sepolia.etherscan.io/address/${sepolia.contracts.token}`);
+      expect(toAddChainParams(sepolia).chainId).to.equal("0xaa36a7");
+
+      const local = getNetworkConfig(1337);
+      expect(explorerAddressUrl(local, ethers.ZeroAddress)).to.equal(null);
+      expect(toAddChainParams(local).blockExplorerUrls).to.equal(undefined);
+    });
+  });
+});
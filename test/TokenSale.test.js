@@ -1,6 +1,13 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { requireFrontend } = require("./helpers/frontend");
+
+// Permits are signed with the frontend helper so its typed data is checked against the contract
+const { getPermitDomain, signPermit } = requireFrontend("lib/permit.ts");
+const { applySalePhase, formatCountdown, phaseStatus, readSalePhase, remainingAllocation, remainingWalletLimit } =
+  requireFrontend("lib/phase.ts");
+const { connectTokenSale } = requireFrontend("abis/TokenSaleABI.ts");
 
 describe("TokenSale", function () {
   // Fixture to deploy both contracts
@@ -26,7 +33,8 @@ describe("TokenSale", function () {
     const tokenSale = await TokenSale.deploy(
       await token.getAddress(),
       buyPrice,
-      sellPrice
+      sellPrice,
+      ethers.ZeroAddress    // pricingStrategy (flat prices)
     );
 
     // Grant MINTER_ROLE to TokenSale contract
@@ -144,18 +152,17 @@ describe("TokenSale", function () {
       ).to.be.revertedWithCustomError(tokenSale, "ZeroAmount");
     });
 
-    it("Should revert when ETH amount results in zero tokens", async function () {
-      const { tokenSale, user1 } = await loadFixture(deployTokenSaleFixture);
-      
-      // Send very small amount that results in 0 tokens
-      const tinyAmount = 1; // 1 wei
+    it("Should sell fractions of a token for less than one token's price", async function () {
+      const { token, tokenSale, user1 } = await loadFixture(deployTokenSaleFixture);
       
+      // 1 wei at 0.001 ETH per token
       await expect(
-        tokenSale.connect(user1).buyTokens({ value: tinyAmount })
-      ).to.be.revertedWithCustomError(tokenSale, "ZeroAmount");
+        tokenSale.connect(user1).buyTokens({ value: 1 })
+      ).to.changeEtherBalance(tokenSale, 1);
+      expect(await token.balanceOf(user1.address)).to.equal(1000n);
     });
 
-    it("Should revert when purchase would exceed max supply", async function () {
+    it("Should fill up to max supply and refund the rest", async function () {
       const { token, tokenSale, minter, user1, buyPrice } = await loadFixture(deployTokenSaleFixture);
       
       const maxSupply = await token.MAX_SUPPLY();
@@ -168,12 +175,33 @@ describe("TokenSale", function () {
       
       // Now try to buy more than the remaining 100 tokens
       const excessEth = (ethers.parseEther("200") * buyPrice) / ethers.parseEther("1"); // Try to buy 200 tokens
+      const cost = (ethers.parseEther("100") * buyPrice) / ethers.parseEther("1");
+      
+      const tx = tokenSale.connect(user1).buyTokens({ value: excessEth });
+      await expect(tx)
+        .to.emit(tokenSale, "RefundEth")
+        .withArgs(user1.address, excessEth - cost);
+      await expect(tx).to.changeEtherBalances([user1, tokenSale], [-cost, cost]);
+      expect(await token.totalSupply()).to.equal(maxSupply);
       
       await expect(
-        tokenSale.connect(user1).buyTokens({ value: excessEth })
+        tokenSale.connect(user1).buyTokens({ value: buyPrice })
       ).to.be.revertedWithCustomError(tokenSale, "MaxSupplyReached");
     });
 
+    it("Should serve a buy from the reserve first and mint the rest", async function () {
+      const { token, tokenSale, minter, user1 } = await loadFixture(deployTokenSaleFixture);
+      
+      await token.connect(minter).transfer(await tokenSale.getAddress(), ethers.parseEther("40"));
+      const totalSupplyBefore = await token.totalSupply();
+      
+      await tokenSale.connect(user1).buyTokens({ value: ethers.parseEther("0.1") });
+      
+      expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("100"));
+      expect(await token.balanceOf(await tokenSale.getAddress())).to.equal(0n);
+      expect(await token.totalSupply()).to.equal(totalSupplyBefore + ethers.parseEther("60"));
+    });
+
     it("Should calculate tokens correctly based on buy price", async function () {
       const { token, tokenSale, user1, buyPrice } = await loadFixture(deployTokenSaleFixture);
       
@@ -298,6 +326,463 @@ describe("TokenSale", function () {
     });
   });
 
+  describe("Selling with Permit", function () {
+    // user1 holds 1000 tokens and the sale holds enough ETH to buy them back
+    async function sellerFixture() {
+      const fixture = await deployTokenSaleFixture();
+      const { token, tokenSale, minter, user1, user2 } = fixture;
+
+      await token.connect(minter).transfer(user1.address, ethers.parseEther("1000"));
+      await tokenSale.connect(user2).buyTokens({ value: ethers.parseEther("1") });
+
+      const domain = await getPermitDomain(token);
+      const sign = async (signer, value, deadline) =>
+        signPermit(token, domain, signer, await tokenSale.getAddress(), value, deadline);
+      const deadline = BigInt(await time.latest()) + 3600n;
+
+      return { ...fixture, sign, deadline };
+    }
+
+    it("Should read the token's permit domain", async function () {
+      const { token } = await loadFixture(deployTokenSaleFixture);
+
+      const domain = await getPermitDomain(token);
+      expect(domain.name).to.equal("TestToken");
+      expect(domain.version).to.equal("1");
+      expect(domain.verifyingContract).to.equal(await token.getAddress());
+    });
+
+    it("Should sell in one transaction without a prior approval", async function () {
+      const { token, tokenSale, user1, sellPrice, sign, deadline } = await loadFixture(sellerFixture);
+
+      const tokensToSell = ethers.parseEther("500");
+      const expectedEth = (tokensToSell * sellPrice) / ethers.parseEther("1");
+      const { v, r, s } = await sign(user1, tokensToSell, deadline);
+
+      const tx = tokenSale.connect(user1).sellTokensWithPermit(tokensToSell, 0, deadline, v, r, s);
+      await expect(tx).to.emit(tokenSale, "SellTokens").withArgs(user1.address, tokensToSell);
+      await expect(tx).to.changeEtherBalance(user1, expectedEth);
+      expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("500"));
+      expect(await token.allowance(user1.address, await tokenSale.getAddress())).to.equal(0);
+      expect(await token.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should revert with an expired permit", async function () {
+      const { tokenSale, user1, sign } = await loadFixture(sellerFixture);
+
+      const tokensToSell = ethers.parseEther("500");
+      const deadline = BigInt(await time.latest()) - 1n;
+      const { v, r, s } = await sign(user1, tokensToSell, deadline);
+
+      // The permit deadline also bounds the trade, so it's rejected before the permit is tried
+      await expect(
+        tokenSale.connect(user1).sellTokensWithPermit(tokensToSell, 0, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(tokenSale, "TradeExpired")
+        .withArgs(deadline);
+    });
+
+    it("Should revert when the permit sell pays less than the minimum", async function () {
+      const { tokenSale, user1, sellPrice, sign, deadline } = await loadFixture(sellerFixture);
+
+      const tokensToSell = ethers.parseEther("500");
+      const ethOut = (tokensToSell * sellPrice) / ethers.parseEther("1");
+      const { v, r, s } = await sign(user1, tokensToSell, deadline);
+
+      await expect(
+        tokenSale.connect(user1).sellTokensWithPermit(tokensToSell, ethOut + 1n, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(tokenSale, "SlippageExceeded")
+        .withArgs(ethOut, ethOut + 1n);
+    });
+
+    it("Should revert when a permit is replayed", async function () {
+      const { tokenSale, user1, sign, deadline } = await loadFixture(sellerFixture);
+
+      const tokensToSell = ethers.parseEther("200");
+      const { v, r, s } = await sign(user1, tokensToSell, deadline);
+      await tokenSale.connect(user1).sellTokensWithPermit(tokensToSell, 0, deadline, v, r, s);
+
+      await expect(
+        tokenSale.connect(user1).sellTokensWithPermit(tokensToSell, 0, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(tokenSale, "PermitFailed");
+    });
+
+    it("Should revert when the permit is for a different amount", async function () {
+      const { tokenSale, user1, sign, deadline } = await loadFixture(sellerFixture);
+
+      const { v, r, s } = await sign(user1, ethers.parseEther("100"), deadline);
+
+      await expect(
+        tokenSale.connect(user1).sellTokensWithPermit(ethers.parseEther("500"), 0, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(tokenSale, "PermitFailed");
+    });
+
+    it("Should revert when the permit was signed by another account", async function () {
+      const { tokenSale, user1, user2, sign, deadline } = await loadFixture(sellerFixture);
+
+      const tokensToSell = ethers.parseEther("100");
+      const { v, r, s } = await sign(user2, tokensToSell, deadline);
+
+      await expect(
+        tokenSale.connect(user1).sellTokensWithPermit(tokensToSell, 0, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(tokenSale, "PermitFailed");
+    });
+
+    it("Should still sell when the permit was submitted by someone else first", async function () {
+      const { token, tokenSale, user1, user3, sign, deadline } = await loadFixture(sellerFixture);
+
+      const tokensToSell = ethers.parseEther("500");
+      const { v, r, s } = await sign(user1, tokensToSell, deadline);
+
+      // Front-run: the permit is used directly on the token, consuming the nonce
+      await token.connect(user3).permit(user1.address, await tokenSale.getAddress(), tokensToSell, deadline, v, r, s);
+
+      await expect(
+        tokenSale.connect(user1).sellTokensWithPermit(tokensToSell, 0, deadline, v, r, s)
+      ).to.emit(tokenSale, "SellTokens")
+        .withArgs(user1.address, tokensToSell);
+    });
+  });
+
+  describe("Slippage Protection", function () {
+    it("Should buy when at least the minimum tokens are delivered", async function () {
+      const { tokenSale, user1 } = await loadFixture(deployTokenSaleFixture);
+
+      const deadline = BigInt(await time.latest()) + 3600n;
+      await expect(
+        tokenSale.connect(user1).buyTokensWithSlippage(ethers.parseEther("100"), deadline, { value: ethers.parseEther("0.1") })
+      ).to.emit(tokenSale, "BuyTokens")
+        .withArgs(user1.address, ethers.parseEther("100"));
+    });
+
+    it("Should revert a buy that delivers fewer tokens than the minimum", async function () {
+      const { tokenSale, user1 } = await loadFixture(deployTokenSaleFixture);
+
+      const deadline = BigInt(await time.latest()) + 3600n;
+      await expect(
+        tokenSale.connect(user1).buyTokensWithSlippage(ethers.parseEther("101"), deadline, { value: ethers.parseEther("0.1") })
+      ).to.be.revertedWithCustomError(tokenSale, "SlippageExceeded")
+        .withArgs(ethers.parseEther("100"), ethers.parseEther("101"));
+    });
+
+    it("Should revert a buy after its deadline", async function () {
+      const { tokenSale, user1 } = await loadFixture(deployTokenSaleFixture);
+
+      const deadline = BigInt(await time.latest()) + 60n;
+      await time.increaseTo(deadline + 1n);
+
+      await expect(
+        tokenSale.connect(user1).buyTokensWithSlippage(0, deadline, { value: ethers.parseEther("0.1") })
+      ).to.be.revertedWithCustomError(tokenSale, "TradeExpired")
+        .withArgs(deadline);
+    });
+
+    it("Should sell when at least the minimum ETH is paid", async function () {
+      const { token, tokenSale, minter, user1, user2, sellPrice } = await loadFixture(deployTokenSaleFixture);
+
+      const tokensToSell = ethers.parseEther("500");
+      const ethOut = (tokensToSell * sellPrice) / ethers.parseEther("1");
+      await token.connect(minter).transfer(user1.address, tokensToSell);
+      await tokenSale.connect(user2).buyTokens({ value: ethers.parseEther("1") });
+      await token.connect(user1).approve(await tokenSale.getAddress(), tokensToSell);
+
+      const deadline = BigInt(await time.latest()) + 3600n;
+      const tx = tokenSale.connect(user1).sellTokensWithSlippage(tokensToSell, ethOut, deadline);
+      await expect(tx).to.emit(tokenSale, "SellTokens").withArgs(user1.address, tokensToSell);
+      await expect(tx).to.changeEtherBalance(user1, ethOut);
+    });
+
+    it("Should revert a sell that pays less than the minimum", async function () {
+      const { token, tokenSale, minter, user1, user2, sellPrice } = await loadFixture(deployTokenSaleFixture);
+
+      const tokensToSell = ethers.parseEther("500");
+      const ethOut = (tokensToSell * sellPrice) / ethers.parseEther("1");
+      await token.connect(minter).transfer(user1.address, tokensToSell);
+      await tokenSale.connect(user2).buyTokens({ value: ethers.parseEther("1") });
+      await token.connect(user1).approve(await tokenSale.getAddress(), tokensToSell);
+
+      const deadline = BigInt(await time.latest()) + 3600n;
+      await expect(
+        tokenSale.connect(user1).sellTokensWithSlippage(tokensToSell, ethOut + 1n, deadline)
+      ).to.be.revertedWithCustomError(tokenSale, "SlippageExceeded")
+        .withArgs(ethOut, ethOut + 1n);
+    });
+
+    it("Should revert a sell after its deadline", async function () {
+      const { tokenSale, user1 } = await loadFixture(deployTokenSaleFixture);
+
+      const deadline = BigInt(await time.latest()) - 1n;
+      await expect(
+        tokenSale.connect(user1).sellTokensWithSlippage(ethers.parseEther("1"), 0, deadline)
+      ).to.be.revertedWithCustomError(tokenSale, "TradeExpired")
+        .withArgs(deadline);
+    });
+  });
+
+  describe("Price Updates", function () {
+    const newBuyPrice = ethers.parseEther("0.002");
+    const newSellPrice = ethers.parseEther("0.001");
+
+    it("Should reject constructor prices that break the invariant", async function () {
+      const { token } = await loadFixture(deployTokenSaleFixture);
+      const TokenSale = await ethers.getContractFactory("TokenSale");
+
+      await expect(
+        TokenSale.deploy(await token.getAddress(), ethers.parseEther("0.001"), ethers.parseEther("0.002"), ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(TokenSale, "InvalidPrices");
+      await expect(
+        TokenSale.deploy(await token.getAddress(), 0, 0, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(TokenSale, "InvalidPrices");
+    });
+
+    it("Should schedule a price update without changing prices", async function () {
+      const { tokenSale, owner, buyPrice, sellPrice } = await loadFixture(deployTokenSaleFixture);
+
+      const delay = await tokenSale.PRICE_UPDATE_DELAY();
+      const tx = await tokenSale.connect(owner).schedulePriceUpdate(newBuyPrice, newSellPrice);
+      const effectiveAt = BigInt(await time.latest()) + delay;
+
+      await expect(tx).to.emit(tokenSale, "PriceUpdateScheduled")
+        .withArgs(newBuyPrice, newSellPrice, effectiveAt);
+      expect(await tokenSale.pendingPrices()).to.deep.equal([newBuyPrice, newSellPrice, effectiveAt]);
+      expect(await tokenSale.buyPrice()).to.equal(buyPrice);
+      expect(await tokenSale.sellPrice()).to.equal(sellPrice);
+    });
+
+    it("Should not execute before the delay has passed", async function () {
+      const { tokenSale, owner } = await loadFixture(deployTokenSaleFixture);
+
+      await tokenSale.connect(owner).schedulePriceUpdate(newBuyPrice, newSellPrice);
+      const [, , effectiveAt] = await tokenSale.pendingPrices();
+      await time.increaseTo(effectiveAt - 2n);
+
+      await expect(
+        tokenSale.connect(owner).executePriceUpdate()
+      ).to.be.revertedWithCustomError(tokenSale, "PriceUpdateNotReady")
+        .withArgs(effectiveAt);
+    });
+
+    it("Should apply the prices once the delay has passed", async function () {
+      const { tokenSale, owner, user1, buyPrice, sellPrice } = await loadFixture(deployTokenSaleFixture);
+
+      await tokenSale.connect(owner).schedulePriceUpdate(newBuyPrice, newSellPrice);
+      const [, , effectiveAt] = await tokenSale.pendingPrices();
+      await time.increaseTo(effectiveAt);
+
+      await expect(tokenSale.connect(owner).executePriceUpdate())
+        .to.emit(tokenSale, "PricesUpdated")
+        .withArgs(buyPrice, sellPrice, newBuyPrice, newSellPrice);
+      expect(await tokenSale.buyPrice()).to.equal(newBuyPrice);
+      expect(await tokenSale.sellPrice()).to.equal(newSellPrice);
+      expect(await tokenSale.pendingPrices()).to.deep.equal([0n, 0n, 0n]);
+
+      // Buys are priced at the new rate
+      await expect(
+        tokenSale.connect(user1).buyTokens({ value: ethers.parseEther("0.2") })
+      ).to.emit(tokenSale, "BuyTokens")
+        .withArgs(user1.address, ethers.parseEther("100"));
+    });
+
+    it("Should restart the delay when rescheduling", async function () {
+      const { tokenSale, owner } = await loadFixture(deployTokenSaleFixture);
+
+      await tokenSale.connect(owner).schedulePriceUpdate(newBuyPrice, newSellPrice);
+      const [, , firstEffectiveAt] = await tokenSale.pendingPrices();
+      await time.increaseTo(firstEffectiveAt - 60n);
+
+      await tokenSale.connect(owner).schedulePriceUpdate(newBuyPrice, newSellPrice / 2n);
+      const [, , effectiveAt] = await tokenSale.pendingPrices();
+      expect(effectiveAt).to.be.greaterThan(firstEffectiveAt);
+
+      await time.increaseTo(firstEffectiveAt);
+      await expect(
+        tokenSale.connect(owner).executePriceUpdate()
+      ).to.be.revertedWithCustomError(tokenSale, "PriceUpdateNotReady");
+    });
+
+    it("Should cancel a pending update", async function () {
+      const { tokenSale, owner } = await loadFixture(deployTokenSaleFixture);
+
+      await tokenSale.connect(owner).schedulePriceUpdate(newBuyPrice, newSellPrice);
+      await expect(tokenSale.connect(owner).cancelPriceUpdate())
+        .to.emit(tokenSale, "PriceUpdateCancelled")
+        .withArgs(newBuyPrice, newSellPrice);
+
+      await time.increase(await tokenSale.PRICE_UPDATE_DELAY());
+      await expect(
+        tokenSale.connect(owner).executePriceUpdate()
+      ).to.be.revertedWithCustomError(tokenSale, "NoPendingPriceUpdate");
+      await expect(
+        tokenSale.connect(owner).cancelPriceUpdate()
+      ).to.be.revertedWithCustomError(tokenSale, "NoPendingPriceUpdate");
+    });
+
+    it("Should reject scheduled prices that break the invariant", async function () {
+      const { tokenSale, owner } = await loadFixture(deployTokenSaleFixture);
+
+      await expect(
+        tokenSale.connect(owner).schedulePriceUpdate(newSellPrice, newBuyPrice)
+      ).to.be.revertedWithCustomError(tokenSale, "InvalidPrices")
+        .withArgs(newSellPrice, newBuyPrice);
+      await expect(
+        tokenSale.connect(owner).schedulePriceUpdate(0, 0)
+      ).to.be.revertedWithCustomError(tokenSale, "InvalidPrices");
+    });
+
+    it("Should only let the owner manage price updates", async function () {
+      const { tokenSale, owner, user1 } = await loadFixture(deployTokenSaleFixture);
+
+      await expect(
+        tokenSale.connect(user1).schedulePriceUpdate(newBuyPrice, newSellPrice)
+      ).to.be.revertedWithCustomError(tokenSale, "OwnableUnauthorizedAccount");
+
+      await tokenSale.connect(owner).schedulePriceUpdate(newBuyPrice, newSellPrice);
+      await time.increase(await tokenSale.PRICE_UPDATE_DELAY());
+
+      await expect(
+        tokenSale.connect(user1).executePriceUpdate()
+      ).to.be.revertedWithCustomError(tokenSale, "OwnableUnauthorizedAccount");
+      await expect(
+        tokenSale.connect(user1).cancelPriceUpdate()
+      ).to.be.revertedWithCustomError(tokenSale, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Sale Phases", function () {
+    const tokens = (amount) => ethers.parseEther(String(amount));
+    // At 0.001 ETH per token
+    const ethFor = (amount) => ethers.parseEther(String(amount / 1000));
+
+    it("Should be open without limits by default", async function () {
+      const { tokenSale, user1 } = await loadFixture(deployTokenSaleFixture);
+
+      expect(await tokenSale.salePhase()).to.deep.equal([0n, 0n, 0n, 0n, 0n]);
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(1) });
+      expect(await tokenSale.tokensSold()).to.equal(tokens(1));
+      expect(await tokenSale.purchased(user1.address)).to.equal(tokens(1));
+    });
+
+    it("Should only take buys inside the sale window", async function () {
+      const { token, tokenSale, owner, user1 } = await loadFixture(deployTokenSaleFixture);
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(100) });
+      const start = (await time.latest()) + 3600;
+      const end = start + 3600;
+
+      await expect(tokenSale.connect(owner).setSalePhase(start, end, 0, 0, 0))
+        .to.emit(tokenSale, "SalePhaseUpdated")
+        .withArgs(start, end, 0, 0, 0);
+      await expect(tokenSale.connect(user1).buyTokens({ value: ethFor(1) }))
+        .to.be.revertedWithCustomError(tokenSale, "SaleNotStarted")
+        .withArgs(start);
+
+      await time.increaseTo(start);
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(1) });
+
+      await time.increaseTo(end);
+      await expect(tokenSale.connect(user1).buyTokens({ value: ethFor(1) }))
+        .to.be.revertedWithCustomError(tokenSale, "SaleEnded")
+        .withArgs(end);
+
+      // Holders can still sell back once buying has closed
+      await token.connect(user1).approve(await tokenSale.getAddress(), tokens(10));
+      await expect(tokenSale.connect(user1).sellTokens(tokens(10))).to.emit(tokenSale, "SellTokens");
+    });
+
+    it("Should let the owner close the sale early", async function () {
+      const { tokenSale, owner, user1 } = await loadFixture(deployTokenSaleFixture);
+
+      await expect(tokenSale.connect(user1).closeSale())
+        .to.be.revertedWithCustomError(tokenSale, "OwnableUnauthorizedAccount");
+
+      const tx = await tokenSale.connect(owner).closeSale();
+      const closedAt = await time.latest();
+      await expect(tx).to.emit(tokenSale, "SaleClosed").withArgs(closedAt);
+      expect((await tokenSale.salePhase()).endTime).to.equal(closedAt);
+
+      await expect(tokenSale.connect(user1).buyTokens({ value: ethFor(1) }))
+        .to.be.revertedWithCustomError(tokenSale, "SaleEnded");
+      await expect(tokenSale.connect(owner).closeSale())
+        .to.be.revertedWithCustomError(tokenSale, "SaleEnded")
+        .withArgs(closedAt);
+    });
+
+    it("Should stop at the hard cap, even after tokens are sold back", async function () {
+      const { token, tokenSale, owner, user1, user2 } = await loadFixture(deployTokenSaleFixture);
+      await tokenSale.connect(owner).setSalePhase(0, 0, tokens(150), 0, 0);
+
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(100) });
+      // A buy crossing the cap is filled up to it and the rest refunded
+      await expect(tokenSale.connect(user2).buyTokens({ value: ethFor(100) }))
+        .to.emit(tokenSale, "RefundEth")
+        .withArgs(user2.address, ethFor(50));
+      expect(await token.balanceOf(user2.address)).to.equal(tokens(50));
+
+      await token.connect(user1).approve(await tokenSale.getAddress(), tokens(100));
+      await tokenSale.connect(user1).sellTokens(tokens(100));
+
+      expect(await tokenSale.tokensSold()).to.equal(tokens(150));
+      await expect(tokenSale.connect(user2).buyTokens({ value: ethFor(1) }))
+        .to.be.revertedWithCustomError(tokenSale, "HardCapExceeded")
+        .withArgs(0);
+    });
+
+    it("Should enforce the minimum purchase and the per-wallet limit", async function () {
+      const { tokenSale, owner, user1, user2 } = await loadFixture(deployTokenSaleFixture);
+      await tokenSale.connect(owner).setSalePhase(0, 0, 0, tokens(10), tokens(100));
+
+      await expect(tokenSale.connect(user1).buyTokens({ value: ethFor(5) }))
+        .to.be.revertedWithCustomError(tokenSale, "BelowMinPurchase")
+        .withArgs(tokens(5), tokens(10));
+
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(60) });
+      await expect(tokenSale.connect(user1).buyTokens({ value: ethFor(50) }))
+        .to.emit(tokenSale, "RefundEth")
+        .withArgs(user1.address, ethFor(10));
+      await expect(tokenSale.connect(user1).buyTokens({ value: ethFor(10) }))
+        .to.be.revertedWithCustomError(tokenSale, "WalletLimitExceeded")
+        .withArgs(0);
+
+      await tokenSale.connect(user2).buyTokens({ value: ethFor(100) });
+      expect(await tokenSale.purchased(user1.address)).to.equal(tokens(100));
+      expect(await tokenSale.purchased(user2.address)).to.equal(tokens(100));
+    });
+
+    it("Should reject inconsistent sale phases", async function () {
+      const { tokenSale, owner, user1 } = await loadFixture(deployTokenSaleFixture);
+
+      await expect(tokenSale.connect(owner).setSalePhase(2000, 1000, 0, 0, 0))
+        .to.be.revertedWithCustomError(tokenSale, "InvalidSalePhase");
+      await expect(tokenSale.connect(owner).setSalePhase(0, 0, 0, tokens(10), tokens(5)))
+        .to.be.revertedWithCustomError(tokenSale, "InvalidSalePhase");
+      await expect(tokenSale.connect(user1).setSalePhase(0, 0, 0, 0, 0))
+        .to.be.revertedWithCustomError(tokenSale, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should give the frontend the window, allocation and wallet limit", async function () {
+      const { tokenSale, owner, user1 } = await loadFixture(deployTokenSaleFixture);
+      const start = (await time.latest()) + 3600;
+      await tokenSale.connect(owner).setSalePhase(start, 0, tokens(150), 0, tokens(100));
+
+      const frontendSale = connectTokenSale(await tokenSale.getAddress(), ethers.provider);
+      const limits = { maxBuy: tokens(1000), available: tokens(1000), maxSell: 0n, status: "Active" };
+      let phase = await readSalePhase(frontendSale, user1.address);
+      const now = (await time.latest()) * 1000;
+
+      expect(phaseStatus(phase, now)).to.equal("upcoming");
+      expect(formatCountdown(90061)).to.equal("1d 01:01:01");
+      expect(formatCountdown(-5)).to.equal("00:00:00");
+      expect(applySalePhase(limits, phase, now)).to.deep.equal({ maxBuy: tokens(100), available: tokens(100), maxSell: 0n, status: "Not started" });
+
+      await time.increaseTo(start);
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(100) });
+      phase = await readSalePhase(frontendSale, user1.address);
+
+      expect(remainingAllocation(phase)).to.equal(tokens(50));
+      expect(remainingWalletLimit(phase)).to.equal(0n);
+      // The wallet is done, but the sale isn't sold out for everyone else
+      expect(applySalePhase(limits, phase, start * 1000)).to.deep.equal({ maxBuy: 0n, available: 0n, maxSell: 0n, status: "Active" });
+    });
+  });
+
   describe("Withdrawal Functions", function () {
 
     it("Should allow owner to withdraw ETH", async function () {
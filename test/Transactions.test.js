@@ -0,0 +1,244 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { requireFrontend } = require("./helpers/frontend");
+
+const {
+  followTransaction,
+  loadPendingTxs,
+  newTrackedTx,
+  resumeTransaction,
+  savePendingTxs
+} = requireFrontend("lib/transactions.ts");
+
+describe("Transaction tracker", function () {
+  const tokens = (amount) => ethers.parseEther(String(amount));
+
+  async function deployTrackerFixture() {
+    const [owner, minter, user1] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("Token", [
+      "TestToken", "TTK", tokens(10100), minter.address, owner.address, 0
+    ]);
+    const tokenSale = await ethers.deployContract("TokenSale", [
+      await token.getAddress(), ethers.parseEther("0.001"), ethers.parseEther("0.0005"), ethers.ZeroAddress
+    ]);
+    await token.connect(owner).grantRole(await token.MINTER_ROLE(), await tokenSale.getAddress());
+
+    return { token, tokenSale, owner, minter, user1 };
+  }
+
+  // Send like the dApp does: note the block first, then start tracking
+  async function send(label, sendTx) {
+    const startBlock = await ethers.provider.getBlockNumber();
+    const response = await sendTx();
+    return { response, tracked: newTrackedTx(response, label, startBlock) };
+  }
+
+  async function follow(tracked, response) {
+    const updates = [];
+    const settled = await followTransaction(tracked, response, (tx) => updates.push(tx));
+    return { settled, statuses: updates.map((tx) => tx.status) };
+  }
+
+  // Keep transactions in the mempool until the test mines them
+  async function withoutAutomine(fn) {
+    await network.provider.send("evm_setAutomine", [false]);
+    try {
+      return await fn();
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+  }
+
+  describe("Lifecycle", function () {
+    it("Should follow a transaction from pending to confirmed", async function () {
+      const { tokenSale, user1 } = await loadFixture(deployTrackerFixture);
+      const { chainId } = await ethers.provider.getNetwork();
+      const { response, tracked } = await send("Buy", () => tokenSale.connect(user1).buyTokens({ value: tokens(0.01) }));
+
+      // A local chain only mines when there are transactions, so one block is enough
+      expect(tracked).to.include({ label: "Buy", from: user1.address, status: "pending", chainId: Number(chainId), confirmationsNeeded: 1 });
+      const receipt = await response.wait();
+
+      const { settled, statuses } = await follow(tracked, response);
+      expect(statuses).to.deep.equal(["mined", "confirmed"]);
+      expect(settled).to.include({ status: "confirmed", blockNumber: receipt.blockNumber, confirmations: 1, error: null });
+    });
+
+    it("Should count confirmations as blocks are mined", async function () {
+      const { tokenSale, user1 } = await loadFixture(deployTrackerFixture);
+      const { response, tracked } = await send("Buy", () => tokenSale.connect(user1).buyTokens({ value: tokens(0.01) }));
+
+      const following = follow({ ...tracked, confirmationsNeeded: 3 }, response);
+      await mine(2);
+      const { settled } = await following;
+      expect(settled).to.include({ status: "confirmed", confirmations: 3 });
+    });
+
+    it("Should mark a transaction that reverts on chain as failed", async function () {
+      const { tokenSale, user1 } = await loadFixture(deployTrackerFixture);
+
+      const { response, tracked } = await withoutAutomine(async () => {
+        // An explicit gas limit skips the estimate, so the revert only shows up once mined
+        const sent = await send("Buy", () => tokenSale.connect(user1).buyTokens({ value: 0, gasLimit: 300000 }));
+        await mine(1);
+        return sent;
+      });
+
+      const { settled, statuses } = await follow(tracked, response);
+      expect(statuses).to.deep.equal(["failed"]);
+      expect(settled.status).to.equal("failed");
+      expect(settled.blockNumber).to.be.a("number");
+    });
+
+    it("Should mark a transaction it loses track of as unknown until it is resumed", async function () {
+      const { tokenSale, user1 } = await loadFixture(deployTrackerFixture);
+      const { response, tracked } = await send("Buy", () => tokenSale.connect(user1).buyTokens({ value: tokens(0.01) }));
+
+      // The RPC drops while waiting for the second confirmation
+      const flaky = {
+        replaceableTransaction: (startBlock) => {
+          const followed = response.replaceableTransaction(startBlock);
+          return { hash: followed.hash, wait: (confirms) => (confirms === 1 ? followed.wait(1) : Promise.reject(new Error("socket hang up"))) };
+        }
+      };
+      const updates = [];
+      const err = await followTransaction({ ...tracked, confirmationsNeeded: 3 }, flaky, (tx) => updates.push(tx)).catch((error) => error);
+      expect(err.message).to.equal("socket hang up");
+      expect(updates.map((tx) => tx.status)).to.deep.equal(["mined", "unknown"]);
+      const lost = updates[1];
+      expect(lost.error).to.be.a("string").and.not.empty;
+
+      // Still saved, and followed again after a reload
+      const resumedUpdates = [];
+      const resumed = await resumeTransaction(ethers.provider, { ...lost, confirmationsNeeded: 1 }, (tx) => resumedUpdates.push(tx));
+      expect(resumedUpdates[0]).to.include({ status: "pending", error: null });
+      expect(resumed).to.include({ status: "confirmed", error: null });
+    });
+  });
+
+  describe("Replacements", function () {
+    // Resend the transaction with the same nonce and higher fees, as a wallet's speed-up or cancel does
+    async function replace(signer, original, changes) {
+      return signer.sendTransaction({
+        to: original.to,
+        data: original.data,
+        value: original.value,
+        ...changes,
+        nonce: original.nonce,
+        maxFeePerGas: original.maxFeePerGas * 2n,
+        maxPriorityFeePerGas: original.maxPriorityFeePerGas * 2n
+      });
+    }
+
+    it("Should follow a sped-up transaction in place of the original", async function () {
+      const { token, tokenSale, user1 } = await loadFixture(deployTrackerFixture);
+
+      const { response, tracked, speedUp } = await withoutAutomine(async () => {
+        const sent = await send("Buy", () => tokenSale.connect(user1).buyTokens({ value: tokens(0.01) }));
+        const speedUp = await replace(user1, sent.response, {});
+        await mine(1);
+        return { ...sent, speedUp };
+      });
+
+      const { settled } = await follow(tracked, response);
+      expect(settled).to.include({ hash: tracked.hash, status: "confirmed", replacement: speedUp.hash, error: null });
+      expect(await token.balanceOf(user1.address)).to.equal(tokens(10));
+    });
+
+    it("Should mark a sped-up transaction that reverts as failed", async function () {
+      const { token, tokenSale, user1 } = await loadFixture(deployTrackerFixture);
+
+      const { response, tracked, speedUp } = await withoutAutomine(async () => {
+        const sent = await send("Buy", () => tokenSale.connect(user1).buyTokens({ value: tokens(0.01) }));
+        // Enough gas to be mined, too little to run the buy
+        const speedUp = await replace(user1, sent.response, { gasLimit: 30000 });
+        await mine(1);
+        return { ...sent, speedUp };
+      });
+
+      const { settled, statuses } = await follow(tracked, response);
+      expect(statuses).to.deep.equal(["pending", "failed"]);
+      expect(settled).to.include({ status: "failed", replacement: speedUp.hash });
+      expect(settled.blockNumber).to.be.a("number");
+      expect(settled.error).to.be.a("string").and.not.empty;
+      expect(await token.balanceOf(user1.address)).to.equal(0n);
+    });
+
+    it("Should mark a cancelled transaction as replaced", async function () {
+      const { token, tokenSale, user1 } = await loadFixture(deployTrackerFixture);
+
+      const { response, tracked, cancel } = await withoutAutomine(async () => {
+        const sent = await send("Buy", () => tokenSale.connect(user1).buyTokens({ value: tokens(0.01) }));
+        // Wallets cancel by sending nothing to yourself with the same nonce
+        const cancel = await replace(user1, sent.response, { to: user1.address, data: "0x", value: 0n });
+        await mine(1);
+        return { ...sent, cancel };
+      });
+
+      const { settled } = await follow(tracked, response);
+      expect(settled).to.include({ status: "replaced", replacement: cancel.hash, error: "Cancelled from your wallet" });
+      expect(await token.balanceOf(user1.address)).to.equal(0n);
+    });
+
+    it("Should resume after a reload, including a transaction that was dropped", async function () {
+      const { tokenSale, user1 } = await loadFixture(deployTrackerFixture);
+
+      const { tracked, cancelled } = await withoutAutomine(async () => {
+        const first = await send("Buy", () => tokenSale.connect(user1).buyTokens({ value: tokens(0.01) }));
+        await mine(1);
+        const second = await send("Buy", () => tokenSale.connect(user1).buyTokens({ value: tokens(0.01) }));
+        await replace(user1, second.response, { to: user1.address, data: "0x", value: 0n });
+        await mine(1);
+        return { tracked: first.tracked, cancelled: second.tracked };
+      });
+
+      const resumed = await resumeTransaction(ethers.provider, tracked, () => {});
+      expect(resumed.status).to.equal("confirmed");
+      // The node no longer knows the cancelled one, but its nonce has been used
+      const dropped = await resumeTransaction(ethers.provider, cancelled, () => {});
+      expect(dropped).to.include({ status: "replaced", error: "Replaced by another transaction from your wallet" });
+    });
+  });
+
+  describe("Storage", function () {
+    // Stand-in for window.localStorage
+    const memoryStorage = () => {
+      const items = new Map();
+      return { getItem: (key) => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+    };
+    const entry = (hash, from, status, chainId = 31337) => ({
+      hash, label: "Buy", chainId, from, nonce: 0, startBlock: 0, submittedAt: 0, status,
+      blockNumber: null, confirmations: 0, confirmationsNeeded: 1, replacement: null, error: null
+    });
+
+    it("Should keep only unsettled transactions, per chain and account", async function () {
+      const [, , user1, user2] = await ethers.getSigners();
+      const storage = memoryStorage();
+
+      savePendingTxs(storage, 31337, user2.address, [entry("0x02", user2.address, "pending")]);
+      savePendingTxs(storage, 1, user1.address, [entry("0x03", user1.address, "mined", 1)]);
+      savePendingTxs(storage, 31337, user1.address, [
+        entry("0x01", user1.address, "pending"),
+        entry("0x04", user1.address, "confirmed"),
+        entry("0x05", user1.address, "replaced"),
+        entry("0x06", user1.address, "unknown")
+      ]);
+
+      expect(loadPendingTxs(storage, 31337, user1.address.toLowerCase()).map((tx) => tx.hash)).to.deep.equal(["0x01", "0x06"]);
+      expect(loadPendingTxs(storage, 31337, user2.address).map((tx) => tx.hash)).to.deep.equal(["0x02"]);
+      expect(loadPendingTxs(storage, 1, user1.address).map((tx) => tx.hash)).to.deep.equal(["0x03"]);
+
+      // Settling the last one clears the account's entries and leaves the others
+      savePendingTxs(storage, 31337, user1.address, [entry("0x01", user1.address, "confirmed"), entry("0x06", user1.address, "failed")]);
+      expect(loadPendingTxs(storage, 31337, user1.address)).to.deep.equal([]);
+      expect(loadPendingTxs(storage, 31337, user2.address)).to.have.lengthOf(1);
+    });
+
+    it("Should ignore storage it can't read", function () {
+      const storage = { getItem: () => "not json", setItem: () => {} };
+      expect(loadPendingTxs(storage, 31337, ethers.ZeroAddress)).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { requireFrontend } = require("./helpers/frontend");
+
+const { connectTokenSale } = requireFrontend("abis/TokenSaleABI.ts");
+const { readVesting, vestedAmount, vestingBreakdown } = requireFrontend("lib/vesting.ts");
+
+describe("Vesting", function () {
+  const tokens = (amount) => ethers.parseEther(String(amount));
+  // At 0.001 ETH per token
+  const ethFor = (amount) => ethers.parseEther(String(amount / 1000));
+
+  const CLIFF = 30 * 86400;
+  const DURATION = 120 * 86400;
+
+  async function deployVestingFixture() {
+    const [owner, minter, user1, user2] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("Token", [
+      "TestToken", "TTK", ethers.parseEther("1000000"), minter.address, owner.address, 0
+    ]);
+    const tokenSale = await ethers.deployContract("TokenSale", [
+      await token.getAddress(), ethers.parseEther("0.001"), ethers.parseEther("0.0005"), ethers.ZeroAddress
+    ]);
+    await token.connect(owner).grantRole(await token.MINTER_ROLE(), await tokenSale.getAddress());
+
+    const start = (await time.latest()) + 3600;
+    const vesting = await ethers.deployContract("TokenVesting", [
+      await token.getAddress(), await tokenSale.getAddress(), start, CLIFF, DURATION
+    ]);
+    await tokenSale.connect(owner).setVesting(await vesting.getAddress());
+
+    return { token, tokenSale, vesting, start, owner, minter, user1, user2 };
+  }
+
+  describe("Schedule", function () {
+    it("Should reject a zero duration or a cliff past the end", async function () {
+      const { token, tokenSale } = await loadFixture(deployVestingFixture);
+      const TokenVesting = await ethers.getContractFactory("TokenVesting");
+      const args = [await token.getAddress(), await tokenSale.getAddress(), 0];
+
+      await expect(TokenVesting.deploy(...args, 0, 0)).to.be.revertedWithCustomError(TokenVesting, "InvalidSchedule");
+      await expect(TokenVesting.deploy(...args, DURATION + 1, DURATION))
+        .to.be.revertedWithCustomError(TokenVesting, "InvalidSchedule");
+      await expect(TokenVesting.deploy(...args, DURATION, DURATION)).to.not.be.reverted;
+    });
+
+    it("Should release nothing before the cliff, then linearly until the end", async function () {
+      const { token, tokenSale, vesting, start, user1 } = await loadFixture(deployVestingFixture);
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(1200) });
+
+      expect(await vesting.vestedAmount(user1.address, start + CLIFF - 1)).to.equal(0n);
+      // The cliff releases everything that vested up to it at once
+      expect(await vesting.vestedAmount(user1.address, start + CLIFF)).to.equal(tokens(300));
+      expect(await vesting.vestedAmount(user1.address, start + DURATION / 2)).to.equal(tokens(600));
+      expect(await vesting.vestedAmount(user1.address, start + DURATION)).to.equal(tokens(1200));
+
+      await expect(vesting.connect(user1).claim()).to.be.revertedWithCustomError(vesting, "NothingToClaim");
+
+      await time.increaseTo(start + DURATION / 2 - 1);
+      await expect(vesting.connect(user1).claim())
+        .to.emit(vesting, "TokensClaimed")
+        .withArgs(user1.address, tokens(600));
+      expect(await token.balanceOf(user1.address)).to.equal(tokens(600));
+      expect(await vesting.claimable(user1.address)).to.equal(0n);
+
+      await time.increaseTo(start + DURATION + 86400);
+      await vesting.connect(user1).claim();
+      expect(await token.balanceOf(user1.address)).to.equal(tokens(1200));
+      expect(await vesting.released(user1.address)).to.equal(tokens(1200));
+      expect(await vesting.totalLocked()).to.equal(0n);
+      await expect(vesting.connect(user1).claim()).to.be.revertedWithCustomError(vesting, "NothingToClaim");
+    });
+
+    it("Should vest later purchases on the same schedule", async function () {
+      const { tokenSale, vesting, start, user1 } = await loadFixture(deployVestingFixture);
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(120) });
+      await time.increaseTo(start + DURATION / 4 - 1);
+      await vesting.connect(user1).claim();
+
+      // A quarter of the new purchase counts as vested straight away
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(240) });
+      expect(await vesting.allocated(user1.address)).to.equal(tokens(360));
+      expect(await vesting.released(user1.address)).to.equal(tokens(30));
+      expect(await vesting.vestedAmount(user1.address, start + DURATION / 4)).to.equal(tokens(90));
+    });
+
+    it("Should only take locks from its sale, backed by tokens it holds", async function () {
+      const { token, vesting, owner, minter, user1 } = await loadFixture(deployVestingFixture);
+
+      await expect(vesting.connect(user1).lock(user1.address, tokens(1)))
+        .to.be.revertedWithCustomError(vesting, "NotSale");
+
+      const direct = await ethers.deployContract("TokenVesting", [await token.getAddress(), owner.address, 0, 0, 1]);
+      await expect(direct.connect(owner).lock(user1.address, tokens(1)))
+        .to.be.revertedWithCustomError(direct, "TokensNotReceived");
+      await token.connect(minter).transfer(await direct.getAddress(), tokens(1));
+      await expect(direct.connect(owner).lock(user1.address, tokens(1)))
+        .to.emit(direct, "TokensLocked")
+        .withArgs(user1.address, tokens(1));
+    });
+  });
+
+  describe("TokenSale", function () {
+    it("Should lock purchases instead of sending them to the buyer", async function () {
+      const { token, tokenSale, vesting, minter, user1, user2 } = await loadFixture(deployVestingFixture);
+      const saleAddress = await tokenSale.getAddress();
+
+      // Minted
+      await expect(tokenSale.connect(user1).buyTokens({ value: ethFor(100) }))
+        .to.emit(vesting, "TokensLocked")
+        .withArgs(user1.address, tokens(100));
+
+      // And from the reserve
+      await token.connect(minter).transfer(saleAddress, tokens(50));
+      await tokenSale.connect(user2).buyTokens({ value: ethFor(50) });
+
+      expect(await token.balanceOf(user1.address)).to.equal(0n);
+      expect(await token.balanceOf(user2.address)).to.equal(0n);
+      expect(await token.balanceOf(saleAddress)).to.equal(0n);
+      expect(await token.balanceOf(await vesting.getAddress())).to.equal(tokens(150));
+      expect(await vesting.allocated(user2.address)).to.equal(tokens(50));
+      // Locked tokens are bought, so they count as circulating
+      expect(await tokenSale.circulatingSupply()).to.equal(await token.totalSupply());
+    });
+
+    it("Should only accept a vesting contract for this sale and token", async function () {
+      const { token, tokenSale, vesting, owner, user1 } = await loadFixture(deployVestingFixture);
+      const otherSale = await ethers.deployContract("TokenVesting", [await token.getAddress(), user1.address, 0, 0, 1]);
+      const otherToken = await ethers.deployContract("TokenVesting", [user1.address, await tokenSale.getAddress(), 0, 0, 1]);
+
+      await expect(tokenSale.connect(user1).setVesting(await vesting.getAddress()))
+        .to.be.revertedWithCustomError(tokenSale, "OwnableUnauthorizedAccount");
+      await expect(tokenSale.connect(owner).setVesting(await otherSale.getAddress()))
+        .to.be.revertedWithCustomError(tokenSale, "InvalidVesting");
+      await expect(tokenSale.connect(owner).setVesting(await otherToken.getAddress()))
+        .to.be.revertedWithCustomError(tokenSale, "InvalidVesting");
+    });
+
+    it("Should send purchases to buyers again once vesting is disabled", async function () {
+      const { token, tokenSale, vesting, start, owner, user1 } = await loadFixture(deployVestingFixture);
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(100) });
+
+      await expect(tokenSale.connect(owner).setVesting(ethers.ZeroAddress))
+        .to.emit(tokenSale, "VestingUpdated")
+        .withArgs(ethers.ZeroAddress);
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(10) });
+      expect(await token.balanceOf(user1.address)).to.equal(tokens(10));
+
+      // Tokens locked earlier keep vesting
+      await time.increaseTo(start + DURATION);
+      await vesting.connect(user1).claim();
+      expect(await token.balanceOf(user1.address)).to.equal(tokens(110));
+    });
+  });
+
+  describe("Frontend", function () {
+    it("Should show locked, vested and claimable amounts matching the contract", async function () {
+      const { tokenSale, vesting, start, user1, user2 } = await loadFixture(deployVestingFixture);
+      const frontendSale = connectTokenSale(await tokenSale.getAddress(), ethers.provider);
+      await tokenSale.connect(user1).buyTokens({ value: ethFor(1000) });
+
+      expect(await readVesting(frontendSale, ethers.provider, user2.address)).to.deep.include({ allocated: 0n, released: 0n });
+
+      await time.increaseTo(start + DURATION / 2);
+      await vesting.connect(user1).claim();
+      await time.increase(DURATION / 4);
+
+      const schedule = await readVesting(frontendSale, ethers.provider, user1.address);
+      expect(schedule).to.deep.equal({
+        address: await vesting.getAddress(),
+        startTime: start,
+        cliffEnd: start + CLIFF,
+        endTime: start + DURATION,
+        allocated: tokens(1000),
+        released: await vesting.released(user1.address)
+      });
+
+      const now = (await time.latest()) * 1000;
+      const breakdown = vestingBreakdown(schedule, now);
+      expect(breakdown.vested).to.equal(await vesting.vestedAmount(user1.address, now / 1000));
+      expect(breakdown.claimable).to.equal(breakdown.vested - schedule.released);
+      expect(breakdown.locked).to.equal(tokens(1000) - breakdown.vested);
+      expect(vestedAmount(schedule, (start + CLIFF - 1) * 1000)).to.equal(0n);
+
+      // A browser clock running behind the chain still counts what was claimed as vested
+      expect(vestingBreakdown(schedule, start * 1000)).to.deep.equal({
+        locked: tokens(1000) - schedule.released,
+        vested: schedule.released,
+        claimable: 0n
+      });
+    });
+
+    it("Should report sales without vesting", async function () {
+      const { tokenSale, owner, user1 } = await loadFixture(deployVestingFixture);
+      const frontendSale = connectTokenSale(await tokenSale.getAddress(), ethers.provider);
+      await tokenSale.connect(owner).setVesting(ethers.ZeroAddress);
+
+      expect(await readVesting(frontendSale, ethers.provider, user1.address)).to.equal(null);
+      // Sales that predate vesting have no vesting()
+      const legacy = connectTokenSale(await tokenSale.token(), ethers.provider);
+      expect(await readVesting(legacy, ethers.provider, user1.address)).to.equal(null);
+    });
+  });
+});
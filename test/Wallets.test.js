@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { requireFrontend } = require("./helpers/frontend");
+const { startNode } = require("./helpers/node");
+const { MockWallet } = require("./helpers/eip1193");
+
+const { connectToken } = requireFrontend("abis/TokenABI.ts");
+const { connectTokenSale } = requireFrontend("abis/TokenSaleABI.ts");
+const { translateError } = requireFrontend("lib/errors.ts");
+const { planBuy, planApprove, planSell } = requireFrontend("lib/trades.ts");
+const { simulateAndSend } = requireFrontend("lib/preflight.ts");
+const {
+  INJECTED_CONNECTOR_ID,
+  addAnnouncedWallet,
+  discoverWallets,
+  listConnectors,
+  loadWalletChoice,
+  openSession,
+  readAccounts,
+  requestAccounts,
+  saveWalletChoice,
+  switchChain
+} = requireFrontend("lib/wallets.ts");
+
+describe("Wallet connectors", function () {
+  const tokens = (amount) => ethers.parseEther(String(amount));
+  let node;
+  let chainId;
+
+  // Wallets talk to the test chain over HTTP, like one pointed at `npx hardhat node`
+  before(async function () {
+    node = await startNode();
+    chainId = Number((await ethers.provider.getNetwork()).chainId);
+  });
+
+  after(async function () {
+    await node.close();
+  });
+
+  const mockWallet = (accounts, info) => new MockWallet({ url: node.url, chainId, accounts, info });
+  const walletInfo = (name, rdns) => ({ uuid: `${rdns}-uuid`, name, icon: "data:image/svg+xml,<svg/>", rdns });
+
+  async function deploySaleFixture() {
+    const [owner, minter, user1, user2] = await ethers.getSigners();
+
+    const token = await ethers.deployContract("Token", [
+      "TestToken", "TTK", tokens(10100), minter.address, owner.address, 0
+    ]);
+    const tokenSale = await ethers.deployContract("TokenSale", [
+      await token.getAddress(), ethers.parseEther("0.001"), ethers.parseEther("0.0005"), ethers.ZeroAddress
+    ]);
+    await token.connect(owner).grantRole(await token.MINTER_ROLE(), await tokenSale.getAddress());
+
+    return { token, tokenSale, user1, user2 };
+  }
+
+  describe("Discovery", function () {
+    it("Should collect every EIP-6963 wallet once, including ones that load later", function () {
+      const target = new EventTarget();
+      const rabby = mockWallet([], walletInfo("Rabby", "io.rabby"));
+      const coinbase = mockWallet([], walletInfo("Coinbase Wallet", "com.coinbase.wallet"));
+      const stopRabby = rabby.announceOn(target);
+
+      let announced = [];
+      const stop = discoverWallets(target, (wallet) => { announced = addAnnouncedWallet(announced, wallet); });
+      // A wallet that injects after the page loaded announces itself unprompted
+      const stopCoinbase = coinbase.announceOn(target);
+      // ...and every wallet answers each later request again
+      target.dispatchEvent(new Event("eip6963:requestProvider"));
+      // Anything that isn't a wallet announcement is ignored
+      target.dispatchEvent(new CustomEvent("eip6963:announceProvider", { detail: { info: { name: "Broken" } } }));
+
+      expect(announced.map((wallet) => wallet.info.name)).to.deep.equal(["Rabby", "Coinbase Wallet"]);
+      expect(announced[0].provider).to.equal(rabby);
+
+      const connectors = listConnectors(announced, mockWallet([]));
+      expect(connectors.map((connector) => [connector.id, connector.name])).to.deep.equal([
+        ["io.rabby", "Rabby"],
+        ["com.coinbase.wallet", "Coinbase Wallet"]
+      ]);
+
+      stop();
+      stopRabby();
+      stopCoinbase();
+    });
+
+    it("Should fall back to window.ethereum for wallets that don't announce themselves", async function () {
+      const injected = mockWallet([]);
+      const [connector] = listConnectors([], injected);
+
+      expect(connector).to.include({ id: INJECTED_CONNECTOR_ID, name: "Browser wallet", icon: null });
+      expect(await connector.getProvider()).to.equal(injected);
+      expect(listConnectors([], undefined)).to.deep.equal([]);
+    });
+  });
+
+  describe("Sessions", function () {
+    it("Should buy and sell through a wallet's EIP-1193 provider", async function () {
+      const { token, tokenSale, user1 } = await loadFixture(deploySaleFixture);
+      const wallet = mockWallet([user1.address.toLowerCase()]);
+
+      expect(await readAccounts(wallet)).to.deep.equal([]);
+      const accounts = await requestAccounts(wallet);
+      const session = await openSession(wallet, accounts[0]);
+      expect(session).to.include({ account: user1.address, chainId });
+
+      // Unprotected trades: earlier suites move chain time past a wall-clock deadline
+      const sale = connectTokenSale(await tokenSale.getAddress(), session.signer);
+      const buy = planBuy(sale, { value: tokens(0.05), minTokensOut: null, allowlistEntry: null, protectedTrades: false });
+      await (await simulateAndSend(buy, session.signer)).wait();
+      expect(await token.balanceOf(user1.address)).to.equal(tokens(50));
+
+      const frontendToken = connectToken(await token.getAddress(), session.signer);
+      await (await simulateAndSend(planApprove(frontendToken, await tokenSale.getAddress(), tokens(20)), session.signer)).wait();
+      await (await simulateAndSend(planSell(sale, tokens(20), null), session.signer)).wait();
+      expect(await token.balanceOf(user1.address)).to.equal(tokens(30));
+      expect(wallet.requests).to.include("eth_sendTransaction");
+    });
+
+    it("Should report a rejected connection as the user's choice", async function () {
+      const wallet = mockWallet([ethers.ZeroAddress]);
+      wallet.rejectNext = true;
+
+      const err = await requestAccounts(wallet).catch((error) => error);
+      expect(translateError(err).kind).to.equal("rejected");
+      expect(await readAccounts(wallet)).to.deep.equal([]);
+    });
+
+    it("Should pick up the account selected in the wallet", async function () {
+      const { user1, user2 } = await loadFixture(deploySaleFixture);
+      const wallet = mockWallet([user1.address, user2.address]);
+      await requestAccounts(wallet);
+
+      const changed = new Promise((resolve) => wallet.once("accountsChanged", resolve));
+      wallet.selectAccount(user2.address);
+      const [account] = await changed;
+      const session = await openSession(wallet, account);
+      expect(session.account).to.equal(user2.address);
+      expect(await session.signer.getAddress()).to.equal(user2.address);
+    });
+  });
+
+  describe("Networks", function () {
+    const network = (id) => ({
+      chainId: id,
+      name: `Chain ${id}`,
+      rpcUrl: "http://127.0.0.1:8545",
+      explorerUrl: "",
+      nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
+      contracts: null
+    });
+
+    it("Should switch to a chain the wallet knows, and add one it doesn't", async function () {
+      const wallet = mockWallet([]);
+      wallet.knownChains.add(31337);
+      const switches = [];
+      wallet.on("chainChanged", (id) => switches.push(id));
+
+      await switchChain(wallet, network(31337));
+      await switchChain(wallet, network(11155111));
+
+      expect(switches).to.deep.equal(["0x7a69", "0xaa36a7"]);
+      expect(wallet.requests.filter((method) => method.startsWith("wallet_"))).to.deep.equal([
+        "wallet_switchEthereumChain",
+        "wallet_switchEthereumChain",
+        "wallet_addEthereumChain"
+      ]);
+    });
+
+    it("Should pass on a refused switch", async function () {
+      const wallet = mockWallet([]);
+      wallet.rejectNext = true;
+
+      const err = await switchChain(wallet, network(chainId)).catch((error) => error);
+      expect(err.code).to.equal(4001);
+      expect(wallet.requests).to.not.include("wallet_addEthereumChain");
+    });
+  });
+
+  describe("Storage", function () {
+    it("Should remember the wallet picked until it is disconnected", function () {
+      const items = new Map();
+      const storage = {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value),
+        removeItem: (key) => items.delete(key)
+      };
+
+      expect(loadWalletChoice(storage)).to.equal(null);
+      saveWalletChoice(storage, "io.rabby");
+      expect(loadWalletChoice(storage)).to.equal("io.rabby");
+      saveWalletChoice(storage, null);
+      expect(loadWalletChoice(storage)).to.equal(null);
+    });
+  });
+});
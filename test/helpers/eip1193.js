@@ -0,0 +1,112 @@
+// A stand-in for a browser wallet: an EIP-1193 provider that forwards chain
+// requests to a local node (see ./node.js) and handles the wallet-only ones
+// itself, the way MetaMask or Rabby would, including the user's answers.
+const { EventEmitter } = require("events");
+
+const toHex = (chainId) => `0x${chainId.toString(16)}`;
+
+// EIP-1193 provider errors carry a numeric code
+function providerError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+class MockWallet extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.url JSON-RPC URL of the node behind the wallet
+   * @param {number} options.chainId the node's chain id
+   * @param {Array<string>} options.accounts accounts the node can sign for
+   * @param {{uuid: string, name: string, icon: string, rdns: string}} [options.info] EIP-6963 info
+   */
+  constructor({ url, chainId, accounts, info }) {
+    super();
+    this.url = url;
+    this.accounts = accounts;
+    this.info = info ?? { uuid: "00000000-0000-4000-8000-000000000000", name: "Mock Wallet", icon: "data:image/svg+xml,<svg/>", rdns: "test.mock" };
+    this.chainId = chainId;
+    this.knownChains = new Set([chainId]);
+    this.connected = false;
+    // Set to make the user turn down the next prompt
+    this.rejectNext = false;
+    this.requests = [];
+    this.nextId = 1;
+  }
+
+  async request({ method, params = [] }) {
+    this.requests.push(method);
+    switch (method) {
+      case "eth_requestAccounts":
+        this.prompt();
+        this.connected = true;
+        return [...this.accounts];
+      case "eth_accounts":
+        return this.connected ? [...this.accounts] : [];
+      case "eth_chainId":
+        return toHex(this.chainId);
+      case "wallet_switchEthereumChain": {
+        this.prompt();
+        const chainId = Number(params[0].chainId);
+        if (!this.knownChains.has(chainId)) throw providerError(4902, `Unrecognized chain ID "${params[0].chainId}"`);
+        this.setChain(chainId);
+        return null;
+      }
+      case "wallet_addEthereumChain": {
+        this.prompt();
+        const chainId = Number(params[0].chainId);
+        this.knownChains.add(chainId);
+        this.setChain(chainId);
+        return null;
+      }
+      default:
+        return this.forward(method, params);
+    }
+  }
+
+  prompt() {
+    if (!this.rejectNext) return;
+    this.rejectNext = false;
+    throw providerError(4001, "User rejected the request.");
+  }
+
+  setChain(chainId) {
+    if (chainId === this.chainId) return;
+    this.chainId = chainId;
+    this.emit("chainChanged", toHex(chainId));
+  }
+
+  // The user picks another account in the wallet
+  selectAccount(account) {
+    this.accounts = [account, ...this.accounts.filter((other) => other !== account)];
+    this.emit("accountsChanged", [...this.accounts]);
+  }
+
+  async forward(method, params) {
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: this.nextId++, method, params }),
+    });
+    const { result, error } = await response.json();
+    if (error) throw Object.assign(providerError(error.code, error.message), { data: error.data });
+    return result;
+  }
+
+  /**
+   * Answer EIP-6963 discovery on `target`, as an extension does on window.
+   * @param {EventTarget} target
+   * @return {function(): void} stops answering
+   */
+  announceOn(target) {
+    const announce = () => {
+      const detail = Object.freeze({ info: Object.freeze({ ...this.info }), provider: this });
+      target.dispatchEvent(new CustomEvent("eip6963:announceProvider", { detail }));
+    };
+    target.addEventListener("eip6963:requestProvider", announce);
+    announce();
+    return () => target.removeEventListener("eip6963:requestProvider", announce);
+  }
+}
+
+module.exports = {
+  MockWallet,
+};
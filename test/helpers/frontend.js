@@ -0,0 +1,11 @@
+// Lets the Hardhat (CommonJS) test suite load the frontend's TypeScript modules
+// so shared logic is checked against the real contracts.
+// The root tsconfig.json sets no target, and ES5 would turn bigint `**` into Math.pow
+require("ts-node").register({
+  transpileOnly: true,
+  compilerOptions: { module: "commonjs", target: "ES2022", esModuleInterop: true },
+});
+
+module.exports = {
+  requireFrontend: (path) => require(`../../src/${path}`),
+};
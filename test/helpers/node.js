@@ -0,0 +1,20 @@
+// Serves the in-process Hardhat network over HTTP, like `npx hardhat node`, so
+// frontend code that builds its own provider from an RPC URL can be tested
+// against the same chain as the fixtures.
+const hre = require("hardhat");
+const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+
+/**
+ * Start a JSON-RPC server on a free local port, built by the same subtask
+ * `npx hardhat node` uses.
+ * @return {Promise<{url: string, close: function(): Promise<void>}>}
+ */
+async function startNode() {
+  const server = await hre.run(TASK_NODE_CREATE_SERVER, { hostname: "127.0.0.1", port: 0, provider: hre.network.provider });
+  const { address, port } = await server.listen();
+  return { url: `http://${address}:${port}`, close: () => server.close() };
+}
+
+module.exports = {
+  startNode,
+};